@@ -22,13 +22,14 @@
  * const otherConstants = Object.freeze(builder.asObject);
  */
 
+import { fileURLToPath } from "node:url";
 import ConstantsBuilder from "./helpers/constantsBuilder.js";
 
 /**
  * Parsed & frozen constants object from `constants.yaml`.
  *
  * Uses `new ConstantsBuilder().asObject` (no options) which defaults to:
- * - Source: `config/constants.yaml`
+ * - Source: `config/constants.yaml`, resolved next to this module (not the working directory)
  * - `parseContextRootMap`: true (if applicable in file)
  * - `globalNamespace`: `globalThis`
  * - `moduleRef`: null
@@ -40,6 +41,6 @@ import ConstantsBuilder from "./helpers/constantsBuilder.js";
  * @type {Object}
  * @readonly
  */
-const constants = Object.freeze(new ConstantsBuilder({ yamlPath: "./config/constants.yaml" }).asObject);
+const constants = Object.freeze(new ConstantsBuilder({ yamlPath: fileURLToPath(new URL("./constants.yaml", import.meta.url)) }).asObject);
 
 export default constants;
\ No newline at end of file
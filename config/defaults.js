@@ -11,10 +11,11 @@
  * Immutability: Frozen at export time. Modify by creating a new builder with overrides.
  */
 
+import { fileURLToPath } from "node:url";
 import ConstantsBuilder from "./helpers/constantsBuilder.js";
 
 const builder = new ConstantsBuilder({
-  yamlPath: "./config/defaults.yaml",
+  yamlPath: fileURLToPath(new URL("./defaults.yaml", import.meta.url)),
   parseContextRootMap: false,
   globalNamespace: globalThis,
   moduleRef: null
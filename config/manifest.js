@@ -12,8 +12,8 @@
  * Usage note: This evaluation happens once at module import; subsequent imports reuse the cached frozen object.
  */
 import fs from 'node:fs';
-import path from 'node:path';
-const manifestPath = path.join(process.cwd(), 'package.json');
+// The package's own manifest, wherever the caller's working directory is
+const manifestPath = new URL('../package.json', import.meta.url);
 const importedManifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
 import ManifestParser from "./helpers/manifestParser.js";
 
@@ -0,0 +1,175 @@
+/**
+ * @file compose-diff.js
+ * @description Semantic diff between two docker compose documents (per service, volume and env entry)
+ * @path helpers/compose-diff.js
+ */
+
+/**
+ * A single difference between two compose documents.
+ * @typedef {Object} ComposeChange
+ * @property {'+'|'-'|'~'} op Added, removed or changed
+ * @property {string[]} path Location, e.g. ['services', 'foundry-v13', 'environment', 'FETCH_STAGGER_SECONDS']
+ * @property {*} [before] Value in the existing document
+ * @property {*} [after] Value in the regenerated document
+ */
+
+// Top-level sections compared entry by entry
+const KEYED_SECTIONS = ['services', 'volumes', 'secrets', 'networks'];
+// Service list fields compared as unordered sets
+const SET_FIELDS = ['env_file', 'profiles'];
+
+function pick(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key) ? { [key]: obj[key] } : {};
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortKeys(value[k])]));
+  }
+  return value;
+}
+
+/**
+ * Normalize a compose `environment` (list of KEY=VALUE or map) into a map.
+ * @param {Array<string>|Object|undefined} env Compose environment
+ * @returns {Object<string, string|null>} Map of variable name to value (null when unset)
+ */
+function envToMap(env) {
+  if (!env) return {};
+  if (!Array.isArray(env)) {
+    return Object.fromEntries(Object.entries(env).map(([k, v]) => [k, v === null || v === undefined ? null : String(v)]));
+  }
+  const map = {};
+  for (const entry of env) {
+    const str = String(entry);
+    const idx = str.indexOf('=');
+    if (idx === -1) map[str] = null;
+    else map[str.slice(0, idx)] = str.slice(idx + 1);
+  }
+  return map;
+}
+
+/**
+ * Key service volumes by their in-container target so a changed source shows as a change.
+ * @param {Array<string|Object>|undefined} volumes Compose service volumes
+ * @returns {Object<string, string|Object>} Map of target to volume entry
+ */
+function volumesToMap(volumes) {
+  const map = {};
+  for (const v of volumes || []) {
+    if (v && typeof v === 'object') map[v.target] = v;
+    else {
+      const parts = String(v).split(':');
+      map[parts.length > 1 ? parts[1] : parts[0]] = v;
+    }
+  }
+  return map;
+}
+
+/**
+ * Key port mappings by container port so a changed host port shows as a change.
+ * @param {Array<string|number|Object>|undefined} ports Compose service ports
+ * @returns {Object<string, string|number|Object>} Map of container port to port entry
+ */
+function portsToMap(ports) {
+  const map = {};
+  for (const p of ports || []) {
+    if (p && typeof p === 'object') map[String(p.target)] = p;
+    else map[String(p).split(':').pop()] = p;
+  }
+  return map;
+}
+
+function diffMaps(before, after, path, changes) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  for (const key of keys) {
+    const has0 = Object.prototype.hasOwnProperty.call(before, key);
+    const has1 = Object.prototype.hasOwnProperty.call(after, key);
+    if (!has1) changes.push({ op: '-', path: [...path, key], before: before[key] });
+    else if (!has0) changes.push({ op: '+', path: [...path, key], after: after[key] });
+    else if (!isEqual(before[key], after[key])) changes.push({ op: '~', path: [...path, key], before: before[key], after: after[key] });
+  }
+}
+
+function diffSets(before, after, path, changes) {
+  const b = (before || []).map(String);
+  const a = (after || []).map(String);
+  for (const item of b) if (!a.includes(item)) changes.push({ op: '-', path: [...path, item] });
+  for (const item of a) if (!b.includes(item)) changes.push({ op: '+', path: [...path, item] });
+}
+
+function diffService(before, after, path, changes) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  for (const key of keys) {
+    const fieldPath = [...path, key];
+    if (key === 'environment') diffMaps(envToMap(before[key]), envToMap(after[key]), fieldPath, changes);
+    else if (key === 'volumes') diffMaps(volumesToMap(before[key]), volumesToMap(after[key]), fieldPath, changes);
+    else if (key === 'ports') diffMaps(portsToMap(before[key]), portsToMap(after[key]), fieldPath, changes);
+    else if (SET_FIELDS.includes(key)) diffSets(before[key], after[key], fieldPath, changes);
+    else diffMaps(pick(before, key), pick(after, key), path, changes);
+  }
+}
+
+/**
+ * Compute a semantic diff between an existing compose document and a regenerated one.
+ * Key order, list order of env/volume/port/env_file entries and YAML formatting are ignored.
+ * @param {Object|null} before Existing compose document (e.g. parsed compose.dev.yml)
+ * @param {Object} after Regenerated compose document
+ * @returns {ComposeChange[]} Changes needed to turn `before` into `after` (empty when in sync)
+ */
+function diffCompose(before, after) {
+  const changes = [];
+  const b = before || {};
+  const a = after || {};
+  const sections = [...new Set([...Object.keys(b), ...Object.keys(a)])];
+  for (const section of sections) {
+    if (!KEYED_SECTIONS.includes(section)) {
+      diffMaps(pick(b, section), pick(a, section), [], changes);
+      continue;
+    }
+    const b0 = b[section] || {};
+    const a0 = a[section] || {};
+    const names = [...new Set([...Object.keys(b0), ...Object.keys(a0)])];
+    for (const name of names) {
+      const has0 = Object.prototype.hasOwnProperty.call(b0, name);
+      const has1 = Object.prototype.hasOwnProperty.call(a0, name);
+      if (!has1) changes.push({ op: '-', path: [section, name] });
+      else if (!has0) changes.push({ op: '+', path: [section, name] });
+      else if (section === 'services') diffService(b0[name] || {}, a0[name] || {}, [section, name], changes);
+      else if (!isEqual(b0[name], a0[name])) changes.push({ op: '~', path: [section, name], before: b0[name], after: a0[name] });
+    }
+  }
+  return changes;
+}
+
+function formatValue(value) {
+  if (value === undefined) return '';
+  const str = typeof value === 'string' ? value : JSON.stringify(value);
+  return str.length > 80 ? `${str.slice(0, 77)}...` : str;
+}
+
+/**
+ * Render changes as one readable line each (`+` added, `-` removed, `~` changed).
+ * @param {ComposeChange[]} changes Output of `diffCompose`
+ * @returns {string} Multi-line diff text (empty string when there are no changes)
+ */
+function formatComposeDiff(changes) {
+  return changes.map(({ op, path, before, after }) => {
+    const where = path.join('.');
+    if (op === '~') return `~ ${where}: ${formatValue(before)} -> ${formatValue(after)}`;
+    const value = op === '+' ? after : before;
+    return value === undefined ? `${op} ${where}` : `${op} ${where}: ${formatValue(value)}`;
+  }).join('\n');
+}
+
+/**
+ * @export diffCompose - Semantic diff of two compose documents
+ * @export formatComposeDiff - Human readable rendering of a compose diff
+ * @export envToMap - Normalize compose environment entries to a map
+ */
+export { diffCompose, formatComposeDiff, envToMap };
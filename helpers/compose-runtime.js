@@ -0,0 +1,104 @@
+/**
+ * @file compose-runtime.js
+ * @description Detect the docker compose runtime (`docker compose` plugin or legacy `docker-compose`)
+ * @path helpers/compose-runtime.js
+ */
+
+import { execSync } from 'child_process';
+
+/**
+ * Compose runtimes in order of preference: the probe that detects each, the argv prefix that runs it
+ * and the docker CLI it drives (for commands compose has no equivalent of, such as `volume ls`).
+ */
+const COMPOSE_RUNTIMES = [
+  { probe: 'docker compose version', command: [ 'docker', 'compose' ], engine: [ 'docker' ] },
+  { probe: 'docker-compose --version', command: [ 'docker-compose' ], engine: [ 'docker' ] }
+];
+
+/**
+ * Check whether docker and a compose runtime are available.
+ * @param {Function} [execFn] - Injection for testing (defaults to execSync; throws when a probe fails)
+ * @returns {{available: boolean, docker: boolean, compose: boolean, composeCommand: string|null, command: string[]|null,
+ *   engine: string[]|null, error: string|null}} `composeCommand` is the runtime as a shell string, `command` the argv
+ *   prefix to spawn it with, `engine` the argv prefix of the docker CLI it drives
+ */
+function detectComposeRuntime(execFn = execSync) {
+  const result = {
+    available: false,
+    docker: false,
+    compose: false,
+    composeCommand: null,
+    command: null,
+    engine: null,
+    error: null
+  };
+
+  try {
+    execFn('docker --version', { stdio: 'ignore' });
+    result.docker = true;
+  } catch {
+    result.error = 'Docker not available';
+    return result;
+  }
+
+  for (const runtime of COMPOSE_RUNTIMES) {
+    try {
+      execFn(runtime.probe, { stdio: 'ignore' });
+    } catch {
+      continue;
+    }
+    result.compose = true;
+    result.composeCommand = runtime.command.join(' ');
+    result.command = [ ...runtime.command ];
+    result.engine = [ ...runtime.engine ];
+    result.available = true;
+    return result;
+  }
+
+  result.error = 'Neither "docker compose" nor "docker-compose" available';
+  return result;
+}
+
+/**
+ * Parse `compose ps --format json` output. Compose v2 prints one JSON object per line
+ * (older releases print a single array).
+ * @param {string} output - Command output
+ * @param {Function} [onInvalid] - Called with each line that is not valid JSON
+ * @returns {Array<{name: string, status: string, ports: Array, health: string}>} Services;
+ *   `health` is empty when the service has no healthcheck
+ */
+function parseComposePs(output, onInvalid = () => {}) {
+  const text = String(output || '').trim();
+  if (!text) return [];
+  let entries;
+  if (text.startsWith('[')) {
+    try {
+      entries = JSON.parse(text);
+    } catch {
+      onInvalid(text);
+      return [];
+    }
+  } else {
+    entries = text.split('\n').map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        onInvalid(line);
+        return null;
+      }
+    }).filter(Boolean);
+  }
+  return entries.map(service => ({
+    name: service.Service || service.Name,
+    status: service.State || 'unknown',
+    ports: service.Publishers || [],
+    health: service.Health || ''
+  }));
+}
+
+/**
+ * @export COMPOSE_RUNTIMES - Supported compose runtimes in order of preference
+ * @export detectComposeRuntime - Detect docker and the compose runtime to use
+ * @export parseComposePs - Parse `compose ps --format json` output into service states
+ */
+export { COMPOSE_RUNTIMES, detectComposeRuntime, parseComposePs };
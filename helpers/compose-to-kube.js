@@ -0,0 +1,360 @@
+/**
+ * @file compose-to-kube.js
+ * @description Convert a generated compose document into Kubernetes manifests (`fvtt-compose-gen --format kube`)
+ * @path helpers/compose-to-kube.js
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { parseEnvFile } from './env-files.js';
+
+// Label shared by every generated object, so `kubectl delete -l` removes the whole pod set
+const PART_OF_LABEL = 'app.kubernetes.io/part-of';
+const PART_OF = 'foundryvtt-dev-pod';
+const NAME_LABEL = 'app.kubernetes.io/name';
+const DEFAULT_PVC_SIZE = '5Gi';
+// Where compose mounts relative secret targets
+const SECRETS_DIR = '/run/secrets';
+
+/**
+ * Turn a compose name (service, volume, secret, file) into a DNS-1123 label.
+ * @param {string} name Compose name
+ * @returns {string} Lowercase alphanumerics and dashes, at most 63 characters
+ */
+function kubeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 63).replace(/-+$/, '') || 'x';
+}
+
+/**
+ * Compose duration ("1m30s", "5s", "500ms") in whole seconds (at least 1).
+ * @param {string|number} value Compose duration
+ * @returns {number|undefined} Seconds, undefined when not parseable
+ */
+function durationSeconds(value) {
+  if (typeof value === 'number') return Math.max(1, Math.round(value));
+  const units = { h: 3600, m: 60, s: 1, ms: 1e-3, us: 1e-6, ns: 1e-9 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of String(value ?? '').matchAll(/(\d+(?:\.\d+)?)(ms|us|ns|h|m|s)/g)) {
+    total += Number(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? Math.max(1, Math.round(total)) : undefined;
+}
+
+/**
+ * Compose memory size ("2g", "512m", "1024k", bytes) as a Kubernetes quantity.
+ * @param {string|number} value Compose size
+ * @returns {string} e.g. "2Gi"
+ */
+function memoryQuantity(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([bkmg]?)b?$/i.exec(String(value).trim());
+  if (!match) return String(value);
+  const suffix = { '': '', b: '', k: 'Ki', m: 'Mi', g: 'Gi' }[match[2].toLowerCase()];
+  return `${match[1]}${suffix}`;
+}
+
+/**
+ * Compose `deploy.resources` as container resources (reservations become requests).
+ * @param {Object} [resources] Compose `deploy.resources`
+ * @returns {Object|undefined} Kubernetes `resources`
+ */
+function kubeResources(resources) {
+  const convert = (section) => {
+    if (!section) return undefined;
+    const out = {};
+    if (section.memory != null) out.memory = memoryQuantity(section.memory);
+    if (section.cpus != null) out.cpu = String(section.cpus);
+    return Object.keys(out).length ? out : undefined;
+  };
+  const limits = convert(resources?.limits);
+  const requests = convert(resources?.reservations);
+  if (!limits && !requests) return undefined;
+  return { ...(limits && { limits }), ...(requests && { requests }) };
+}
+
+/**
+ * Compose healthcheck as a readiness probe. Compose never restarts unhealthy containers,
+ * so no liveness probe is generated.
+ * @param {Object} [healthcheck] Compose healthcheck
+ * @returns {Object|undefined} Kubernetes probe
+ */
+function kubeProbe(healthcheck) {
+  const test = [].concat(healthcheck?.test || []);
+  if (!test.length || healthcheck.disable || test[0] === 'NONE') return undefined;
+  let command;
+  if (test[0] === 'CMD-SHELL') command = [ 'sh', '-c', test.slice(1).join(' ') ];
+  else if (test[0] === 'CMD') command = test.slice(1);
+  else if (test.length === 1) command = [ 'sh', '-c', test[0] ];
+  else command = test;
+  const probe = { exec: { command } };
+  const period = durationSeconds(healthcheck.interval);
+  const timeout = durationSeconds(healthcheck.timeout);
+  if (period) probe.periodSeconds = period;
+  if (timeout) probe.timeoutSeconds = timeout;
+  if (healthcheck.retries) probe.failureThreshold = healthcheck.retries;
+  return probe;
+}
+
+/**
+ * Parse a compose port entry (short "host:container[/proto]", "ip:host:container" or long syntax).
+ * @param {string|Object} entry Compose port entry
+ * @returns {{containerPort: number, hostPort?: number, hostIP?: string, protocol: string}|null} Port, null when not parseable
+ */
+function parsePort(entry) {
+  if (entry && typeof entry === 'object') {
+    const containerPort = Number(entry.target);
+    if (!Number.isInteger(containerPort)) return null;
+    const port = { containerPort, protocol: String(entry.protocol || 'tcp').toUpperCase() };
+    if (entry.published) port.hostPort = Number(entry.published);
+    if (entry.host_ip) port.hostIP = entry.host_ip;
+    return port;
+  }
+  const [ spec, protocol = 'tcp' ] = String(entry).split('/');
+  const parts = spec.split(':');
+  const containerPort = Number(parts[parts.length - 1]);
+  if (!Number.isInteger(containerPort)) return null;
+  const port = { containerPort, protocol: protocol.toUpperCase() };
+  if (parts.length >= 2 && parts[parts.length - 2]) port.hostPort = Number(parts[parts.length - 2]);
+  if (parts.length === 3 && parts[0]) port.hostIP = parts[0];
+  return port;
+}
+
+/**
+ * Normalize a compose volume entry (short or long syntax).
+ * @param {string|Object} entry Compose volume entry
+ * @returns {{type: string, source: string, target: string, readOnly: boolean}|null} Mount, null for anonymous volumes
+ */
+function parseVolume(entry) {
+  if (entry && typeof entry === 'object') {
+    if (!entry.source || !entry.target) return null;
+    return { type: entry.type || 'volume', source: entry.source, target: entry.target, readOnly: entry.read_only === true };
+  }
+  const parts = String(entry).split(':');
+  if (parts.length < 2) return null;
+  const [ source, target, mode = '' ] = parts;
+  const type = /^[./~]/.test(source) ? 'bind' : 'volume';
+  return { type, source, target, readOnly: mode.split(',').includes('ro') };
+}
+
+/**
+ * hostPath type for a bind source, mirroring what compose does for missing sources.
+ * @param {string} file Absolute host path
+ * @returns {string} `File`, `Directory` or `DirectoryOrCreate`
+ */
+function hostPathType(file) {
+  try {
+    return fs.statSync(file).isFile() ? 'File' : 'Directory';
+  } catch {
+    return 'DirectoryOrCreate';
+  }
+}
+
+/**
+ * Map compose `environment` (list or map) to container env vars.
+ * @param {string[]|Object} [environment] Compose environment
+ * @returns {Array<{name: string, value: string}>} Env vars
+ */
+function kubeEnv(environment) {
+  const pairs = Array.isArray(environment)
+    ? environment.map(item => { const [ name, ...rest ] = String(item).split('='); return [ name, rest.length ? rest.join('=') : undefined ]; })
+    : Object.entries(environment || {});
+  return pairs.filter(([, value]) => value != null).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Compose `command` as container args; strings are split on whitespace outside quotes, like compose does.
+ * @param {string|string[]} command Compose command
+ * @returns {string[]} Container args
+ */
+function commandArgs(command) {
+  if (Array.isArray(command)) return command.map(String);
+  return [ ...String(command).matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g) ].map(([, double, single, bare]) => double ?? single ?? bare);
+}
+
+const metadata = (name, labels = {}) => ({ name, labels: { [PART_OF_LABEL]: PART_OF, ...labels } });
+
+/**
+ * Convert a compose document into Kubernetes manifests:
+ * - one Deployment per service (the builder included, so it can be scaled to zero on its own)
+ * - a ClusterIP Service per service with ports; published host ports become container `hostPort`s
+ *   so Podman (`podman kube play`) and single-node clusters keep the compose URLs
+ * - a PersistentVolumeClaim per named volume (the `-data` volumes)
+ * - hostPath volumes for bind mounts (config, dist, patches, shared, resources, cache), resolved against `baseDir`
+ * - a Secret per file-based compose secret (external secrets must already exist in the namespace)
+ * - a ConfigMap per env file, loaded through `envFrom` in the compose order
+ * Labels, restart policies, profiles, networks and container names have no equivalent and are dropped.
+ * @param {Object} compose Compose document
+ * @param {Object} [opts]
+ * @param {string} [opts.baseDir=process.cwd()] Directory relative compose paths resolve against
+ * @param {string} [opts.pvcSize='5Gi'] Storage request of each PersistentVolumeClaim
+ * @returns {{manifests: Object[], warnings: string[]}} Manifests in apply order, and conversion warnings
+ */
+function composeToKube(compose, { baseDir = process.cwd(), pvcSize = DEFAULT_PVC_SIZE } = {}) {
+  const warnings = [];
+  // Secret name to { manifest, payload }; keys are added per mount target below
+  const secrets = new Map();
+  const configMaps = new Map();
+  const claims = new Map();
+  const workloads = [];
+  const topSecrets = compose?.secrets || {};
+
+  for (const volume of Object.keys(compose?.volumes || {})) claims.set(volume, kubeName(volume));
+
+  const secretName = (source) => kubeName(topSecrets[source]?.name || source);
+  for (const [source, def] of Object.entries(topSecrets)) {
+    if (!def?.file) continue;
+    const file = path.resolve(baseDir, def.file);
+    if (!fs.existsSync(file)) {
+      warnings.push(`secret ${source}: ${def.file} does not exist; create Secret ${secretName(source)} yourself`);
+      continue;
+    }
+    secrets.set(secretName(source), {
+      manifest: { apiVersion: 'v1', kind: 'Secret', metadata: metadata(secretName(source)), type: 'Opaque', data: {} },
+      payload: fs.readFileSync(file).toString('base64')
+    });
+  }
+
+  const envConfigMap = (entry) => {
+    const ref = typeof entry === 'string' ? { path: entry } : entry;
+    if (!ref?.path) return null;
+    const name = kubeName(`env-${path.basename(ref.path).replace(/^\./, '')}`);
+    if (!configMaps.has(name)) {
+      const file = path.resolve(baseDir, ref.path);
+      const data = {};
+      if (fs.existsSync(file)) {
+        for (const { key, value } of parseEnvFile(fs.readFileSync(file, 'utf8')).entries) {
+          if (value !== undefined) data[key] = value;
+        }
+        configMaps.set(name, { apiVersion: 'v1', kind: 'ConfigMap', metadata: metadata(name), data });
+      } else {
+        configMaps.set(name, null);
+      }
+    }
+    return { configMapRef: { name, ...(configMaps.get(name) ? {} : { optional: true }) } };
+  };
+
+  for (const [service, svc] of Object.entries(compose?.services || {})) {
+    const name = kubeName(service);
+    const labels = { [NAME_LABEL]: name };
+    const container = { name, image: svc.image };
+    if (svc.entrypoint) container.command = commandArgs(svc.entrypoint);
+    if (svc.command) container.args = commandArgs(svc.command);
+    if (svc.working_dir) container.workingDir = svc.working_dir;
+
+    const ports = [].concat(svc.ports || []).map(parsePort).filter(Boolean);
+    if (ports.length) container.ports = ports.map(({ containerPort, hostPort, hostIP, protocol }) => ({ containerPort, ...(hostPort && { hostPort }), ...(hostIP && { hostIP }), protocol }));
+
+    const envFrom = [].concat(svc.env_file || []).map(envConfigMap).filter(Boolean);
+    if (envFrom.length) container.envFrom = envFrom;
+    const env = kubeEnv(svc.environment);
+    if (env.length) container.env = env;
+
+    const volumes = [];
+    const mounts = [];
+    const volumeName = (base) => {
+      let candidate = kubeName(base);
+      for (let i = 2; volumes.some(v => v.name === candidate); i++) candidate = kubeName(`${base}-${i}`);
+      return candidate;
+    };
+    for (const mount of [].concat(svc.volumes || []).map(parseVolume).filter(Boolean)) {
+      if (mount.type === 'bind') {
+        const hostPath = path.resolve(baseDir, mount.source.replace(/^~(?=\/|$)/, process.env.HOME || '~'));
+        const vol = { name: volumeName(mount.target), hostPath: { path: hostPath, type: hostPathType(hostPath) } };
+        volumes.push(vol);
+        mounts.push({ name: vol.name, mountPath: mount.target, ...(mount.readOnly && { readOnly: true }) });
+      } else if (mount.type === 'volume') {
+        if (!claims.has(mount.source)) claims.set(mount.source, kubeName(mount.source));
+        const vol = { name: volumeName(mount.source), persistentVolumeClaim: { claimName: claims.get(mount.source) } };
+        volumes.push(vol);
+        mounts.push({ name: vol.name, mountPath: mount.target, ...(mount.readOnly && { readOnly: true }) });
+      } else {
+        warnings.push(`${service}: ${mount.type} mount of ${mount.target} is not converted`);
+      }
+    }
+    for (const ref of [].concat(svc.secrets || [])) {
+      const source = typeof ref === 'string' ? ref : ref?.source;
+      if (!source) continue;
+      const target = (typeof ref === 'object' && ref.target) || source;
+      const mountPath = target.startsWith('/') ? target : `${SECRETS_DIR}/${target}`;
+      const key = path.basename(mountPath).replace(/[^-._a-zA-Z0-9]/g, '_');
+      const secret = secrets.get(secretName(source));
+      if (secret) secret.manifest.data[key] = secret.payload;
+      else if (!topSecrets[source]?.file) warnings.push(`${service}: secret ${secretName(source)} must exist with key ${key}`);
+      const vol = { name: volumeName(`secret-${source}`), secret: { secretName: secretName(source), items: [ { key, path: key } ] } };
+      volumes.push(vol);
+      mounts.push({ name: vol.name, mountPath, subPath: key, readOnly: true });
+    }
+    if (mounts.length) container.volumeMounts = mounts;
+
+    const probe = kubeProbe(svc.healthcheck);
+    if (probe) container.readinessProbe = probe;
+    const resources = kubeResources(svc.deploy?.resources);
+    if (resources) container.resources = resources;
+
+    const podSpec = {};
+    if (svc.hostname) podSpec.hostname = kubeName(svc.hostname);
+    if (svc.user != null) {
+      const [ uid, gid ] = String(svc.user).split(':').map(Number);
+      if (Number.isInteger(uid)) podSpec.securityContext = { runAsUser: uid, ...(Number.isInteger(gid) && { runAsGroup: gid }) };
+      else warnings.push(`${service}: user ${svc.user} is not numeric and is dropped (Kubernetes needs a uid)`);
+    }
+    podSpec.containers = [ container ];
+    if (volumes.length) podSpec.volumes = volumes;
+
+    workloads.push({
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: metadata(name, labels),
+      spec: {
+        replicas: 1,
+        // ReadWriteOnce claims cannot be shared by an old and a new pod during a rolling update
+        strategy: { type: 'Recreate' },
+        selector: { matchLabels: labels },
+        template: { metadata: { labels: { [PART_OF_LABEL]: PART_OF, ...labels } }, spec: podSpec }
+      }
+    });
+    if (ports.length) {
+      workloads.push({
+        apiVersion: 'v1',
+        kind: 'Service',
+        metadata: metadata(name, labels),
+        spec: {
+          type: 'ClusterIP',
+          selector: labels,
+          ports: ports.map(({ containerPort, protocol }) => ({ name: `${protocol.toLowerCase()}-${containerPort}`, port: containerPort, targetPort: containerPort, protocol }))
+        }
+      });
+    }
+  }
+
+  const pvcs = [ ...new Set(claims.values()) ].map(claim => ({
+    apiVersion: 'v1',
+    kind: 'PersistentVolumeClaim',
+    metadata: metadata(claim),
+    spec: { accessModes: [ 'ReadWriteOnce' ], resources: { requests: { storage: pvcSize } } }
+  }));
+  return {
+    manifests: [ ...[ ...secrets.values() ].map(s => s.manifest).filter(s => Object.keys(s.data).length), ...[ ...configMaps.values() ].filter(Boolean), ...pvcs, ...workloads ],
+    warnings
+  };
+}
+
+/**
+ * Render manifests as one multi-document YAML stream (`kubectl apply -f`, `podman kube play`).
+ * @param {Object[]} manifests Kubernetes objects
+ * @returns {string} YAML documents separated by `---`
+ */
+function formatKubeYaml(manifests) {
+  return manifests.map(doc => yaml.dump(doc, { noRefs: true, lineWidth: 120 })).join('---\n');
+}
+
+/**
+ * @export kubeName - DNS-1123 label from a compose name
+ * @export durationSeconds - Compose duration in seconds
+ * @export memoryQuantity - Compose memory size as a Kubernetes quantity
+ * @export composeToKube - Deployments, Services, PVCs, Secrets and ConfigMaps from a compose document
+ * @export formatKubeYaml - Multi-document YAML rendering
+ */
+export { kubeName, durationSeconds, memoryQuantity, composeToKube, formatKubeYaml };
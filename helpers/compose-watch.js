@@ -0,0 +1,188 @@
+/**
+ * @file compose-watch.js
+ * @description Watch loop behind `fvtt-compose-gen --watch`: regenerate on input changes, write atomically, summarize service changes
+ * @path helpers/compose-watch.js
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { diffCompose } from './compose-diff.js';
+
+// fs.watchFile polls; unlike fs.watch it survives editors that save by renaming over the file
+const WATCH_INTERVAL_MS = 500;
+// Editors often write a file in several steps; coalesce them into one regeneration
+const DEBOUNCE_MS = 200;
+
+/**
+ * Write a file atomically: write a temp file in the same directory, then rename it over the target,
+ * so readers (docker compose) never see a half-written file.
+ * @param {string} file Target path
+ * @param {string} content File content
+ */
+function writeFileAtomic(file, content) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, content, 'utf8');
+  try {
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Group compose changes by service.
+ * @param {Array<import('./compose-diff.js').ComposeChange>} changes Output of `diffCompose`
+ * @returns {{added: string[], removed: string[], changed: string[]}} Service names
+ */
+function summarizeServiceChanges(changes) {
+  const summary = { added: [], removed: [], changed: [] };
+  for (const { op, path: where } of changes) {
+    if (where[0] !== 'services') continue;
+    const name = where[1];
+    if (where.length === 2) summary[op === '+' ? 'added' : 'removed'].push(name);
+    else if (!summary.changed.includes(name)) summary.changed.push(name);
+  }
+  return summary;
+}
+
+/**
+ * One-line rendering of `summarizeServiceChanges`.
+ * @param {{added: string[], removed: string[], changed: string[]}} summary Service changes
+ * @returns {string} e.g. "changed foundry-v13; added foundry-v13-lite"
+ */
+function formatServiceSummary({ added, removed, changed }) {
+  const parts = [ [ 'changed', changed ], [ 'added', added ], [ 'removed', removed ] ]
+    .filter(([, names]) => names.length)
+    .map(([label, names]) => `${label} ${names.join(', ')}`);
+  return parts.length ? parts.join('; ') : 'no service changes';
+}
+
+/**
+ * Files a generated compose document depends on: the config plus every env file the services load.
+ * @param {Object} compose Compose document
+ * @param {Object} opts
+ * @param {string} opts.configPath Config file
+ * @param {string} opts.baseDir Directory env_file paths are relative to
+ * @returns {string[]} Absolute paths
+ */
+function composeInputFiles(compose, { configPath, baseDir }) {
+  const files = new Set([ path.resolve(configPath) ]);
+  for (const svc of Object.values(compose?.services || {})) {
+    for (const entry of [].concat(svc?.env_file || [])) {
+      const file = typeof entry === 'string' ? entry : entry?.path;
+      if (typeof file === 'string') files.add(path.resolve(baseDir, file));
+    }
+  }
+  return [ ...files ];
+}
+
+/**
+ * Regenerate the compose file whenever the config, a file it extends/includes or a referenced env file changes.
+ * Generation errors are reported and the previous output is kept; watching continues.
+ * @param {Object} opts
+ * @param {Function} opts.generate Async generator returning `{ compose, yaml, warnings, caddyfile, devcontainer, configFiles }` (see `generateCompose`)
+ * @param {string} opts.out Compose output file
+ * @param {string} opts.configPath Config file
+ * @param {string[]} [opts.extraFiles] Additional files to watch (e.g. included configs)
+ * @param {Function} [opts.onChange] Called with the service summary after each write that changed services
+ * @param {Function} [opts.log=console.log] Progress output
+ * @param {Function} [opts.error=console.error] Warning and error output
+ * @param {number} [opts.interval] Poll interval in ms
+ * @returns {{ready: Promise<Object|null>, regenerate: Function, files: Function, close: Function}} Controller; `ready` settles after the first run
+ */
+function watchCompose({ generate, out, configPath, extraFiles = [], onChange, log = console.log, error = console.error, interval = WATCH_INTERVAL_MS }) {
+  const absOut = path.resolve(out);
+  const baseDir = path.dirname(absOut);
+  let previous = null;
+  try {
+    previous = fs.existsSync(absOut) ? yaml.load(fs.readFileSync(absOut, 'utf8')) : null;
+  } catch {
+    previous = null;
+  }
+  const watched = new Map();
+  let timer = null;
+  let running = Promise.resolve();
+  let closed = false;
+
+  const onFileChange = (file) => (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    clearTimeout(timer);
+    const label = path.relative(process.cwd(), file);
+    timer = setTimeout(() => { regenerate(`${label.startsWith('..') ? file : label} changed`); }, DEBOUNCE_MS);
+  };
+
+  const updateWatchers = (files) => {
+    const wanted = new Set(files);
+    for (const [file, listener] of watched) {
+      if (!wanted.has(file)) {
+        fs.unwatchFile(file, listener);
+        watched.delete(file);
+      }
+    }
+    for (const file of wanted) {
+      if (watched.has(file)) continue;
+      const listener = onFileChange(file);
+      fs.watchFile(file, { interval, persistent: true }, listener);
+      watched.set(file, listener);
+    }
+  };
+
+  const run = async (reason) => {
+    let result;
+    try {
+      result = await generate();
+      result.warnings.forEach(warning => error(warning));
+      writeFileAtomic(absOut, result.yaml);
+      for (const extra of [ result.caddyfile, result.devcontainer ].filter(Boolean)) {
+        const file = path.join(baseDir, extra.file);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        writeFileAtomic(file, extra.content);
+      }
+    } catch (err) {
+      error(`[watch] ${reason}: ${err.message} (keeping ${absOut})`);
+      return null;
+    }
+    const summary = summarizeServiceChanges(diffCompose(previous || {}, result.compose));
+    previous = result.compose;
+    log(`[watch] ${reason}: wrote ${absOut} (${formatServiceSummary(summary)})`);
+    updateWatchers([
+      ...composeInputFiles(result.compose, { configPath, baseDir }),
+      ...(result.configFiles || []),
+      ...extraFiles.map(f => path.resolve(f))
+    ]);
+    if (onChange && (summary.added.length || summary.changed.length)) await onChange(summary);
+    return summary;
+  };
+
+  // Runs are serialized so two quick edits cannot interleave writes
+  const regenerate = (reason = 'change') => {
+    if (closed) return Promise.resolve(null);
+    running = running.then(() => run(reason));
+    return running;
+  };
+
+  updateWatchers([ path.resolve(configPath), ...extraFiles.map(f => path.resolve(f)) ]);
+  const ready = regenerate('initial run');
+  return {
+    ready,
+    regenerate,
+    files: () => [ ...watched.keys() ],
+    close: () => {
+      closed = true;
+      clearTimeout(timer);
+      for (const [file, listener] of watched) fs.unwatchFile(file, listener);
+      watched.clear();
+    }
+  };
+}
+
+/**
+ * @export writeFileAtomic - Temp file + rename write
+ * @export summarizeServiceChanges - Added/removed/changed services from a compose diff
+ * @export formatServiceSummary - One-line service change summary
+ * @export composeInputFiles - Config and env files a compose document depends on
+ * @export watchCompose - Regenerate-on-change loop
+ */
+export { writeFileAtomic, summarizeServiceChanges, formatServiceSummary, composeInputFiles, watchCompose };
@@ -0,0 +1,81 @@
+/**
+ * @file config-loader.js
+ * @description Host-side entry point for the shared container-config loader (JSON, JSONC, YAML)
+ * @path helpers/config-loader.js
+ */
+
+import yaml from 'js-yaml';
+import {
+  ConfigParseError,
+  CONFIG_COMPOSITION_KEYS,
+  DEFAULT_CONFIG_FILENAMES,
+  configSourceOf,
+  detectConfigFormat,
+  findConfigFile,
+  loadComposedConfig as loadComposedConfigWith,
+  loadConfigFile as loadConfigFileWith,
+  mergeConfig,
+  parseConfigText as parseConfigTextWith
+} from '../patches/common/helpers/configLoader.mjs';
+
+// The loader lives under patches/ so the container can use it without node_modules;
+// on the host we bind js-yaml explicitly instead of relying on module resolution.
+const yamlParser = (text) => yaml.load(text);
+
+/**
+ * Parse config text as JSON/JSONC or YAML.
+ * @param {string} text - Config source text
+ * @param {object} [options] - `filePath` and/or `format` ("json"|"yaml")
+ * @returns {any} Parsed config
+ * @throws {ConfigParseError} With `file`, `line` and `column` when parsing fails
+ */
+function parseConfigText(text, options = {}) {
+  return parseConfigTextWith(text, { yamlParser, ...options });
+}
+
+/**
+ * Read and parse a config file in any supported format.
+ * @param {string} filePath - Config file path
+ * @param {object} [options] - See `parseConfigText`
+ * @returns {any} Parsed config
+ * @throws {ConfigParseError} With `file`, `line` and `column` when parsing fails
+ */
+function loadConfigFile(filePath, options = {}) {
+  return loadConfigFileWith(filePath, { yamlParser, ...options });
+}
+
+/**
+ * Read a config file and merge the files it references with `extends`/`include`.
+ * @param {string} filePath - Config file path
+ * @param {object} [options] - See `parseConfigText`
+ * @returns {{config: any, files: string[], sources: Map<string, string>}} Merged config, files applied, pointer attribution
+ * @throws {ConfigParseError} On parse errors and bad, missing or circular references
+ */
+function loadComposedConfig(filePath, options = {}) {
+  return loadComposedConfigWith(filePath, { yamlParser, ...options });
+}
+
+/**
+ * @export loadConfigFile - Read and parse a config file (JSON, JSONC or YAML)
+ * @export loadComposedConfig - Read a config file merged with its `extends`/`include` files
+ * @export mergeConfig - Merge one config layer over another (objects merge, arrays replace, null deletes)
+ * @export configSourceOf - File that set a JSON pointer in a composed config
+ * @export CONFIG_COMPOSITION_KEYS - Top-level keys that reference other config files
+ * @export parseConfigText - Parse config text (JSON, JSONC or YAML)
+ * @export findConfigFile - Locate container-config.{json,jsonc,yaml,yml} in a directory
+ * @export detectConfigFormat - Format detection by extension/content
+ * @export ConfigParseError - Error carrying file/line/column
+ * @export DEFAULT_CONFIG_FILENAMES - Default config file names in lookup order
+ */
+export {
+  loadConfigFile,
+  loadComposedConfig,
+  mergeConfig,
+  configSourceOf,
+  parseConfigText,
+  findConfigFile,
+  detectConfigFormat,
+  ConfigParseError,
+  CONFIG_COMPOSITION_KEYS,
+  DEFAULT_CONFIG_FILENAMES
+};
@@ -0,0 +1,118 @@
+/**
+ * @file config-migrations.js
+ * @description Container config schema versions and the migrations that upgrade older configs
+ * @path helpers/config-migrations.js
+ */
+
+// Version of container-config.schema.json the tools in this repo expect.
+// Configs without `schemaVersion` predate versioning and count as version 0.
+const CONFIG_SCHEMA_VERSION = 1;
+
+const ITEM_KINDS = ['systems', 'modules', 'worlds'];
+
+/**
+ * Replace every system/module/world entry with `fn(item)`: the top-level definitions
+ * and the per-version and per-variant install overrides. Mutates `config`.
+ * @param {object} config - Container config
+ * @param {function(object, string): object} fn - Called with the item and its JSON pointer
+ */
+function mapItems(config, fn) {
+  const visit = (group, pointer) => {
+    for (const kind of ITEM_KINDS) {
+      for (const [id, item] of Object.entries(group?.[kind] || {})) {
+        if (item && typeof item === 'object') group[kind][id] = fn(item, `${pointer}/${kind}/${id}`);
+      }
+    }
+  };
+  visit(config, '');
+  for (const [version, versionConfig] of Object.entries(config.versions || {})) {
+    visit(versionConfig?.install, `/versions/${version}/install`);
+    for (const [variant, variantConfig] of Object.entries(versionConfig?.variants || {})) {
+      visit(variantConfig?.install, `/versions/${version}/variants/${variant}/install`);
+    }
+  }
+}
+
+/**
+ * Ordered migration steps. Each step takes a config at `from` and returns it at `to`,
+ * pushing a human readable line to `changes` for every edit. Steps must be pure
+ * (never mutate their input) and must not stamp `schemaVersion` (migrateConfig does).
+ * @type {Array<{from: number, to: number, description: string, migrate: function(object, string[]): object}>}
+ */
+const CONFIG_MIGRATIONS = [
+  {
+    from: 0,
+    to: 1,
+    description: 'rename legacy item "file" to "path" and spell out continuous_sync defaults',
+    migrate(input, changes) {
+      const config = structuredClone(input);
+      mapItems(config, (item, pointer) => {
+        if (Object.prototype.hasOwnProperty.call(item, 'file') && item.path === undefined) {
+          item = Object.fromEntries(Object.entries(item).map(([key, value]) => [key === 'file' ? 'path' : key, value]));
+          changes.push(`${pointer}: renamed "file" to "path"`);
+        }
+        // An object without "enabled" turns sync on; keep it that way if the default changes
+        const sync = item.continuous_sync;
+        if (sync && typeof sync === 'object' && sync.enabled === undefined) {
+          item.continuous_sync = { enabled: true, ...sync };
+          changes.push(`${pointer}/continuous_sync: set "enabled": true (was implied)`);
+        }
+        return item;
+      });
+      return config;
+    }
+  }
+];
+
+/**
+ * Read the schema version a config was written for.
+ * @param {object} config - Parsed container config (a single file, not a composed result)
+ * @returns {number} `schemaVersion`, or 0 when the config is unversioned
+ * @throws {Error} When `schemaVersion` is present but not a positive integer
+ */
+function configSchemaVersion(config) {
+  const version = config?.schemaVersion;
+  if (version === undefined) return 0;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid schemaVersion: ${JSON.stringify(version)} (expected a positive integer)`);
+  }
+  return version;
+}
+
+/**
+ * Upgrade a config to `to` by running every migration step in order.
+ * The input is not modified; `schemaVersion` is stamped as the first key of the result.
+ * @param {object} config - Parsed container config
+ * @param {object} [options]
+ * @param {number} [options.to=CONFIG_SCHEMA_VERSION] - Target schema version
+ * @returns {{config: object, from: number, to: number, steps: string[], changes: string[]}} Migrated config,
+ *   the descriptions of the steps applied and the edits they made
+ * @throws {Error} When the config is newer than `to` or no migration path exists
+ */
+function migrateConfig(config, { to = CONFIG_SCHEMA_VERSION } = {}) {
+  const from = configSchemaVersion(config);
+  if (from > to) {
+    throw new Error(`Config schemaVersion ${from} is newer than ${to}; upgrade the tools instead`);
+  }
+  const steps = [];
+  const changes = [];
+  let current = config;
+  for (let version = from; version < to; ) {
+    const step = CONFIG_MIGRATIONS.find(m => m.from === version);
+    if (!step) throw new Error(`No migration from schemaVersion ${version}`);
+    const migrated = { ...step.migrate(current, changes) };
+    delete migrated.schemaVersion;
+    current = { schemaVersion: step.to, ...migrated };
+    steps.push(`${step.from} -> ${step.to}: ${step.description}`);
+    version = step.to;
+  }
+  return { config: current, from, to, steps, changes };
+}
+
+/**
+ * @export CONFIG_SCHEMA_VERSION - Schema version the tools expect
+ * @export CONFIG_MIGRATIONS - Ordered migration steps
+ * @export configSchemaVersion - Read the schema version of a config (0 when unversioned)
+ * @export migrateConfig - Upgrade a config to the current (or a given) schema version
+ */
+export { CONFIG_SCHEMA_VERSION, CONFIG_MIGRATIONS, configSchemaVersion, migrateConfig };
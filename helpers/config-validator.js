@@ -7,19 +7,29 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import Ajv from 'ajv';
+import { loadComposedConfig, loadConfigFile, configSourceOf } from './config-loader.js';
+import { CONFIG_SCHEMA_VERSION, configSchemaVersion } from './config-migrations.js';
+import { VARIANT_NAME_PATTERN } from '../patches/common/helpers/variants.mjs';
+import { configTemplateProblems } from '../patches/common/helpers/templateVars.mjs';
 
 class ConfigValidator {
   constructor(options = {}) {
     this.schemaPath = options.schemaPath || null; // Placeholder if schema-based validation added later
   }
 
+  /**
+   * Load a config file in any supported format (JSON, JSONC, YAML), merged with the
+   * files it references through `extends`/`include`.
+   * Parse errors carry `file:line:column` in the message.
+   * @param {string} configPath - Path to the configuration file
+   * @returns {{config?: object, files?: string[], sources?: Map<string, string>, error?: string}} Parsed config or error message
+   */
   loadConfig(configPath) {
     if (!fs.existsSync(configPath)) {
       return { error: `Config file not found: ${configPath}` };
     }
     try {
-      const content = fs.readFileSync(configPath, 'utf8');
-      return { config: JSON.parse(content) };
+      return loadComposedConfig(configPath);
     } catch (err) {
       return { error: `Validation error: ${err.message}` };
     }
@@ -28,6 +38,9 @@ class ConfigValidator {
   validateStructure(config) {
     const errors = [];
 
+    if (config.schemaVersion !== undefined && (!Number.isInteger(config.schemaVersion) || config.schemaVersion < 1)) {
+      errors.push('root: "schemaVersion" must be a positive integer');
+    }
     if (!config.systems || typeof config.systems !== 'object') {
       errors.push('root: must have required property "systems"');
     }
@@ -65,6 +78,11 @@ class ConfigValidator {
         if (!versionConfig.install) {
           errors.push(`/versions/${version}: must have required property "install"`);
         }
+        for (const variant of Object.keys(versionConfig.variants || {})) {
+          if (!VARIANT_NAME_PATTERN.test(variant)) {
+            errors.push(`/versions/${version}/variants/${variant}: variant name must match ${VARIANT_NAME_PATTERN}`);
+          }
+        }
         if (versionConfig.install) {
           if (!versionConfig.install.systems || typeof versionConfig.install.systems !== 'object') {
             errors.push(`/versions/${version}/install: must have required property "systems"`);
@@ -76,15 +94,64 @@ class ConfigValidator {
       }
     }
 
+    // Template variables: unknown names and malformed ${env:...} references
+    errors.push(...configTemplateProblems(config));
+
     return errors;
   }
 
+  /**
+   * Load and validate a config file (and the files it extends/includes).
+   * @param {string} configPath - Path to the configuration file
+   * @returns {{valid: boolean, errors?: string[], warnings?: string[]}} Validation result;
+   *   `warnings` names files whose schemaVersion differs from the one the tools expect
+   */
   validate(configPath) {
-    const { config, error } = this.loadConfig(configPath);
+    const { config, files, sources, error } = this.loadConfig(configPath);
     if (error) {
       return { valid: false, errors: [error] };
     }
+    let result = this.validateConfig(config);
+    // Composed configs: name the file each error comes from
+    if (!result.valid && files.length > 1) {
+      result = { ...result, errors: attributeConfigErrors(result.errors, sources) };
+    }
+    const warnings = this.schemaVersionWarnings(files);
+    return warnings.length ? { ...result, warnings } : result;
+  }
 
+  /**
+   * Warn about config files written for another schema version than the tools expect.
+   * Each file of a composed config is checked on its own.
+   * @param {string[]} files - Config files (e.g. `files` from `loadConfig`)
+   * @returns {string[]} One warning per outdated (or too new) file
+   */
+  schemaVersionWarnings(files) {
+    const warnings = [];
+    for (const file of files) {
+      let version;
+      try {
+        version = configSchemaVersion(loadConfigFile(file));
+      } catch {
+        continue; // Reported as a validation error
+      }
+      const rel = path.relative(process.cwd(), file) || file;
+      if (version < CONFIG_SCHEMA_VERSION) {
+        const found = version ? `schemaVersion ${version}` : 'no schemaVersion';
+        warnings.push(`${rel}: ${found}, older than the current ${CONFIG_SCHEMA_VERSION}; run "fvtt-config migrate ${rel}" to upgrade it`);
+      } else if (version > CONFIG_SCHEMA_VERSION) {
+        warnings.push(`${rel}: schemaVersion ${version} is newer than ${CONFIG_SCHEMA_VERSION}, the version these tools support`);
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Validate an already parsed config: structural checks first, then the JSON Schema when configured.
+   * @param {object} config - Parsed container configuration
+   * @returns {{valid: boolean, errors?: string[]}} Validation result
+   */
+  validateConfig(config) {
     const errors = this.validateStructure(config);
     // If structural errors found, return them first
     if (errors.length) {
@@ -100,10 +167,10 @@ class ConfigValidator {
       try {
         const schemaContent = fs.readFileSync(schemaPath, 'utf8');
         const schema = JSON.parse(schemaContent);
-        const ajv = new Ajv({ allErrors: true, strict: false });
-        
         // For now, skip ajv-formats loading in ESM until we can properly handle async imports
-        // This maintains basic schema validation functionality
+        // This maintains basic schema validation functionality; formats are not checked, so do not
+        // let Ajv warn about every "format" keyword it ignores
+        const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
         
         const validate = ajv.compile(schema);
         const valid = validate(config);
@@ -127,6 +194,22 @@ class ConfigValidator {
   }
 }
 
+/**
+ * Append the source file to validation errors of a composed config.
+ * Errors are matched by their leading JSON pointer (`/modules/foo: ...` or `schema/modules/foo: ...`);
+ * the file that last set that value (or its closest parent) is named.
+ * @param {string[]} errors - Errors from `validateStructure`/`validateConfig`
+ * @param {Map<string, string>} sources - Pointer attribution from `loadComposedConfig`
+ * @returns {string[]} Errors with ` (from <file>)` where the source is known
+ */
+function attributeConfigErrors(errors, sources) {
+  return errors.map(error => {
+    const match = /^(?:schema)?(\/[^:\s]*)?:/.exec(error);
+    const file = match ? configSourceOf(sources, match[1] || '') : undefined;
+    return file ? `${error} (from ${path.relative(process.cwd(), file) || file})` : error;
+  });
+}
+
 /**
  * Calculate a simple hash of a file for caching purposes.
  * @param {string} filePath - Path to the file to hash
@@ -168,7 +251,12 @@ function validateConfigWithCache(configPath, schemaPath, cacheDir, validator = n
   } else if (schemaPath) {
     schemaHashPart = 'missing';
   }
-  const configHash = calculateFileHash(configPath) + '-' + schemaHashPart;
+  // Composed configs are stale when any of their files changes
+  let inputs = [ configPath ];
+  try {
+    inputs = loadComposedConfig(configPath).files;
+  } catch { /* reported by the validation below */ }
+  const configHash = inputs.map(calculateFileHash).join('.') + '-' + schemaHashPart;
   const cacheFile = path.join(actualCacheDir, `fvtt-config-validation-${configHash}.json`);
 
   if (fs.existsSync(cacheFile)) {
@@ -194,5 +282,6 @@ function validateConfigWithCache(configPath, schemaPath, cacheDir, validator = n
  * @export ConfigValidator - Main configuration validator class
  * @export validateConfigWithCache - Validation with caching support
  * @export calculateFileHash - File hash calculation utility
+ * @export attributeConfigErrors - Name the source file in errors of a composed config
  */
-export { ConfigValidator, validateConfigWithCache, calculateFileHash };
+export { ConfigValidator, validateConfigWithCache, calculateFileHash, attributeConfigErrors };
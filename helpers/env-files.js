@@ -0,0 +1,194 @@
+/**
+ * @file env-files.js
+ * @description Validation and scaffolding of the env files referenced by generated compose services
+ * @path helpers/env-files.js
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { envToMap } from './compose-diff.js';
+
+// File shared by every Foundry service (see `envFiles()` in scripts/generate-compose.js)
+const SHARED_ENV_FILE = './env/.env';
+
+/**
+ * Value part of an env line: quotes stripped, or an unquoted value up to an inline ` #` comment.
+ * @param {string|undefined} raw Text after `=`
+ * @returns {string|undefined} Value, undefined for bare keys
+ */
+function envValue(raw) {
+  if (raw === undefined) return undefined;
+  const value = raw.trim();
+  const quoted = /^(["'])(.*)\1$/.exec(value);
+  if (quoted) return quoted[2];
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parse a compose env file: `KEY=VALUE` / `KEY` lines, optional `export`, `#` comments.
+ * @param {string} text File content
+ * @returns {{entries: Array<{key: string, line: number, value: (string|undefined)}>, invalid: number[]}} Keys in order
+ *   (bare keys have no value), and line numbers that do not parse
+ */
+function parseEnvFile(text) {
+  const entries = [];
+  const invalid = [];
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*(?:=(.*)|$)/.exec(line);
+    if (match) entries.push({ key: match[1], line: i + 1, value: envValue(match[2]) });
+    else invalid.push(i + 1);
+  });
+  return { entries, invalid };
+}
+
+/**
+ * Normalize a service `env_file` entry (string or `{ path, required }`).
+ * @param {string|Object} entry Compose env_file entry
+ * @returns {{file: string, required: boolean}|null} Normalized entry
+ */
+function toEnvFileRef(entry) {
+  if (typeof entry === 'string') return { file: entry, required: true };
+  if (entry && typeof entry.path === 'string') return { file: entry.path, required: entry.required !== false };
+  return null;
+}
+
+/**
+ * List the env files each service loads, in load order.
+ * @param {Object} compose Compose document
+ * @returns {Object<string, Array<{file: string, required: boolean}>>} Service name to env files
+ */
+function serviceEnvFiles(compose) {
+  const out = {};
+  for (const [name, svc] of Object.entries(compose?.services || {})) {
+    const refs = [].concat(svc?.env_file || []).map(toEnvFileRef).filter(Boolean);
+    if (refs.length) out[name] = refs;
+  }
+  return out;
+}
+
+/**
+ * Check the env files referenced by compose services. Reports, as warning strings:
+ * missing files, unparseable lines, keys repeated within a file, keys that a later
+ * file of the same service overrides, and keys that the service `environment`
+ * (variables the generator injects, e.g. FETCH_STAGGER_SECONDS) silently overrides.
+ * @param {Object} compose Compose document
+ * @param {Object} [opts]
+ * @param {string} [opts.baseDir=process.cwd()] Directory env_file paths are relative to (the compose file's)
+ * @returns {string[]} Warnings (empty when everything checks out)
+ */
+function validateEnvFiles(compose, { baseDir = process.cwd() } = {}) {
+  const warnings = [];
+  const parsed = new Map();
+  const load = ({ file, required }) => {
+    if (parsed.has(file)) return parsed.get(file);
+    const abs = path.resolve(baseDir, file);
+    let result = null;
+    if (fs.existsSync(abs)) {
+      result = parseEnvFile(fs.readFileSync(abs, 'utf8'));
+      result.invalid.forEach(line => warnings.push(`${file}:${line}: not a KEY=VALUE line`));
+      const seen = new Map();
+      for (const { key, line } of result.entries) {
+        if (seen.has(key)) warnings.push(`${file}:${line}: ${key} repeats line ${seen.get(key)} (the later value wins)`);
+        seen.set(key, line);
+      }
+    } else if (required) {
+      warnings.push(`${file} does not exist (docker compose will refuse to start; create it with --init-env)`);
+    }
+    parsed.set(file, result);
+    return result;
+  };
+
+  const reported = new Set();
+  const report = (message) => {
+    if (!reported.has(message)) warnings.push(message);
+    reported.add(message);
+  };
+  for (const [service, refs] of Object.entries(serviceEnvFiles(compose))) {
+    const injected = envToMap(compose.services[service].environment);
+    const definedIn = new Map();
+    for (const ref of refs) {
+      const result = load(ref);
+      if (!result) continue;
+      for (const key of new Set(result.entries.map(e => e.key))) {
+        if (definedIn.has(key) && definedIn.get(key) !== ref.file) report(`${ref.file}: ${key} overrides ${definedIn.get(key)}`);
+        definedIn.set(key, ref.file);
+        if (key in injected) report(`${ref.file}: ${key} is set by the generated service environment and is ignored`);
+      }
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Documented starting content for an env file.
+ * @param {string} file Env file path as referenced by compose
+ * @param {string[]} services Services loading the file
+ * @param {string[]} injected Variables the generator sets in those services
+ * @returns {string} File content
+ */
+function envFileTemplate(file, services, injected) {
+  const header = file === SHARED_ENV_FILE
+    ? [
+      '# Shared environment for every Foundry service (loaded first).',
+      '# Per-version files (./env/.vNN.env) load afterwards and override keys set here.'
+    ]
+    : [
+      `# Environment for ${services.join(', ')}.`,
+      `# Loaded after ${SHARED_ENV_FILE}; keys set here override it.`
+    ];
+  return [
+    ...header,
+    '#',
+    '# Variables understood by felddy/foundryvtt, for example:',
+    '# FOUNDRY_ADMIN_KEY=',
+    '# FOUNDRY_HOSTNAME=',
+    '# FOUNDRY_PROXY_SSL=false',
+    '# FOUNDRY_MINIFY_STATIC_FILES=true',
+    '# TIMEZONE=UTC',
+    '#',
+    '# Credentials belong in compose secrets (see --secrets-mode), not here.',
+    ...(injected.length ? [ `# Set by fvtt-compose-gen in the service environment (would be ignored here): ${injected.join(', ')}` ] : []),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Create the env files referenced by compose services that do not exist yet.
+ * Existing files are never touched; optional (`required: false`) files are skipped.
+ * @param {Object} compose Compose document
+ * @param {Object} [opts]
+ * @param {string} [opts.baseDir=process.cwd()] Directory env_file paths are relative to
+ * @param {boolean} [opts.dryRun=false] Report without writing
+ * @returns {string[]} Absolute paths created (or that would be created)
+ */
+function initEnvFiles(compose, { baseDir = process.cwd(), dryRun = false } = {}) {
+  const users = new Map();
+  for (const [service, refs] of Object.entries(serviceEnvFiles(compose))) {
+    for (const ref of refs.filter(r => r.required)) {
+      if (!users.has(ref.file)) users.set(ref.file, []);
+      users.get(ref.file).push(service);
+    }
+  }
+  const created = [];
+  for (const [file, services] of users) {
+    const abs = path.resolve(baseDir, file);
+    if (fs.existsSync(abs)) continue;
+    const injected = [ ...new Set(services.flatMap(s => Object.keys(envToMap(compose.services[s].environment)))) ];
+    if (!dryRun) {
+      fs.mkdirSync(path.dirname(abs), { recursive: true });
+      fs.writeFileSync(abs, envFileTemplate(file, services, injected), { encoding: 'utf8', flag: 'wx' });
+    }
+    created.push(abs);
+  }
+  return created;
+}
+
+/**
+ * @export parseEnvFile - Keys (with line numbers and values) of a compose env file
+ * @export validateEnvFiles - Warnings for missing, duplicate and overridden env file keys
+ * @export envFileTemplate - Documented starting content for an env file
+ * @export initEnvFiles - Create missing env files from templates
+ */
+export { parseEnvFile, validateEnvFiles, envFileTemplate, initEnvFiles };
@@ -0,0 +1,152 @@
+/**
+ * @file pod-snapshots.js
+ * @description Host-side store of Foundry data volume snapshots (tarballs plus JSON manifests)
+ * @path helpers/pod-snapshots.js
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+// Default snapshot directory, relative to the pod directory
+const SNAPSHOT_DIR = 'snapshots';
+
+/**
+ * Timestamp for file names, e.g. 20261019-143005.
+ * @param {Date} date - Time to format
+ * @returns {string} UTC timestamp
+ */
+function fileTimestamp(date) {
+  return date.toISOString().replace(/\.\d+Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+}
+
+/**
+ * Snapshot id: creation time and name, so ids sort chronologically.
+ * @param {Date} date - Creation time
+ * @param {string} name - Snapshot name (reduced to `[a-z0-9._-]`)
+ * @returns {string} Id such as `20261019-143005-before-migration`
+ */
+function snapshotId(date, name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug ? `${fileTimestamp(date)}-${slug}` : fileTimestamp(date);
+}
+
+/**
+ * SHA-256 of a file.
+ * @param {string} file - File path
+ * @returns {string} Hex digest
+ */
+function sha256File(file) {
+  return createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Write the manifest of an archive saved as `<dir>/<id>.tar.gz`, recording its size and checksum.
+ * @param {string} dir - Snapshot directory of the service
+ * @param {{id: string}} meta - Manifest fields (id, name, service, version, scope, worlds, ...)
+ * @returns {Object} Manifest as written to `<dir>/<id>.json`, with `file` (its path) added as `listSnapshots` does
+ */
+function writeSnapshotManifest(dir, meta) {
+  const archive = `${meta.id}.tar.gz`;
+  const manifest = { ...meta, archive, size: fs.statSync(path.join(dir, archive)).size, sha256: sha256File(path.join(dir, archive)) };
+  const file = path.join(dir, `${meta.id}.json`);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+  return { ...manifest, file };
+}
+
+/**
+ * Read the manifests below a snapshot directory, oldest first.
+ * @param {string} root - Snapshot directory (one subdirectory per service)
+ * @param {Object} [opts]
+ * @param {string} [opts.service] - Only this service
+ * @returns {Array<Object>} Manifests, each with `file` (its path) added
+ */
+function listSnapshots(root, { service } = {}) {
+  if (!fs.existsSync(root)) return [];
+  const services = service ? [ service ] : fs.readdirSync(root).filter(name => fs.statSync(path.join(root, name)).isDirectory());
+  const manifests = [];
+  for (const name of services) {
+    const dir = path.join(root, name);
+    if (!fs.existsSync(dir)) continue;
+    for (const entry of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+      try {
+        manifests.push({ ...JSON.parse(fs.readFileSync(path.join(dir, entry), 'utf8')), file: path.join(dir, entry) });
+      } catch {
+        // Not a snapshot manifest
+      }
+    }
+  }
+  return manifests.filter(m => m.id && m.archive).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Find a snapshot of a service by id, by name (the newest with that name) or `latest`.
+ * @param {string} root - Snapshot directory
+ * @param {string} service - Service name
+ * @param {string} ref - Id, name or `latest`
+ * @returns {Object} Manifest
+ * @throws {Error} When no snapshot matches
+ */
+function findSnapshot(root, service, ref) {
+  const snapshots = listSnapshots(root, { service });
+  const found = ref === 'latest'
+    ? snapshots.at(-1)
+    : snapshots.find(m => m.id === ref) || snapshots.filter(m => m.name === ref).at(-1);
+  if (!found) throw new Error(`no snapshot ${ref} of ${service} in ${root}`);
+  return found;
+}
+
+/**
+ * Check that a snapshot's archive exists and matches the checksum in its manifest.
+ * @param {Object} manifest - Manifest (see `listSnapshots`)
+ * @returns {string} Archive path
+ * @throws {Error} When the archive is missing or altered
+ */
+function verifySnapshot(manifest) {
+  const archive = path.join(path.dirname(manifest.file), manifest.archive);
+  if (!fs.existsSync(archive)) throw new Error(`snapshot archive missing: ${archive}`);
+  if (sha256File(archive) !== manifest.sha256) throw new Error(`snapshot archive ${archive} does not match its sha256 checksum`);
+  return archive;
+}
+
+/**
+ * Delete all but the newest `keep` snapshots of each service.
+ * @param {string} root - Snapshot directory
+ * @param {Object} opts
+ * @param {number} opts.keep - Snapshots to keep per service
+ * @param {string} [opts.service] - Only this service
+ * @param {boolean} [opts.dryRun=false] - Report without deleting
+ * @returns {{kept: Array<Object>, removed: Array<Object>}} Manifests kept and removed
+ */
+function pruneSnapshots(root, { keep, service, dryRun = false }) {
+  const byService = new Map();
+  for (const manifest of listSnapshots(root, { service })) {
+    byService.set(manifest.service, [ ...(byService.get(manifest.service) || []), manifest ]);
+  }
+  const kept = [];
+  const removed = [];
+  for (const manifests of byService.values()) {
+    const cut = Math.max(manifests.length - keep, 0);
+    removed.push(...manifests.slice(0, cut));
+    kept.push(...manifests.slice(cut));
+  }
+  if (!dryRun) {
+    for (const manifest of removed) {
+      fs.rmSync(path.join(path.dirname(manifest.file), manifest.archive), { force: true });
+      fs.rmSync(manifest.file, { force: true });
+    }
+  }
+  return { kept, removed };
+}
+
+/**
+ * @export SNAPSHOT_DIR - Default snapshot directory (relative to the pod directory)
+ * @export fileTimestamp - UTC timestamp for file names
+ * @export snapshotId - Chronologically sortable snapshot id from a date and name
+ * @export writeSnapshotManifest - Record size and checksum of a saved archive in its manifest
+ * @export listSnapshots - Read snapshot manifests, oldest first
+ * @export findSnapshot - Find a snapshot by id, name or `latest`
+ * @export verifySnapshot - Check a snapshot archive against its checksum
+ * @export pruneSnapshots - Delete all but the newest snapshots of each service
+ */
+export { SNAPSHOT_DIR, fileTimestamp, snapshotId, writeSnapshotManifest, listSnapshots, findSnapshot, verifySnapshot, pruneSnapshots };
@@ -0,0 +1,83 @@
+/**
+ * @file port-probe.js
+ * @description Detect host TCP ports that are already bound (async probe plus a synchronous wrapper)
+ * @path helpers/port-probe.js
+ */
+
+import net from 'node:net';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+// Upper bound for the synchronous probe subprocess
+const PORT_PROBE_TIMEOUT_MS = 10000;
+
+/**
+ * Extract the published host port from a compose port entry.
+ * @param {string|number|Object} entry - Port entry ("30013:30000", "127.0.0.1:30013:30000", { published })
+ * @returns {number|null} Host port, or null when none is published
+ */
+function hostPortOf(entry) {
+  if (entry && typeof entry === 'object') return entry.published ? Number(entry.published) : null;
+  const parts = String(entry).split(':');
+  if (parts.length < 2) return null;
+  const host = Number(parts[parts.length - 2]);
+  return Number.isInteger(host) ? host : null;
+}
+
+/**
+ * Check whether a TCP port is bound on the host by trying to listen on it.
+ * Ports we are not allowed to bind (EACCES) count as in use.
+ * @param {number} port - TCP port
+ * @param {string} [host] - Interface to probe (default: all interfaces, like published compose ports)
+ * @returns {Promise<boolean>} True when the port cannot be bound
+ */
+function isPortInUse(port, host = '0.0.0.0') {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', (err) => resolve(err.code === 'EADDRINUSE' || err.code === 'EACCES'));
+    server.once('listening', () => server.close(() => resolve(false)));
+    server.listen(port, host);
+  });
+}
+
+/**
+ * Probe several ports sequentially.
+ * @param {number[]} ports - TCP ports
+ * @returns {Promise<number[]>} Ports that are in use
+ */
+async function findPortsInUse(ports) {
+  const inUse = [];
+  for (const port of ports) {
+    if (await isPortInUse(port)) inUse.push(port);
+  }
+  return inUse;
+}
+
+/**
+ * Synchronous variant for synchronous callers (the compose generator): runs this module
+ * in a child Node process and reads the result from stdout.
+ * @param {number[]} ports - TCP ports
+ * @param {Function} [execFn] - Injection for testing (defaults to execFileSync)
+ * @returns {number[]} Ports that are in use
+ */
+function findPortsInUseSync(ports, execFn = execFileSync) {
+  if (!ports.length) return [];
+  const out = execFn(process.execPath, [fileURLToPath(import.meta.url), ...ports.map(String)], {
+    encoding: 'utf8',
+    timeout: PORT_PROBE_TIMEOUT_MS
+  });
+  return JSON.parse(out);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  findPortsInUse(process.argv.slice(2).map(Number).filter(Number.isInteger))
+    .then((inUse) => process.stdout.write(JSON.stringify(inUse)));
+}
+
+/**
+ * @export hostPortOf - Published host port of a compose port entry
+ * @export isPortInUse - Async single-port probe
+ * @export findPortsInUse - Async multi-port probe
+ * @export findPortsInUseSync - Synchronous multi-port probe (child process)
+ */
+export { hostPortOf, isPortInUse, findPortsInUse, findPortsInUseSync };
@@ -0,0 +1,124 @@
+/**
+ * @file vault-client.js
+ * @description Minimal HashiCorp Vault KV reader (token auth) with a synchronous wrapper
+ * @path helpers/vault-client.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+// Upper bound for the synchronous read subprocess when the caller passes none
+const VAULT_READ_TIMEOUT_MS = 8000;
+
+/**
+ * Resolve the Vault token the same way the vault CLI does: `VAULT_TOKEN`, then `~/.vault-token`.
+ * @param {NodeJS.ProcessEnv} [env] - Environment
+ * @param {string} [homeDir] - Home directory holding `.vault-token`
+ * @returns {string} Token (empty when none is available)
+ */
+function resolveVaultToken(env = process.env, homeDir = os.homedir()) {
+  if (env.VAULT_TOKEN && env.VAULT_TOKEN.trim()) return env.VAULT_TOKEN.trim();
+  try {
+    return fs.readFileSync(path.join(homeDir, '.vault-token'), 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Extract the secret payload from a KV read response (KV v2 nests it under `data.data`).
+ * @param {Object} body - Parsed Vault response
+ * @param {string} [field] - Single field to return instead of the whole secret
+ * @returns {string} Field value, or the secret serialized as JSON
+ */
+function extractSecretValue(body, field) {
+  const data = body?.data?.metadata && body.data.data ? body.data.data : body?.data;
+  if (!data || typeof data !== 'object') throw new Error('response has no secret data');
+  if (!field) return JSON.stringify(data);
+  if (!Object.prototype.hasOwnProperty.call(data, field)) throw new Error(`field "${field}" not found (available: ${Object.keys(data).join(', ') || 'none'})`);
+  const value = data[field];
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Read a secret from Vault over its HTTP API.
+ * @param {Object} opts
+ * @param {string} opts.addr - Vault address (e.g. https://vault.example.com:8200)
+ * @param {string} opts.path - API path below /v1 (KV v2: `<mount>/data/<name>`)
+ * @param {string} [opts.field] - Single field to return
+ * @param {string} opts.token - Vault token
+ * @param {string} [opts.namespace] - Vault Enterprise namespace
+ * @param {Function} [opts.fetchFn] - Injection for testing (defaults to global fetch)
+ * @returns {Promise<string>} Secret value
+ */
+async function readVaultSecret({ addr, path: secretPath, field, token, namespace, fetchFn = fetch }) {
+  if (!addr) throw new Error('Vault address is required');
+  if (!secretPath) throw new Error('Vault secret path is required');
+  if (!token) throw new Error('no Vault token (set VAULT_TOKEN or run `vault login` to create ~/.vault-token)');
+  const url = `${addr.replace(/\/+$/, '')}/v1/${secretPath.replace(/^\/+/, '')}`;
+  const headers = { 'X-Vault-Token': token };
+  if (namespace) headers['X-Vault-Namespace'] = namespace;
+  let res;
+  try {
+    res = await fetchFn(url, { headers });
+  } catch (err) {
+    throw new Error(`cannot reach Vault at ${addr}: ${err.cause?.message || err.message}`);
+  }
+  const text = await res.text();
+  let body;
+  try { body = text ? JSON.parse(text) : {}; } catch { body = {}; }
+  if (!res.ok) {
+    const detail = Array.isArray(body.errors) && body.errors.length ? `: ${body.errors.join('; ')}` : '';
+    throw new Error(`HTTP ${res.status} reading ${secretPath}${detail}`);
+  }
+  return extractSecretValue(body, field);
+}
+
+/**
+ * Synchronous variant for synchronous callers (the compose generator): runs this module
+ * in a child Node process. The token travels in the child's environment, never in argv.
+ * @param {Object} opts - See `readVaultSecret` (without fetchFn)
+ * @param {Object} [execOpts]
+ * @param {number} [execOpts.timeout] - Subprocess timeout in ms
+ * @param {Function} [execOpts.execFn] - Injection for testing (defaults to execFileSync)
+ * @returns {string} Secret value
+ */
+function readVaultSecretSync({ addr, path: secretPath, field, token, namespace }, { timeout = VAULT_READ_TIMEOUT_MS, execFn = execFileSync } = {}) {
+  try {
+    return execFn(process.execPath, [fileURLToPath(import.meta.url)], {
+      input: JSON.stringify({ addr, path: secretPath, field }),
+      env: { ...process.env, VAULT_TOKEN: token || '', VAULT_NAMESPACE: namespace || '' },
+      encoding: 'utf8',
+      timeout,
+      stdio: [ 'pipe', 'pipe', 'pipe' ]
+    });
+  } catch (err) {
+    const reason = err.stderr ? String(err.stderr).trim() : err.message;
+    throw new Error(reason || err.message);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  let input = '';
+  process.stdin.on('data', (chunk) => { input += chunk; });
+  process.stdin.on('end', () => {
+    const opts = JSON.parse(input || '{}');
+    readVaultSecret({ ...opts, token: process.env.VAULT_TOKEN, namespace: process.env.VAULT_NAMESPACE })
+      .then((value) => process.stdout.write(value))
+      .catch((err) => {
+        process.stderr.write(err.message);
+        process.exitCode = 1;
+      });
+  });
+}
+
+/**
+ * @export resolveVaultToken - Token from VAULT_TOKEN or ~/.vault-token
+ * @export extractSecretValue - Secret payload (or one field) from a KV v1/v2 response
+ * @export readVaultSecret - Async KV read over the HTTP API
+ * @export readVaultSecretSync - Synchronous KV read (child process)
+ */
+export { resolveVaultToken, extractSecretValue, readVaultSecret, readVaultSecretSync };
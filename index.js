@@ -0,0 +1,18 @@
+/**
+ * @file index.js
+ * @description Package entry point: container config validation, programmatic compose generation and pod commands
+ * @path index.js
+ */
+
+export { ConfigValidator, validateConfigWithCache, calculateFileHash } from './helpers/config-validator.js';
+export { CONFIG_SCHEMA_VERSION, migrateConfig } from './helpers/config-migrations.js';
+export { runPodCommand, PodCommandError } from './scripts/common/fvtt-pod.mjs';
+export {
+  generateCompose,
+  ComposeGenerationError,
+  ConfigNotFoundError,
+  ConfigValidationError,
+  PortCollisionError,
+  SecretsResolutionError,
+  ConfigParseError
+} from './scripts/generate-compose.js';
@@ -27,10 +27,13 @@
  * - `FOUNDRY_VERSION` or `FOUNDRY_FALLBACK_MAJOR_VERSION`: resolved to select
  *   the active major version. If set to `latest` or `stable` the configured
  *   fallback is used.
+ * - `FOUNDRY_VARIANT`: optional variant name under `versions.<major>.variants`
+ *   (injected by the compose generator); its install plan is merged over the
+ *   version's plan (see `variants.mjs`).
  * - `FOUNDRY_DATA_DIR`: path to the Foundry `Data` directory (defaults to
  *   `/data/Data`).
- * - `CONTAINER_CONFIG_PATH`: path to `container-config.json` (defaults to
- *   `/config/container-config.json`).
+ * - `CONTAINER_CONFIG_PATH`: path to the container config, JSON/JSONC/YAML
+ *   (defaults to `/config/container-config.json`).
  * - `COMPONENT_CACHE` or `CONTAINER_CACHE`: cache directory for remote
  *   downloads.
  * - `PATCH_DRY_RUN`: when truthy, file-system mutations are skipped and logged
@@ -62,6 +65,9 @@ import { spawnSync } from "node:child_process";
 import * as f from "./common.mjs";
 import { CacheManager } from "./cache.mjs";
 import { extractArchiveNode } from "./extractors.mjs";
+import { loadComposedConfig } from "./configLoader.mjs";
+import { VARIANT_ENV, resolveVariantConfig } from "./variants.mjs";
+import { containerTemplateVars, resolveTemplate } from "./templateVars.mjs";
 
 /**
  * @class ComponentInstaller
@@ -84,6 +90,8 @@ export class ComponentInstaller {
     this.dirs = dirs;
     this.foundryVersion = this.#getFoundryVersion();
     this.majorVersion = this.#getMajorVersion(this.foundryVersion, this.fallbacks.VERSION);
+    this.variant = this.env[VARIANT_ENV] || "";
+    this.templateVars = containerTemplateVars(this.env, this.majorVersion);
     this.foundryDataDir = this.#getDataDir();
     this.configPath = this.#getContainerConfigPath();
     this.systemsDir = path.join(this.foundryDataDir, this.dirs.SYSTEMS);
@@ -287,23 +295,30 @@ export class ComponentInstaller {
   }
 
   /**
-   * Load and validate the per-major-version configuration section.
+   * Load and validate the per-major-version configuration section, resolved
+   * for the active variant when `FOUNDRY_VARIANT` is set.
    * Exits the process with a non-zero code when configuration is missing
-   * or the version is explicitly unsupported.
+   * or the version (or variant) is explicitly unsupported.
    * @private
    * @returns {object} Version configuration object for the active major version.
    */
   #getVersionConfig() {
     if (this.containerConfig && this.containerConfig.versions) {
-      const versionConfig = this.containerConfig.versions[this.majorVersion] || null;
+      const majorConfig = this.containerConfig.versions[this.majorVersion] || null;
       // Check if the version config exists
-      if (!versionConfig) {
+      if (!majorConfig) {
         console.error(`[patch][error] No configuration found for Foundry major version ${this.majorVersion}.`);
         process.exit(3);
       }
+      const versionConfig = resolveVariantConfig(majorConfig, this.variant);
+      if (!versionConfig) {
+        console.error(`[patch][error] No variant '${this.variant}' configured for Foundry major version ${this.majorVersion}.`);
+        process.exit(3);
+      }
       // Check if the version is explicitly unsupported
       if (versionConfig.supported === false) {
-        console.error(`[patch][error] Foundry major version ${this.majorVersion} is not supported by this container configuration.`);
+        const label = this.variant ? `${this.majorVersion} (variant '${this.variant}')` : this.majorVersion;
+        console.error(`[patch][error] Foundry major version ${label} is not supported by this container configuration.`);
         process.exit(4);
       }
       return versionConfig;
@@ -313,14 +328,15 @@ export class ComponentInstaller {
   }
 
   /**
-   * Load and parse the container configuration JSON from disk.
-   * Exits the process if the file cannot be read or parsed.
+   * Load and parse the container configuration (JSON, JSONC or YAML) from disk,
+   * merged with the files it references through `extends`/`include`.
+   * Exits the process if a file cannot be read or parsed.
    * @private
-   * @returns {any} Parsed JSON object from the container config file.
+   * @returns {any} Parsed object from the container config file.
    */
   #loadContainerConfig() {
     try {
-      return f.readJSON(this.configPath);
+      return loadComposedConfig(this.configPath).config;
     } catch (e) {
       console.error(`[patch][error] Failed to read or parse container config at ${this.configPath}:`, e.message);
       process.exit(2);
@@ -571,6 +587,16 @@ export class ComponentInstaller {
       console.warn(output.error);
       return output;
     }
+    // {version}, {minor}, {name}, ${env:VAR:-default}, ... in the manifest URL or path
+    try {
+      for (const key of Object.keys(source)) {
+        source[key] = resolveTemplate(source[key], this.templateVars, this.env, `/${type}s/${id}/${key}`);
+      }
+    } catch (e) {
+      output.error = `[patch][warn] ${type} '${id}' skipped: ${e.message}`;
+      console.warn(output.error);
+      return output;
+    }
     const critical = !!mergedCfg.critical;
     if (source.manifest) {
       console.log(`[patch] Installing ${type} '${id}' from manifest: ${source.manifest}`);
@@ -787,5 +813,7 @@ export class ComponentInstaller {
   // Getter helpers for follow-up checks
   getConfig() { return this.containerConfig; }
   getVersion() { return this.majorVersion; }
+  getVariant() { return this.variant; }
+  getVersionConfig() { return this.versionConfig; }
   getDataDir() { return this.foundryDataDir; }
 }
@@ -0,0 +1,361 @@
+/**
+ * @file configLoader.mjs
+ * @description Shared container-config loader supporting JSON, JSON with comments (JSONC) and YAML
+ * @path patches/common/helpers/configLoader.mjs
+ */
+
+/**
+ * This module is used both on the host (generator, validator, fvtt-status) and
+ * inside the Foundry container by the patch scripts, where no `node_modules`
+ * are installed. JSON and JSONC are handled without dependencies; YAML needs a
+ * parser, which is either injected (`options.yamlParser`) or resolved from
+ * `js-yaml` relative to this file (the generator mounts it for YAML configs).
+ *
+ * Parse failures throw `ConfigParseError` with 1-based `line`/`column` and a
+ * message of the form `<file>:<line>:<column>: <reason>`.
+ *
+ * `loadComposedConfig` additionally follows `extends`/`include` references so a
+ * team-wide base can be combined with a small per-developer overlay.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+/**
+ * Config file names probed (in order) when no explicit path is given.
+ * @type {ReadonlyArray<string>}
+ * @export
+ */
+export const DEFAULT_CONFIG_FILENAMES = Object.freeze([
+	"container-config.json",
+	"container-config.jsonc",
+	"container-config.yaml",
+	"container-config.yml"
+]);
+
+const YAML_EXTENSIONS = new Set([".yaml", ".yml"]);
+const JSON_EXTENSIONS = new Set([".json", ".jsonc"]);
+
+/**
+ * Error raised when a config file cannot be parsed.
+ * @export
+ */
+export class ConfigParseError extends Error {
+	/**
+	 * @param {string} reason - Parser message without location
+	 * @param {{file?: string, line?: number, column?: number, cause?: Error}} [location]
+	 */
+	constructor(reason, { file, line, column, cause } = {}) {
+		const where = [file || "<config>", line, column].filter(v => v !== undefined && v !== null).join(":");
+		super(`${where}: ${reason}`, cause ? { cause } : undefined);
+		this.name = "ConfigParseError";
+		this.reason = reason;
+		this.file = file;
+		this.line = line;
+		this.column = column;
+	}
+}
+
+/**
+ * Determine the config format from the file extension, falling back to content sniffing.
+ * @param {string} [filePath] - Config file path
+ * @param {string} [text] - Config file contents
+ * @returns {"json"|"yaml"} Format identifier (JSONC is parsed as "json")
+ * @export
+ */
+export function detectConfigFormat(filePath, text = "") {
+	const ext = path.extname(filePath || "").toLowerCase();
+	if (YAML_EXTENSIONS.has(ext)) return "yaml";
+	if (JSON_EXTENSIONS.has(ext)) return "json";
+	const first = stripJsonComments(text).trimStart()[0];
+	return first === "{" || first === "[" ? "json" : "yaml";
+}
+
+/**
+ * Blank out `//` and `/* *\/` comments and trailing commas so the result is strict JSON.
+ * Removed characters are replaced by spaces (newlines are kept), so offsets reported by
+ * `JSON.parse` still point at the original line and column.
+ * @param {string} text - JSONC source
+ * @returns {string} Strict JSON with the same length as the input
+ * @export
+ */
+export function stripJsonComments(text) {
+	const out = text.split("");
+	const blank = (from, to) => { for (let k = from; k < to; k++) if (out[k] !== "\n" && out[k] !== "\r") out[k] = " "; };
+	let lastSignificant = -1;
+	let i = 0;
+	while (i < text.length) {
+		const ch = text[i];
+		if (ch === "\"") {
+			let j = i + 1;
+			while (j < text.length && text[j] !== "\"" && text[j] !== "\n") j += text[j] === "\\" ? 2 : 1;
+			lastSignificant = j;
+			i = j + 1;
+			continue;
+		}
+		if (ch === "/" && text[i + 1] === "/") {
+			let j = i;
+			while (j < text.length && text[j] !== "\n") j++;
+			blank(i, j);
+			i = j;
+			continue;
+		}
+		if (ch === "/" && text[i + 1] === "*") {
+			const end = text.indexOf("*/", i + 2);
+			const j = end === -1 ? text.length : end + 2;
+			blank(i, j);
+			i = j;
+			continue;
+		}
+		if ((ch === "}" || ch === "]") && lastSignificant >= 0 && text[lastSignificant] === ",") {
+			out[lastSignificant] = " ";
+		}
+		if (!/\s/.test(ch)) lastSignificant = i;
+		i++;
+	}
+	return out.join("");
+}
+
+/**
+ * Convert a zero-based character offset into a 1-based line/column pair.
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}}
+ * @export
+ */
+export function offsetToLineColumn(text, offset) {
+	const before = text.slice(0, Math.max(0, Math.min(offset, text.length)));
+	const lines = before.split("\n");
+	return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+function parseJsonc(text, file) {
+	const source = text.charCodeAt(0) === 0xfeff ? ` ${text.slice(1)}` : text;
+	try {
+		return JSON.parse(stripJsonComments(source));
+	} catch (err) {
+		const message = String(err.message || err);
+		const lineCol = /line (\d+) column (\d+)/.exec(message);
+		const pos = /position (\d+)/.exec(message);
+		let location;
+		if (lineCol) location = { line: Number(lineCol[1]), column: Number(lineCol[2]) };
+		else if (pos) location = offsetToLineColumn(source, Number(pos[1]));
+		else if (/end of (JSON )?input/i.test(message)) location = offsetToLineColumn(source, source.length);
+		const reason = message.replace(/\s*\(line \d+ column \d+\)/, "").replace(/ in JSON at position \d+.*$/, "");
+		throw new ConfigParseError(reason, { file, ...location, cause: err });
+	}
+}
+
+let cachedYamlParser;
+
+/**
+ * Resolve the YAML parser from `js-yaml` relative to this module.
+ * @returns {((text: string) => any)|null} Parser function, or null when js-yaml is not installed
+ * @export
+ */
+export function resolveYamlParser() {
+	if (cachedYamlParser !== undefined) return cachedYamlParser;
+	try {
+		const yaml = createRequire(import.meta.url)("js-yaml");
+		cachedYamlParser = (text) => yaml.load(text);
+	} catch {
+		cachedYamlParser = null;
+	}
+	return cachedYamlParser;
+}
+
+function parseYaml(text, file, yamlParser) {
+	const parser = yamlParser || resolveYamlParser();
+	if (!parser) throw new ConfigParseError("YAML config requires the js-yaml package, which could not be resolved", { file });
+	try {
+		return parser(text);
+	} catch (err) {
+		// js-yaml exposes a zero-based mark and a location-free reason
+		const mark = err && err.mark;
+		const location = mark && typeof mark.line === "number" ? { line: mark.line + 1, column: mark.column + 1 } : {};
+		throw new ConfigParseError((err && err.reason) || String(err && err.message || err), { file, ...location, cause: err });
+	}
+}
+
+/**
+ * Parse config text as JSON/JSONC or YAML.
+ * @param {string} text - Config source text
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Used for format detection and error messages
+ * @param {"json"|"yaml"} [options.format] - Force a format instead of detecting it
+ * @param {(text: string) => any} [options.yamlParser] - YAML parser (defaults to js-yaml)
+ * @returns {any} Parsed config
+ * @throws {ConfigParseError} When the text cannot be parsed
+ * @export
+ */
+export function parseConfigText(text, { filePath, format, yamlParser } = {}) {
+	const resolved = format || detectConfigFormat(filePath, text);
+	return resolved === "yaml" ? parseYaml(text, filePath, yamlParser) : parseJsonc(text, filePath);
+}
+
+/**
+ * Read and parse a config file in any supported format.
+ * @param {string} filePath - Config file path
+ * @param {object} [options] - See `parseConfigText`
+ * @returns {any} Parsed config
+ * @throws {ConfigParseError|Error} Parse errors, or fs errors when the file cannot be read
+ * @export
+ */
+export function loadConfigFile(filePath, options = {}) {
+	const text = fs.readFileSync(filePath, "utf8");
+	return parseConfigText(text, { ...options, filePath });
+}
+
+/**
+ * Top-level keys that pull other files into a config; they are not part of the merged result.
+ * @type {ReadonlyArray<string>}
+ * @export
+ */
+export const CONFIG_COMPOSITION_KEYS = Object.freeze(["extends", "include"]);
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+const escapePointer = (key) => String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+
+function forgetSources(sources, pointer) {
+	if (!sources) return;
+	for (const key of [...sources.keys()]) if (key === pointer || key.startsWith(`${pointer}/`)) sources.delete(key);
+}
+
+function recordSource(sources, pointer, file) {
+	if (!sources || file === undefined) return;
+	forgetSources(sources, pointer);
+	sources.set(pointer, file);
+}
+
+/**
+ * Merge one config layer over another.
+ * Objects merge key by key; arrays and scalars replace the inherited value; `null`
+ * removes the inherited entry (and is kept as a value when nothing is inherited, so
+ * nulls that mean "drop the version_params value" still work within one file).
+ * Inputs are not modified.
+ * @param {any} base - Inherited config
+ * @param {any} overlay - Layer applied on top
+ * @param {object} [attribution]
+ * @param {string} [attribution.file] - File the overlay comes from
+ * @param {Map<string, string>} [attribution.sources] - JSON pointer -> file, updated in place
+ * @param {string} [attribution.pointer] - Pointer of `base`/`overlay` within the config
+ * @returns {any} Merged config
+ * @export
+ */
+export function mergeConfig(base, overlay, { file, sources, pointer = "" } = {}) {
+	if (!isPlainObject(base) || !isPlainObject(overlay)) {
+		recordSource(sources, pointer, file);
+		return clone(overlay);
+	}
+	const merged = { ...base };
+	for (const [key, value] of Object.entries(overlay)) {
+		const child = `${pointer}/${escapePointer(key)}`;
+		if (!(key in merged)) {
+			recordSource(sources, child, file);
+			merged[key] = clone(value);
+		} else if (value === null) {
+			forgetSources(sources, child);
+			delete merged[key];
+		} else {
+			merged[key] = mergeConfig(merged[key], value, { file, sources, pointer: child });
+		}
+	}
+	return merged;
+}
+
+function compositionRefs(config, key, file) {
+	const value = config[key];
+	if (value === undefined) return [];
+	const list = Array.isArray(value) ? value : [value];
+	return list.map((entry) => {
+		if (typeof entry === "string" && entry) return { ref: entry, optional: false };
+		if (key === "include" && isPlainObject(entry) && typeof entry.path === "string" && entry.path) return { ref: entry.path, optional: entry.optional === true };
+		const expected = key === "include" ? "a path or {\"path\", \"optional\"}" : "a path";
+		throw new ConfigParseError(`"${key}" entries must be ${expected}`, { file });
+	});
+}
+
+/**
+ * Read a config file and the files it pulls in with `extends` and `include`.
+ *
+ * Layers apply depth-first in this order: each `extends` entry (with its own
+ * references), the file itself, then each `include` entry. References are
+ * resolved relative to the file naming them; `include` entries may be
+ * `{ "path": "...", "optional": true }` to skip missing files (per-developer
+ * overlays). A file reached twice is applied once; cycles are errors. Layers are
+ * combined with `mergeConfig`.
+ * @param {string} filePath - Config file path
+ * @param {object} [options] - See `parseConfigText`
+ * @returns {{config: any, files: string[], sources: Map<string, string>}} Merged config, absolute files
+ *   in the order applied, and the file that last set each JSON pointer
+ * @throws {ConfigParseError|Error} Parse errors, bad or circular references, missing files
+ * @export
+ */
+export function loadComposedConfig(filePath, options = {}) {
+	const layers = [];
+	const seen = new Set();
+	const collect = (file, chain) => {
+		if (chain.includes(file)) {
+			throw new ConfigParseError(`circular config reference: ${[...chain, file].map(f => path.basename(f)).join(" -> ")}`, { file: chain[chain.length - 1] });
+		}
+		if (seen.has(file)) return;
+		seen.add(file);
+		const config = loadConfigFile(file, options);
+		if (!isPlainObject(config)) {
+			layers.push({ file, config });
+			return;
+		}
+		const follow = (key) => {
+			for (const { ref, optional } of compositionRefs(config, key, file)) {
+				const target = path.resolve(path.dirname(file), ref);
+				if (!fs.existsSync(target)) {
+					if (optional) continue;
+					throw new ConfigParseError(`${key}: ${ref} not found`, { file });
+				}
+				collect(target, [...chain, file]);
+			}
+		};
+		follow("extends");
+		const own = { ...config };
+		for (const key of CONFIG_COMPOSITION_KEYS) delete own[key];
+		layers.push({ file, config: own });
+		follow("include");
+	};
+	collect(path.resolve(filePath), []);
+
+	const sources = new Map();
+	let config = {};
+	for (const layer of layers) config = mergeConfig(config, layer.config, { file: layer.file, sources });
+	return { config, files: layers.map(layer => layer.file), sources };
+}
+
+/**
+ * File that set the value at a JSON pointer (or its closest parent) in a composed config.
+ * @param {Map<string, string>} sources - From `loadComposedConfig`
+ * @param {string} pointer - JSON pointer such as `/modules/foo/path`
+ * @returns {string|undefined} Absolute file path
+ * @export
+ */
+export function configSourceOf(sources, pointer) {
+	for (let current = pointer; ; current = current.slice(0, current.lastIndexOf("/"))) {
+		if (sources.has(current)) return sources.get(current);
+		if (!current) return undefined;
+	}
+}
+
+/**
+ * Find the first existing default config file in a directory.
+ * @param {string} [dir] - Directory to search (default: cwd)
+ * @returns {string|null} Path of the found file (joined with `dir`), or null
+ * @export
+ */
+export function findConfigFile(dir = ".") {
+	for (const name of DEFAULT_CONFIG_FILENAMES) {
+		const candidate = path.join(dir, name);
+		if (fs.existsSync(candidate)) return candidate;
+	}
+	return null;
+}
+
+export default { DEFAULT_CONFIG_FILENAMES, CONFIG_COMPOSITION_KEYS, ConfigParseError, detectConfigFormat, stripJsonComments, offsetToLineColumn, resolveYamlParser, parseConfigText, loadConfigFile, mergeConfig, loadComposedConfig, configSourceOf, findConfigFile };
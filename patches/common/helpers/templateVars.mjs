@@ -0,0 +1,273 @@
+/**
+ * @file templateVars.mjs
+ * @description Template variables in container-config strings ({version}, {major}, {minor}, {name}, {port}, {dir}, ${env:VAR:-default})
+ * @path patches/common/helpers/templateVars.mjs
+ */
+
+/**
+ * Config strings may reference:
+ * - `{version}` / `{major}`: the Foundry major version (the `versions` key)
+ * - `{minor}`: the build number of a `13.345`-style version (image tag on the host,
+ *   FOUNDRY_VERSION in the container)
+ * - `{name}`, `{port}`, `{dir}`: the service name, host port and version directory
+ * - `${env:VAR}` / `${env:VAR:-default}`: an environment variable (the default applies
+ *   when it is unset or empty)
+ *
+ * Other `${...}` references are left alone for docker compose to interpolate. The compose
+ * generator resolves `composition.version_params` and `composition_params` on the host;
+ * the patch scripts resolve component `manifest`/`path` and `continuous_sync.source` in
+ * the container, where `{name}`, `{port}` and `{dir}` come from FOUNDRY_TEMPLATE_VARS; the
+ * generator checks their variables per service beforehand (`checkTemplateVariables`).
+ */
+
+/**
+ * Environment variable carrying `{name}`, `{port}` and `{dir}` (JSON) into the container.
+ * @type {string}
+ * @export
+ */
+export const TEMPLATE_VARS_ENV = "FOUNDRY_TEMPLATE_VARS";
+
+/**
+ * Variable names usable as `{name}`.
+ * @type {ReadonlyArray<string>}
+ * @export
+ */
+export const TEMPLATE_VARIABLES = Object.freeze(["version", "major", "minor", "name", "port", "dir"]);
+
+// ${...} (only ${env:...} is ours) or {identifier}
+const TOKEN_PATTERN = /\$\{([^}]*)\}|\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const ENV_REFERENCE = /^env:([A-Za-z_][A-Za-z0-9_]*)(?::-(.*))?$/s;
+
+/**
+ * Error raised for unknown, malformed or unresolved template references.
+ * @export
+ */
+export class TemplateError extends Error {
+	/**
+	 * @param {string} message - Problem description
+	 * @param {object} [details]
+	 * @param {string} [details.pointer] - JSON pointer of the templated value
+	 * @param {string} [details.reference] - Offending reference, e.g. `{minor}` or `${env:TAG}`
+	 */
+	constructor(message, { pointer, reference } = {}) {
+		super(pointer !== undefined ? `${pointer}: ${message}` : message);
+		this.name = "TemplateError";
+		this.pointer = pointer;
+		this.reference = reference;
+	}
+}
+
+function unknownVariable(token) {
+	return `unknown template variable ${token} (expected ${TEMPLATE_VARIABLES.map(v => `{${v}}`).join(", ")} or \${env:VAR})`;
+}
+
+/**
+ * List the problems of a template that do not depend on the values (unknown variable
+ * names, malformed `${env:...}` references).
+ * @param {string} template - Config string
+ * @returns {string[]} Problems (empty when the template is well formed)
+ * @export
+ */
+export function templateProblems(template) {
+	if (typeof template !== "string") return [];
+	const problems = [];
+	for (const [token, reference, name] of template.matchAll(TOKEN_PATTERN)) {
+		if (name !== undefined && !TEMPLATE_VARIABLES.includes(name)) problems.push(unknownVariable(token));
+		if (reference !== undefined && reference.startsWith("env:") && !ENV_REFERENCE.test(reference)) {
+			problems.push(`malformed template reference ${token} (expected \${env:VAR} or \${env:VAR:-default})`);
+		}
+	}
+	return problems;
+}
+
+/**
+ * Names of the `{variables}` a template uses (env references excluded).
+ * @param {string} template - Config string
+ * @returns {string[]} Variable names in order of appearance
+ * @export
+ */
+export function templateVariablesOf(template) {
+	if (typeof template !== "string") return [];
+	return [...template.matchAll(TOKEN_PATTERN)].map(([, , name]) => name).filter(Boolean);
+}
+
+/**
+ * Substitute the variables of one string.
+ * @param {string} template - Config string
+ * @param {object} [vars] - Values for `{version}`, `{major}`, ... (missing ones are unresolved)
+ * @param {object} [env] - Values for `${env:VAR}`
+ * @param {string} [pointer] - JSON pointer named in errors
+ * @returns {string} Resolved string (non-strings are returned unchanged)
+ * @throws {TemplateError} For unknown, malformed or unresolved references
+ * @export
+ */
+export function resolveTemplate(template, vars = {}, env = {}, pointer) {
+	if (typeof template !== "string") return template;
+	return template.replace(TOKEN_PATTERN, (token, reference, name) => {
+		if (name !== undefined) {
+			if (!TEMPLATE_VARIABLES.includes(name)) throw new TemplateError(unknownVariable(token), { pointer, reference: token });
+			const value = vars[name];
+			if (value === undefined || value === null || value === "") {
+				const hint = name === "minor" ? " (needs a version such as 13.345)" : "";
+				throw new TemplateError(`unresolved template variable ${token}${hint}`, { pointer, reference: token });
+			}
+			return String(value);
+		}
+		if (!reference.startsWith("env:")) return token;
+		const match = ENV_REFERENCE.exec(reference);
+		if (!match) throw new TemplateError(templateProblems(token)[0], { pointer, reference: token });
+		const [, variable, fallback] = match;
+		const value = env[variable];
+		if (value !== undefined && value !== "") return String(value);
+		if (fallback !== undefined) return fallback;
+		throw new TemplateError(`unresolved template variable ${token} (${variable} is not set; use \${env:${variable}:-default} for a fallback)`, { pointer, reference: token });
+	});
+}
+
+/**
+ * Check that the `{variables}` of a template resolve with the given values. `${env:...}`
+ * references are not checked: they resolve in the environment the template is used in.
+ * @param {string} template - Config string
+ * @param {object} [vars] - See `resolveTemplate`
+ * @param {string} [pointer] - JSON pointer named in errors
+ * @throws {TemplateError} For the first unknown or unresolved variable
+ * @export
+ */
+export function checkTemplateVariables(template, vars = {}, pointer) {
+	if (typeof template !== "string") return;
+	resolveTemplate(template.replace(/\$\{[^}]*\}/g, ""), vars, {}, pointer);
+}
+
+/**
+ * Substitute the variables of every string in a value (objects and arrays are copied).
+ * @param {any} value - Config value
+ * @param {object} [vars] - See `resolveTemplate`
+ * @param {object} [env] - See `resolveTemplate`
+ * @param {string} [pointer=""] - JSON pointer of `value`
+ * @returns {any} Resolved copy
+ * @throws {TemplateError} For the first unknown, malformed or unresolved reference
+ * @export
+ */
+export function resolveTemplates(value, vars = {}, env = {}, pointer = "") {
+	if (typeof value === "string") return resolveTemplate(value, vars, env, pointer);
+	if (Array.isArray(value)) return value.map((item, i) => resolveTemplates(item, vars, env, `${pointer}/${i}`));
+	if (value && typeof value === "object") {
+		return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, vars, env, `${pointer}/${key}`)]));
+	}
+	return value;
+}
+
+const ITEM_KINDS = ["systems", "modules", "worlds"];
+
+/**
+ * List the templated component fields of a config: `manifest`, `path` and
+ * `continuous_sync.source` of every system/module/world, at the top level and in the
+ * per-version and per-variant install overrides.
+ * @param {object} config - Container config
+ * @returns {Array<{pointer: string, value: string}>} String values with their JSON pointer
+ * @export
+ */
+export function listComponentTemplates(config) {
+	const found = [];
+	const visit = (group, pointer) => {
+		for (const kind of ITEM_KINDS) {
+			for (const [id, item] of Object.entries((group && group[kind]) || {})) {
+				if (!item || typeof item !== "object") continue;
+				const at = `${pointer}/${kind}/${id}`;
+				for (const key of ["manifest", "path"]) {
+					if (typeof item[key] === "string") found.push({ pointer: `${at}/${key}`, value: item[key] });
+				}
+				const source = item.continuous_sync && item.continuous_sync.source;
+				if (typeof source === "string") found.push({ pointer: `${at}/continuous_sync/source`, value: source });
+			}
+		}
+	};
+	visit(config, "");
+	for (const [version, versionConfig] of Object.entries((config && config.versions) || {})) {
+		visit(versionConfig && versionConfig.install, `/versions/${version}/install`);
+		for (const [variant, variantConfig] of Object.entries((versionConfig && versionConfig.variants) || {})) {
+			visit(variantConfig && variantConfig.install, `/versions/${version}/variants/${variant}/install`);
+		}
+	}
+	return found;
+}
+
+/**
+ * List the templated source fields of the components an install plan installs: `manifest`,
+ * `path` and an enabled `continuous_sync.source`, after merging each entry over its top-level
+ * definition the way the installer and the sync task do.
+ * @param {object} config - Container config
+ * @param {object} [install] - Effective install plan (`versions.<N>.install`, or a variant's merged plan)
+ * @returns {Array<{pointer: string, value: string}>} String values with the pointer the patch scripts name
+ * @export
+ */
+export function listInstallTemplates(config, install) {
+	const found = [];
+	for (const kind of ITEM_KINDS) {
+		for (const [id, overrides] of Object.entries((install && install[kind]) || {})) {
+			const item = { ...((config && config[kind] && config[kind][id]) || {}), ...(overrides || {}) };
+			for (const key of ["manifest", "path"]) {
+				if (typeof item[key] === "string") found.push({ pointer: `/${kind}/${id}/${key}`, value: item[key] });
+			}
+			const sync = item.continuous_sync;
+			if (sync && typeof sync === "object" && sync.enabled !== false && typeof sync.source === "string") {
+				found.push({ pointer: `/${kind}/${id}/continuous_sync/source`, value: sync.source });
+			}
+		}
+	}
+	return found;
+}
+
+/**
+ * Check every templated value of a config for unknown variables and malformed env
+ * references: `composition.version_params`, `composition.proxy.hostname`, each
+ * `composition_params` (versions and variants) and the component fields.
+ * @param {object} config - Container config
+ * @returns {string[]} Errors as `<pointer>: <problem>`
+ * @export
+ */
+export function configTemplateProblems(config) {
+	const errors = [];
+	const check = (value, pointer) => {
+		if (typeof value === "string") {
+			for (const problem of templateProblems(value)) errors.push(`${pointer}: ${problem}`);
+		} else if (value && typeof value === "object") {
+			for (const [key, item] of Object.entries(value)) check(item, `${pointer}/${key}`);
+		}
+	};
+	const composition = (config && config.composition) || {};
+	check(composition.version_params, "/composition/version_params");
+	check(composition.proxy && composition.proxy.hostname, "/composition/proxy/hostname");
+	for (const [version, versionConfig] of Object.entries((config && config.versions) || {})) {
+		check(versionConfig && versionConfig.composition_params, `/versions/${version}/composition_params`);
+		for (const [variant, variantConfig] of Object.entries((versionConfig && versionConfig.variants) || {})) {
+			check(variantConfig && variantConfig.composition_params, `/versions/${version}/variants/${variant}/composition_params`);
+		}
+	}
+	for (const { pointer, value } of listComponentTemplates(config)) check(value, pointer);
+	return errors;
+}
+
+/**
+ * Template variables available to the patch scripts inside a Foundry container.
+ * @param {object} env - Process environment
+ * @param {string|number} major - Active major version
+ * @returns {object} `{ version, major, minor?, name?, port?, dir? }`
+ * @export
+ */
+export function containerTemplateVars(env = {}, major) {
+	const vars = { version: String(major), major: String(major) };
+	const build = /^\d+\.(\d+)/.exec(String(env.FOUNDRY_VERSION || ""));
+	if (build) vars.minor = build[1];
+	if (env[TEMPLATE_VARS_ENV]) {
+		try {
+			const extra = JSON.parse(env[TEMPLATE_VARS_ENV]);
+			for (const key of ["name", "port", "dir"]) if (extra[key] !== undefined) vars[key] = String(extra[key]);
+		} catch {
+			console.warn(`[patch][warn] Ignoring ${TEMPLATE_VARS_ENV}: not valid JSON`);
+		}
+	}
+	return vars;
+}
+
+export default { TEMPLATE_VARS_ENV, TEMPLATE_VARIABLES, TemplateError, templateProblems, templateVariablesOf, resolveTemplate, checkTemplateVariables, resolveTemplates, listComponentTemplates, listInstallTemplates, configTemplateProblems, containerTemplateVars };
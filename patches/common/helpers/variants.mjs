@@ -0,0 +1,93 @@
+/**
+ * @file variants.mjs
+ * @description Resolve named variants of a major version (minor pins, alternative module stacks)
+ * @path patches/common/helpers/variants.mjs
+ */
+
+/**
+ * `versions.<N>.variants.<name>` describes an additional service instance of
+ * major version N. The compose generator creates one service per variant and
+ * injects `FOUNDRY_VARIANT=<name>`; the patch scripts use the same merge rules
+ * (implemented here, dependency-free) to pick that variant's install plan.
+ *
+ * Install merge rules: per kind (systems/modules/worlds), variant entries are
+ * merged over the version's entries, `null` removes an inherited entry and
+ * `inherit_install: false` starts from an empty install plan instead.
+ */
+
+/**
+ * Environment variable carrying the variant name into the container.
+ * @type {string}
+ * @export
+ */
+export const VARIANT_ENV = "FOUNDRY_VARIANT";
+
+/**
+ * Allowed variant names (they become part of service names and hostnames). The leading
+ * letter keeps names non-numeric, so object key order matches declaration order.
+ * @type {RegExp}
+ * @export
+ */
+export const VARIANT_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const INSTALL_KINDS = ["systems", "modules", "worlds"];
+
+/**
+ * List the enabled variants of a version in declaration order.
+ * @param {object} versionConfig - `versions.<N>` entry
+ * @returns {Array<[string, object]>} `[name, variantConfig]` pairs (`supported: false` skipped)
+ * @export
+ */
+export function listVariants(versionConfig) {
+	const variants = versionConfig && versionConfig.variants;
+	if (!variants || typeof variants !== "object") return [];
+	return Object.entries(variants).filter(([, v]) => !(v && v.supported === false));
+}
+
+/**
+ * Merge a variant install plan over the version's install plan.
+ * @param {object} [baseInstall] - `versions.<N>.install`
+ * @param {object} [variantInstall] - `versions.<N>.variants.<name>.install`
+ * @param {boolean} [inherit=true] - When false, the variant plan replaces the base plan
+ * @returns {object} Effective install plan
+ * @export
+ */
+export function mergeInstall(baseInstall = {}, variantInstall = {}, inherit = true) {
+	const base = inherit ? baseInstall || {} : {};
+	const extra = variantInstall || {};
+	const merged = {};
+	for (const kind of INSTALL_KINDS) {
+		if (!base[kind] && !extra[kind]) continue;
+		const entries = { ...(base[kind] || {}) };
+		for (const [id, override] of Object.entries(extra[kind] || {})) {
+			if (override === null) delete entries[id];
+			else entries[id] = { ...(entries[id] || {}), ...override };
+		}
+		merged[kind] = entries;
+	}
+	return merged;
+}
+
+/**
+ * Build the effective version config for a variant.
+ * @param {object} versionConfig - `versions.<N>` entry
+ * @param {string} [variant] - Variant name; empty returns the version config unchanged
+ * @returns {object|null} Effective config (`variant` set to the name), or null for an unknown variant
+ * @export
+ */
+export function resolveVariantConfig(versionConfig, variant) {
+	if (!variant) return versionConfig;
+	const variantConfig = versionConfig && versionConfig.variants && versionConfig.variants[variant];
+	if (!variantConfig) return null;
+	const base = { ...versionConfig };
+	delete base.variants;
+	return {
+		...base,
+		supported: variantConfig.supported !== false && base.supported !== false,
+		variant,
+		composition_params: { ...(base.composition_params || {}), ...(variantConfig.composition_params || {}) },
+		install: mergeInstall(base.install, variantConfig.install, variantConfig.inherit_install !== false)
+	};
+}
+
+export default { VARIANT_ENV, VARIANT_NAME_PATTERN, listVariants, mergeInstall, resolveVariantConfig };
@@ -33,12 +33,13 @@ console.log(`[patch] ${PREFIX}: Installation complete.`);
 
 try {
 	const cfg = await installer.getConfig?.();
-	const version = installer.getVersion?.() || FALLBACKS.VERSION;
+	// Variant-resolved install plan (falls back to the raw major version entry)
+	const versionCfg = installer.getVersionConfig?.() || cfg?.versions?.[installer.getVersion?.() || FALLBACKS.VERSION];
 	const dataDir = installer.getDataDir?.() || FALLBACKS.DATA_DIR;
-	if (cfg && cfg.versions && cfg.versions[version] && cfg.versions[version].install && cfg.versions[version].install.worlds) {
+	if (cfg && versionCfg && versionCfg.install && versionCfg.install.worlds) {
 		const fs = await import("node:fs");
 		const path = await import("node:path");
-		const worldEntries = cfg.versions[version].install.worlds;
+		const worldEntries = versionCfg.install.worlds;
 		for (const [worldId, overrides] of Object.entries(worldEntries)) {
 			const top = cfg.worlds?.[worldId] || {};
 			const merged = { ...top, ...overrides };
@@ -10,6 +10,9 @@ import path from "node:path";
 import { spawnSync } from "node:child_process";
 import * as f from "./helpers/common.mjs";
 import { parsePatchArgs } from "./helpers/argvParser.mjs";
+import { loadComposedConfig } from "./helpers/configLoader.mjs";
+import { VARIANT_ENV, resolveVariantConfig } from "./helpers/variants.mjs";
+import { containerTemplateVars, resolveTemplate } from "./helpers/templateVars.mjs";
 
 const FALLBACK_PROC_NUM = "unknown";
 const FALLBACK_PATCH_NAME = "sync-host-content";
@@ -39,7 +42,9 @@ const SYNC_USE_CONFIG = f.parseBoolEnv(ENV.SYNC_USE_CONFIG, true);
 const MODULE_MIRROR_ENABLED = f.parseBoolEnv(ENV.MODULE_MIRROR_ENABLED, true);
 const CONTAINER_CONFIG_PATH = ENV.CONTAINER_CONFIG_PATH || "/config/container-config.json";
 const DATA_DIR = (ENV.FOUNDRY_DATA_DIR || "/data/Data/").replace(/\/+$/, "");
-const VERSION = String(ENV.FOUNDRY_VERSION || ENV.FOUNDRY_FALLBACK_MAJOR_VERSION || "13");
+// Config is keyed by major version; pinned images report e.g. FOUNDRY_VERSION=13.345
+const VERSION = String(ENV.FOUNDRY_VERSION || ENV.FOUNDRY_FALLBACK_MAJOR_VERSION || "13").split(".")[0];
+const VARIANT = ENV[VARIANT_ENV] || "";
 
 function log(...args) { console.log(`[patch] ${PREFIX}:`, ...args); }
 function dlog(...args) { if (PATCH_DEBUG) console.log(`[patch][debug] ${PREFIX}:`, ...args); }
@@ -53,8 +58,9 @@ function rsyncAvailable() { return !!f.which("rsync"); }
 function cpAvailable() { return !!f.which("cp"); }
 function isWritableDir(p) { try { fs.accessSync(p, fs.constants.W_OK); return true; } catch { return false; } }
 
-export function buildConfigSyncTasksFrom(cfg, { version = VERSION, dataDir = DATA_DIR } = {}) {
-	const versionCfg = cfg?.versions?.[version]?.install; if (!versionCfg) return [];
+export function buildConfigSyncTasksFrom(cfg, { version = VERSION, variant = VARIANT, dataDir = DATA_DIR, env = ENV } = {}) {
+	const versionCfg = resolveVariantConfig(cfg?.versions?.[version], variant)?.install; if (!versionCfg) return [];
+	const templateVars = containerTemplateVars(env, version);
 	const tasks = [];
 	const handleKind = (kind) => {
 		const entries = versionCfg[kind] || {};
@@ -67,6 +73,10 @@ export function buildConfigSyncTasksFrom(cfg, { version = VERSION, dataDir = DAT
 			else if (cs && typeof cs === "object") { enabled = cs.enabled !== undefined ? !!cs.enabled : true; direction = cs.direction; source = cs.source; del = cs.delete; interval = cs.interval; }
 			if (!enabled) continue;
 			if (!direction) direction = (kind === "worlds") ? "host-to-container" : "bidirectional";
+			if (source) {
+				try { source = resolveTemplate(source, templateVars, env, `/${kind}/${id}/continuous_sync/source`); }
+				catch (e) { console.warn(`[patch] ${kind}:${id} skipped: ${e.message}`); continue; }
+			}
 			if (!source) { if (kind === "worlds") source = `/host/shared/worlds/${id}`; else if (kind === "modules") source = `/host/resources/modules/${id}`; else source = `/host/resources/systems/${id}`; }
 			if (del == null) del = (kind === "worlds") ? false : true;
 			const dest = path.join(dataDir, kind, id);
@@ -79,8 +89,10 @@ export function buildConfigSyncTasksFrom(cfg, { version = VERSION, dataDir = DAT
 
 function buildConfigSyncTasks() {
 	if (!SYNC_USE_CONFIG) { dlog("Config-driven sync disabled (SYNC_USE_CONFIG=0)"); return []; }
-	let cfg; try { cfg = f.readJSON(CONTAINER_CONFIG_PATH); } catch { dlog(`No config at ${CONTAINER_CONFIG_PATH}`); return []; }
-	const tasks = buildConfigSyncTasksFrom(cfg, { version: VERSION, dataDir: DATA_DIR });
+	let cfg;
+	try { cfg = loadComposedConfig(CONTAINER_CONFIG_PATH).config; }
+	catch (e) { if (e.name === "ConfigParseError") log(`Ignoring unparseable config: ${e.message}`); else dlog(`No config at ${CONTAINER_CONFIG_PATH}`); return []; }
+	const tasks = buildConfigSyncTasksFrom(cfg, { version: VERSION, variant: VARIANT, dataDir: DATA_DIR });
 	if (tasks.length) { log(`Config-driven sync tasks loaded: ${tasks.length}`); for (const t of tasks) dlog(`task: ${t.kind}:${t.id} ${t.direction} ${t.source} -> ${t.dest} (${t.deletePolicy})`); }
 	return tasks;
 }
@@ -0,0 +1,164 @@
+/**
+ * @file fvtt-config.mjs
+ * @description Upgrade container config files to the current schema version (fvtt-config migrate)
+ * @path scripts/common/fvtt-config.mjs
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import yaml from 'js-yaml';
+
+import { detectConfigFormat, findConfigFile, loadComposedConfig, loadConfigFile, parseConfigText, DEFAULT_CONFIG_FILENAMES } from '../../helpers/config-loader.js';
+import { CONFIG_SCHEMA_VERSION, configSchemaVersion, migrateConfig } from '../../helpers/config-migrations.js';
+
+/**
+ * Serialize a config the way it is written back to disk.
+ * JSONC files are written as plain JSON (valid JSONC); comments do not survive.
+ * @param {Object} config - Container config
+ * @param {'json'|'yaml'} format - Output format
+ * @param {Object} [opts]
+ * @param {string|number} [opts.indent=2] - JSON indentation
+ * @returns {string} File contents ending with a newline
+ */
+export function serializeConfig(config, format, { indent = 2 } = {}) {
+  if (format === 'yaml') return yaml.dump(config, { lineWidth: -1, noRefs: true });
+  return JSON.stringify(config, null, indent) + '\n';
+}
+
+/**
+ * Guess the indentation of a JSON file from its first indented line.
+ * @param {string} text - File contents
+ * @returns {string|number} Indent string, or 2 when none is found
+ */
+export function detectIndent(text) {
+  const match = /^([ \t]+)\S/m.exec(text);
+  return match ? match[1] : 2;
+}
+
+/**
+ * Line diff of two texts in unified format (without file headers).
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @param {Object} [opts]
+ * @param {number} [opts.context=2] - Unchanged lines shown around each change
+ * @returns {string} Diff hunks, or '' when the texts are equal
+ */
+export function formatLineDiff(before, after, { context = 2 } = {}) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  if (a[a.length - 1] === '' && b[b.length - 1] === '') { a.pop(); b.pop(); }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) ops.push({ op: ' ', line: a[i], i: i++, j: j++ });
+    else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push({ op: '-', line: a[i], i: i++, j });
+    else ops.push({ op: '+', line: b[j], i, j: j++ });
+  }
+
+  // Group changes (plus context) into hunks; nearby changes share a hunk
+  const hunks = [];
+  ops.forEach((entry, index) => {
+    if (entry.op === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = end;
+    else hunks.push({ start, end });
+  });
+
+  const out = [];
+  for (const { start, end } of hunks) {
+    const slice = ops.slice(start, end);
+    const oldLines = slice.filter(e => e.op !== '+').length;
+    const newLines = slice.filter(e => e.op !== '-').length;
+    out.push(`@@ -${slice[0].i + 1},${oldLines} +${slice[0].j + 1},${newLines} @@`);
+    for (const entry of slice) out.push(`${entry.op}${entry.line}`);
+  }
+  return out.join('\n');
+}
+
+/**
+ * Backup file name for a config before migration: `<file>.v<from>.bak`, numbered when taken.
+ * @param {string} file - Config file
+ * @param {number} from - Schema version being replaced
+ * @returns {string} Unused backup path
+ */
+export function backupPath(file, from) {
+  const base = `${file}.v${from}.bak`;
+  let candidate = base;
+  for (let n = 1; fs.existsSync(candidate); n++) candidate = `${base}.${n}`;
+  return candidate;
+}
+
+/**
+ * Migrate one config file in place. Only the file itself is changed; files it
+ * extends or includes are reported in `references` when they need migrating too.
+ * @param {string} file - Config file (JSON, JSONC or YAML)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.dryRun=false] - Compute the diff without writing
+ * @returns {{file:string, from:number, to:number, steps:string[], changes:string[], diff:string,
+ *   backup:string|null, written:boolean, warnings:string[], references:Array<{file:string, version:number}>}}
+ * @throws {Error} When the file is missing, unparsable, not an object or newer than the tools
+ */
+export function migrateConfigFile(file, { dryRun = false } = {}) {
+  if (!fs.existsSync(file)) throw new Error(`Config file not found: ${file}`);
+  const text = fs.readFileSync(file, 'utf8');
+  const config = parseConfigText(text, { filePath: file });
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${file}: expected a config object`);
+  }
+  const { config: migrated, from, to, steps, changes } = migrateConfig(config);
+  const result = { file, from, to, steps, changes, diff: '', backup: null, written: false, warnings: [], references: [] };
+
+  try {
+    for (const other of loadComposedConfig(file).files) {
+      if (path.resolve(other) === path.resolve(file)) continue;
+      const version = configSchemaVersion(loadConfigFile(other));
+      if (version < CONFIG_SCHEMA_VERSION) result.references.push({ file: other, version });
+    }
+  } catch { /* broken references are reported by validation */ }
+
+  if (from === to) return result;
+
+  const format = detectConfigFormat(file, text);
+  const opts = { indent: detectIndent(text) };
+  const before = serializeConfig(config, format, opts);
+  const after = serializeConfig(migrated, format, opts);
+  result.diff = formatLineDiff(before, after);
+  if (before !== text) {
+    result.warnings.push(`${file}: comments and formatting are not preserved (the backup keeps the original)`);
+  }
+  if (dryRun) return result;
+
+  result.backup = backupPath(file, from);
+  fs.copyFileSync(file, result.backup);
+  fs.writeFileSync(file, after);
+  result.written = true;
+  return result;
+}
+
+/**
+ * Run `fvtt-config migrate` for the given files (or the config in the current directory).
+ * @param {Object} options
+ * @param {string[]} [options.files] - Config files; defaults to container-config.* in `cwd`
+ * @param {boolean} [options.dryRun] - Show the diff only
+ * @param {string} [options.cwd=process.cwd()] - Directory searched when no file is given
+ * @returns {Array<ReturnType<typeof migrateConfigFile>>} One result per file
+ */
+export function runMigrate({ files = [], dryRun = false, cwd = process.cwd() } = {}) {
+  if (!files.length) {
+    const found = findConfigFile(cwd);
+    if (!found) throw new Error(`No ${DEFAULT_CONFIG_FILENAMES.join(', ')} in ${cwd}; pass the file to migrate`);
+    files = [ found ];
+  }
+  return files.map(file => migrateConfigFile(file, { dryRun }));
+}
@@ -0,0 +1,357 @@
+/**
+ * @file fvtt-init.mjs
+ * @description Scaffolding for a new container-config.json, its env files and host directories (fvtt-pod init)
+ * @path scripts/common/fvtt-init.mjs
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createInterface } from 'node:readline/promises';
+
+import { ConfigValidator } from '../../helpers/config-validator.js';
+import { CONFIG_SCHEMA_VERSION } from '../../helpers/config-migrations.js';
+import { initEnvFiles } from '../../helpers/env-files.js';
+import { PATHS, SECRET_MODES, buildComposeFromContainerConfig } from '../generate-compose.js';
+
+/**
+ * Schema the scaffolded config must satisfy
+ */
+const SCHEMA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../schemas/container-config.schema.json');
+
+/**
+ * Secrets modes offered by init (`auto` only makes sense when flags are passed to the generator)
+ */
+export const INIT_SECRET_MODES = SECRET_MODES.filter(mode => mode !== 'auto');
+
+/**
+ * Defaults used for unanswered prompts and in --yes mode
+ */
+export const INIT_DEFAULTS = Object.freeze({
+  configFile: 'container-config.json',
+  composeFile: 'compose.dev.yml',
+  secretsFile: 'secrets.json',
+  versions: [ 13 ],
+  secretsMode: 'file'
+});
+
+/**
+ * Manifest file names that say nothing about the package id
+ */
+const GENERIC_MANIFEST_NAMES = [ 'system', 'module', 'manifest', 'world' ];
+
+/**
+ * Parse a version list such as `13,12` or `v13 v12`.
+ * @param {string|number[]} value - Comma or space separated versions
+ * @returns {number[]} Unique major versions in the given order
+ */
+export function parseVersions(value) {
+  const parts = Array.isArray(value) ? value.map(String) : String(value).split(/[\s,]+/).filter(Boolean);
+  if (!parts.length) throw new Error('At least one Foundry version is required');
+  const versions = parts.map(part => {
+    const match = /^v?(\d{1,2})$/.exec(part);
+    if (!match || Number(match[1]) === 0) throw new Error(`Invalid Foundry version: ${part} (expected a major version such as 13)`);
+    return Number(match[1]);
+  });
+  return [ ...new Set(versions) ];
+}
+
+/**
+ * Turn an id such as `my-module` into a display name (`My Module`).
+ * @param {string} id - Package id
+ * @returns {string} Display name
+ */
+function displayName(id) {
+  return id.split(/[-_.]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+}
+
+/**
+ * Parse a package given as `[id=]<manifest URL|local path>`.
+ * Without an id it is derived from the file name (`.../my-module.zip` -> `my-module`).
+ * @param {string} spec - Package spec
+ * @param {string} kind - `system` or `module` (for messages)
+ * @returns {{id:string, name:string, manifest?:string, path?:string}} Package answer
+ */
+export function parsePackageSpec(spec, kind) {
+  const text = String(spec).trim();
+  const eq = /^([A-Za-z0-9][A-Za-z0-9_.-]*)=(.+)$/.exec(text);
+  const source = eq ? eq[2].trim() : text;
+  if (!source) throw new Error(`Missing ${kind} manifest URL or path`);
+  const isUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(source);
+  if (isUrl) {
+    let url;
+    try {
+      url = new URL(source);
+    } catch {
+      throw new Error(`Invalid ${kind} manifest URL: ${source}`);
+    }
+    if (!/^https?:$/.test(url.protocol)) throw new Error(`Invalid ${kind} manifest URL: ${source} (expected http or https)`);
+  }
+  let id = eq?.[1];
+  if (!id) {
+    const base = path.posix.basename(isUrl ? new URL(source).pathname : source.replace(/\\/g, '/')).replace(/\.(json|zip)$/i, '');
+    if (!base || GENERIC_MANIFEST_NAMES.includes(base.toLowerCase())) {
+      throw new Error(`Cannot derive a ${kind} id from ${source}; pass it as <id>=${source}`);
+    }
+    id = base;
+  }
+  return { id, name: displayName(id), ...(isUrl ? { manifest: source } : { path: source }) };
+}
+
+/**
+ * Mount targets of the host directories init creates
+ */
+const HOST_DIR_TARGETS = [ PATHS.distTarget, PATHS.sharedTarget, PATHS.resourcesTarget, PATHS.cacheTarget ];
+
+/**
+ * Host-to-container path mappings of the Foundry services (dist, shared/vNN, resources/vNN, foundry-cache/vNN).
+ * @param {Object} compose - Compose document
+ * @returns {Array<{source:string, target:string}>} Bind mounts, longest source first
+ */
+function hostMounts(compose) {
+  const mounts = new Map();
+  for (const svc of Object.values(compose.services)) {
+    for (const vol of svc.volumes || []) {
+      if (vol?.type === 'bind' && HOST_DIR_TARGETS.includes(vol.target)) mounts.set(vol.source, vol.target);
+    }
+  }
+  return [ ...mounts ].map(([ source, target ]) => ({ source, target })).sort((a, b) => b.source.length - a.source.length);
+}
+
+/**
+ * Translate a local package path into the path the Foundry container sees.
+ * Paths below a bound host directory (`./dist`, `./foundry-cache/v13`, ...) are mapped to the mount target;
+ * absolute container paths (`/data/...`, `/host/...`) are kept.
+ * @param {string} source - Path as entered
+ * @param {Array<{source:string, target:string}>} mounts - From `hostMounts`
+ * @param {string} baseDir - Directory the bind sources are relative to
+ * @returns {string|null} Container path, or null when the path is not visible in the container
+ */
+export function containerPath(source, mounts, baseDir) {
+  if (/^\/(data|host)\//.test(source)) return source;
+  const abs = path.resolve(baseDir, source);
+  for (const mount of mounts) {
+    const rel = path.relative(path.resolve(baseDir, mount.source), abs);
+    if (rel === '') return mount.target;
+    if (!rel.startsWith('..') && !path.isAbsolute(rel)) return `${mount.target}/${rel.split(path.sep).join('/')}`;
+  }
+  return null;
+}
+
+/**
+ * Build a container config from init answers.
+ * @param {Object} answers
+ * @param {number[]} answers.versions - Foundry major versions
+ * @param {Object|null} [answers.system] - System under test from `parsePackageSpec`
+ * @param {Object[]} [answers.modules] - Modules from `parsePackageSpec`
+ * @param {Object} [opts]
+ * @param {string} [opts.baseDir=process.cwd()] - Directory the config is written to
+ * @returns {{config:Object, warnings:string[]}} Config and warnings about local paths
+ */
+export function buildInitConfig({ versions, system = null, modules = [] }, { baseDir = process.cwd() } = {}) {
+  const config = { schemaVersion: CONFIG_SCHEMA_VERSION, systems: {}, modules: {}, worlds: {}, versions: {} };
+  for (const version of versions) {
+    config.versions[String(version)] = { supported: true, install: { systems: {}, modules: {} } };
+  }
+  const mounts = hostMounts(buildComposeFromContainerConfig(config, {}, { topLevel: {}, serviceRef: [] }));
+  const warnings = [];
+  const add = (section, pkg) => {
+    if (config[section][pkg.id]) throw new Error(`Duplicate ${section.slice(0, -1)} id: ${pkg.id}`);
+    let itemPath = pkg.path || '';
+    if (itemPath) {
+      const mapped = containerPath(itemPath, mounts, baseDir);
+      if (mapped) itemPath = mapped;
+      else warnings.push(`${section}.${pkg.id}: ${itemPath} is not visible in the container; move it below ${PATHS.distSource} or ${PATHS.cacheBase}/vNN`);
+    }
+    config[section][pkg.id] = { name: pkg.name, manifest: pkg.manifest || '', path: itemPath, install_at_startup: true };
+    for (const entry of Object.values(config.versions)) entry.install[section][pkg.id] = {};
+  };
+  if (system) add('systems', system);
+  for (const mod of modules) add('modules', mod);
+  return { config, warnings };
+}
+
+/**
+ * Create the host directories bound into the services (dist, shared/vNN, resources/vNN, foundry-cache/vNN).
+ * @param {Object} compose - Compose document
+ * @param {Object} [opts]
+ * @param {string} [opts.baseDir=process.cwd()] - Directory bind sources are relative to
+ * @param {boolean} [opts.dryRun=false] - Report without creating
+ * @returns {string[]} Absolute directories created (or that would be created)
+ */
+export function initDirectories(compose, { baseDir = process.cwd(), dryRun = false } = {}) {
+  const created = [];
+  for (const { source } of hostMounts(compose).reverse()) {
+    const abs = path.resolve(baseDir, source);
+    if (fs.existsSync(abs) || created.includes(abs)) continue;
+    if (!dryRun) fs.mkdirSync(abs, { recursive: true });
+    created.push(abs);
+  }
+  return created;
+}
+
+/**
+ * Create a readline based prompter. Questions reject once the input ends (e.g. stdin at EOF),
+ * since a pending question would otherwise never settle.
+ * @param {Object} [streams]
+ * @param {NodeJS.ReadableStream} [streams.input=process.stdin]
+ * @param {NodeJS.WritableStream} [streams.output=process.stdout]
+ * @returns {{ask:(question:string, fallback?:string) => Promise<string>, close:() => void}} Prompter
+ */
+export function createPrompter({ input = process.stdin, output = process.stdout } = {}) {
+  const rl = createInterface({ input, output });
+  const closed = new Promise((_, reject) => {
+    rl.once('close', () => reject(new Error('stdin closed; pass --yes to use the defaults')));
+  });
+  closed.catch(() => {});
+  return {
+    async ask(question, fallback = '') {
+      const answer = (await Promise.race([ rl.question(fallback ? `${question} [${fallback}]: ` : `${question}: `), closed ])).trim();
+      return answer || fallback;
+    },
+    close: () => rl.close()
+  };
+}
+
+/**
+ * Ask for everything not given on the command line. Invalid answers are asked again.
+ * @param {Object} options - Options from the CLI (`versions`, `system`, `modules`, `secretsMode`)
+ * @param {(question:string, fallback?:string) => Promise<string>} ask - Prompt function
+ * @returns {Promise<{versions:number[], system:Object|null, modules:Object[], secretsMode:string}>} Answers
+ */
+async function promptAnswers(options, ask) {
+  const retry = async (question, fallback, parse) => {
+    for (;;) {
+      const answer = await ask(question, fallback);
+      try {
+        return parse(answer);
+      } catch (err) {
+        console.error(err.message);
+      }
+    }
+  };
+  const versions = options.versions
+    ? parseVersions(options.versions)
+    : await retry('Foundry versions to support (comma separated)', INIT_DEFAULTS.versions.join(','), parseVersions);
+  const system = options.system !== undefined
+    ? (options.system ? parsePackageSpec(options.system, 'system') : null)
+    : await retry('System under test ([id=]manifest URL or local path, empty for none)', '', a => a ? parsePackageSpec(a, 'system') : null);
+  const modules = (options.modules || []).map(spec => parsePackageSpec(spec, 'module'));
+  if (!options.modules?.length) {
+    for (;;) {
+      const mod = await retry('Module ([id=]manifest URL or local path, empty to finish)', '', a => a ? parsePackageSpec(a, 'module') : null);
+      if (!mod) break;
+      modules.push(mod);
+    }
+  }
+  const secretsMode = options.secretsMode || await retry(`Secrets mode (${INIT_SECRET_MODES.join('|')})`, INIT_DEFAULTS.secretsMode, parseSecretsMode);
+  return { versions, system, modules, secretsMode: parseSecretsMode(secretsMode) };
+}
+
+/**
+ * Check a secrets mode answer.
+ * @param {string} mode - Secrets mode
+ * @returns {string} The mode
+ */
+function parseSecretsMode(mode) {
+  if (!INIT_SECRET_MODES.includes(mode)) throw new Error(`Unknown secrets mode: ${mode} (expected ${INIT_SECRET_MODES.join('|')})`);
+  return mode;
+}
+
+/**
+ * Answers from flags only (--yes): missing values take the defaults.
+ * @param {Object} options - Options from the CLI
+ * @returns {{versions:number[], system:Object|null, modules:Object[], secretsMode:string}} Answers
+ */
+function flagAnswers(options) {
+  return {
+    versions: parseVersions(options.versions || INIT_DEFAULTS.versions),
+    system: options.system ? parsePackageSpec(options.system, 'system') : null,
+    modules: (options.modules || []).map(spec => parsePackageSpec(spec, 'module')),
+    secretsMode: parseSecretsMode(options.secretsMode || INIT_DEFAULTS.secretsMode)
+  };
+}
+
+/**
+ * Scaffold a dev pod: container-config.json, env files, host directories and (file mode) a secrets.json stub.
+ * Refuses to overwrite an existing config unless `force` is set; existing env files, directories and
+ * secrets files are never touched.
+ * @param {Object} [options]
+ * @param {string} [options.dir=process.cwd()] - Target directory
+ * @param {string} [options.out='container-config.json'] - Config file name (relative to `dir`)
+ * @param {boolean} [options.yes=false] - Do not prompt; use flags and defaults
+ * @param {boolean} [options.force=false] - Overwrite an existing config
+ * @param {boolean} [options.dryRun=false] - Report without writing
+ * @param {string|number[]} [options.versions] - Foundry versions
+ * @param {string} [options.system] - System spec (`[id=]source`); empty string for none
+ * @param {string[]} [options.modules] - Module specs
+ * @param {string} [options.secretsMode] - Secrets mode passed to fvtt-compose-gen
+ * @param {Object} [deps]
+ * @param {(question:string, fallback?:string) => Promise<string>} [deps.ask] - Prompt function (default: readline on stdin)
+ * @returns {Promise<{configFile:string, config:Object, created:string[], warnings:string[], commands:string[]}>} Result
+ */
+export async function runInit(options = {}, { ask } = {}) {
+  const baseDir = path.resolve(options.dir || process.cwd());
+  const configFile = path.resolve(baseDir, options.out || INIT_DEFAULTS.configFile);
+  if (fs.existsSync(configFile) && !options.force) {
+    throw new Error(`${configFile} already exists; pass --force to overwrite it`);
+  }
+
+  let answers;
+  if (options.yes) {
+    answers = flagAnswers(options);
+  } else if (ask) {
+    answers = await promptAnswers(options, ask);
+  } else {
+    const prompter = createPrompter();
+    try {
+      answers = await promptAnswers(options, prompter.ask);
+    } finally {
+      prompter.close();
+    }
+  }
+
+  const { config, warnings } = buildInitConfig(answers, { baseDir });
+  const result = new ConfigValidator({ schemaPath: SCHEMA_PATH }).validateConfig(config);
+  if (!result.valid) throw new Error(`Generated config is invalid:\n  ${result.errors.join('\n  ')}`);
+
+  const dryRun = !!options.dryRun;
+  const created = [];
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(configFile), { recursive: true });
+    fs.writeFileSync(configFile, JSON.stringify(config, null, 2) + '\n', 'utf8');
+  }
+  created.push(configFile);
+
+  const compose = buildComposeFromContainerConfig(config, { configPath: configFile, baseDir }, { topLevel: {}, serviceRef: [] });
+  created.push(...initEnvFiles(compose, { baseDir, dryRun }));
+  created.push(...initDirectories(compose, { baseDir, dryRun }));
+
+  const relConfig = path.relative(process.cwd(), configFile) || INIT_DEFAULTS.configFile;
+  const relCompose = path.relative(process.cwd(), path.join(baseDir, INIT_DEFAULTS.composeFile));
+  const genArgs = [ '-c', relConfig, '-o', relCompose, '--secrets-mode', answers.secretsMode ];
+  if (answers.secretsMode === 'file') {
+    const secretsFile = path.join(baseDir, INIT_DEFAULTS.secretsFile);
+    if (!fs.existsSync(secretsFile)) {
+      if (!dryRun) {
+        fs.writeFileSync(secretsFile, JSON.stringify({ foundry_username: '', foundry_password: '' }, null, 2) + '\n', { mode: 0o600, flag: 'wx' });
+      }
+      created.push(secretsFile);
+    }
+    warnings.push(`Fill in ${INIT_DEFAULTS.secretsFile} (or set foundry_license_key) and keep it out of version control`);
+  } else if (answers.secretsMode !== 'none') {
+    warnings.push(`--secrets-mode ${answers.secretsMode} needs its --secrets-* flags (see README "Secrets Modes")`);
+  }
+
+  return {
+    configFile,
+    config,
+    created,
+    warnings,
+    commands: [
+      `npx fvtt-compose-gen ${genArgs.join(' ')}`,
+      baseDir === process.cwd() ? 'npx fvtt-pod up -d' : `npx fvtt-pod -f ${relCompose} up -d`
+    ]
+  };
+}
+
@@ -0,0 +1,1008 @@
+/**
+ * @file fvtt-pod.mjs
+ * @description Dev pod commands (up, start, down, logs, exec, ...) run through docker compose
+ * @path scripts/common/fvtt-pod.mjs
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { createInterface } from 'node:readline/promises';
+import { fileURLToPath } from 'node:url';
+import yaml from 'js-yaml';
+
+import { ConfigValidator } from '../../helpers/config-validator.js';
+import { findConfigFile, loadComposedConfig } from '../../helpers/config-loader.js';
+import { detectComposeRuntime, parseComposePs } from '../../helpers/compose-runtime.js';
+import {
+  SNAPSHOT_DIR,
+  snapshotId,
+  writeSnapshotManifest,
+  listSnapshots,
+  findSnapshot,
+  verifySnapshot,
+  pruneSnapshots
+} from '../../helpers/pod-snapshots.js';
+import { formatServicesWithUrls, readProxyUrls } from './fvtt-status.mjs';
+import { listFoundryServices } from '../generate-compose.js';
+
+const SCRIPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_COMPOSE_FILE = 'compose.dev.yml';
+const DEFAULT_SWITCH_TIMEOUT = 180;
+const DEFAULT_WAIT_TIMEOUT = 300;
+const HEALTH_POLL_INTERVAL_MS = 2000;
+const HTTP_PROBE_TIMEOUT_MS = 2000;
+// Log lines shown when a service fails to come up
+const FAILURE_LOG_LINES = 20;
+
+// What `reset`, `snapshot` and `restore` work on: the whole data volume, or one folder of Foundry's user data
+const DATA_SCOPES = Object.freeze({
+  all: '/data',
+  modules: '/data/Data/modules',
+  worlds: '/data/Data/worlds'
+});
+
+// Empties the directory passed as $1 (if it exists) but keeps the directory itself
+const CLEAR_DIR_SCRIPT = 'if [ -d "$1" ]; then find "$1" -mindepth 1 -maxdepth 1 -exec rm -rf {} +; fi';
+
+// Archives $2 (relative to $1; created empty on a fresh volume) as /snapshots/$3, then prints
+// `version=<FOUNDRY_VERSION>` and, when $4 is `worlds`, `world=<id> <sha256>` per world (a checksum over the world's files)
+const SNAPSHOT_SCRIPT = [
+  'set -e',
+  'mkdir -p "$1/$2"',
+  'cd "$1"',
+  'tar -czf "/snapshots/$3" --exclude ./container_cache "$2"',
+  'echo "version=$FOUNDRY_VERSION"',
+  '[ "$4" = worlds ] || exit 0',
+  'for world in /data/Data/worlds/*/; do [ -f "$world/world.json" ] || continue; '
+    + 'echo "world=$(basename "$world") $(cd "$world" && find . -type f -exec sha256sum {} + | sort -k2 | sha256sum | cut -d" " -f1)"; done'
+].join('; ');
+
+// Replaces $2 (relative to $1; `.` keeps the release cache mount) with the contents of /snapshots/$3
+const RESTORE_SCRIPT = [
+  'set -e',
+  'mkdir -p "$1"',
+  'cd "$1"',
+  'if [ "$2" = . ]; then find . -mindepth 1 -maxdepth 1 ! -name container_cache -exec rm -rf {} +; else rm -rf "$2"; fi',
+  'tar -xzf "/snapshots/$3"'
+].join('; ');
+
+// Picks the best shell the image has (bash > ash > sh)
+const SHELL_SCRIPT = 'if command -v bash >/dev/null 2>&1; then exec bash; elif command -v ash >/dev/null 2>&1; then exec ash; else exec sh; fi';
+
+/**
+ * Commands fvtt-pod understands, with their usage line.
+ */
+export const POD_COMMANDS = Object.freeze({
+  init: 'init [--yes] [...]',
+  up: 'up [-d] [--check] [--profile NAME]... [--only VERSION|SERVICE]... [--wait [--timeout SECONDS]]',
+  start: 'start SERVICE',
+  down: 'down',
+  restart: 'restart SERVICE',
+  build: 'build [SERVICE]',
+  pull: 'pull',
+  ps: 'ps',
+  logs: 'logs [-f] [SERVICE]',
+  exec: 'exec SERVICE [CMD...]',
+  shell: 'shell SERVICE',
+  'run-builder': 'run-builder',
+  'stop-builder': 'stop-builder',
+  switch: 'switch VERSION|SERVICE [--timeout SECONDS]',
+  reset: 'reset VERSION|SERVICE [--all|--modules|--worlds] [--snapshot] [--yes]',
+  snapshot: 'snapshot VERSION|SERVICE [--name NAME] [--worlds|--modules|--all] [--live]\n'
+    + '       fvtt-pod snapshot list [VERSION|SERVICE]\n'
+    + '       fvtt-pod snapshot prune [VERSION|SERVICE] --keep N',
+  restore: 'restore VERSION|SERVICE SNAPSHOT|latest [--yes]'
+});
+
+// Subcommands of `snapshot` that only read or delete files in the snapshot directory
+const SNAPSHOT_FILE_COMMANDS = [ 'list', 'prune' ];
+
+// Commands that attach a terminal; their output is never captured
+const INTERACTIVE_COMMANDS = [ 'exec', 'shell' ];
+
+/**
+ * Error raised for fvtt-pod failures, carrying the CLI exit code.
+ * Exit codes: 1 usage or command failure, 2 missing compose file or invalid config, 3 no compose runtime.
+ */
+export class PodCommandError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.exitCode=1] - Exit code for the CLI
+   * @param {Object} [details.result] - Partial result (commands run before the failure)
+   */
+  constructor(message, { exitCode = 1, result } = {}) {
+    super(message);
+    this.name = 'PodCommandError';
+    this.exitCode = exitCode;
+    this.result = result;
+  }
+}
+
+/**
+ * Map a bare version (13, v13) to the default foundry-v<NN> service name; anything else is a service name.
+ * Used for `up --only` when there is no container config to resolve versions with.
+ * @param {string} target - Version or service name
+ * @returns {string} Service name
+ */
+export function resolveOnlyTarget(target) {
+  const match = /^v?(\d+)$/.exec(target);
+  return match ? `foundry-v${match[1]}` : target;
+}
+
+/**
+ * Find the compose file: an explicit path, then COMPOSE_FILE, then compose.dev.yml in
+ * `cwd`, then the one next to the scripts directory.
+ * @param {Object} [opts]
+ * @param {string} [opts.file] - Explicit compose file (-f/--file)
+ * @param {string} [opts.cwd] - Working directory
+ * @param {Object} [opts.env] - Environment (COMPOSE_FILE)
+ * @returns {string} Compose file path (not checked for existence)
+ */
+export function resolveComposeFile({ file, cwd = process.cwd(), env = process.env } = {}) {
+  if (file) return file;
+  if (env.COMPOSE_FILE) return env.COMPOSE_FILE;
+  const local = path.join(cwd, DEFAULT_COMPOSE_FILE);
+  if (fs.existsSync(local)) return DEFAULT_COMPOSE_FILE;
+  return path.join(SCRIPTS_DIR, '..', DEFAULT_COMPOSE_FILE);
+}
+
+/**
+ * Usage error for a command missing its arguments.
+ * @param {string} command - Command name
+ * @returns {PodCommandError} Error with exit code 1
+ */
+function usageError(command) {
+  return new PodCommandError(`Usage: fvtt-pod ${POD_COMMANDS[command]}`);
+}
+
+/**
+ * Parse the options of `up`.
+ * @param {string[]} args - Arguments after `up`
+ * @returns {{detach: boolean, check: boolean, profiles: string[], only: string[], wait: boolean, timeout: number}}
+ *   Parsed options; `only` holds the targets as given
+ */
+function parseUpArgs(args) {
+  const options = { detach: false, check: false, profiles: [], only: [], wait: false, timeout: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-d':
+        options.detach = true;
+        break;
+      case '--remove-orphans':
+        // Always passed; accepted for compatibility
+        break;
+      case '--check':
+        options.check = true;
+        break;
+      case '--profile':
+        if (!args[i + 1]) throw new PodCommandError('--profile requires a name');
+        options.profiles.push(args[++i]);
+        break;
+      case '--only':
+        if (!args[i + 1]) throw new PodCommandError('--only requires a version or service name');
+        options.only.push(args[++i]);
+        break;
+      case '--wait':
+        options.wait = true;
+        break;
+      case '--timeout': {
+        const seconds = Number(args[++i]);
+        if (!Number.isInteger(seconds) || seconds < 0) throw new PodCommandError('--timeout requires a number of seconds');
+        options.timeout = seconds;
+        break;
+      }
+      default:
+        throw new PodCommandError(`unknown option for up: ${arg}`);
+    }
+  }
+  if (options.timeout !== null && !options.wait) throw new PodCommandError('--timeout requires --wait');
+  options.timeout = options.timeout ?? DEFAULT_WAIT_TIMEOUT;
+  return options;
+}
+
+/**
+ * Parse the arguments of `switch`.
+ * @param {string[]} args - Arguments after `switch`
+ * @returns {{target: string, timeout: number}} Version or service, and the health wait in seconds
+ */
+function parseSwitchArgs(args) {
+  const options = { target: null, timeout: DEFAULT_SWITCH_TIMEOUT };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--timeout') {
+      const seconds = Number(args[++i]);
+      if (!Number.isInteger(seconds) || seconds < 0) throw new PodCommandError('--timeout requires a number of seconds');
+      options.timeout = seconds;
+    } else if (arg.startsWith('-') || options.target) {
+      throw usageError('switch');
+    } else {
+      options.target = arg;
+    }
+  }
+  if (!options.target) throw usageError('switch');
+  return options;
+}
+
+/**
+ * Read a `--all`/`--modules`/`--worlds` flag into `options.scope`.
+ * @param {Object} options - Parsed options
+ * @param {string} arg - Argument
+ * @param {string} command - Command name (for the error)
+ * @returns {boolean} Whether `arg` was a scope flag
+ */
+function readScopeFlag(options, arg, command) {
+  if (![ '--all', '--modules', '--worlds' ].includes(arg)) return false;
+  const scope = arg.slice(2);
+  if (options.scope && options.scope !== scope) throw new PodCommandError(`${command} takes one of --all, --modules or --worlds`);
+  options.scope = scope;
+  return true;
+}
+
+/**
+ * Parse the arguments of `reset`.
+ * @param {string[]} args - Arguments after `reset`
+ * @returns {{target: string, scope: string, snapshot: boolean, yes: boolean}} Version or service, what to
+ *   wipe (a DATA_SCOPES key), whether to snapshot it first and whether the confirmation is skipped
+ */
+function parseResetArgs(args) {
+  const options = { target: null, scope: null, snapshot: false, yes: false };
+  for (const arg of args) {
+    if (readScopeFlag(options, arg, 'reset')) {
+      continue;
+    } else if (arg === '--snapshot') {
+      options.snapshot = true;
+    } else if (arg === '-y' || arg === '--yes') {
+      options.yes = true;
+    } else if (arg.startsWith('-') || options.target) {
+      throw usageError('reset');
+    } else {
+      options.target = arg;
+    }
+  }
+  if (!options.target) throw usageError('reset');
+  options.scope = options.scope || 'all';
+  return options;
+}
+
+/**
+ * Parse the arguments of `snapshot` (creating one).
+ * @param {string[]} args - Arguments after `snapshot`
+ * @returns {{target: string, name: string, scope: string, live: boolean}} Version or service, snapshot name,
+ *   what to archive (a DATA_SCOPES key, default worlds) and whether the service keeps running meanwhile
+ */
+function parseSnapshotArgs(args) {
+  const options = { target: null, name: null, scope: null, live: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (readScopeFlag(options, arg, 'snapshot')) {
+      continue;
+    } else if (arg === '--name') {
+      if (!args[i + 1]) throw new PodCommandError('--name requires a snapshot name');
+      options.name = args[++i];
+    } else if (arg === '--live') {
+      options.live = true;
+    } else if (arg.startsWith('-') || options.target) {
+      throw usageError('snapshot');
+    } else {
+      options.target = arg;
+    }
+  }
+  if (!options.target) throw usageError('snapshot');
+  options.scope = options.scope || 'worlds';
+  options.name = options.name || options.scope;
+  return options;
+}
+
+/**
+ * Parse the arguments of `snapshot list` and `snapshot prune`.
+ * @param {string[]} args - Arguments after `list` or `prune`
+ * @param {boolean} prune - Whether `--keep` is expected (and required)
+ * @returns {{target: string|null, keep: number|null}} Optional version or service, snapshots to keep
+ */
+function parseSnapshotFileArgs(args, prune) {
+  const options = { target: null, keep: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (prune && arg === '--keep') {
+      const keep = Number(args[++i]);
+      if (!Number.isInteger(keep) || keep < 0) throw new PodCommandError('--keep requires a number of snapshots');
+      options.keep = keep;
+    } else if (arg.startsWith('-') || options.target) {
+      throw usageError('snapshot');
+    } else {
+      options.target = arg;
+    }
+  }
+  if (prune && options.keep === null) throw new PodCommandError('snapshot prune requires --keep N');
+  return options;
+}
+
+/**
+ * Parse the arguments of `restore`.
+ * @param {string[]} args - Arguments after `restore`
+ * @returns {{target: string, snapshot: string, yes: boolean}} Version or service, snapshot id, name or
+ *   `latest`, and whether the confirmation is skipped
+ */
+function parseRestoreArgs(args) {
+  const options = { target: null, snapshot: null, yes: false };
+  for (const arg of args) {
+    if (arg === '-y' || arg === '--yes') {
+      options.yes = true;
+    } else if (arg.startsWith('-') || options.snapshot) {
+      throw usageError('restore');
+    } else if (options.target) {
+      options.snapshot = arg;
+    } else {
+      options.target = arg;
+    }
+  }
+  if (!options.snapshot) throw usageError('restore');
+  return options;
+}
+
+// Commands whose target is resolved against the container config: their arguments are checked
+// up front, but they are planned once the config is validated
+const SERVICE_TARGET_ARGS = { switch: parseSwitchArgs, reset: parseResetArgs, snapshot: parseSnapshotArgs, restore: parseRestoreArgs };
+
+/**
+ * Whether a command is planned against the Foundry services of the container config
+ * (`up --wait`, `up --only` and the SERVICE_TARGET_ARGS commands). Checks the arguments, so usage errors come first.
+ * @param {string} command - Pod command
+ * @param {string[]} args - Its arguments
+ * @returns {boolean} Whether planning needs `services`
+ */
+function needsFoundryServices(command, args) {
+  const parse = SERVICE_TARGET_ARGS[command];
+  if (parse) {
+    parse(args);
+    return true;
+  }
+  if (command !== 'up') return false;
+  const up = parseUpArgs(args);
+  return up.wait || up.only.length > 0;
+}
+
+/**
+ * Error for a command that needs the container config to resolve its target.
+ * @param {string} command - Command name
+ * @returns {PodCommandError} Error with exit code 2
+ */
+function configRequiredError(command) {
+  return new PodCommandError(`${command} needs a container config to resolve versions`, { exitCode: 2 });
+}
+
+/**
+ * Split a data scope directory into the directory tar runs in and the entry it archives.
+ * @param {string} dir - A DATA_SCOPES value
+ * @returns {{base: string, entry: string}} `/data` and `.` for the whole volume, else parent and folder name
+ */
+function archiveRoot(dir) {
+  return dir === DATA_SCOPES.all ? { base: dir, entry: '.' } : { base: path.posix.dirname(dir), entry: path.posix.basename(dir) };
+}
+
+/**
+ * Plan the step that archives part of a service's data volume with a one-off container of the
+ * service (it mounts the same volume), so the volume need not be reachable from the host.
+ * @param {{name: string, version: number, variant?: string}} service - Foundry service
+ * @param {string} scope - DATA_SCOPES key
+ * @param {string} name - Snapshot name
+ * @param {{cwd: string, date: Date}} context - Working directory and creation time
+ * @returns {{compose: string[], snapshot: Object}} Step; `snapshot` holds the manifest fields known up front
+ */
+function snapshotStep(service, scope, name, { cwd, date }) {
+  const id = snapshotId(date, name);
+  const dir = path.resolve(cwd, SNAPSHOT_DIR, service.name);
+  const { base, entry } = archiveRoot(DATA_SCOPES[scope]);
+  return {
+    snapshot: {
+      dir,
+      id,
+      name,
+      service: service.name,
+      version: service.version,
+      ...(service.variant ? { variant: service.variant } : {}),
+      scope,
+      source: DATA_SCOPES[scope],
+      created: date.toISOString()
+    },
+    compose: [ 'run', '--rm', '--no-deps', '-T', '-v', `${dir}:/snapshots`, '--entrypoint', 'sh', service.name,
+      '-c', SNAPSHOT_SCRIPT, 'sh', base, entry, `${id}.tar.gz`, scope ]
+  };
+}
+
+/**
+ * Read what SNAPSHOT_SCRIPT prints.
+ * @param {string} output - Its stdout
+ * @returns {{foundryVersion: string|null, worlds: Array<{id: string, sha256: string}>}} Foundry version and worlds
+ */
+function parseSnapshotOutput(output = '') {
+  const result = { foundryVersion: null, worlds: [] };
+  for (const line of output.split('\n')) {
+    if (line.startsWith('version=')) result.foundryVersion = line.slice('version='.length).trim() || null;
+    const world = /^world=(\S+) ([0-9a-f]{64})$/.exec(line.trim());
+    if (world) result.worlds.push({ id: world[1], sha256: world[2] });
+  }
+  return result;
+}
+
+/**
+ * Whether a target names a service by version (13, v13) or version variant (13-lite, v13-lite).
+ * @param {string} target - Version or service name
+ * @param {{version: number, variant?: string}} service - Foundry service
+ * @returns {boolean} Whether they match
+ */
+function matchesVersion(target, service) {
+  const match = /^v?(\d+)(?:-(.+))?$/.exec(target);
+  return Boolean(match) && service.version === Number(match[1]) && (service.variant || null) === (match[2] || null);
+}
+
+/**
+ * Find a Foundry service by an exact service name, a version (13, v13) or a version
+ * variant (13-lite, v13-lite).
+ * @param {string} target - Version or service name
+ * @param {Array<{name: string, version: number, variant?: string}>} services - See `listFoundryServices`
+ * @returns {{name: string, version: number, variant?: string}} The service
+ * @throws {PodCommandError} When no Foundry service matches
+ */
+export function resolveFoundryService(target, services) {
+  const found = services.find(service => service.name === target) || services.find(service => matchesVersion(target, service));
+  if (found) return found;
+  const known = services.map(service => service.name).join(', ') || 'none';
+  throw new PodCommandError(`no Foundry service for ${target} (services: ${known})`);
+}
+
+/**
+ * Plan the commands a pod command runs, in order. `compose` steps hold the arguments after
+ * `<runtime> -f <file>`; other steps hold a full argv; `wait` steps wait for a service to
+ * become healthy.
+ * @param {string} command - Pod command
+ * @param {string[]} args - Its arguments
+ * @param {string} composeFile - Compose file (for `up --check` and the volume `reset` removes)
+ * @param {Object} [context]
+ * @param {Array<{name: string, version: number, variant?: string}>} [context.services] - Foundry services of
+ *   the container config (required by `switch` and `reset`, used by `up --only`; see `listFoundryServices`)
+ * @param {string} [context.cwd] - Working directory (`reset --snapshot` writes below it)
+ * @param {Date} [context.date] - Time the snapshot file is named after
+ * @returns {Array<{compose?: string[], argv?: string[], wait?: string, serve?: string[], timeout?: number,
+ *   confirm?: string, snapshot?: Object, removeVolume?: string, ifRunning?: string, ignoreFailure?: boolean,
+ *   failure?: string, onFailure?: Object}>} Steps; `confirm` steps ask before going on, `snapshot` describes the archive a
+ *   step writes, `serve` steps wait until those Foundry services answer HTTP, `removeVolume` removes a volume of the
+ *   compose project, `ifRunning` steps are skipped unless that service was running before the command, and
+ *   `onFailure` is a compose step run when its step fails, before the failure is reported
+ * @throws {PodCommandError} For unknown commands, missing arguments and unknown targets
+ */
+export function planPodCommand(command, args = [], composeFile, { services, cwd = process.cwd(), date = new Date() } = {}) {
+  const [ service, ...rest ] = args;
+  switch (command) {
+    case 'up': {
+      const up = parseUpArgs(args);
+      if (up.wait && !services) throw configRequiredError('up --wait');
+      // With the services known, versions resolve with the generator's naming rules (renamed services included);
+      // other targets (builder, proxy) are compose service names
+      const only = up.only.map(target =>
+        (services?.find(service => service.name === target) || services?.find(service => matchesVersion(target, service)))?.name
+          ?? resolveOnlyTarget(target));
+      const steps = [];
+      if (up.check) {
+        steps.push({
+          argv: [ process.execPath, path.join(SCRIPTS_DIR, 'generate-compose.js'), '--check', '-o', composeFile ],
+          failure: `compose check failed for ${composeFile} (stale or missing config); regenerate it or run without --check`
+        });
+      }
+      // Compose takes --profile before the subcommand; explicit services pull in their own profiles.
+      const profiles = up.profiles.flatMap(profile => [ '--profile', profile ]);
+      steps.push({ compose: [ ...profiles, 'up', ...(up.detach || up.wait ? [ '-d' ] : []), '--remove-orphans', ...only ] });
+      if (up.wait) {
+        const foundry = services.map(service => service.name);
+        const waitFor = only.length ? only.filter(name => foundry.includes(name)) : foundry;
+        steps.push({ serve: waitFor, timeout: up.timeout });
+      }
+      return steps;
+    }
+    case 'start':
+      if (!service) throw usageError(command);
+      return [ { compose: [ 'up', '-d', '--build', '--no-deps', service ] } ];
+    case 'restart':
+      if (!service) throw usageError(command);
+      return [ { compose: [ 'restart', service ] } ];
+    case 'down':
+    case 'build':
+    case 'pull':
+    case 'ps':
+    case 'logs':
+      return [ { compose: [ command, ...args ] } ];
+    case 'exec':
+      if (!service) throw usageError(command);
+      return [ { compose: [ 'exec', '-u', '0', '-it', service, ...(rest.length ? rest : [ 'sh' ]) ] } ];
+    case 'shell':
+      if (!service) throw usageError(command);
+      return [ { compose: [ 'exec', '-u', '0', '-it', service, 'sh', '-c', SHELL_SCRIPT ] } ];
+    case 'run-builder':
+      return [ { compose: [ 'up', '-d', '--build', 'builder' ] } ];
+    case 'stop-builder':
+      return [ { compose: [ 'stop', 'builder' ], ignoreFailure: true } ];
+    case 'switch': {
+      const { target, timeout } = parseSwitchArgs(args);
+      if (!services) throw configRequiredError(command);
+      const { name } = resolveFoundryService(target, services);
+      // Only Foundry services are stopped; the builder and the proxy keep running
+      const others = services.map(service => service.name).filter(other => other !== name);
+      return [
+        ...(others.length ? [ { compose: [ 'stop', ...others ] } ] : []),
+        { compose: [ 'up', '-d', '--no-deps', name ] },
+        { wait: name, timeout }
+      ];
+    }
+    case 'reset': {
+      const reset = parseResetArgs(args);
+      if (!services) throw configRequiredError(command);
+      const service = resolveFoundryService(reset.target, services);
+      const { name } = service;
+      const dir = DATA_SCOPES[reset.scope];
+      const what = reset.scope === 'all' ? `the data volume of ${name}` : `${dir} of ${name}`;
+      // install-components reinstalls what the config lists on start; a step that fails after the stop starts
+      // the service again with whatever data it still has
+      const restart = { compose: [ 'up', '-d', '--no-deps', name ] };
+      const steps = reset.yes ? [] : [ { confirm: `Reset ${what}? This deletes its data` } ];
+      steps.push({ compose: [ 'stop', name ] });
+      if (reset.snapshot) steps.push({ ...snapshotStep(service, reset.scope, `pre-reset-${reset.scope}`, { cwd, date }), onFailure: restart });
+      if (reset.scope === 'all') {
+        // The stopped container still references the volume; `up` creates both again
+        steps.push({ compose: [ 'rm', '-f', name ], onFailure: restart });
+        steps.push({ removeVolume: `${name}-data`, onFailure: restart });
+      } else {
+        steps.push({ compose: [ 'run', '--rm', '--no-deps', '--entrypoint', 'sh', name, '-c', CLEAR_DIR_SCRIPT, 'sh', dir ], onFailure: restart });
+      }
+      steps.push(restart);
+      return steps;
+    }
+    case 'snapshot': {
+      const snapshot = parseSnapshotArgs(args);
+      if (!services) throw configRequiredError(command);
+      const service = resolveFoundryService(snapshot.target, services);
+      if (snapshot.live) return [ snapshotStep(service, snapshot.scope, snapshot.name, { cwd, date }) ];
+      // Stopped, so Foundry is not writing the world databases while they are archived; restarted even when archiving fails
+      const restart = { compose: [ 'up', '-d', '--no-deps', service.name ], ifRunning: service.name };
+      return [
+        { compose: [ 'stop', service.name ] },
+        { ...snapshotStep(service, snapshot.scope, snapshot.name, { cwd, date }), onFailure: restart },
+        restart
+      ];
+    }
+    case 'restore': {
+      const restore = parseRestoreArgs(args);
+      if (!services) throw configRequiredError(command);
+      const { name } = resolveFoundryService(restore.target, services);
+      let manifest;
+      try {
+        manifest = findSnapshot(path.resolve(cwd, SNAPSHOT_DIR), name, restore.snapshot);
+        verifySnapshot(manifest);
+      } catch (error) {
+        throw new PodCommandError(error.message);
+      }
+      const dir = DATA_SCOPES[manifest.scope];
+      if (!dir) throw new PodCommandError(`snapshot ${manifest.id} has an unknown scope: ${manifest.scope}`);
+      const { base, entry } = archiveRoot(dir);
+      const steps = restore.yes ? [] : [ { confirm: `Restore ${manifest.id} into ${name}? This replaces ${dir}` } ];
+      steps.push(
+        { compose: [ 'stop', name ] },
+        { compose: [ 'run', '--rm', '--no-deps', '-T', '-v', `${path.dirname(manifest.file)}:/snapshots:ro`, '--entrypoint', 'sh', name,
+          '-c', RESTORE_SCRIPT, 'sh', base, entry, manifest.archive ] },
+        { compose: [ 'up', '-d', '--no-deps', name ] }
+      );
+      return steps;
+    }
+    default:
+      throw new PodCommandError(`Unknown command: ${command}`);
+  }
+}
+
+/**
+ * Validate the container config in `cwd`, if there is one.
+ * @param {string} cwd - Working directory
+ * @returns {{file: string, valid: boolean, errors: string[]}|null} Validation result, or null without a config
+ */
+function validatePodConfig(cwd) {
+  const file = findConfigFile(cwd);
+  if (!file) return null;
+  const { valid, errors = [] } = new ConfigValidator().validate(file);
+  return { file, valid, errors };
+}
+
+/**
+ * List the Foundry services of the validated container config.
+ * @param {{file: string}|null} config - Validation result (see `validatePodConfig`)
+ * @param {Object} env - Values for `${env:VAR}` references
+ * @returns {Promise<Array<{name: string, version: number, variant?: string}>|undefined>} Services, or undefined without a config
+ */
+async function podFoundryServices(config, env) {
+  if (!config) return undefined;
+  return listFoundryServices(loadComposedConfig(config.file).config, env);
+}
+
+/**
+ * One line of `snapshot list`.
+ * @param {Object} manifest - Snapshot manifest
+ * @returns {string} Service, id, scope, Foundry version, worlds and size
+ */
+function formatSnapshot(manifest) {
+  const worlds = manifest.worlds?.length ? manifest.worlds.map(world => world.id).join(', ') : '-';
+  const size = `${(manifest.size / (1024 * 1024)).toFixed(1)} MB`;
+  return `${manifest.service}  ${manifest.id}  ${manifest.scope}  Foundry ${manifest.foundryVersion || manifest.version}  worlds: ${worlds}  ${size}`;
+}
+
+/**
+ * Run `snapshot list` or `snapshot prune`. They only touch the snapshot directory, so they need
+ * no compose file, container config or docker; targets match the services recorded in the manifests.
+ * @param {string} subcommand - `list` or `prune`
+ * @param {string[]} args - Its arguments
+ * @param {Object} context
+ * @param {string} context.cwd - Working directory
+ * @param {boolean} context.dryRun - Report what prune would delete
+ * @param {Function} context.log - Progress output
+ * @param {Object} context.result - Result to complete (`snapshots`, and `removed` for prune)
+ * @returns {Object} The result
+ */
+function manageSnapshots(subcommand, args, { cwd, dryRun, log, result }) {
+  const { target, keep } = parseSnapshotFileArgs(args, subcommand === 'prune');
+  const root = path.resolve(cwd, SNAPSHOT_DIR);
+  const matching = listSnapshots(root).filter(manifest => !target || manifest.service === target || matchesVersion(target, manifest));
+  if (subcommand === 'list') {
+    result.snapshots = matching;
+    if (!matching.length) log(`No snapshots${target ? ` of ${target}` : ''} in ${root}`);
+    for (const manifest of matching) log(formatSnapshot(manifest));
+  } else {
+    const service = matching[0]?.service;
+    const { kept, removed } = target && !service ? { kept: [], removed: [] } : pruneSnapshots(root, { keep, service, dryRun });
+    Object.assign(result, { snapshots: kept, removed });
+    for (const manifest of removed) log(`${dryRun ? '[dry-run] Would delete' : 'Deleted'} ${manifest.service}/${manifest.archive}`);
+    log(`${removed.length} snapshot(s) ${dryRun ? 'to prune' : 'pruned'}, ${kept.length} kept`);
+  }
+  result.ok = true;
+  return result;
+}
+
+/**
+ * Whether anything answers HTTP at a URL (redirects and client errors count: Foundry redirects
+ * to /setup, /license or /join once it is up).
+ * @param {string} url - URL to probe
+ * @returns {Promise<boolean>} Whether a response below 500 came back
+ */
+async function respondsOverHttp(url) {
+  try {
+    const res = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(HTTP_PROBE_TIMEOUT_MS) });
+    return res.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Ask a yes/no question on the terminal (on stderr, so `--json` output stays clean).
+ * @param {string} question - Question without the `[y/N]` suffix
+ * @returns {Promise<boolean>} Whether the answer was yes
+ * @throws {PodCommandError} When stdin is not a terminal
+ */
+async function confirmOnTerminal(question) {
+  if (!process.stdin.isTTY) throw new PodCommandError('not running interactively; pass --yes to confirm');
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N]: `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Readiness of a service from `compose ps`: healthy (or running without a healthcheck),
+ * failed (unhealthy, stopped or restarting after a crash) or still starting.
+ * @param {{status: string, health: string}|undefined} service - Parsed `ps` entry
+ * @returns {'ready'|'failed'|'starting'} Readiness
+ */
+function serviceReadiness(service) {
+  if (!service) return 'starting';
+  if (service.health === 'healthy') return 'ready';
+  if (service.health === 'unhealthy' || [ 'exited', 'dead', 'restarting' ].includes(service.status)) return 'failed';
+  return service.status === 'running' && !service.health ? 'ready' : 'starting';
+}
+
+/**
+ * Split a `compose logs --timestamps` line into its timestamp and text. The timestamp's fraction
+ * is padded to nanoseconds, so timestamps compare as strings.
+ * @param {string} line - Log line
+ * @returns {{stamp: string, text: string}} Timestamp (empty when the line has none) and text
+ */
+function splitLogTimestamp(line) {
+  const match = /^(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d)(?:\.(\d{1,9}))?Z ?(.*)$/.exec(line);
+  if (!match) return { stamp: '', text: line };
+  return { stamp: `${match[1]}.${(match[2] || '').padEnd(9, '0')}Z`, text: match[3] };
+}
+
+/**
+ * Run a pod command. Prints `[dry-run]` lines and progress unless `json` is set; with `json`
+ * the output of non-interactive commands is captured into the result instead.
+ * @param {string} command - Pod command (see POD_COMMANDS)
+ * @param {string[]} [args] - Its arguments
+ * @param {Object} [options]
+ * @param {string} [options.file] - Compose file (default: COMPOSE_FILE, then compose.dev.yml)
+ * @param {boolean} [options.dryRun=false] - Print the commands instead of running them
+ * @param {boolean} [options.json=false] - Do not print; capture command output
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment for the compose file lookup and the commands
+ * @param {Object} [deps] - Injection for testing
+ * @param {Function} [deps.detectRuntime] - Compose runtime detection (see helpers/compose-runtime.js)
+ * @param {Function} [deps.spawn] - spawnSync-compatible runner
+ * @param {Function} [deps.validateConfig] - `(cwd) => {file, valid, errors}|null`
+ * @param {Function} [deps.listServices] - `async (config, env) => services` for `switch` (see `listFoundryServices`)
+ * @param {Function} [deps.sleep] - `(ms) => Promise` between health polls
+ * @param {Function} [deps.now] - Clock in milliseconds
+ * @param {Function} [deps.confirm] - `async (question) => boolean` before destructive steps (default: prompt on the terminal)
+ * @param {Function} [deps.probeHttp] - `async (url) => boolean` for `up --wait`
+ * @returns {Promise<{ok: boolean, command: string, args: string[], composeFile: string|null, runtime: string|null,
+ *   dryRun: boolean, config: Object|null, commands: Array<Object>, exitCode: number, service?: string,
+ *   url?: string|null, snapshot?: Object, snapshots?: Array<Object>, removed?: Array<Object>}>} Result; each entry
+ *   of `commands` is `{ argv, executed, status, stdout?, stderr? }`. `switch` adds the target `service` and its
+ *   `url`; `snapshot` and `reset --snapshot` the new `snapshot` manifest; `snapshot list`/`prune` the `snapshots`
+ *   (kept) and `removed` manifests; `up --wait` the `serving` services as `{ service, url }`
+ * @throws {PodCommandError} For usage errors, a missing compose file, an invalid config,
+ *   a missing compose runtime and failed commands (`error.result` holds the partial result)
+ */
+export async function runPodCommand(command, args = [], options = {}, deps = {}) {
+  const { dryRun = false, json = false, cwd = process.cwd(), env = process.env } = options;
+  const {
+    detectRuntime = detectComposeRuntime,
+    spawn = spawnSync,
+    validateConfig = validatePodConfig,
+    listServices = podFoundryServices,
+    sleep = ms => new Promise(resolve => { setTimeout(resolve, ms); }),
+    now = Date.now,
+    confirm = confirmOnTerminal,
+    probeHttp = respondsOverHttp
+  } = deps;
+  const log = json ? () => {} : (...parts) => console.log(...parts);
+  const result = { ok: false, command, args, composeFile: null, runtime: null, dryRun, config: null, commands: [], exitCode: 0 };
+
+  const execute = (argv, { capture = json } = {}) => {
+    const entry = { argv, executed: !dryRun, status: 0 };
+    result.commands.push(entry);
+    if (dryRun) {
+      log(`[dry-run] Would run: ${argv.join(' ')}`);
+      return entry;
+    }
+    const res = spawn(argv[0], argv.slice(1), { cwd, env, stdio: capture ? 'pipe' : 'inherit', encoding: 'utf8' });
+    if (res.error) throw new PodCommandError(`failed to run ${argv[0]}: ${res.error.message}`, { result });
+    entry.status = res.status ?? 1;
+    if (capture) Object.assign(entry, { stdout: res.stdout || '', stderr: res.stderr || '' });
+    return entry;
+  };
+
+  // init creates the config the compose file is generated from, so it needs neither.
+  // fvtt-init has its own dry run (and prompts), so it always runs attached to the terminal.
+  if (command === 'init') {
+    const argv = [ process.execPath, path.join(SCRIPTS_DIR, 'fvtt-init.mjs'), ...(dryRun ? [ '--dry-run' ] : []), ...args ];
+    const res = spawn(argv[0], argv.slice(1), { cwd, env, stdio: 'inherit', encoding: 'utf8' });
+    const status = res.status ?? 1;
+    result.commands.push({ argv, executed: true, status });
+    result.exitCode = status;
+    if (status !== 0) throw new PodCommandError(`fvtt-pod init failed (exit ${status})`, { exitCode: status, result });
+    result.ok = true;
+    return result;
+  }
+
+  if (!Object.hasOwn(POD_COMMANDS, command)) throw new PodCommandError(`Unknown command: ${command}`);
+  if (command === 'snapshot' && SNAPSHOT_FILE_COMMANDS.includes(args[0])) {
+    return manageSnapshots(args[0], args.slice(1), { cwd, dryRun, log, result });
+  }
+  const composeFile = resolveComposeFile({ file: options.file, cwd, env });
+  result.composeFile = composeFile;
+  let steps = needsFoundryServices(command, args) ? null : planPodCommand(command, args, composeFile);
+  if (!fs.existsSync(path.resolve(cwd, composeFile))) {
+    throw new PodCommandError(`compose file not found: ${composeFile}`, { exitCode: 2, result });
+  }
+
+  log('Validating container configuration...');
+  result.config = validateConfig(cwd);
+  if (result.config && !result.config.valid) {
+    throw new PodCommandError(`Container configuration validation failed:\n  ${result.config.errors.join('\n  ')}`, { exitCode: 2, result });
+  }
+  if (!steps) {
+    let services;
+    try {
+      services = await listServices(result.config, env);
+    } catch (error) {
+      throw new PodCommandError(`cannot resolve Foundry services: ${error.message}`, { exitCode: 2, result });
+    }
+    try {
+      steps = planPodCommand(command, args, composeFile, { services, cwd });
+    } catch (error) {
+      error.result = result;
+      throw error;
+    }
+  }
+
+  const runtime = detectRuntime();
+  if (!runtime.available) {
+    throw new PodCommandError(`neither 'docker compose' nor 'docker-compose' available in PATH (${runtime.error})`, { exitCode: 3, result });
+  }
+  result.runtime = runtime.composeCommand;
+
+  // Runs a compose query whose output is read, not shown or recorded
+  const compose = (...composeArgs) => {
+    const argv = [ ...runtime.command, '-f', composeFile, ...composeArgs ];
+    return spawn(argv[0], argv.slice(1), { cwd, env, stdio: 'pipe', encoding: 'utf8' });
+  };
+
+  const waitHealthy = async (service, timeout) => {
+    if (dryRun) {
+      log(`[dry-run] Would wait up to ${timeout}s for ${service} to become healthy`);
+      return undefined;
+    }
+    log(`Waiting for ${service} to become healthy...`);
+    const deadline = now() + timeout * 1000;
+    for (;;) {
+      const res = compose('ps', '--format', 'json', service);
+      const status = res.status === 0 ? parseComposePs(res.stdout).find(entry => entry.name === service) : undefined;
+      const readiness = serviceReadiness(status);
+      if (readiness === 'ready') return status;
+      const last = status ? `${status.status}${status.health ? `, ${status.health}` : ''}` : 'not running';
+      if (readiness === 'failed') throw new PodCommandError(`${service} failed to start (${last})`, { result });
+      if (now() >= deadline) {
+        throw new PodCommandError(`${service} did not become healthy within ${timeout}s (${last})`, { result });
+      }
+      await sleep(HEALTH_POLL_INTERVAL_MS);
+    }
+  };
+
+  // Removes a volume found by its compose labels, so the project name is the one compose used
+  // (COMPOSE_PROJECT_NAME from the environment or .env, the top-level `name`, the directory)
+  const removeVolume = (volume) => {
+    const label = `com.docker.compose.volume=${volume}`;
+    if (dryRun) {
+      log(`[dry-run] Would run: ${runtime.engine.join(' ')} volume rm <the volume labelled ${label} in the compose project>`);
+      return;
+    }
+    const config = compose('config');
+    let project;
+    try {
+      project = config.status === 0 ? yaml.load(config.stdout)?.name : undefined;
+    } catch {
+      project = undefined;
+    }
+    if (!project) throw new PodCommandError(`cannot determine the compose project of ${composeFile}`, { result });
+    const labels = [ `com.docker.compose.project=${project}`, label ];
+    const ls = [ ...runtime.engine, 'volume', 'ls', '-q', ...labels.flatMap(filter => [ '--filter', `label=${filter}` ]) ];
+    const listed = spawn(ls[0], ls.slice(1), { cwd, env, stdio: 'pipe', encoding: 'utf8' });
+    if (listed.status !== 0) throw new PodCommandError(`cannot list the volumes of ${project}`, { result });
+    const names = (listed.stdout || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (!names.length) {
+      log(`No ${volume} volume in ${project}; nothing to remove`);
+      return;
+    }
+    const argv = [ ...runtime.engine, 'volume', 'rm', ...names ];
+    const entry = execute(argv);
+    if (entry.status !== 0) throw new PodCommandError(`${argv.join(' ')} failed (exit ${entry.status})`, { result });
+  };
+
+  // Polls container state and HTTP until every service serves; streams their new [patch] log lines meanwhile
+  const waitServing = async (names, timeout) => {
+    if (dryRun) {
+      log(`[dry-run] Would wait up to ${timeout}s for ${names.join(', ') || 'no Foundry services'} to serve`);
+      return [];
+    }
+    const created = parseComposePs(compose('ps', '-a', '--format', 'json').stdout).map(entry => entry.name);
+    const pending = new Map(names.filter(name => created.includes(name)).map(name => [ name, { since: '', tail: [] } ]));
+    for (const name of names.filter(name => !created.includes(name))) log(`${name} was not started (not in an enabled profile?); not waiting for it`);
+    if (names.length && !pending.size) throw new PodCommandError(`none of ${names.join(', ')} was started`, { result });
+    if (pending.size) log(`Waiting for ${[ ...pending.keys() ].join(', ')} to serve...`);
+    const proxyUrls = readProxyUrls(path.resolve(cwd, composeFile));
+    const serving = [];
+    const deadline = now() + timeout * 1000;
+    const fail = (name, reason) => {
+      const { tail } = pending.get(name);
+      const lines = tail.length ? `; last log lines:\n  ${tail.join('\n  ')}` : '';
+      throw new PodCommandError(`${name} ${reason}${lines}`, { result });
+    };
+    while (pending.size) {
+      const states = parseComposePs(compose('ps', '-a', '--format', 'json').stdout);
+      for (const [ name, progress ] of pending) {
+        // Only the lines since the last one seen; --since is inclusive, so that line comes back and is dropped
+        const since = progress.since ? [ '--since', progress.since ] : [];
+        const lines = (compose('logs', '--no-color', '--no-log-prefix', '--timestamps', ...since, name).stdout || '')
+          .split('\n').filter(Boolean).map(splitLogTimestamp).filter(({ stamp }) => !stamp || stamp > progress.since);
+        for (const { text } of lines) if (text.includes('[patch]')) log(`${name} | ${text}`);
+        progress.tail = [ ...progress.tail, ...lines.map(({ text }) => text) ].slice(-FAILURE_LOG_LINES);
+        progress.since = lines.filter(({ stamp }) => stamp).at(-1)?.stamp || progress.since;
+        const status = states.find(entry => entry.name === name);
+        if (status && serviceReadiness(status) === 'failed') fail(name, `failed before serving (${status.status}${status.health ? `, ${status.health}` : ''})`);
+        const port = status?.ports.find(publisher => publisher.PublishedPort)?.PublishedPort;
+        const ready = port ? await probeHttp(`http://localhost:${port}`) : serviceReadiness(status) === 'ready';
+        if (!ready) continue;
+        const [ formatted ] = formatServicesWithUrls([ status ], proxyUrls);
+        serving.push({ service: name, url: formatted.url || null });
+        log(`✓ ${name} is serving${formatted.url ? `: ${formatted.url}` : ''}`);
+        pending.delete(name);
+      }
+      if (!pending.size) break;
+      if (now() >= deadline) fail([ ...pending.keys() ][0], `not serving after ${timeout}s`);
+      await sleep(HEALTH_POLL_INTERVAL_MS);
+    }
+    return serving;
+  };
+
+  // Services running before the first step, for steps that only restart what was running
+  const running = !dryRun && steps.some(step => step.ifRunning)
+    ? new Set(parseComposePs(compose('ps', '--format', 'json').stdout).filter(entry => entry.status === 'running').map(entry => entry.name))
+    : null;
+
+  // Runs one step; the loop below handles `ifRunning` and `onFailure`
+  const runStep = async (step) => {
+    if (step.removeVolume) {
+      removeVolume(step.removeVolume);
+      return;
+    }
+    if (step.serve) {
+      result.serving = await waitServing(step.serve, step.timeout);
+      return;
+    }
+    if (step.confirm) {
+      if (dryRun) return;
+      if (!(await confirm(step.confirm))) throw new PodCommandError(`${command} cancelled`, { result });
+      return;
+    }
+    if (step.snapshot && !dryRun) fs.mkdirSync(step.snapshot.dir, { recursive: true });
+    if (step.wait) {
+      const status = await waitHealthy(step.wait, step.timeout);
+      const [ formatted ] = formatServicesWithUrls([ status || { name: step.wait } ], readProxyUrls(path.resolve(cwd, composeFile)));
+      Object.assign(result, { service: step.wait, url: formatted.url || null });
+      if (!dryRun) log(`✓ ${step.wait} is healthy${formatted.url ? `: ${formatted.url}` : ''}`);
+      return;
+    }
+    const argv = step.compose ? [ ...runtime.command, '-f', composeFile, ...step.compose ] : step.argv;
+    const interactive = INTERACTIVE_COMMANDS.includes(command) || (command === 'logs' && args.includes('-f'));
+    // Snapshot steps report the Foundry version and worlds on stdout
+    const entry = execute(argv, { capture: Boolean(step.snapshot) || (json && !interactive) });
+    if (entry.status !== 0 && !step.ignoreFailure) {
+      result.exitCode = step.failure ? 1 : entry.status;
+      const stderr = step.snapshot && !json && entry.stderr?.trim();
+      const message = step.failure || `${argv.join(' ')} failed (exit ${entry.status})${stderr ? `:\n${stderr}` : ''}`;
+      throw new PodCommandError(message, { exitCode: result.exitCode, result });
+    }
+    if (step.snapshot) {
+      const { dir, ...meta } = step.snapshot;
+      if (dryRun) {
+        result.snapshot = { ...meta, archive: `${meta.id}.tar.gz` };
+      } else {
+        try {
+          result.snapshot = writeSnapshotManifest(dir, { ...meta, ...parseSnapshotOutput(entry.stdout) });
+        } catch (error) {
+          throw new PodCommandError(`snapshot ${meta.id} was not saved: ${error.message}`, { result });
+        }
+        log(`✓ Snapshot saved to ${path.join(dir, result.snapshot.archive)}`);
+      }
+    }
+  };
+
+  // Whether an `ifRunning` step is skipped because its service was not running before the command
+  const skipped = step => Boolean(running && step.ifRunning && !running.has(step.ifRunning));
+
+  for (const step of steps) {
+    if (skipped(step)) {
+      log(`${step.ifRunning} was not running; leaving it stopped`);
+      continue;
+    }
+    try {
+      await runStep(step);
+    } catch (error) {
+      if (!step.onFailure || skipped(step.onFailure)) throw error;
+      const argv = [ ...runtime.command, '-f', composeFile, ...step.onFailure.compose ];
+      const entry = execute(argv, { capture: json });
+      error.message += entry.status === 0 ? `; ran ${argv.join(' ')}` : `; ${argv.join(' ')} failed too (exit ${entry.status})`;
+      throw error;
+    }
+  }
+  result.ok = true;
+  return result;
+}
@@ -6,8 +6,14 @@
 
 import fs from 'fs';
 import { execSync } from 'child_process';
+import yaml from 'js-yaml';
 
 import { ConfigValidator } from '../../helpers/config-validator.js';
+import { findConfigFile, DEFAULT_CONFIG_FILENAMES } from '../../helpers/config-loader.js';
+import { hostPortOf, isPortInUse as defaultIsPortInUse } from '../../helpers/port-probe.js';
+import { detectComposeRuntime, parseComposePs } from '../../helpers/compose-runtime.js';
+// Label holding a service's reverse proxy URL, shared with the generator
+import { PROXY_URL_LABEL } from '../generate-compose.constants.js';
 
 /**
  * Default compose file names to check (in order of preference)
@@ -77,46 +83,11 @@ async function detectAndValidateConfig(configFile) {
 }
 
 /**
- * Check if docker and docker-compose are available
+ * Check if docker and docker-compose are available (shared with fvtt-pod)
  * @returns {object} Docker availability status
  */
 function checkDockerAvailability() {
-  const result = {
-    available: false,
-    docker: false,
-    compose: false,
-    composeCommand: null,
-    error: null
-  };
-
-  try {
-    // Check if docker is available
-    execSync('docker --version', { stdio: 'ignore' });
-    result.docker = true;
-  } catch {
-    result.error = 'Docker not available';
-    return result;
-  }
-
-  try {
-    // Check for docker compose (new format)
-    execSync('docker compose version', { stdio: 'ignore' });
-    result.compose = true;
-    result.composeCommand = 'docker compose';
-    result.available = true;
-  } catch {
-    try {
-      // Check for docker-compose (legacy format)
-      execSync('docker-compose --version', { stdio: 'ignore' });
-      result.compose = true;
-      result.composeCommand = 'docker-compose';
-      result.available = true;
-    } catch {
-      result.error = 'Neither "docker compose" nor "docker-compose" available';
-    }
-  }
-
-  return result;
+  return detectComposeRuntime(execSync);
 }
 
 /**
@@ -138,42 +109,101 @@ function getServiceStatus(composeFile, composeCommand, dryRun = false) {
       stdio: 'pipe'
     });
 
-    if (!psOutput.trim()) {
-      return [];
-    }
-
-    // Parse JSON output - each line is a separate JSON object
-    const services = psOutput.trim().split('\n').map(line => {
-      try {
-        const service = JSON.parse(line);
-        return {
-          name: service.Service || service.Name,
-          status: service.State || 'unknown',
-          ports: service.Publishers || [],
-          health: service.Health || 'unknown'
-        };
-      } catch {
-        console.warn(`Warning: Failed to parse service info: ${line}`);
-        return null;
-      }
-    }).filter(Boolean);
-
-    return services;
+    return parseComposePs(psOutput, line => console.warn(`Warning: Failed to parse service info: ${line}`))
+      .map(service => ({ ...service, health: service.health || 'unknown' }));
   } catch (error) {
     console.warn(`Warning: Failed to get service status: ${error.message}`);
     return [];
   }
 }
 
+/**
+ * Health states reported by docker compose that mean the service is not serving yet
+ */
+const NOT_SERVING_HEALTH_STATES = ['starting', 'unhealthy'];
+
+/**
+ * Find running services whose compose healthcheck reports they are not serving.
+ * Services without a healthcheck (health unknown/empty) are not reported.
+ * @param {Array} services - Service status array
+ * @returns {Array} Services that are running but starting or unhealthy
+ */
+function findNotServingServices(services) {
+  return services.filter(
+    service => service.status === 'running' && NOT_SERVING_HEALTH_STATES.includes(service.health)
+  );
+}
+
+/**
+ * Find host ports declared in the compose file that are bound by something other than the pod.
+ * A port published by the running service that declares it belongs to the pod and is not reported.
+ * @param {string} composeFile - Path to compose file
+ * @param {Array} services - Service status array (from `getServiceStatus`)
+ * @param {(port:number) => Promise<boolean>} isPortInUse - Host port probe
+ * @returns {Promise<Array<{service:string, port:number}>>} Foreign port bindings
+ */
+async function findForeignPortBindings(composeFile, services, isPortInUse) {
+  let doc;
+  try {
+    doc = yaml.load(fs.readFileSync(composeFile, 'utf8'));
+  } catch {
+    return [];
+  }
+  const conflicts = [];
+  for (const [name, svc] of Object.entries(doc?.services || {})) {
+    const running = services.find(s => s.name === name && s.status === 'running');
+    const published = (running?.ports || []).map(p => Number(p && p.PublishedPort)).filter(Boolean);
+    for (const entry of svc?.ports || []) {
+      const port = hostPortOf(entry);
+      if (port === null || published.includes(port)) continue;
+      if (await isPortInUse(port)) conflicts.push({ service: name, port });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Read reverse proxy URLs from the compose file (the generator sets `PROXY_URL_LABEL` on proxied services).
+ * @param {string} composeFile - Path to compose file
+ * @returns {Object<string,string>} Map of service name to proxied URL
+ */
+export function readProxyUrls(composeFile) {
+  let doc;
+  try {
+    doc = yaml.load(fs.readFileSync(composeFile, 'utf8'));
+  } catch {
+    return {};
+  }
+  const urls = {};
+  for (const [name, svc] of Object.entries(doc?.services || {})) {
+    const labels = svc?.labels;
+    let url;
+    if (Array.isArray(labels)) {
+      const entry = labels.map(String).find(l => l.startsWith(`${PROXY_URL_LABEL}=`));
+      url = entry && entry.slice(PROXY_URL_LABEL.length + 1);
+    } else if (labels && typeof labels === 'object') {
+      url = labels[PROXY_URL_LABEL];
+    }
+    if (url) urls[name] = String(url);
+  }
+  return urls;
+}
+
 /**
  * Format services for display with URLs
  * @param {Array} services - Service status array
+ * @param {Object<string,string>} [proxyUrls] - Proxied URLs by service name (preferred over localhost ports)
  * @returns {Array} Formatted services with URLs
  */
-function formatServicesWithUrls(services) {
+export function formatServicesWithUrls(services, proxyUrls = {}) {
   return services.map(service => {
     const formatted = { ...service };
-    
+
+    if (proxyUrls[service.name]) {
+      formatted.url = proxyUrls[service.name];
+      return formatted;
+    }
+
     // Generate URL if service has ports
     if (service.ports && service.ports.length > 0) {
       const portInfo = service.ports[0];
@@ -228,10 +258,12 @@ function printDefaultStatus(statusResult) {
     console.log('   No services found or docker not available');
   } else {
     statusResult.services.forEach(service => {
-      const statusIcon = service.status === 'running' ? '✓' : 
-                        service.status === 'exited' ? '✗' : '⚠';
+      const statusIcon = service.status === 'exited' || service.health === 'unhealthy' ? '✗' :
+                        service.status === 'running' && service.health !== 'starting' ? '✓' : '⚠';
+      const health = NOT_SERVING_HEALTH_STATES.includes(service.health) || service.health === 'healthy'
+        ? ` [${service.health}]` : '';
       const url = service.url ? ` (${service.url})` : '';
-      console.log(`   ${statusIcon} ${service.name.padEnd(15)} ${service.status}${url}`);
+      console.log(`   ${statusIcon} ${service.name.padEnd(15)} ${service.status}${health}${url}`);
     });
   }
 
@@ -256,18 +288,22 @@ function printDefaultStatus(statusResult) {
  * Main status checking function
  * @export
  * @param {object} options - Options from CLI
+ * @param {object} [deps] - Injection for testing
+ * @param {(port:number) => Promise<boolean>} [deps.isPortInUse] - Host port probe
  * @returns {object} Complete status result
  */
-export async function checkStatus(options = {}) {
+export async function checkStatus(options = {}, { isPortInUse = defaultIsPortInUse } = {}) {
   // Set defaults if not provided  
   const opts = {
     composeFile: null,
-    configFile: 'container-config.json',
+    configFile: null,
     json: false,
     verbose: false,
     dryRun: false,
     ...options
   };
+  // Auto-detect container-config.{json,jsonc,yaml,yml} unless a path was given
+  const configFile = opts.configFile || findConfigFile('.') || DEFAULT_CONFIG_FILENAMES[0];
 
   const result = {
     status: 'healthy',
@@ -285,6 +321,7 @@ export async function checkStatus(options = {}) {
     healthChecks: {
       allServicesHealthy: true,
       allPortsAccessible: true,
+      portConflicts: [],
       issues: []
     }
   };
@@ -292,14 +329,14 @@ export async function checkStatus(options = {}) {
   if (opts.dryRun) {
     console.log('[dry-run] fvtt-status: Performing status check dry-run');
     console.log(`[dry-run] Would check compose file: ${opts.composeFile || 'auto-detect'}`);
-    console.log(`[dry-run] Would check config file: ${opts.configFile}`);
+    console.log(`[dry-run] Would check config file: ${configFile}`);
     console.log('[dry-run] Would check docker availability');
     console.log('[dry-run] Would check service status');
   }
 
   // Pod Detection
   result.pod.composeFile = detectComposeFile(opts.composeFile);
-  result.pod.config = await detectAndValidateConfig(opts.configFile);
+  result.pod.config = await detectAndValidateConfig(configFile);
   
   result.pod.detected = result.pod.composeFile.found || result.pod.config.found;
   result.pod.valid = result.pod.composeFile.found && result.pod.config.valid;
@@ -328,7 +365,7 @@ export async function checkStatus(options = {}) {
         dockerCheck.composeCommand,
         opts.dryRun
       );
-      result.services = formatServicesWithUrls(services);
+      result.services = formatServicesWithUrls(services, readProxyUrls(result.pod.composeFile.file));
 
       // Check for unhealthy services
       const unhealthyServices = result.services.filter(
@@ -343,6 +380,29 @@ export async function checkStatus(options = {}) {
           }`
         );
       }
+
+      // Running containers whose healthcheck says Foundry is not serving yet
+      const notServing = findNotServingServices(result.services);
+      if (notServing.length > 0) {
+        result.healthChecks.allServicesHealthy = false;
+        result.healthChecks.issues.push(
+          `${notServing.length} service(s) not serving: ${
+            notServing.map(s => `${s.name} (${s.health})`).join(', ')
+          }`
+        );
+      }
+
+      // Declared host ports held by processes outside the pod (Foundry would fail to publish them)
+      const foreign = await findForeignPortBindings(result.pod.composeFile.file, result.services, isPortInUse);
+      if (foreign.length > 0) {
+        result.healthChecks.allPortsAccessible = false;
+        result.healthChecks.portConflicts = foreign;
+        result.healthChecks.issues.push(
+          `${foreign.length} port(s) bound outside the pod: ${
+            foreign.map(c => `${c.port} (${c.service})`).join(', ')
+          }`
+        );
+      }
     } catch (error) {
       result.healthChecks.issues.push(`Failed to check services: ${error.message}`);
     }
@@ -85,11 +85,22 @@ export function showHelpMessage(args) {
   return false;
 }
 
+/**
+ * Log validation warnings (e.g. an outdated schemaVersion).
+ * @param {Object} result - Validation result with optional warnings array
+ */
+export function logValidationWarnings(result) {
+  (result.warnings || []).forEach(warning => {
+    console.warn(`⚠ ${warning}`);
+  });
+}
+
 /**
  * Log validation errors and exit with error code.
  * @param {Object} result - Validation result with errors array
  */
 export function logValidationErrors(result) {
+  logValidationWarnings(result);
   console.error('✗ Configuration is invalid:');
   result.errors.forEach(error => {
     console.error(`  ${error}`);
@@ -102,6 +113,7 @@ export function logValidationErrors(result) {
  * @param {Object} result - Validation result with cached boolean
  */
 export function logValidationSuccess(result) {
+  logValidationWarnings(result);
   console.log('✓ Configuration is valid');
   if (result.cached) {
     console.log('  (result from cache)');
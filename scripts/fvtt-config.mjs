@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * @file fvtt-config.mjs
+ * @description Container config maintenance CLI (schema migrations)
+ * @path scripts/fvtt-config.mjs
+ */
+
+/**
+ * Container config maintenance (`fvtt-config migrate`).
+ *
+ * Upgrades container-config files written for an older schema version in place:
+ * prints the steps and a diff, keeps the original as `<file>.v<N>.bak` and writes
+ * the migrated file. Files pulled in with `extends`/`include` are migrated separately.
+ *
+ * CLI usage:
+ *   node scripts/fvtt-config.mjs migrate
+ *   node scripts/fvtt-config.mjs migrate --dry-run container-config.yaml
+ *
+ * Exit codes:
+ *  0: Migrated, already current, or dry run
+ *  1: Invalid arguments, unreadable config, or config newer than the tools
+ */
+
+import { runMigrate } from './common/fvtt-config.mjs';
+import { CONFIG_SCHEMA_VERSION } from '../helpers/config-migrations.js';
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+  console.log(`Usage: fvtt-config <command> [options]
+
+Commands:
+  migrate [file...]            Upgrade config files to schemaVersion ${CONFIG_SCHEMA_VERSION}
+                               (default: container-config.* in the current directory)
+
+Options:
+  --dry-run, -n                Show the diff without writing
+  -h, --help                   Show help information
+
+The original file is kept next to it as <file>.v<N>.bak. Files the config
+extends or includes are listed when they need migrating too.
+
+Examples:
+  fvtt-config migrate --dry-run
+  fvtt-config migrate container-config.json ../team/base.json`);
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {object} Parsed options
+ */
+function parseArgs(args) {
+  const options = { command: null, files: [], dryRun: false, help: false };
+  for (const arg of args) {
+    switch (arg) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-n':
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        if (!options.command) options.command = arg;
+        else options.files.push(arg);
+    }
+  }
+  if (!options.help && options.command !== 'migrate') {
+    throw new Error(options.command ? `Unknown command: ${options.command}` : 'A command is required');
+  }
+  return options;
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('');
+    printUsage();
+    process.exit(1);
+  }
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+
+  try {
+    for (const result of runMigrate(options)) {
+      if (result.from === result.to) {
+        console.log(`${result.file}: already at schemaVersion ${result.to}`);
+      } else {
+        console.log(`${result.file}: schemaVersion ${result.from} -> ${result.to}`);
+        for (const step of result.steps) console.log(`  ${step}`);
+        for (const change of result.changes) console.log(`    ${change}`);
+        console.log(result.diff);
+        for (const warning of result.warnings) console.warn(warning);
+        console.log(result.written
+          ? `Migrated ${result.file} (backup: ${result.backup})`
+          : `Dry run: ${result.file} not changed`);
+      }
+      for (const ref of result.references) {
+        console.warn(`${ref.file} (referenced by ${result.file}) is at schemaVersion ${ref.version}; migrate it too`);
+      }
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
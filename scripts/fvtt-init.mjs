@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * @file fvtt-init.mjs
+ * @description Scaffold a new container-config.json, env files and host directories
+ * @path scripts/fvtt-init.mjs
+ */
+
+/**
+ * FoundryVTT development pod scaffolding (`fvtt-pod init`).
+ *
+ * Asks which Foundry versions to support, the system under test, the modules and the
+ * secrets mode, then writes a schema-valid container-config.json, the env files the
+ * generated services load and the host directories they bind (dist, shared/vNN,
+ * resources/vNN, foundry-cache/vNN).
+ *
+ * CLI usage:
+ *   node scripts/fvtt-init.mjs
+ *   node scripts/fvtt-init.mjs --yes --versions 13,12 --system dnd5e=https://example.com/system.json
+ *
+ * Exit codes:
+ *  0: Scaffolded (or dry run)
+ *  1: Invalid arguments, existing config without --force, or invalid answers
+ */
+
+import { runInit, INIT_DEFAULTS, INIT_SECRET_MODES } from './common/fvtt-init.mjs';
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+  console.log(`Usage: fvtt-pod init [options]
+
+Scaffold container-config.json, env files and host directories for a new dev pod.
+Prompts for anything not given as a flag unless --yes is set.
+
+Options:
+  --yes, -y                    Do not prompt; use the flags below and defaults
+  --versions <list>            Foundry versions, comma separated (default: ${INIT_DEFAULTS.versions.join(',')})
+  --system <[id=]source>       System under test: manifest URL or local path
+  --module <[id=]source>       Module: manifest URL or local path (repeatable)
+  --secrets-mode <mode>        ${INIT_SECRET_MODES.join('|')} (default: ${INIT_DEFAULTS.secretsMode})
+  --dir <path>                 Directory to scaffold (default: current directory)
+  -o, --out <file>             Config file name (default: ${INIT_DEFAULTS.configFile})
+  --force                      Overwrite an existing config file
+  --dry-run, -n                Show what would be written without writing
+  -h, --help                   Show help information
+
+Local paths below ./dist or ./foundry-cache/vNN are rewritten to the path the
+Foundry container sees (/host/dist/..., /data/container_cache/...).
+
+Examples:
+  fvtt-pod init
+  fvtt-pod init --yes --versions 13,12 \\
+    --system dnd5e=https://example.com/dnd5e/system.json \\
+    --module ./dist/my-module --secrets-mode file`);
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {object} Parsed options
+ */
+function parseArgs(args) {
+  const options = { yes: false, force: false, dryRun: false, help: false, modules: [] };
+  const value = (i, arg) => {
+    if (i + 1 >= args.length) throw new Error(`Option ${arg} requires a value`);
+    return args[i + 1];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-y':
+      case '--yes':
+        options.yes = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '-n':
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--versions':
+        options.versions = value(i++, arg);
+        break;
+      case '--system':
+        options.system = value(i++, arg);
+        break;
+      case '--module':
+        options.modules.push(value(i++, arg));
+        break;
+      case '--secrets-mode':
+        options.secretsMode = value(i++, arg);
+        break;
+      case '--dir':
+        options.dir = value(i++, arg);
+        break;
+      case '-o':
+      case '--out':
+        options.out = value(i++, arg);
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('');
+    printUsage();
+    process.exit(1);
+  }
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+
+  try {
+    const { created, warnings, commands } = await runInit(options);
+    const verb = options.dryRun ? 'Would create' : 'Created';
+    for (const file of created) console.log(`${verb} ${file}`);
+    for (const warning of warnings) console.warn(warning);
+    console.log('\nNext steps:');
+    for (const command of commands) console.log(`  ${command}`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(`Unexpected error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * @file fvtt-pod.mjs
+ * @description Dev pod CLI wrapping docker compose (up, start, down, logs, exec, ...)
+ * @path scripts/fvtt-pod.mjs
+ */
+
+/**
+ * FoundryVTT development pod access point (`fvtt-pod`).
+ *
+ * Runs docker compose (or legacy docker-compose) against compose.dev.yml after validating
+ * the container config in the current directory. `init` scaffolds a new pod instead.
+ *
+ * CLI usage:
+ *   node scripts/fvtt-pod.mjs up -d --only 13
+ *   node scripts/fvtt-pod.mjs up --wait --timeout 600
+ *   node scripts/fvtt-pod.mjs --dry-run logs -f foundry-v13
+ *   node scripts/fvtt-pod.mjs --json ps
+ *   node scripts/fvtt-pod.mjs switch 12
+ *   node scripts/fvtt-pod.mjs reset 13 --worlds --snapshot
+ *   node scripts/fvtt-pod.mjs snapshot 13 --name before-migration
+ *
+ * Exit codes:
+ *  0: Success
+ *  1: Invalid arguments, a failed compose command (its exit code when it has one) or a
+ *     service that did not become healthy or serving
+ *  2: Compose file not found or container config invalid
+ *  3: Neither docker compose nor docker-compose available
+ */
+
+import { runPodCommand, PodCommandError } from './common/fvtt-pod.mjs';
+
+/**
+ * Print usage information
+ */
+function printUsage() {
+  console.log(`Usage: fvtt-pod [options] <command> [service] [args...]
+
+Options:
+  -f, --file <compose.yml>  Path to docker compose file (default: $COMPOSE_FILE, compose.dev.yml or scripts/../compose.dev.yml)
+  --dry-run, -n             Show what docker compose commands would be executed without executing them
+  --json                    Print the result as JSON (commands run, exit codes and captured output)
+  -h, --help                Show help information
+
+Commands:
+  init [--yes] [...]  Scaffold container-config.json, env files and host directories
+                     (interactive; see init --help)
+  up [-d] [--check] [--profile NAME]... [--only VERSION|SERVICE]... [--wait [--timeout SECONDS]]
+                     Start all services (or detached with -d). --profile enables a compose
+                     profile; --only starts just the named services (13 or v13 -> foundry-v13);
+                     --check refuses to start when the compose file is stale vs container-config;
+                     --wait starts detached and blocks until every Foundry service answers HTTP
+                     (default 300s), showing its [patch] log lines meanwhile
+  start SERVICE      Start a single service (detached)
+  down               Stop and remove containers
+  restart SERVICE    Restart a service
+  build [SERVICE]    Build all or a single service
+  pull               Pull images
+  ps                 Show containers for this compose project
+  logs [-f] [SERVICE]  Show logs (use -f to follow; other options go to docker compose logs)
+  exec SERVICE [CMD] Exec a command in a running service (defaults to sh)
+  shell SERVICE      Open an interactive shell in a service (sh/ash/bash)
+  run-builder        Start the builder service (detached)
+  stop-builder       Stop the builder service
+  switch VERSION|SERVICE [--timeout SECONDS]
+                     Run only this Foundry version (13, v13, 13-lite or a service name):
+                     stop the other Foundry services, start it, wait until it is healthy
+                     (default 180s) and print its URL
+  reset VERSION|SERVICE [--all|--modules|--worlds] [--snapshot] [--yes]
+                     Wipe a Foundry service's data volume (default), or just Data/modules or
+                     Data/worlds, and start it again so the components are reinstalled.
+                     --snapshot saves a snapshot first; asks for confirmation unless --yes
+  snapshot VERSION|SERVICE [--name NAME] [--worlds|--modules|--all] [--live]
+                     Save Data/worlds (default), Data/modules or the whole data volume under
+                     snapshots/<service>/ with a manifest (Foundry version, worlds, checksums);
+                     the service is stopped meanwhile unless --live
+  snapshot list [VERSION|SERVICE]
+                     List snapshots
+  snapshot prune [VERSION|SERVICE] --keep N
+                     Delete all but the newest N snapshots of each service
+  restore VERSION|SERVICE SNAPSHOT|latest [--yes]
+                     Replace a service's data with a snapshot (id, name or latest) after
+                     verifying its checksum; asks for confirmation unless --yes
+  help               Print this help`);
+}
+
+/**
+ * Parse command line arguments. Options are read up to the command; everything after it
+ * belongs to the command.
+ * @param {string[]} args - Command line arguments
+ * @returns {{file: string|null, dryRun: boolean, json: boolean, help: boolean, command: string|null, args: string[]}} Parsed options
+ */
+function parseArgs(args) {
+  const options = { file: null, dryRun: false, json: false, help: false, command: null, args: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-f':
+      case '--file':
+        if (!args[i + 1]) throw new PodCommandError('--file requires a path');
+        options.file = args[++i];
+        break;
+      case '-n':
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '-h':
+      case '--help':
+      case 'help':
+        options.help = true;
+        return options;
+      default:
+        options.command = arg;
+        options.args = args.slice(i + 1);
+        return options;
+    }
+  }
+  return options;
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  const argv = process.argv.slice(2);
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+  if (options.help || !options.command) {
+    printUsage();
+    process.exit(0);
+  }
+
+  try {
+    const result = await runPodCommand(options.command, options.args, options);
+    if (options.json) console.log(JSON.stringify(result, null, 2));
+    process.exit(result.exitCode);
+  } catch (error) {
+    if (!(error instanceof PodCommandError)) throw error;
+    if (options.json) {
+      console.log(JSON.stringify({ ...(error.result || {}), ok: false, error: error.message, exitCode: error.exitCode }, null, 2));
+    } else {
+      console.error(error.message.startsWith('Usage:') ? error.message : `ERROR: ${error.message}`);
+      if (error.message.startsWith('Unknown command')) printUsage();
+    }
+    process.exit(error.exitCode);
+  }
+}
+
+main().catch((error) => {
+  console.error(`Unexpected error: ${error.message}`);
+  process.exit(1);
+});
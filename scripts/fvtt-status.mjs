@@ -19,7 +19,7 @@
  *
  * Options:
  *  -f, --file <compose.yml>     Path to docker compose file (auto-detected if not specified)
- *  -c, --config <config.json>   Path to container config file (default: container-config.json)
+ *  -c, --config <config>        Container config (.json/.jsonc/.yaml; default: container-config.* auto-detected)
  *  --json                       Output status in JSON format
  *  --verbose, -v                Show detailed information
  *  --dry-run, -n                Show what checks would be performed without executing them
@@ -45,7 +45,7 @@ FoundryVTT development pod status checker
 
 Options:
   -f, --file <compose.yml>     Path to docker compose file (auto-detected if not specified)
-  -c, --config <config.json>   Path to container config file (default: container-config.json)
+  -c, --config <config>        Container config (.json/.jsonc/.yaml; default: container-config.* auto-detected)
   --json                       Output status in JSON format
   --verbose, -v                Show detailed information
   --dry-run, -n                Show what checks would be performed without executing them
@@ -75,7 +75,7 @@ function parseArgs(args, opts = {}) {
   // Set default values for options if not provided
   const options = {
     composeFile: null,
-    configFile: 'container-config.json',
+    configFile: null,
     json: false,
     verbose: false,
     dryRun: false,
@@ -139,7 +139,7 @@ async function main() {
 
     // If no args, proceed with default status check
     const options = args.length === 0 ? 
-      { composeFile: null, configFile: 'container-config.json', json: false, verbose: false, dryRun: false, help: false } : 
+      { composeFile: null, configFile: null, json: false, verbose: false, dryRun: false, help: false } : 
       parseArgs(args);
 
     if (options.help) {
@@ -21,10 +21,42 @@ const FETCH_STAGGER_ENV = gcConst.fetchStaggerEnv || 'FETCH_STAGGER_SECONDS';
 const VERSION_PLACEHOLDER = gcConst.versionPlaceholder || '{version}';
 const DEFAULT_SECRET_TARGET = gcConst.defaultSecretTarget || 'config.json';
 const SECRET_BASE_NAME = gcConst.secretBaseName || 'config_json';
-const SECRET_PROVIDER_SUFFIX = Object.freeze(gcConst.secretProviderSuffix || { gcp: 'gcp', azure: 'azure', aws: 'aws' });
-const SECRET_MODES = Object.freeze(gcConst.secretModes || [ 'file', 'external', 'gcp', 'azure', 'aws', 'none', 'auto' ]);
+const SECRET_PROVIDER_SUFFIX = Object.freeze(gcConst.secretProviderSuffix || { gcp: 'gcp', azure: 'azure', aws: 'aws', vault: 'vault', sops: 'sops', age: 'age' });
+const SECRET_MODES = Object.freeze(gcConst.secretModes || [ 'file', 'external', 'gcp', 'azure', 'aws', 'vault', 'sops', 'age', 'none', 'auto' ]);
+const SECRET_PAYLOAD_FIELDS = Object.freeze(gcConst.secretPayloadFields || [
+  'foundry_username', 'foundry_password', 'foundry_license_key', 'foundry_admin_key', 'foundry_password_salt'
+]);
 const FETCH_STAGGER_DEFAULTS = Object.freeze(gcDefaults.fetchStaggerDefaults || { high: 4, mid: 2, none: 0 });
 const DEFAULT_BUILDER = Object.freeze(gcDefaults.defaultBuilder || { image: 'node:20-alpine', enabled: true });
+const HEALTHCHECK_DEFAULTS = Object.freeze(gcDefaults.healthcheck || {
+  path: '/api/status',
+  interval: '30s',
+  timeout: '5s',
+  retries: 5,
+  start_period: '120s'
+});
+
+const RESTART_DEFAULT = gcDefaults.restart || 'unless-stopped';
+const RESOURCE_DEFAULTS = Object.freeze(gcDefaults.resources || {
+  limits: { memory: '2g', cpus: 2 },
+  reservations: { memory: '512m' }
+});
+
+const VARIANT_PORT_STEP = gcDefaults.variantPortStep || 100;
+
+const PROXY_PROVIDERS = Object.freeze(gcConst.proxyProviders || [ 'traefik', 'caddy' ]);
+const PROXY_URL_LABEL = gcConst.proxyUrlLabel || 'foundryvtt-dev-pod.url';
+const PROXY_DEFAULTS = Object.freeze(gcDefaults.proxy || {
+  provider: 'traefik',
+  hostname: 'v{version}.foundry.localhost',
+  entrypoint: 'web',
+  caddyfile: 'Caddyfile',
+  service: { enabled: false, port: 80, images: { traefik: 'traefik:v3.1', caddy: 'caddy:2-alpine' } }
+});
+
+const OUTPUT_FORMATS = Object.freeze(gcConst.outputFormats || [ 'compose', 'kube' ]);
+const KUBE_DEFAULTS = Object.freeze(gcDefaults.kube || { pvcSize: '5Gi' });
+const DEVCONTAINER_DEFAULTS = Object.freeze(gcDefaults.devcontainer || { file: '.devcontainer/devcontainer.json', name: 'FoundryVTT dev pod' });
 
 // Timeout (ms) for cloud CLI secret retrieval commands (gcloud/az/aws)
 // Environment override: COMPOSE_SECRETS_CLI_TIMEOUT_MS
@@ -44,13 +76,23 @@ const PATHS = Object.freeze(gcConst.paths || {
   resourcesBase: './resources',
   resourcesTarget: '/host/resources',
   cacheBase: './foundry-cache',
-  cacheTarget: '/data/container_cache'
+  cacheTarget: '/data/container_cache',
+  yamlParserTarget: '/node_modules/js-yaml'
 });
 
 const argsFallbacks = gcDefaults.argsFallbacks || {
   config: 'container-config.json',
   out: '',
   dryRun: false,
+  diff: false,
+  check: false,
+  checkTarget: 'compose.dev.yml',
+  autoPort: false,
+  initEnv: false,
+  watch: false,
+  up: false,
+  format: 'compose',
+  devcontainer: false,
   secretsMode: 'auto',
   secretsFile: './secrets.json',
   secretsExternalName: '',
@@ -61,6 +103,11 @@ const argsFallbacks = gcDefaults.argsFallbacks || {
   secretsAzureSecret: '',
   secretsAwsRegion: '',
   secretsAwsSecret: '',
+  secretsVaultAddr: '',
+  secretsVaultPath: '',
+  secretsVaultField: '',
+  secretsEncryptedFile: './secrets.enc.json',
+  secretsAgeIdentity: '',
   secretsCliTimeout: ''
 };
 
@@ -76,8 +123,19 @@ export {
   SECRET_BASE_NAME,
   SECRET_PROVIDER_SUFFIX,
   SECRET_MODES,
+  SECRET_PAYLOAD_FIELDS,
   FETCH_STAGGER_DEFAULTS,
   DEFAULT_BUILDER,
+  HEALTHCHECK_DEFAULTS,
+  RESTART_DEFAULT,
+  RESOURCE_DEFAULTS,
+  VARIANT_PORT_STEP,
+  PROXY_PROVIDERS,
+  PROXY_URL_LABEL,
+  PROXY_DEFAULTS,
+  OUTPUT_FORMATS,
+  KUBE_DEFAULTS,
+  DEVCONTAINER_DEFAULTS,
   SECRET_CLI_TIMEOUT_MS,
   PATHS,
   argsFallbacks
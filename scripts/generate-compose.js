@@ -1,28 +1,44 @@
 #!/usr/bin/env node
 /**
  * @file generate-compose.js
- * @description Generate docker compose YAML from a JSON config
+ * @description Generate docker compose YAML from a JSON, JSONC or YAML config
  * @path scripts/generate-compose.js
  */
 
 /**
  * Generate docker compose YAML from a JSON config.
  *
+ * Configs may be JSON, JSON with comments/trailing commas, or YAML (`.yaml`/`.yml`);
+ * see `helpers/config-loader.js`.
+ *
  * Supports two input shapes:
  * 1) Container config (recommended): `container-config.json` - the single source of truth used by runtime patches
  * 2) Advanced compose config: `compose.config.json` - direct control over services with explicit fields
  *
+ * Programmatic use: `generateCompose({ config | configPath, secrets, overrides, format })` returns
+ * `{ compose, yaml, warnings }` and throws typed errors instead of exiting (also exported
+ * from the package entry point). The CLI below is a thin wrapper around it.
+ *
  * CLI usage (zsh):
  *   node scripts/generate-compose.js -c container-config.json -o compose.dev.yml
  *   node scripts/generate-compose.js --print
  *   node scripts/generate-compose.js --dry-run
  *
  * Options:
- *  -c, --config <file>     Path to config file (default: container-config.json)
+ *  -c, --config <file>     Path to config file (default: container-config.{json,jsonc,yaml,yml})
  *  -o, --out <file>        Output file path (omit for stdout)
  *  --print                 Print to stdout (same as omitting -o)
  *  --dry-run, -n           Show what would be done without writing files
- *  --secrets-mode <mode>   Secrets mode: file|external|gcp|azure|aws|none (default: auto)
+ *  --diff                  Compare with the existing output file (-o, default compose.dev.yml), print a semantic diff, exit 1 if stale
+ *  --check                 Like --diff but only print a one-line summary (for pre-commit hooks)
+ *  --auto-port             Move services whose host port collides (or is bound on the host) to the next free port
+ *  --init-env              Create missing env files referenced by the services (./env/.env, ./env/.vNN.env) and exit
+ *  --watch                 Keep running: regenerate -o atomically when the config or a referenced env file changes
+ *  --up                    With --watch: run `fvtt-pod up -d` for the services that changed
+ *  --format <format>       Output format: compose|kube (default: compose); kube emits Deployments, Services,
+ *                          PVCs, Secrets and ConfigMaps for `kubectl apply -f` or `podman kube play`
+ *  --devcontainer          Also write .devcontainer/devcontainer.json next to -o (attaches VS Code to the builder)
+ *  --secrets-mode <mode>   Secrets mode: file|external|gcp|azure|aws|vault|sops|age|none (default: auto)
  *  --secrets-file <file>   File mode: path to secrets file (default: ./secrets.json)
  *  --secrets-external <name> External mode: external secret name
  *  --secrets-target <path> Target path in container (default: config.json)
@@ -32,6 +48,11 @@
  *  --secrets-azure-secret <secret> Azure mode: Secret name in Key Vault
  *  --secrets-aws-region <region>   AWS mode: AWS region
  *  --secrets-aws-secret <secret>   AWS mode: Secrets Manager secret name
+ *  --secrets-vault-addr <url>      Vault mode: Vault address (default: $VAULT_ADDR)
+ *  --secrets-vault-path <path>     Vault mode: KV API path below /v1 (KV v2: <mount>/data/<name>)
+ *  --secrets-vault-field <field>   Vault mode: single field to use (default: whole secret as JSON)
+ *  --secrets-encrypted-file <file> sops/age mode: encrypted secrets file (default: ./secrets.enc.json)
+ *  --secrets-age-identity <file>   age mode: identity (private key) file (default: $SOPS_AGE_KEY_FILE)
  *  --secrets-cli-timeout <ms>      Timeout (ms) for cloud secrets CLI calls (default: 8000)
  *
  * Environment overrides (container-config mode):
@@ -39,7 +60,8 @@
  *  - COMPOSE_USER: User string for services (default: 0:0)
  *  - COMPOSE_BUILDER_ENABLED: When not '0', include builder service (default: enabled)
  *  - COMPOSE_BUILDER_IMAGE: Builder image (default: node:20-alpine)
- *  - COMPOSE_SECRETS_MODE: Secrets mode (file|external|gcp|azure|aws|none, default: auto)
+ *  - COMPOSE_FORMAT: Output format (compose|kube, default: compose)
+ *  - COMPOSE_SECRETS_MODE: Secrets mode (file|external|gcp|azure|aws|vault|sops|age|none, default: auto)
  *  - COMPOSE_SECRETS_FILE: Path to secrets file (default: ./secrets.json)
  *  - COMPOSE_SECRETS_EXTERNAL_NAME: External secret name
  *  - COMPOSE_SECRETS_TARGET: Target path in container (default: config.json)
@@ -49,12 +71,26 @@
  *  - COMPOSE_SECRETS_AZURE_SECRET: Secret name in Key Vault for Azure mode
  *  - COMPOSE_SECRETS_AWS_REGION: AWS region for AWS mode
  *  - COMPOSE_SECRETS_AWS_SECRET: Secrets Manager secret name for AWS mode
+ *  - COMPOSE_SECRETS_VAULT_ADDR / _PATH / _FIELD: Vault mode settings (token from VAULT_TOKEN or ~/.vault-token)
+ *  - COMPOSE_SECRETS_ENCRYPTED_FILE: Encrypted secrets file for sops/age mode
+ *  - COMPOSE_SECRETS_AGE_IDENTITY: age identity file for age mode (falls back to SOPS_AGE_KEY_FILE)
  *
  * Defaults (container-config mode):
  *  - Service name: foundry-v<NN>, dir: v<NN>, port: 30000+<NN>
  *  - Image tag: numeric version unless tag template provided
  *  - FETCH_STAGGER_SECONDS: v13=4, v12=2, else 0
+ *  - Healthcheck: HTTP probe of /api/status on the container port (see config/defaults.yaml)
+ *  - Restart policy and deploy.resources limits/reservations (see config/defaults.yaml)
+ *  - Variants (`versions.<NN>.variants.<name>`): extra service <version name>-<name>, port +100 per variant,
+ *    same dirs/tag/env file as the version unless overridden, FOUNDRY_VARIANT=<name> for the installer
+ *  - Reverse proxy (optional `composition.proxy`): Traefik labels or a generated Caddyfile per version hostname
+ *  - Networks (optional `composition.networks`): named networks joined through `networks` in version_params,
+ *    composition_params or builder; services without networks stay on the compose default network
+ *  - Env files: ./env/.env then ./env/.<envSuffix>.env; missing files, repeated or overridden keys and keys the
+ *    generator injects (FETCH_STAGGER_SECONDS, ...) are reported as warnings (see `helpers/env-files.js`)
  *  - Binds mirror static compose: config file, dist, patches, shared, resources, and cache
+ *  - Devcontainer (`--devcontainer`): compose file + builder service, every Foundry host port forwarded with a
+ *    "Foundry v<NN>" label, postCreateCommand = the install step of the builder command (`npm ci`)
  *
  * @module scripts/generate-compose
  */
@@ -67,12 +103,25 @@
  * @property {string} versionDir Directory suffix like "v13"
  * @property {string} [envSuffix] Suffix for env file selection (default: `versionDir`)
  * @property {number} [fetchStaggerSeconds] Delay before network fetch to avoid 429s
+ * @property {HealthcheckParams} [healthcheck] Healthcheck overrides for this service
+ * @property {string[]} [profiles] Compose profiles the service belongs to
+ */
+
+/**
+ * @typedef {Object} HealthcheckParams
+ * @property {boolean} [enabled] Set to false to omit the healthcheck (default: true)
+ * @property {string} [path] HTTP path probed on the in-container Foundry port (default: /api/status)
+ * @property {string} [interval] Compose duration between probes (default: 30s)
+ * @property {string} [timeout] Compose duration before a probe counts as failed (default: 5s)
+ * @property {number} [retries] Consecutive failures before the service is unhealthy (default: 5)
+ * @property {string} [start_period] Grace period for downloads/installs on first boot (default: 120s)
  */
 
 /**
  * @typedef {Object} ComposeBuilder
  * @property {string} [image] Builder image (default: node:20-alpine)
  * @property {boolean} [enabled] Whether builder service is included (default: true)
+ * @property {string[]} [profiles] Compose profiles the builder belongs to (default: none, always started)
  */
 
 /**
@@ -81,6 +130,7 @@
  * @property {string} [user] Service user (default: 0:0)
  * @property {Array<ComposeVersionEntry>} versions List of services to generate
  * @property {ComposeBuilder} [builder] Optional builder service configuration
+ * @property {HealthcheckParams} [healthcheck] Healthcheck defaults applied to every version entry
  */
 
 /**
@@ -122,8 +172,19 @@ import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import { execFileSync } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
 import yaml from 'js-yaml';
-import { validateConfig } from './validate-config.js';
+import { ConfigValidator, attributeConfigErrors } from '../helpers/config-validator.js';
+import { loadComposedConfig, findConfigFile, detectConfigFormat, ConfigParseError, CONFIG_COMPOSITION_KEYS } from '../helpers/config-loader.js';
+import { diffCompose, formatComposeDiff } from '../helpers/compose-diff.js';
+import { findPortsInUseSync, hostPortOf } from '../helpers/port-probe.js';
+import { resolveVaultToken, readVaultSecretSync } from '../helpers/vault-client.js';
+import { validateEnvFiles, initEnvFiles } from '../helpers/env-files.js';
+import { writeFileAtomic, watchCompose } from '../helpers/compose-watch.js';
+import { composeToKube, formatKubeYaml } from '../helpers/compose-to-kube.js';
+import { VARIANT_ENV, listVariants, resolveVariantConfig } from '../patches/common/helpers/variants.mjs';
+import { TEMPLATE_VARS_ENV, TemplateError, resolveTemplate, resolveTemplates, checkTemplateVariables, listComponentTemplates, listInstallTemplates, templateVariablesOf } from '../patches/common/helpers/templateVars.mjs';
 
 import {
   FALLBACK_IMAGE,
@@ -135,8 +196,19 @@ import {
   SECRET_BASE_NAME,
   SECRET_PROVIDER_SUFFIX,
   SECRET_MODES,
+  SECRET_PAYLOAD_FIELDS,
   FETCH_STAGGER_DEFAULTS,
   DEFAULT_BUILDER,
+  HEALTHCHECK_DEFAULTS,
+  RESTART_DEFAULT,
+  RESOURCE_DEFAULTS,
+  VARIANT_PORT_STEP,
+  PROXY_PROVIDERS,
+  PROXY_URL_LABEL,
+  PROXY_DEFAULTS,
+  OUTPUT_FORMATS,
+  KUBE_DEFAULTS,
+  DEVCONTAINER_DEFAULTS,
   SECRET_CLI_TIMEOUT_MS,
   PATHS,
   argsFallbacks
@@ -168,6 +240,14 @@ function parseArgs(argv) {
     config: argsFallbacks.config,
     out: argsFallbacks.out,
     dryRun: argsFallbacks.dryRun,
+    diff: argsFallbacks.diff,
+    check: argsFallbacks.check,
+    autoPort: argsFallbacks.autoPort,
+    initEnv: argsFallbacks.initEnv,
+    watch: argsFallbacks.watch,
+    up: argsFallbacks.up,
+    format: process.env.COMPOSE_FORMAT || argsFallbacks.format,
+    devcontainer: argsFallbacks.devcontainer,
     secretsMode: process.env.COMPOSE_SECRETS_MODE || argsFallbacks.secretsMode,
     secretsFile: process.env.COMPOSE_SECRETS_FILE || argsFallbacks.secretsFile,
     secretsExternalName: process.env.COMPOSE_SECRETS_EXTERNAL_NAME || argsFallbacks.secretsExternalName,
@@ -178,6 +258,11 @@ function parseArgs(argv) {
     secretsAzureSecret: process.env.COMPOSE_SECRETS_AZURE_SECRET || argsFallbacks.secretsAzureSecret,
     secretsAwsRegion: process.env.COMPOSE_SECRETS_AWS_REGION || argsFallbacks.secretsAwsRegion,
     secretsAwsSecret: process.env.COMPOSE_SECRETS_AWS_SECRET || argsFallbacks.secretsAwsSecret,
+    secretsVaultAddr: process.env.COMPOSE_SECRETS_VAULT_ADDR || process.env.VAULT_ADDR || argsFallbacks.secretsVaultAddr,
+    secretsVaultPath: process.env.COMPOSE_SECRETS_VAULT_PATH || argsFallbacks.secretsVaultPath,
+    secretsVaultField: process.env.COMPOSE_SECRETS_VAULT_FIELD || argsFallbacks.secretsVaultField,
+    secretsEncryptedFile: process.env.COMPOSE_SECRETS_ENCRYPTED_FILE || argsFallbacks.secretsEncryptedFile,
+    secretsAgeIdentity: process.env.COMPOSE_SECRETS_AGE_IDENTITY || process.env.SOPS_AGE_KEY_FILE || argsFallbacks.secretsAgeIdentity,
     secretsCliTimeout: process.env.COMPOSE_SECRETS_CLI_TIMEOUT_MS || argsFallbacks.secretsCliTimeout
   };
   for (let i = 2; i < argv.length; i++) {
@@ -186,6 +271,14 @@ function parseArgs(argv) {
     else if ((a === '-o' || a === '--out') && argv[i + 1]) args.out = argv[++i];
     else if (a === '--print') args.out = '';
     else if (a === '--dry-run' || a === '-n') args.dryRun = true;
+    else if (a === '--diff') args.diff = true;
+    else if (a === '--check') args.check = true;
+    else if (a === '--auto-port') args.autoPort = true;
+    else if (a === '--init-env') args.initEnv = true;
+    else if (a === '--watch') args.watch = true;
+    else if (a === '--up') args.up = true;
+    else if (a === '--format' && argv[i + 1]) args.format = argv[++i];
+    else if (a === '--devcontainer') args.devcontainer = true;
     else if (a === '--secrets-mode' && argv[i + 1]) args.secretsMode = argv[++i];
     else if (a === '--secrets-file' && argv[i + 1]) args.secretsFile = argv[++i];
     else if (a === '--secrets-external' && argv[i + 1]) args.secretsExternalName = argv[++i];
@@ -196,6 +289,11 @@ function parseArgs(argv) {
     else if (a === '--secrets-azure-secret' && argv[i + 1]) args.secretsAzureSecret = argv[++i];
     else if (a === '--secrets-aws-region' && argv[i + 1]) args.secretsAwsRegion = argv[++i];
     else if (a === '--secrets-aws-secret' && argv[i + 1]) args.secretsAwsSecret = argv[++i];
+    else if (a === '--secrets-vault-addr' && argv[i + 1]) args.secretsVaultAddr = argv[++i];
+    else if (a === '--secrets-vault-path' && argv[i + 1]) args.secretsVaultPath = argv[++i];
+    else if (a === '--secrets-vault-field' && argv[i + 1]) args.secretsVaultField = argv[++i];
+    else if (a === '--secrets-encrypted-file' && argv[i + 1]) args.secretsEncryptedFile = argv[++i];
+    else if (a === '--secrets-age-identity' && argv[i + 1]) args.secretsAgeIdentity = argv[++i];
     else if (a === '--secrets-cli-timeout' && argv[i + 1]) args.secretsCliTimeout = argv[++i];
   }
   return args;
@@ -315,13 +413,14 @@ function applyVersionTemplate(template, version) { if (typeof template !== 'stri
  * Build base volume mount array used by generated services.
  * @param {string} name Service/container name (used for named data volume)
  * @param {string} dir Version directory (e.g. v13)
+ * @param {Object} [configBind] Container-config bind (default: container-config.json, see `buildConfigMount`)
  * @returns {Array<string|Object>} Docker compose volume spec entries
  * @export
  */
-function buildBaseVolumeMounts(name, dir) {
+function buildBaseVolumeMounts(name, dir, configBind = buildConfigMount().bind) {
 	return [
 		`${name}-data:/data`,
-		{ type: 'bind', source: PATHS.configFileSource, target: PATHS.configFileTarget, read_only: true },
+		configBind,
 		{ type: 'bind', source: PATHS.distSource, target: PATHS.distTarget, read_only: true },
 		{ type: 'bind', source: PATHS.patchesSource, target: PATHS.patchesTarget },
 		{ type: 'bind', source: `${PATHS.sharedBase}/${dir}`, target: PATHS.sharedTarget, read_only: false },
@@ -329,6 +428,47 @@ function buildBaseVolumeMounts(name, dir) {
 		{ type: 'bind', source: `${PATHS.cacheBase}/${dir}`, target: PATHS.cacheTarget }
 	];
 }
+/**
+ * Resolve how the container-config file is mounted into Foundry services.
+ * JSON configs keep the historical `container-config.json` bind. JSONC/YAML configs are mounted
+ * under their own name with `CONTAINER_CONFIG_PATH` pointing at them; YAML additionally mounts
+ * js-yaml so the dependency-free patch loader can parse it. Files pulled in with `extends`/`include`
+ * are mounted below the same directory, keeping their layout relative to the main config so the
+ * in-container loader resolves the same references. Bind sources are relative to the compose file's
+ * directory, which is where compose resolves them.
+ * @param {string} [configPath] Path of the config file used for generation
+ * @param {string[]} [configFiles] Every file of a composed config (see `loadComposedConfig`)
+ * @param {string} [baseDir] Directory the compose file will live in (default: the config's directory)
+ * @returns {{bind:Object, volumes:Array<Object>, environment:string[]}} Config bind, extra binds, env entries
+ * @export
+ */
+function buildConfigMount(configPath, configFiles = [], baseDir) {
+	const bind = { type: 'bind', source: PATHS.configFileSource, target: PATHS.configFileTarget, read_only: true };
+	const base = configPath ? path.basename(configPath) : '';
+	const mainFile = configPath ? path.resolve(configPath) : '';
+	const included = configFiles.map(file => path.resolve(file)).filter(file => file !== mainFile);
+	if (!base || (path.extname(base).toLowerCase() === '.json' && !included.length)) return { bind, volumes: [], environment: [] };
+	const outside = (dir, file) => { const rel = path.relative(dir, file); return rel === '..' || rel.startsWith(`..${path.sep}`); };
+	let root = path.dirname(mainFile);
+	for (const file of included) while (outside(root, file)) root = path.dirname(root);
+	const targetOf = (file) => path.posix.join(path.posix.dirname(PATHS.configFileTarget), ...path.relative(root, file).split(path.sep));
+	const composeDir = path.resolve(baseDir || path.dirname(mainFile));
+	const sourceOf = (file) => {
+		const rel = path.relative(composeDir, file).split(path.sep).join('/');
+		return rel.startsWith('.') ? rel : `./${rel}`;
+	};
+	const target = targetOf(mainFile);
+	const volumes = included.map(file => ({ type: 'bind', source: sourceOf(file), target: targetOf(file), read_only: true }));
+	if ([ mainFile, ...included ].some(file => detectConfigFormat(file) === 'yaml')) {
+		const yamlDir = path.dirname(createRequire(import.meta.url).resolve('js-yaml/package.json'));
+		volumes.push({ type: 'bind', source: sourceOf(yamlDir), target: PATHS.yamlParserTarget, read_only: true });
+	}
+	return {
+		bind: { ...bind, source: sourceOf(mainFile), target },
+		volumes,
+		environment: target === PATHS.configFileTarget ? [] : [ `CONTAINER_CONFIG_PATH=${target}` ]
+	};
+}
 /**
  * Generate ordered env file list for a service.
  * @param {string} envSuffix Version/env specific suffix (e.g. v13)
@@ -337,6 +477,55 @@ function buildBaseVolumeMounts(name, dir) {
  * @export
  */
 function envFiles(envSuffix, extra = []) { return [ './env/.env', `./env/.${envSuffix}.env`, ...extra ]; }
+/**
+ * Build a compose healthcheck that probes Foundry over HTTP inside the container.
+ * Layers are merged over `HEALTHCHECK_DEFAULTS` in order (later wins); `enabled: false` omits the check.
+ * @param {...(HealthcheckParams|undefined)} layers Partial settings (e.g. version_params, composition_params)
+ * @returns {Object|undefined} Compose healthcheck spec, or undefined when disabled
+ * @export
+ */
+function buildHealthcheck(...layers) {
+  const settings = Object.assign({}, HEALTHCHECK_DEFAULTS, ...layers.filter(l => l && typeof l === 'object'));
+  if (settings.enabled === false) return undefined;
+  // An empty or null path probes the root
+  const probe = String(settings.path || '/');
+  const probePath = probe.startsWith('/') ? probe : `/${probe}`;
+  return {
+    test: [ 'CMD-SHELL', `wget -q -O /dev/null http://127.0.0.1:${BASE_PORT}${probePath} || exit 1` ],
+    interval: settings.interval,
+    timeout: settings.timeout,
+    retries: settings.retries,
+    start_period: settings.start_period
+  };
+}
+/**
+ * Build compose `deploy.resources` (limits/reservations) merged over `RESOURCE_DEFAULTS`.
+ * Layers merge per section and key (later wins); a null value drops that key, and
+ * `enabled: false` (unless re-enabled by a later layer) omits resources entirely.
+ * @param {...(Object|undefined)} layers Partial settings (e.g. version_params, composition_params)
+ * @returns {Object|undefined} `{ limits?, reservations? }`, or undefined when disabled or empty
+ * @export
+ */
+function buildResources(...layers) {
+  const present = layers.filter(l => l && typeof l === 'object');
+  if (present.map(l => l.enabled).filter(v => v !== undefined).pop() === false) return undefined;
+  const resources = {};
+  for (const section of [ 'limits', 'reservations' ]) {
+    const merged = Object.assign({}, RESOURCE_DEFAULTS[section], ...present.map(l => l[section]));
+    const kept = Object.fromEntries(Object.entries(merged).filter(([, v]) => v !== null && v !== undefined));
+    if (Object.keys(kept).length) resources[section] = kept;
+  }
+  return Object.keys(resources).length ? resources : undefined;
+}
+/**
+ * Resolve the restart policy: the last defined layer wins over `RESTART_DEFAULT`.
+ * @param {...(string|undefined)} layers Restart values (e.g. version_params, composition_params)
+ * @returns {string} Compose restart policy
+ * @export
+ */
+function resolveRestart(...layers) {
+  return layers.filter(l => typeof l === 'string' && l !== '').pop() || RESTART_DEFAULT;
+}
 /**
  * Create a Foundry service compose spec object.
  * Adds volumes, ports, env files, and secrets reference.
@@ -352,22 +541,44 @@ function envFiles(envSuffix, extra = []) { return [ './env/.env', `./env/.${envS
  * @param {Array<string>} [opts.extraEnv] Additional env key=value pairs
  * @param {Array<string>} [opts.extraEnvFiles] Additional env file paths
  * @param {Array<string|Object>} [opts.extraVolumes] Extra volume specs
+ * @param {Object} [opts.healthcheck] Compose healthcheck spec (see `buildHealthcheck`)
+ * @param {string[]} [opts.profiles] Compose profiles (omitted when empty so the service always starts)
+ * @param {Object} [opts.configMount] Config mount from `buildConfigMount` (default: container-config.json)
+ * @param {Object<string,string>} [opts.labels] Compose labels (e.g. reverse proxy routing)
+ * @param {string} [opts.variant] Variant name, exported to the installer as `FOUNDRY_VARIANT`
+ * @param {Object} [opts.templateVars] `{ name, port, dir }` for component templates, exported as `FOUNDRY_TEMPLATE_VARS`
+ * @param {string} [opts.restart] Compose restart policy
+ * @param {Object} [opts.resources] Compose `deploy.resources` (from `buildResources`)
+ * @param {string[]} [opts.networks] Networks the service joins (omitted when empty: compose default network)
  * @returns {Object} Compose service spec
  * @export
  */
 function createFoundryService(opts) {
-	const { name, dir, image, user, port, fetchStagger, secretsRef = [], envSuffix, extraEnv = [], extraEnvFiles = [], extraVolumes = [] } = opts;
-  return {
+	const { name, dir, image, user, port, fetchStagger, secretsRef = [], envSuffix, extraEnv = [], extraEnvFiles = [], extraVolumes = [], healthcheck, profiles = [], configMount = buildConfigMount(), labels, variant, templateVars, restart, resources, networks = [] } = opts;
+  const service = {
     image,
     container_name: name,
     hostname: name,
     user: `${user}`,
+    ...(restart ? { restart } : {}),
     ports: [ `${port}:${BASE_PORT}` ],
-    volumes: [ ...buildBaseVolumeMounts(name, dir), ...extraVolumes ],
+    volumes: [ ...buildBaseVolumeMounts(name, dir, configMount.bind), ...configMount.volumes, ...extraVolumes ],
     secrets: secretsRef,
     env_file: envFiles(envSuffix, extraEnvFiles),
-    environment: [ `${FETCH_STAGGER_ENV}=${fetchStagger}`, ...extraEnv ]
+    environment: [
+      `${FETCH_STAGGER_ENV}=${fetchStagger}`,
+      ...(variant ? [ `${VARIANT_ENV}=${variant}` ] : []),
+      ...(templateVars ? [ `${TEMPLATE_VARS_ENV}=${JSON.stringify(templateVars)}` ] : []),
+      ...configMount.environment,
+      ...extraEnv
+    ]
   };
+  if (healthcheck) service.healthcheck = healthcheck;
+  if (resources) service.deploy = { resources };
+  if (profiles.length) service.profiles = profiles;
+  if (networks.length) service.networks = networks;
+  if (labels && Object.keys(labels).length) service.labels = labels;
+  return service;
 }
 /**
  * Build experimental provider warning prefix.
@@ -383,16 +594,20 @@ function experimentalWarning(provider) {
 
 /**
  * Resolve secrets configuration based on CLI/environment options.
- * Supports file, external, gcp, azure, aws and none modes (auto-detect when possible).
+ * Supports file, external, gcp, azure, aws, vault, sops, age and none modes (auto-detect when possible;
+ * sops and age must be selected explicitly). Decrypted sops/age payloads are validated before use.
  * Returns top-level compose secrets map plus per-service reference array.
  * @param {Object} opts Parsed args/environment settings
  * @param {Function} retrieveGcpSecretFn Injection for testing (GCP secret getter)
  * @param {Function} retrieveAzureSecretFn Injection for testing (Azure secret getter)
  * @param {Function} retrieveAwsSecretFn Injection for testing (AWS secret getter)
+ * @param {Function} retrieveVaultSecretFn Injection for testing (Vault secret getter)
+ * @param {Function} decryptSopsSecretFn Injection for testing (sops decryption)
+ * @param {Function} decryptAgeSecretFn Injection for testing (age decryption)
  * @returns {{topLevel:Object, serviceRef:Array<Object>}} Secrets configuration result
  * @export
  */
-function resolveSecrets(opts, retrieveGcpSecretFn = retrieveGcpSecret, retrieveAzureSecretFn = retrieveAzureSecret, retrieveAwsSecretFn = retrieveAwsSecret) {
+function resolveSecrets(opts, retrieveGcpSecretFn = retrieveGcpSecret, retrieveAzureSecretFn = retrieveAzureSecret, retrieveAwsSecretFn = retrieveAwsSecret, retrieveVaultSecretFn = retrieveVaultSecret, decryptSopsSecretFn = decryptSopsSecret, decryptAgeSecretFn = decryptAgeSecret) {
   const mode = (opts.secretsMode || 'auto').toLowerCase();
   if (!SECRET_MODES.includes(mode)) throw new Error(`Unknown secrets mode: ${mode}`);
   if (mode === 'none') return { topLevel: {}, serviceRef: [] };
@@ -468,6 +683,40 @@ function resolveSecrets(opts, retrieveGcpSecretFn = retrieveGcpSecret, retrieveA
       throw new Error(`Failed to retrieve AWS secret: ${error.message}`);
     }
   }
+
+  if (mode === 'vault' || (mode === 'auto' && opts.secretsVaultAddr && opts.secretsVaultPath)) {
+    const secretName = `${SECRET_BASE_NAME}_${SECRET_PROVIDER_SUFFIX.vault}`;
+    try {
+      const secretContent = retrieveVaultSecretFn(opts.secretsVaultAddr, opts.secretsVaultPath, opts.secretsVaultField);
+      const vaultSecretFile = createSecretTempFile(SECRET_PROVIDER_SUFFIX.vault, secretContent);
+      return {
+        topLevel: { [secretName]: { file: vaultSecretFile } },
+        serviceRef: [ { source: secretName, target } ],
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve Vault secret: ${error.message}`);
+    }
+  }
+
+  if (mode === 'sops' || mode === 'age') {
+    const suffix = SECRET_PROVIDER_SUFFIX[mode];
+    const secretName = `${SECRET_BASE_NAME}_${suffix}`;
+    const encryptedFile = opts.secretsEncryptedFile || argsFallbacks.secretsEncryptedFile;
+    let secretContent;
+    try {
+      secretContent = mode === 'sops'
+        ? decryptSopsSecretFn(encryptedFile)
+        : decryptAgeSecretFn(encryptedFile, opts.secretsAgeIdentity);
+    } catch (error) {
+      throw new Error(`Failed to decrypt ${mode} secrets: ${error.message}`);
+    }
+    // Reject a malformed payload here rather than at Foundry startup inside the container
+    validateSecretsPayload(secretContent, `Decrypted ${encryptedFile}`);
+    return {
+      topLevel: { [secretName]: { file: createSecretTempFile(suffix, secretContent) } },
+      serviceRef: [ { source: secretName, target } ],
+    };
+  }
   // fallthrough to unified secrets logic below
   // No other modes matched; default to file mode fallback using provided secretsFile
   if (opts.secretsFile) {
@@ -544,6 +793,130 @@ function retrieveAwsSecret(region, secretName, execFn = execFileSync) {
   }
 }
 
+/**
+ * Read a secret from HashiCorp Vault (KV v1 or v2) with token auth.
+ * The token comes from `VAULT_TOKEN` or `~/.vault-token`; the read runs synchronously
+ * through `readVaultSecretSync` bounded by the secrets CLI timeout.
+ * @param {string} addr Vault address (e.g. https://vault.example.com:8200)
+ * @param {string} secretPath KV API path below /v1 (KV v2: `<mount>/data/<name>`)
+ * @param {string} [field] Single field to return (default: whole secret as JSON)
+ * @param {Function} [readFn=readVaultSecretSync] Injectable reader for tests
+ * @returns {string} Secret value
+ * @export
+ */
+function retrieveVaultSecret(addr, secretPath, field, readFn = readVaultSecretSync) {
+  if (typeof addr !== 'string' || !addr.trim()) throw new Error('Vault address must be a non-empty string (--secrets-vault-addr or VAULT_ADDR)');
+  if (typeof secretPath !== 'string' || !secretPath.trim()) throw new Error('Vault secret path must be a non-empty string');
+  const a = addr.trim();
+  const p = secretPath.trim();
+  const token = resolveVaultToken();
+  if (!token) throw new Error('no Vault token found (set VAULT_TOKEN or run `vault login` to create ~/.vault-token)');
+  try {
+    return readFn({ addr: a, path: p, field: field || undefined, token, namespace: process.env.VAULT_NAMESPACE }, { timeout: getSecretsCliTimeoutMs() });
+  } catch (err) {
+    throw new Error(`Vault secret retrieval failed (addr=${a}, path=${p}): ${err.message}`);
+  }
+}
+
+/**
+ * Resolve an encrypted secrets file path, failing early when it does not exist.
+ * @param {string} filePath Encrypted file path
+ * @returns {string} Absolute path
+ */
+function requireEncryptedFile(filePath) {
+  if (typeof filePath !== 'string' || !filePath.trim()) throw new Error('encrypted secrets file must be a non-empty string');
+  const abs = path.resolve(filePath.trim());
+  if (!fs.existsSync(abs)) throw new Error(`encrypted secrets file not found: ${abs}`);
+  return abs;
+}
+
+/**
+ * Reason for a failed decryption command: a missing binary, else the tool's stderr.
+ * @param {string} tool Command name
+ * @param {Error} err Error thrown by the exec function
+ * @returns {string} Human readable reason
+ */
+function decryptFailureReason(tool, err) {
+  if (err.code === 'ENOENT') return `${tool} is not installed or not on PATH`;
+  const stderr = err.stderr ? String(err.stderr).trim() : '';
+  return stderr || err.message;
+}
+
+/**
+ * Decrypt a sops-encrypted secrets file. sops locates the key itself
+ * (age via SOPS_AGE_KEY_FILE, PGP, or a cloud KMS named in the file's metadata).
+ * @param {string} filePath Encrypted file (e.g. ./secrets.enc.json)
+ * @param {Function} [execFn=execFileSync] Injectable exec function for tests
+ * @returns {string} Decrypted JSON content
+ * @export
+ */
+function decryptSopsSecret(filePath, execFn = execFileSync) {
+  const file = requireEncryptedFile(filePath);
+  const args = [ '--decrypt', '--output-type', 'json', file ];
+  try {
+    const out = execFn('sops', args, { encoding: 'utf8', timeout: getSecretsCliTimeoutMs(), stdio: [ 'ignore', 'pipe', 'pipe' ] });
+    return typeof out === 'string' ? out.trimEnd() : out;
+  } catch (err) {
+    throw new Error(`sops decryption failed (file=${file}): ${decryptFailureReason('sops', err)}`);
+  }
+}
+
+/**
+ * Decrypt an age-encrypted secrets file with an identity (private key) file.
+ * @param {string} filePath Encrypted file (e.g. ./secrets.enc.json)
+ * @param {string} identityFile age identity file
+ * @param {Function} [execFn=execFileSync] Injectable exec function for tests
+ * @returns {string} Decrypted content
+ * @export
+ */
+function decryptAgeSecret(filePath, identityFile, execFn = execFileSync) {
+  const file = requireEncryptedFile(filePath);
+  if (typeof identityFile !== 'string' || !identityFile.trim()) {
+    throw new Error('age identity file is required (--secrets-age-identity, COMPOSE_SECRETS_AGE_IDENTITY or SOPS_AGE_KEY_FILE)');
+  }
+  const identity = path.resolve(identityFile.trim());
+  if (!fs.existsSync(identity)) throw new Error(`age identity file not found: ${identity}`);
+  const args = [ '--decrypt', '--identity', identity, file ];
+  try {
+    const out = execFn('age', args, { encoding: 'utf8', timeout: getSecretsCliTimeoutMs(), stdio: [ 'ignore', 'pipe', 'pipe' ] });
+    return typeof out === 'string' ? out.trimEnd() : out;
+  } catch (err) {
+    throw new Error(`age decryption failed (file=${file}): ${decryptFailureReason('age', err)}`);
+  }
+}
+
+/**
+ * Validate a decrypted secrets payload against what felddy/foundryvtt reads from its
+ * `config.json` secret: a JSON object whose known fields are non-empty strings, with
+ * `foundry_username`/`foundry_password` set together and either that pair or
+ * `foundry_license_key` present. Error messages never include secret values.
+ * @param {string} content Decrypted secret content
+ * @param {string} [source='Secrets payload'] Label used in error messages
+ * @returns {Object} Parsed payload
+ * @export
+ */
+function validateSecretsPayload(content, source = 'Secrets payload') {
+  let payload;
+  try {
+    payload = JSON.parse(content);
+  } catch {
+    // JSON.parse messages quote the input, so they are not passed on
+    throw new Error(`${source} is not valid JSON`);
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new Error(`${source} must be a JSON object`);
+  const problems = [];
+  for (const field of SECRET_PAYLOAD_FIELDS) {
+    if (field in payload && (typeof payload[field] !== 'string' || !payload[field].trim())) problems.push(`${field} must be a non-empty string`);
+  }
+  const has = (field) => typeof payload[field] === 'string' && payload[field].trim() !== '';
+  if (has('foundry_username') !== has('foundry_password')) problems.push('foundry_username and foundry_password must be set together');
+  else if (!has('foundry_username') && !has('foundry_license_key')) problems.push('expected foundry_username and foundry_password, or foundry_license_key');
+  if (problems.length) throw new Error(`${source} is invalid: ${problems.join('; ')}`);
+  const unknown = Object.keys(payload).filter(k => k.startsWith('foundry_') && !SECRET_PAYLOAD_FIELDS.includes(k));
+  if (unknown.length) console.warn(`${source}: unrecognized field(s) ${unknown.join(', ')} (typo?)`);
+  return payload;
+}
+
 /**
  * Convert an object of key/value pairs into an array of key=value strings for compose.
  * @param {Object|number|undefined} envObjOrNumber Possibly environment object
@@ -557,27 +930,44 @@ function toEnvList(envObjOrNumber) {
   return [];
 }
 /**
- * Resolve a templated string by replacing VERSION placeholder.
+ * Template variables for a version number (`{version}` and `{major}`), or the given variables.
+ * @param {number|Object} vars Version number or template variables
+ * @returns {Object} Template variables
+ */
+function templateVarsOf(vars) {
+  return vars && typeof vars === 'object' ? vars : { version: vars, major: vars };
+}
+/**
+ * Resolve a templated string: `{version}`, `{major}`, `{minor}`, `{name}`, `{port}`, `{dir}` and
+ * `${env:VAR:-default}` (see `patches/common/helpers/templateVars.mjs`).
  * @param {string|undefined} template Raw template
- * @param {number} version Version number
+ * @param {number|Object} vars Version number, or template variables
+ * @param {Object} [env={}] Values for `${env:VAR}` references
+ * @param {string} [pointer] JSON pointer named in errors
  * @returns {string|undefined} Resolved result
+ * @throws {TemplateError} For unknown or unresolved variables
  * @export
  */
-function resolveTemplatedString(template, version) { return applyVersionTemplate(template, version); }
+function resolveTemplatedString(template, vars, env = {}, pointer) {
+  if (typeof template !== 'string') return undefined;
+  return resolveTemplate(template, templateVarsOf(vars), env, pointer);
+}
 /**
  * Resolve a templated number given a raw value or templated string.
- * @param {string|number|undefined} value Raw number or template containing VERSION
- * @param {number} version Version number
+ * @param {string|number|undefined} value Raw number or template (e.g. `300{version}`)
+ * @param {number|Object} vars Version number, or template variables
+ * @param {Object} [env={}] Values for `${env:VAR}` references
+ * @param {string} [pointer] JSON pointer named in errors
  * @returns {number|undefined} Resolved numeric value if valid
+ * @throws {TemplateError} For unknown or unresolved variables
  * @export
  */
-function resolveTemplatedNumber(value, version) {
+function resolveTemplatedNumber(value, vars, env = {}, pointer) {
   if (typeof value === 'number') {
     return value;
   }
   if (typeof value === 'string') {
-    const s = value.replaceAll(VERSION_PLACEHOLDER, String(version));
-    const n = Number(s);
+    const n = Number(resolveTemplatedString(value, vars, env, pointer));
     if (!Number.isNaN(n)) {
       return n;
     }
@@ -620,49 +1010,159 @@ function buildComposeFromComposeConfig(config, secretsConf) {
     const envSuffix = v.envSuffix || dir;
     const fetchStagger = v.fetchStaggerSeconds ?? FETCH_STAGGER_DEFAULTS.none;
     volumes[`${name}-data`] = null;
-    services[name] = createFoundryService({ name, dir, image, user, port, fetchStagger, secretsRef: secretsConf.serviceRef || [], envSuffix });
+    const healthcheck = buildHealthcheck(config.healthcheck, v.healthcheck);
+    const profiles = Array.isArray(v.profiles) ? v.profiles : [];
+    const restart = resolveRestart(config.restart, v.restart);
+    const resources = buildResources(config.resources, v.resources);
+    services[name] = createFoundryService({ name, dir, image, user, port, fetchStagger, secretsRef: secretsConf.serviceRef || [], envSuffix, healthcheck, profiles, restart, resources });
   }
   if (config.builder?.enabled !== false) {
-    services.builder = { ...DEFAULT_BUILDER, image: (config.builder && config.builder.image) || DEFAULT_BUILDER.image };
+    services.builder = buildBuilderService((config.builder && config.builder.image) || DEFAULT_BUILDER.image, config.builder?.profiles);
   }
   return { secrets, volumes, services };
 }
 
+/**
+ * Build the builder service spec from `DEFAULT_BUILDER`.
+ * @param {string} image Builder image
+ * @param {string[]} [profiles] Compose profiles; omitted when empty so the builder always starts
+ * @param {string[]} [networks] Networks the builder joins; omitted when empty (compose default network)
+ * @returns {Object} Compose service spec
+ * @export
+ */
+function buildBuilderService(image, profiles, networks) {
+  const builder = { ...DEFAULT_BUILDER, image };
+  if (Array.isArray(profiles) && profiles.length) builder.profiles = [ ...profiles ];
+  if (Array.isArray(networks) && networks.length) builder.networks = [ ...networks ];
+  return builder;
+}
+
+/**
+ * Resolve a per-version list of names: an explicit composition_params list wins over the templated
+ * version_params list, whose entries are resolved for the version.
+ * @param {Array<string>|undefined} templates version_params list (may contain {version})
+ * @param {number} intVer Parsed integer version
+ * @param {Array<string>|undefined} explicit composition_params list
+ * @returns {string[]} Resolved names (empty when none configured)
+ * @export
+ */
+function resolvePerVersionList(templates, intVer, explicit) {
+  if (Array.isArray(explicit)) return [ ...explicit ];
+  if (!Array.isArray(templates)) return [];
+  return templates.map(t => resolveTemplatedString(t, intVer)).filter(Boolean);
+}
+
+/**
+ * Resolve compose profiles for a version: explicit composition_params wins over templated version_params.
+ * @param {Array<string>|undefined} templates version_params.profiles (may contain {version})
+ * @param {number} intVer Parsed integer version
+ * @param {Array<string>|undefined} explicit composition_params.profiles
+ * @returns {string[]} Resolved profile names (empty when none configured)
+ * @export
+ */
+function resolveProfiles(templates, intVer, explicit) {
+  return resolvePerVersionList(templates, intVer, explicit);
+}
+
+/**
+ * Compose spec of a `composition.networks` entry.
+ * @param {Object} [definition] Network settings (`internal`, `driver`, `external`, `name`)
+ * @returns {Object|null} Network spec, null for a plain bridge network
+ */
+function networkSpec(definition) {
+  const spec = {};
+  for (const key of [ 'name', 'driver', 'internal', 'external' ]) {
+    if (definition?.[key] !== undefined) spec[key] = definition[key];
+  }
+  return Object.keys(spec).length ? spec : null;
+}
+
+/**
+ * Build the top-level compose networks: every network declared in `composition.networks` (keys
+ * templated with {version} are expanded per version) plus every network a service joins.
+ * Networks without a definition become plain bridge networks; `default` is only emitted when defined.
+ * @param {Object<string, Object>} [definitions] composition.networks
+ * @param {number[]} intVers Versions the templated definitions expand for
+ * @param {Object<string, Object>} services Compose services
+ * @returns {Object<string, Object|null>} Top-level networks (empty when no service uses one)
+ * @export
+ */
+function buildNetworks(definitions = {}, intVers, services) {
+  const resolved = {};
+  const declared = [];
+  for (const [key, definition] of Object.entries(definitions)) {
+    if (!key.includes(VERSION_PLACEHOLDER)) {
+      resolved[key] = definition;
+      declared.push(key);
+      continue;
+    }
+    for (const intVer of intVers) resolved[resolveTemplatedString(key, intVer)] ??= definition;
+  }
+  const networks = {};
+  const joined = Object.values(services).flatMap(svc => svc.networks || []);
+  for (const name of [ ...declared, ...joined ]) {
+    if (name in networks || (name === 'default' && !(name in resolved))) continue;
+    networks[name] = networkSpec(resolved[name]);
+  }
+  return networks;
+}
+
+// Resolved one at a time, each step seeing the variables of the ones before it
+const STAGED_PARAMS = [ 'tag', 'versionDir', 'name', 'port' ];
+
 /**
  * Derive default + overridden values for a single version entry from container-config.
+ * Template variables resolve in order: `{minor}` (from a `13.345`-style tag), `{dir}`
+ * (versionDir), `{name}` and `{port}`; every other string in version_params and
+ * composition_params can use all of them.
  * @param {Object} versionParams Global version params template (comp.version_params)
  * @param {number} intVer Parsed integer version
  * @param {Object} compParams Per-version composition_params
- * @returns {Object} Derived values (name, dir, tag, port, envSuffix, fetchStagger)
+ * @param {Object} [opts]
+ * @param {Object} [opts.env={}] Values for `${env:VAR}` references
+ * @param {string} [opts.pointer] JSON pointer of compParams named in errors (default: /versions/<intVer>/composition_params)
+ * @returns {Object} Derived values (name, dir, tag, port, envSuffix, fetchStagger, healthcheck, profiles, networks),
+ *   the template variables (`vars`) and the other composition_params, resolved (`params`)
+ * @throws {TemplateError} For unknown or unresolved template variables
  * @export
  */
-function deriveVersionDefaults(versionParams, intVer, compParams) {
-  const defName = resolveTemplatedString(versionParams.name, intVer) || `foundry-v${intVer}`;
-  const defDir = resolveTemplatedString(versionParams.versionDir, intVer) || `v${intVer}`;
-  const resolvedTag = resolveTemplatedString(versionParams.tag, intVer);
-  const defTag = (typeof resolvedTag === 'string' && resolvedTag !== '') ? resolvedTag : defaultTag(intVer);
-  const defPort = resolveTemplatedNumber(versionParams.port, intVer) ?? (BASE_PORT + intVer);
-  const name = typeof compParams.name === 'string' && compParams.name ? compParams.name : defName;
-  const dir = typeof compParams.versionDir === 'string' && compParams.versionDir ? compParams.versionDir : defDir;
-  const tag = typeof compParams.tag === 'string' && compParams.tag ? compParams.tag : defTag;
-  const port = typeof compParams.port === 'number' ? compParams.port : defPort;
-  const envSuffix = typeof compParams.envSuffix === 'string' && compParams.envSuffix ? compParams.envSuffix : dir;
-  const fetchStagger = typeof compParams.fetchStaggerSeconds === 'number' ? compParams.fetchStaggerSeconds : defaultFetchStagger(intVer);
-  return { name, dir, tag, port, envSuffix, fetchStagger };
+function deriveVersionDefaults(versionParams, intVer, compParams, { env = {}, pointer = `/versions/${intVer}/composition_params` } = {}) {
+  const vars = { version: intVer, major: intVer };
+  const vpPointer = '/composition/version_params';
+  const str = (params, key, at) => resolveTemplatedString(params[key], vars, env, `${at}/${key}`) || undefined;
+  const num = (params, key, at) => resolveTemplatedNumber(params[key], vars, env, `${at}/${key}`);
+  const tag = str(compParams, 'tag', pointer) || str(versionParams, 'tag', vpPointer) || defaultTag(intVer);
+  vars.minor = /^\d+\.(\d+)/.exec(tag)?.[1];
+  const dir = vars.dir = str(compParams, 'versionDir', pointer) || str(versionParams, 'versionDir', vpPointer) || `v${intVer}`;
+  const name = vars.name = str(compParams, 'name', pointer) || str(versionParams, 'name', vpPointer) || `foundry-v${intVer}`;
+  const port = vars.port = num(compParams, 'port', pointer) ?? num(versionParams, 'port', vpPointer) ?? (BASE_PORT + intVer);
+  const rest = (params) => Object.fromEntries(Object.entries(params).filter(([key]) => !STAGED_PARAMS.includes(key)));
+  const defaults = resolveTemplates(rest(versionParams), vars, env, vpPointer);
+  const params = resolveTemplates(rest(compParams), vars, env, pointer);
+  const envSuffix = typeof params.envSuffix === 'string' && params.envSuffix ? params.envSuffix : dir;
+  const fetchStagger = typeof params.fetchStaggerSeconds === 'number' ? params.fetchStaggerSeconds : defaultFetchStagger(intVer);
+  const healthcheck = buildHealthcheck(defaults.healthcheck, params.healthcheck);
+  const profiles = resolveProfiles(defaults.profiles, intVer, params.profiles);
+  const restart = resolveRestart(defaults.restart, params.restart);
+  const resources = buildResources(defaults.resources, params.resources);
+  const networks = resolvePerVersionList(defaults.networks, intVer, params.networks);
+  return { name, dir, tag, port, envSuffix, fetchStagger, healthcheck, profiles, restart, resources, networks, vars, params };
 }
 
 /**
  * Build compose service entry (including extra env, volumes) for a version.
- * @param {Object} derived Derived version defaults
- * @param {Object} compParams composition_params object
+ * @param {Object} derived Derived version defaults (`derived.templateVars` is exported to the container when set)
+ * @param {Object} compParams composition_params object (templates resolved, e.g. `derived.params`)
  * @param {string} baseImageRepo Base image repository
  * @param {string|number} user User id:group id
  * @param {Array<Object>} secretsRef Secrets reference array
+ * @param {Object} [configMount] Config mount from `buildConfigMount`
+ * @param {Object|null} [proxy] Proxy settings from `resolveProxySettings` (labels use `derived.proxyHost`)
  * @returns {Object} Compose service spec
  * @export
  */
-function buildServiceEntry(derived, compParams, baseImageRepo, user, secretsRef) {
-  const { name, dir, tag, port, envSuffix, fetchStagger } = derived;
+function buildServiceEntry(derived, compParams, baseImageRepo, user, secretsRef, configMount, proxy) {
+  const { name, dir, tag, port, envSuffix, fetchStagger, healthcheck, profiles, variant, restart, resources, networks } = derived;
   let extraEnv = [];
   if (compParams.environment) {
     if (Array.isArray(compParams.environment)) extraEnv = compParams.environment;
@@ -670,16 +1170,276 @@ function buildServiceEntry(derived, compParams, baseImageRepo, user, secretsRef)
   }
   const extraEnvFiles = Array.isArray(compParams.env_files) ? compParams.env_files : [];
   const extraVolumes = Array.isArray(compParams.volumes_extra) ? compParams.volumes_extra : [];
-  return createFoundryService({ name, dir, image: composeImage(baseImageRepo, tag), user, port, fetchStagger, secretsRef, envSuffix, extraEnv, extraEnvFiles, extraVolumes });
+  return createFoundryService({ name, dir, image: composeImage(baseImageRepo, tag), user, port, fetchStagger, secretsRef, envSuffix, extraEnv, extraEnvFiles, extraVolumes, healthcheck, profiles, configMount, labels: buildProxyLabels(proxy, name, derived.proxyHost), variant, templateVars: derived.templateVars, restart, resources, networks });
+}
+
+/**
+ * Build the composition_params of a variant service from its version's derived defaults.
+ * The variant inherits the version's composition_params except name, port and hostname,
+ * reuses its dirs, env file, tag and fetch stagger, and its own composition_params win.
+ * @param {Object} derived Derived defaults of the version (from `deriveVersionDefaults`)
+ * @param {string} variant Variant name
+ * @param {number} index Position of the variant in declaration order (0-based)
+ * @param {Object} conf versions.<NN> entry
+ * @returns {Object} composition_params for `deriveVersionDefaults`
+ * @export
+ */
+function variantCompositionParams(derived, variant, index, conf) {
+  const inherited = { ...(conf.composition_params || {}) };
+  delete inherited.name;
+  delete inherited.port;
+  delete inherited.hostname;
+  return {
+    ...inherited,
+    name: `${derived.name}-${variant}`,
+    port: derived.port + VARIANT_PORT_STEP * (index + 1),
+    versionDir: derived.dir,
+    envSuffix: derived.envSuffix,
+    tag: derived.tag,
+    fetchStaggerSeconds: derived.fetchStagger,
+    ...(conf.variants[variant].composition_params || {})
+  };
+}
+
+/**
+ * Normalize `composition.proxy` over `PROXY_DEFAULTS`.
+ * @param {Object|undefined} proxy composition.proxy section
+ * @returns {Object|null} Proxy settings, or null when no proxy is configured
+ * @throws {Error} For an unsupported provider
+ * @export
+ */
+function resolveProxySettings(proxy) {
+  if (!proxy || proxy.enabled === false) return null;
+  const provider = proxy.provider || PROXY_DEFAULTS.provider;
+  if (!PROXY_PROVIDERS.includes(provider)) {
+    throw new Error(`Unsupported proxy provider "${provider}" (expected one of: ${PROXY_PROVIDERS.join(', ')})`);
+  }
+  const service = { ...PROXY_DEFAULTS.service, ...(proxy.service || {}) };
+  return { ...PROXY_DEFAULTS, ...proxy, provider, service };
+}
+
+/**
+ * Resolve the proxy hostname for a version (`composition_params.hostname` wins over the template).
+ * @param {Object|null} proxy Proxy settings
+ * @param {number|Object} vars Parsed integer version, or template variables (`derived.vars`)
+ * @param {Object} [compParams] composition_params object
+ * @param {Object} [env={}] Values for `${env:VAR}` references
+ * @returns {string|undefined} Hostname, or undefined without a proxy
+ * @export
+ */
+function resolveProxyHostname(proxy, vars, compParams = {}, env = {}) {
+  if (!proxy) return undefined;
+  if (typeof compParams.hostname === 'string' && compParams.hostname) return compParams.hostname;
+  return resolveTemplatedString(proxy.hostname, vars, env, '/composition/proxy/hostname');
+}
+
+/**
+ * Build the URL a proxied service is reached at (port omitted when the proxy listens on 80).
+ * @param {Object} proxy Proxy settings
+ * @param {string} hostname Service hostname
+ * @returns {string} URL
+ * @export
+ */
+function proxyUrl(proxy, hostname) {
+  const port = Number(proxy.service?.port) || 80;
+  return `http://${hostname}${port === 80 ? '' : `:${port}`}`;
+}
+
+/**
+ * Build compose labels routing a Foundry service through the proxy.
+ * Traefik gets router/service labels; every provider gets `PROXY_URL_LABEL` for fvtt-status.
+ * @param {Object|null} proxy Proxy settings
+ * @param {string} name Service name
+ * @param {string|undefined} hostname Service hostname
+ * @returns {Object<string,string>|undefined} Labels, or undefined without a proxy
+ * @export
+ */
+function buildProxyLabels(proxy, name, hostname) {
+  if (!proxy || !hostname) return undefined;
+  const labels = {};
+  if (proxy.provider === 'traefik') {
+    labels['traefik.enable'] = 'true';
+    labels[`traefik.http.routers.${name}.rule`] = `Host(\`${hostname}\`)`;
+    labels[`traefik.http.routers.${name}.entrypoints`] = proxy.entrypoint;
+    labels[`traefik.http.services.${name}.loadbalancer.server.port`] = String(BASE_PORT);
+  }
+  labels[PROXY_URL_LABEL] = proxyUrl(proxy, hostname);
+  return labels;
+}
+
+/**
+ * Build the optional proxy service (Traefik with the docker provider, or Caddy reading the generated Caddyfile).
+ * @param {Object} proxy Proxy settings
+ * @returns {Object} Compose service spec
+ * @export
+ */
+function buildProxyService(proxy) {
+  const { port, image, images = {} } = proxy.service;
+  const service = {
+    image: image || images[proxy.provider],
+    container_name: 'foundry-proxy',
+    ports: [ `${port}:80` ],
+    restart: 'unless-stopped'
+  };
+  if (proxy.provider === 'traefik') {
+    service.command = [ '--providers.docker=true', '--providers.docker.exposedbydefault=false', `--entrypoints.${proxy.entrypoint}.address=:80` ];
+    service.volumes = [ '/var/run/docker.sock:/var/run/docker.sock:ro' ];
+  } else {
+    service.volumes = [ { type: 'bind', source: `./${proxy.caddyfile}`, target: '/etc/caddy/Caddyfile', read_only: true } ];
+  }
+  return service;
+}
+
+/**
+ * Render a Caddyfile with one site per service carrying `PROXY_URL_LABEL`.
+ * @param {Object<string, Object>} services Compose services map
+ * @returns {string} Caddyfile contents
+ * @export
+ */
+function buildCaddyfile(services) {
+  const sites = Object.entries(services || {})
+    .filter(([, svc]) => svc?.labels?.[PROXY_URL_LABEL])
+    .map(([name, svc]) => `${svc.labels[PROXY_URL_LABEL].replace(/:\d+$/, '')} {\n\treverse_proxy ${name}:${BASE_PORT}\n}`);
+  return `# Generated by fvtt-compose-gen from composition.proxy; do not edit\n\n${sites.join('\n\n')}\n`;
+}
+
+/**
+ * Install step of a builder command: the first command of its `&&` chain, unwrapped from `sh -c "..."`.
+ * @param {string} [command=DEFAULT_BUILDER.command] Builder command
+ * @returns {string|undefined} e.g. "npm ci"
+ * @export
+ */
+function builderInstallCommand(command = DEFAULT_BUILDER.command) {
+  if (typeof command !== 'string' || !command.trim()) return undefined;
+  const inner = /^sh\s+-c\s+(["'])(.*)\1$/.exec(command.trim())?.[2] ?? command;
+  return inner.split('&&')[0].trim();
+}
+
+/**
+ * The Foundry services a container config generates (versions, then their variants), named
+ * the way `deriveVersionDefaults` names them.
+ * @param {ContainerConfig} containerCfg Container-config object
+ * @param {Object} [env={}] Values for `${env:VAR}` references
+ * @returns {Array<{name: string, version: number, variant?: string}>} Services in generation order
+ * @throws {TemplateError} For unknown or unresolved template variables
+ * @export
+ */
+function listFoundryServices(containerCfg, env = {}) {
+  const services = [];
+  const versionParams = containerCfg.composition?.version_params || {};
+  for (const [ver, conf] of Object.entries(containerCfg.versions || {})) {
+    if (conf?.supported === false) continue;
+    const intVer = parseInt(ver, 10);
+    if (Number.isNaN(intVer)) continue;
+    const derived = deriveVersionDefaults(versionParams, intVer, conf.composition_params || {}, { env });
+    services.push({ name: derived.name, version: intVer });
+    listVariants(conf).forEach(([variant], index) => {
+      const variantParams = variantCompositionParams(derived, variant, index, conf);
+      const pointer = `/versions/${ver}/variants/${variant}/composition_params`;
+      services.push({ name: deriveVersionDefaults(versionParams, intVer, variantParams, { env, pointer }).name, version: intVer, variant });
+    });
+  }
+  return services;
+}
+
+/**
+ * Readable port labels for the Foundry services of a container config.
+ * @param {ContainerConfig} containerCfg Container-config object
+ * @param {Object} [env={}] Values for `${env:VAR}` references
+ * @returns {Object<string, string>} Service name to label, e.g. "Foundry v13" or "Foundry v13 (lite)"
+ * @export
+ */
+function foundryPortLabels(containerCfg, env = {}) {
+  return Object.fromEntries(listFoundryServices(containerCfg, env).map(({ name, version, variant }) => [
+    name,
+    variant ? `Foundry v${version} (${variant})` : `Foundry v${version}`
+  ]));
+}
+
+/**
+ * Build a VS Code devcontainer.json for a compose document: attach to the builder service,
+ * forward the host port of every other service (the proxy excepted) and run the builder's
+ * install step after the container is created.
+ * @param {Object} compose Compose document (must contain the builder service)
+ * @param {Object} opts
+ * @param {string} opts.composeFile Compose file, relative to the devcontainer.json directory
+ * @param {Object<string, string>} [opts.labels] Port label per service (default: the service name)
+ * @returns {Object} devcontainer.json contents
+ * @export
+ */
+function buildDevcontainer(compose, { composeFile, labels = {} }) {
+  const builder = compose.services.builder;
+  const forwardPorts = [];
+  const portsAttributes = {};
+  for (const [name, svc] of Object.entries(compose.services)) {
+    if (name === 'builder' || name === 'proxy') continue;
+    for (const entry of svc.ports || []) {
+      const port = hostPortOf(entry);
+      if (port === null || forwardPorts.includes(port)) continue;
+      forwardPorts.push(port);
+      portsAttributes[String(port)] = { label: labels[name] || name, onAutoForward: 'notify' };
+    }
+  }
+  return {
+    name: DEVCONTAINER_DEFAULTS.name,
+    dockerComposeFile: [ composeFile ],
+    service: 'builder',
+    workspaceFolder: builder.working_dir || DEFAULT_BUILDER.working_dir,
+    forwardPorts,
+    portsAttributes,
+    postCreateCommand: builderInstallCommand(builder.command)
+  };
+}
+
+/**
+ * Whether any component template (`manifest`, `path`, `continuous_sync.source`) uses `{name}`,
+ * `{port}` or `{dir}`, which only the generator knows and so exports to the containers.
+ * @param {ContainerConfig} containerCfg Container-config object
+ * @returns {boolean} True when services need `FOUNDRY_TEMPLATE_VARS`
+ * @export
+ */
+function usesServiceTemplateVars(containerCfg) {
+  return listComponentTemplates(containerCfg)
+    .some(({ value }) => templateVariablesOf(value).some(name => [ 'name', 'port', 'dir' ].includes(name)));
+}
+
+/**
+ * Values exported to a service as `FOUNDRY_TEMPLATE_VARS`.
+ * @param {Object} derived Derived version defaults
+ * @returns {{name: string, port: number, dir: string}} Service template variables
+ */
+function serviceTemplateVars({ name, port, dir }) {
+  return { name, port, dir };
+}
+
+/**
+ * Check that the component templates a service installs resolve with its template variables.
+ * The patch scripts resolve them in the container, where an unresolvable one (e.g. `{minor}`
+ * without a pinned tag) would only skip the component with a warning.
+ * @param {ContainerConfig} containerCfg Container-config object
+ * @param {Object} [install] Effective install plan of the service
+ * @param {Object} derived Derived version defaults (`name`, `vars`)
+ * @throws {TemplateError} For the first unresolved variable, naming the service
+ */
+function checkComponentTemplates(containerCfg, install, { name, vars }) {
+  for (const { pointer, value } of listInstallTemplates(containerCfg, install)) {
+    try {
+      checkTemplateVariables(value, vars, pointer);
+    } catch (e) {
+      throw new TemplateError(`${e.message} in ${name}`, { reference: e.reference });
+    }
+  }
 }
 
 /**
  * Build docker compose structure from container-config (primary recommended mode).
  * @param {ContainerConfig} containerCfg Container-config JSON object
  * @param {Object} opts Override options (env driven)
- * @param {{baseImage?:string,user?:string,builderEnabled?:boolean,builderImage?:string}} opts Options overrides
+ * @param {{baseImage?:string,user?:string,builderEnabled?:boolean,builderImage?:string,configPath?:string,configFiles?:string[],baseDir?:string,env?:Object}} opts Options overrides
+ *   (`baseDir` is the compose file's directory, see `buildConfigMount`; `env` holds the values for `${env:VAR}` references)
  * @param {{topLevel:Object, serviceRef:Array<Object>}} secretsConf Secrets resolution result
- * @returns {{secrets:Object, volumes:Object, services:Object}} Compose root object
+ * @returns {{secrets:Object, volumes:Object, networks?:Object, services:Object}} Compose root object
+ * @throws {TemplateError} For unknown or unresolved template variables, component fields included
  * @export
  */
 function buildComposeFromContainerConfig(containerCfg, opts = {}, secretsConf) {
@@ -691,58 +1451,526 @@ function buildComposeFromContainerConfig(containerCfg, opts = {}, secretsConf) {
   const user = opts.user || comp.user || DEFAULT_USER;
   const versionParams = comp.version_params || {};
   const versions = containerCfg.versions || {};
+  const configMount = buildConfigMount(opts.configPath, opts.configFiles, opts.baseDir);
+  const proxy = resolveProxySettings(comp.proxy);
+  const env = opts.env || {};
+  const exportServiceVars = usesServiceTemplateVars(containerCfg);
+  const intVers = [];
   for (const [ver, conf] of Object.entries(versions)) {
     if (conf?.supported === false) continue;
     const intVer = parseInt(ver, 10);
     if (Number.isNaN(intVer)) continue;
+    intVers.push(intVer);
     const compParams = conf.composition_params || {};
-    const derived = deriveVersionDefaults(versionParams, intVer, compParams);
+    const derived = deriveVersionDefaults(versionParams, intVer, compParams, { env, pointer: `/versions/${ver}/composition_params` });
+    derived.proxyHost = resolveProxyHostname(proxy, derived.vars, derived.params, env);
+    checkComponentTemplates(containerCfg, conf.install, derived);
+    if (exportServiceVars) derived.templateVars = serviceTemplateVars(derived);
     volumes[`${derived.name}-data`] = null;
-    services[derived.name] = buildServiceEntry(derived, compParams, baseImageRepo, user, secretsConf.serviceRef || []);
+    services[derived.name] = buildServiceEntry(derived, derived.params, baseImageRepo, user, secretsConf.serviceRef || [], configMount, proxy);
+    listVariants(conf).forEach(([variant], index) => {
+      const variantParams = variantCompositionParams(derived, variant, index, conf);
+      const pointer = `/versions/${ver}/variants/${variant}/composition_params`;
+      const variantDerived = { ...deriveVersionDefaults(versionParams, intVer, variantParams, { env, pointer }), variant };
+      // Variant hostnames nest under the version's unless set explicitly
+      variantDerived.proxyHost = proxy && (variantDerived.params.hostname || `${variant}.${derived.proxyHost}`);
+      checkComponentTemplates(containerCfg, resolveVariantConfig(conf, variant).install, variantDerived);
+      if (exportServiceVars) variantDerived.templateVars = serviceTemplateVars(variantDerived);
+      volumes[`${variantDerived.name}-data`] = null;
+      services[variantDerived.name] = buildServiceEntry(variantDerived, variantDerived.params, baseImageRepo, user, secretsConf.serviceRef || [], configMount, proxy);
+    });
+  }
+  if (proxy?.service?.enabled) {
+    // The proxy has to reach every Foundry service, whichever network isolates it
+    const foundryServices = Object.values(services);
+    services.proxy = buildProxyService(proxy);
+    if (foundryServices.some(svc => svc.networks)) {
+      services.proxy.networks = [ ...new Set(foundryServices.flatMap(svc => svc.networks || [ 'default' ])) ];
+    }
   }
   const builderEnabledDefault = comp.builder?.enabled !== false;
   const builderImageDefault = comp.builder?.image || DEFAULT_BUILDER.image;
   if (opts.builderEnabled !== false && builderEnabledDefault !== false) {
-    services.builder = { ...DEFAULT_BUILDER, image: opts.builderImage || builderImageDefault };
+    services.builder = buildBuilderService(opts.builderImage || builderImageDefault, comp.builder?.profiles, comp.builder?.networks);
   }
-  return { secrets, volumes, services };
+  const networks = buildNetworks(comp.networks, intVers, services);
+  return { secrets, volumes, ...(Object.keys(networks).length ? { networks } : {}), services };
+}
+
+function withHostPort(entry, port) {
+  if (entry && typeof entry === 'object') return { ...entry, published: port };
+  const parts = String(entry).split(':');
+  parts[parts.length - 2] = String(port);
+  return parts.join(':');
+}
+
+/**
+ * Find host ports published by more than one service.
+ * @param {Object<string, Object>} services Compose services map
+ * @returns {string[]} Validation error messages (empty when ports are unique)
+ * @export
+ */
+function findPortCollisions(services) {
+  const owners = new Map();
+  for (const [name, svc] of Object.entries(services || {})) {
+    for (const entry of svc?.ports || []) {
+      const port = hostPortOf(entry);
+      if (port === null) continue;
+      if (!owners.has(port)) owners.set(port, []);
+      owners.get(port).push(name);
+    }
+  }
+  return [ ...owners ]
+    .filter(([, names]) => names.length > 1)
+    .map(([port, names]) => `/services: host port ${port} is used by ${names.join(', ')}`);
+}
+
+/**
+ * Reassign host ports in place so each is unique and not bound on the host.
+ * Services keep a bound port they already publish in `keep` (typically the running pod itself).
+ * @param {Object<string, Object>} services Compose services map (mutated)
+ * @param {Object} [opts]
+ * @param {(ports:number[]) => number[]} [opts.findPortsInUse] Returns the subset of ports bound on the host
+ * @param {Object<string, number[]>} [opts.keep] Host ports per service from the existing compose file
+ * @returns {Array<{service:string, from:number, to:number}>} Reassignments made
+ * @export
+ */
+function assignAutoPorts(services, { findPortsInUse = findPortsInUseSync, keep = {} } = {}) {
+  const declared = Object.values(services || {}).flatMap(svc => (svc?.ports || []).map(hostPortOf)).filter(p => p !== null);
+  const probed = new Map();
+  const inUse = (port) => {
+    if (!probed.has(port)) {
+      const bound = new Set(findPortsInUse([ port ]));
+      probed.set(port, bound.has(port));
+    }
+    return probed.get(port);
+  };
+  for (const port of findPortsInUse(declared)) probed.set(port, true);
+  for (const port of declared) if (!probed.has(port)) probed.set(port, false);
+
+  const used = new Set();
+  const changes = [];
+  for (const [name, svc] of Object.entries(services || {})) {
+    if (!svc?.ports) continue;
+    const own = new Set(keep[name] || []);
+    svc.ports = svc.ports.map(entry => {
+      const port = hostPortOf(entry);
+      if (port === null) return entry;
+      let candidate = port;
+      while (used.has(candidate) || (inUse(candidate) && !own.has(candidate))) {
+        candidate++;
+        if (candidate > 65535) throw new Error(`No free host port found for ${name} starting at ${port}`);
+      }
+      used.add(candidate);
+      if (candidate === port) return entry;
+      changes.push({ service: name, from: port, to: candidate });
+      return withHostPort(entry, candidate);
+    });
+  }
+  return changes;
+}
+
+/**
+ * Read host ports per service from an existing compose file (for `assignAutoPorts` keep).
+ * @param {string} composePath Compose file path
+ * @returns {Object<string, number[]>} Host ports per service (empty when missing/unreadable)
+ * @export
+ */
+function readPublishedPorts(composePath) {
+  try {
+    const doc = yaml.load(fs.readFileSync(composePath, 'utf8'));
+    return Object.fromEntries(Object.entries(doc?.services || {})
+      .map(([name, svc]) => [ name, (svc?.ports || []).map(hostPortOf).filter(p => p !== null) ]));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Replace provider secret temp-file paths (fresh on every run) with a stable placeholder so
+ * `--diff`/`--check` do not report them as changes.
+ * @param {Object|null} compose Compose document
+ * @returns {Object|null} Copy with `secrets.<name>.file` temp paths masked
+ * @export
+ */
+function maskEphemeralSecretFiles(compose) {
+  if (!compose || !compose.secrets) return compose;
+  const tmpPrefix = path.join(os.tmpdir(), 'secrets-');
+  const secrets = Object.fromEntries(Object.entries(compose.secrets).map(([name, spec]) => {
+    const file = spec && spec.file;
+    if (typeof file !== 'string' || !file.startsWith(tmpPrefix)) return [name, spec];
+    const provider = file.slice(tmpPrefix.length).split('-')[0];
+    return [name, { ...spec, file: `<temp:${provider}>` }];
+  }));
+  return { ...compose, secrets };
+}
+
+/**
+ * Base class of the errors thrown by `generateCompose`; `code` identifies the failure and
+ * `errors` carries individual messages when there are several.
+ * @export
+ */
+class ComposeGenerationError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {{code?: string, errors?: string[], cause?: Error}} [details]
+   */
+  constructor(message, { code = 'E_COMPOSE', errors = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ComposeGenerationError';
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * The config file passed to `generateCompose` does not exist.
+ * @export
+ */
+class ConfigNotFoundError extends ComposeGenerationError {
+  /** @param {string} file Absolute config path */
+  constructor(file) {
+    super(`Config file not found: ${file}`, { code: 'E_CONFIG_NOT_FOUND' });
+    this.name = 'ConfigNotFoundError';
+    this.file = file;
+  }
+}
+
+/**
+ * The container config failed structural validation; see `errors`.
+ * @export
+ */
+class ConfigValidationError extends ComposeGenerationError {
+  /**
+   * @param {string[]} errors Validation messages
+   * @param {string} [code='E_CONFIG_INVALID'] Error code
+   */
+  constructor(errors, code = 'E_CONFIG_INVALID') {
+    super(`Configuration validation failed:\n  ${errors.join('\n  ')}`, { code, errors });
+    this.name = 'ConfigValidationError';
+  }
+}
+
+/**
+ * Two services publish the same host port (and `autoPort` was not requested).
+ * @export
+ */
+class PortCollisionError extends ConfigValidationError {
+  /** @param {string[]} errors Collision messages */
+  constructor(errors) {
+    super(errors, 'E_PORT_COLLISION');
+    this.name = 'PortCollisionError';
+  }
+}
+
+/**
+ * Secrets could not be resolved (provider lookup, decryption or payload validation).
+ * @export
+ */
+class SecretsResolutionError extends ComposeGenerationError {
+  /** @param {Error} cause Error raised by `resolveSecrets` */
+  constructor(cause) {
+    super(cause.message, { code: 'E_SECRETS', cause });
+    this.name = 'SecretsResolutionError';
+  }
+}
+
+/**
+ * Whether a parsed config is a container config (as opposed to an advanced compose config).
+ * @param {*} cfg Parsed config
+ * @returns {boolean} True for container configs
+ */
+function isContainerConfig(cfg) {
+  return Boolean(cfg && typeof cfg === 'object' && cfg.systems && cfg.modules && cfg.versions && !Array.isArray(cfg.versions));
+}
+
+/**
+ * Generate a compose document programmatically. Unlike the CLI this reads no argv or
+ * environment variables, writes no files and never exits the process; failures are thrown
+ * as `ComposeGenerationError` subclasses (or `ConfigParseError` for unparseable files).
+ * @param {Object} options
+ * @param {Object} [options.config] Parsed config (container config or advanced compose config)
+ * @param {string} [options.configPath] Config file (JSON, JSONC or YAML); read when `config` is
+ *   not given (merged with its `extends`/`include` files), and mounted into the services either way
+ * @param {Object} [options.secrets] Secrets options as accepted by `resolveSecrets` (`secretsMode`,
+ *   `secretsFile`, ...) or an already resolved `{ topLevel, serviceRef }` (default: no secrets)
+ * @param {Object} [options.overrides] Generation overrides
+ * @param {string} [options.overrides.baseImage] Foundry image repository
+ * @param {string} [options.overrides.user] Service user (uid:gid)
+ * @param {boolean} [options.overrides.builderEnabled] Include the builder service
+ * @param {string} [options.overrides.builderImage] Builder image
+ * @param {boolean} [options.overrides.autoPort] Move colliding or host-bound ports instead of failing
+ * @param {Object<string, number[]>} [options.overrides.keepPorts] Host ports to keep per service with `autoPort`
+ * @param {string} [options.overrides.baseDir=process.cwd()] Directory the compose file will live in (config bind sources,
+ *   env file checks; with `format: 'kube'` also the base of hostPath mounts, secret files and env file ConfigMaps)
+ * @param {string} [options.format='compose'] `compose`, or `kube` to render `yaml` as Kubernetes manifests
+ *   (see `helpers/compose-to-kube.js`); `compose` is the intermediate compose document either way
+ * @param {string} [options.devcontainer] Compose file (absolute or relative to `overrides.baseDir`) to point a
+ *   generated devcontainer.json at; compose format only, and the builder service must be enabled
+ * @param {Object} [options.env={}] Values for `${env:VAR}` references in the config (the CLI passes `process.env`)
+ * @returns {Promise<{compose: Object, yaml: string, warnings: string[], caddyfile: ?{file: string, content: string},
+ *   devcontainer: ?{file: string, content: string}, manifests: ?Object[], configFiles: string[]}>} `configFiles` lists
+ *   the config files read (the main file first when composed)
+ * @throws {ConfigNotFoundError|ConfigParseError|ConfigValidationError|PortCollisionError|SecretsResolutionError}
+ * @export
+ */
+async function generateCompose({ config, configPath, secrets = {}, overrides = {}, format = 'compose', devcontainer, env = {} } = {}) {
+  if (!config && !configPath) throw new ComposeGenerationError('generateCompose needs `config` or `configPath`', { code: 'E_OPTIONS' });
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ComposeGenerationError(`Unknown output format: ${format} (expected ${OUTPUT_FORMATS.join(' or ')})`, { code: 'E_OPTIONS' });
+  }
+  if (devcontainer && format !== 'compose') {
+    throw new ComposeGenerationError('devcontainer.json points at a compose file and cannot be generated with --format kube', { code: 'E_OPTIONS' });
+  }
+  const absConf = configPath ? path.resolve(configPath) : undefined;
+  let cfg = config;
+  let configFiles = [];
+  let sources = new Map();
+  if (cfg) {
+    if (CONFIG_COMPOSITION_KEYS.some(key => key in cfg)) {
+      throw new ComposeGenerationError(`${CONFIG_COMPOSITION_KEYS.join('/')} are resolved when the config is read from a file; pass \`configPath\` instead of \`config\``, { code: 'E_OPTIONS' });
+    }
+  } else {
+    if (!fs.existsSync(absConf)) throw new ConfigNotFoundError(absConf);
+    ({ config: cfg, files: configFiles, sources } = loadComposedConfig(absConf));
+  }
+  const containerConfig = isContainerConfig(cfg);
+  if (containerConfig) {
+    const errors = new ConfigValidator().validateStructure(cfg);
+    if (errors.length) throw new ConfigValidationError(configFiles.length > 1 ? attributeConfigErrors(errors, sources) : errors);
+  }
+  let secretsConf = secrets;
+  if (!secrets.topLevel) {
+    try {
+      secretsConf = resolveSecrets(secrets);
+    } catch (e) {
+      throw new SecretsResolutionError(e);
+    }
+  }
+  const baseDir = overrides.baseDir || process.cwd();
+  let compose;
+  try {
+    compose = containerConfig
+      ? buildComposeFromContainerConfig(cfg, {
+          baseImage: overrides.baseImage,
+          user: overrides.user,
+          builderEnabled: overrides.builderEnabled !== false,
+          builderImage: overrides.builderImage,
+          configPath: absConf,
+          configFiles,
+          baseDir,
+          env
+        }, secretsConf)
+      : buildComposeFromComposeConfig(cfg, secretsConf);
+  } catch (e) {
+    if (!(e instanceof TemplateError)) throw e;
+    throw new ConfigValidationError(configFiles.length > 1 ? attributeConfigErrors([ e.message ], sources) : [ e.message ]);
+  }
+  const warnings = [];
+  if (overrides.autoPort) {
+    for (const { service, from, to } of assignAutoPorts(compose.services, { keep: overrides.keepPorts || {} })) {
+      warnings.push(`[auto-port] ${service}: host port ${from} is taken, using ${to}`);
+    }
+  }
+  const portErrors = findPortCollisions(compose.services);
+  if (portErrors.length) throw new PortCollisionError(portErrors);
+  validateEnvFiles(compose, { baseDir }).forEach(warning => warnings.push(`[env] ${warning}`));
+  const proxy = containerConfig ? resolveProxySettings(cfg.composition?.proxy) : null;
+  if (format === 'kube') {
+    // Traefik labels and the Caddyfile route compose containers; in a cluster an Ingress does that
+    const services = { ...compose.services };
+    if (proxy) {
+      delete services.proxy;
+      warnings.push('[kube] composition.proxy is compose-only and is ignored; route to the generated Services with an Ingress');
+    }
+    const { manifests, warnings: kubeWarnings } = composeToKube({ ...compose, services }, { baseDir, pvcSize: KUBE_DEFAULTS.pvcSize });
+    kubeWarnings.forEach(warning => warnings.push(`[kube] ${warning}`));
+    return { compose, yaml: formatKubeYaml(manifests), warnings, caddyfile: null, devcontainer: null, manifests, configFiles };
+  }
+  let devcontainerFile = null;
+  if (devcontainer) {
+    if (!compose.services.builder) {
+      throw new ComposeGenerationError('devcontainer.json attaches to the builder service, which is disabled', { code: 'E_OPTIONS' });
+    }
+    const composeFile = path.relative(path.dirname(path.join(baseDir, DEVCONTAINER_DEFAULTS.file)), path.resolve(baseDir, devcontainer));
+    const labels = containerConfig ? foundryPortLabels(cfg, env) : {};
+    devcontainerFile = { file: DEVCONTAINER_DEFAULTS.file, content: `${JSON.stringify(buildDevcontainer(compose, { composeFile, labels }), null, 2)}\n` };
+  }
+  return {
+    compose,
+    yaml: yaml.dump(compose, { noRefs: true, lineWidth: 120 }),
+    warnings,
+    caddyfile: proxy?.provider === 'caddy' ? { file: proxy.caddyfile, content: buildCaddyfile(compose.services) } : null,
+    devcontainer: devcontainerFile,
+    manifests: null,
+    configFiles
+  };
 }
 
 /**
- * CLI entrypoint for generating docker compose YAML.
- * Handles config detection, validation, secrets resolution, output writing, and dry-run.
+ * Print a `generateCompose` failure the way the CLI always has.
+ * @param {Error} e Error thrown by `generateCompose`
+ * @returns {boolean} False for errors the CLI does not report itself
+ */
+function reportGenerationError(e) {
+  if (e instanceof ConfigParseError) console.error(`Failed to parse config: ${e.message}`);
+  else if (e instanceof ConfigNotFoundError || e.code === 'E_OPTIONS') console.error(e.message);
+  else if (e instanceof ConfigValidationError) {
+    console.error('Configuration validation failed:');
+    e.errors.forEach(error => console.error(`  ${error}`));
+    if (e instanceof PortCollisionError) console.error('  (use --auto-port to pick free ports automatically)');
+  }
+  else return false;
+  return true;
+}
+
+/**
+ * Map CLI args and environment variables to `generateCompose` overrides.
+ * @param {Object} args Parsed args
+ * @returns {Object} Overrides (published ports of the existing -o file are re-read on every call)
+ */
+function cliOverrides(args) {
+  const { out } = args;
+  return {
+    baseImage: process.env.COMPOSE_BASE_IMAGE,
+    user: process.env.COMPOSE_USER,
+    builderEnabled: process.env.COMPOSE_BUILDER_ENABLED !== '0',
+    builderImage: process.env.COMPOSE_BUILDER_IMAGE,
+    autoPort: args.autoPort,
+    keepPorts: args.autoPort && out ? readPublishedPorts(path.resolve(out)) : {},
+    // env_file paths resolve against the compose file's directory
+    baseDir: out ? path.dirname(path.resolve(out)) : process.cwd()
+  };
+}
+
+/**
+ * Start (or recreate) the given services with `fvtt-pod up -d`.
+ * @param {string} composeFile Compose file
+ * @param {string[]} services Service names
+ * @param {Function} [execFn=execFileSync] Injectable exec function for tests
+ * @returns {boolean} Whether the command succeeded
+ * @export
+ */
+function runPodUp(composeFile, services, execFn = execFileSync) {
+  const fvttPod = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fvtt-pod.mjs');
+  const args = [ '-f', composeFile, 'up', '-d', ...services.flatMap(s => [ '--only', s ]) ];
+  console.log(`[watch] fvtt-pod ${args.join(' ')}`);
+  try {
+    execFn(process.execPath, [ fvttPod, ...args ], { stdio: 'inherit' });
+    return true;
+  } catch (err) {
+    console.error(`[watch] fvtt-pod up failed: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * `--watch`: regenerate the -o file whenever its inputs change. Secrets are resolved once up
+ * front so provider lookups (and their temp file paths) do not repeat on every change.
+ * @param {Object} args Parsed args
+ * @param {string} absConf Resolved config path
+ * @returns {Promise<Object|undefined>} Watch controller (see `watchCompose`), undefined on usage errors
+ */
+async function watchMain(args, absConf) {
+  if (!args.out || args.diff || args.check || args.dryRun || args.initEnv) {
+    console.error('--watch needs -o <file> and cannot be combined with --diff, --check, --dry-run or --init-env');
+    process.exit(1);
+    return undefined;
+  }
+  if (args.up && args.format === 'kube') {
+    console.error('--up starts compose services and cannot be combined with --format kube (apply the manifests with kubectl or podman kube play)');
+    process.exit(1);
+    return undefined;
+  }
+  const secrets = resolveSecrets(args);
+  const watcher = watchCompose({
+    generate: () => generateCompose({ configPath: absConf, secrets, overrides: cliOverrides(args), format: args.format, devcontainer: args.devcontainer ? path.resolve(args.out) : undefined, env: process.env }),
+    out: args.out,
+    configPath: absConf,
+    onChange: args.up ? ({ added, changed }) => { runPodUp(path.resolve(args.out), [ ...changed, ...added ]); } : undefined
+  });
+  await watcher.ready;
+  console.log(`[watch] watching ${watcher.files().length} file(s) for changes; press Ctrl-C to stop`);
+  return watcher;
+}
+
+/**
+ * CLI entrypoint for generating docker compose YAML: a wrapper around `generateCompose`
+ * that maps argv/environment to its options and handles output, diff, dry-run and watch.
  * Exits process with code 1 on validation or runtime errors.
+ * @returns {Promise<Object|void>} The watch controller with `--watch`
  * @export
  */
-function main() {
+async function main() {
   const args = parseArgs(process.argv);
   if (args.secretsCliTimeout) setSecretsCliTimeoutMs(args.secretsCliTimeout);
   const { config: confPath, out, dryRun } = args;
-  const absConf = path.resolve(confPath);
-  if (!fs.existsSync(absConf)) {
-    console.error(`Config file not found: ${absConf}`);
+  let absConf = path.resolve(confPath);
+  if (!fs.existsSync(absConf) && confPath === argsFallbacks.config) {
+    // Default name missing: accept container-config.{jsonc,yaml,yml} next to it
+    absConf = findConfigFile(path.dirname(absConf)) || absConf;
+  }
+  if (args.watch) return watchMain(args, absConf);
+  if ((args.diff || args.check) && args.format === 'kube') {
+    console.error('--diff and --check compare compose files and cannot be combined with --format kube');
     process.exit(1);
+    return;
+  }
+  const overrides = cliOverrides(args);
+  let result;
+  try {
+    result = await generateCompose({
+      configPath: absConf,
+      // Env files do not depend on secrets; skip provider lookups when only scaffolding them
+      secrets: args.initEnv ? { topLevel: {}, serviceRef: [] } : args,
+      overrides,
+      format: args.initEnv ? 'compose' : args.format,
+      devcontainer: args.devcontainer && !args.initEnv ? path.resolve(out || argsFallbacks.checkTarget) : undefined,
+      env: process.env
+    });
+  } catch (e) {
+    if (!reportGenerationError(e)) throw e;
+    process.exit(1);
+    return;
+  }
+  const { compose, yaml: yml, warnings, caddyfile, devcontainer } = result;
+  // Written next to the compose file, where the proxy service bind and the devcontainer expect them
+  const extraFiles = [ caddyfile, devcontainer ].filter(Boolean);
+  if (args.initEnv) {
+    const created = initEnvFiles(compose, { baseDir: overrides.baseDir, dryRun });
+    created.forEach(file => console.log(`${dryRun ? '[dry-run] Would create' : 'Created'} ${file}`));
+    if (!created.length) console.log('All referenced env files exist');
+    return;
   }
-  const cfg = JSON.parse(fs.readFileSync(absConf, 'utf8'));
-  const looksLikeContainerConfig = cfg && typeof cfg === 'object' && cfg.systems && cfg.modules && cfg.versions && !Array.isArray(cfg.versions);
-  if (looksLikeContainerConfig) {
-    const validationResult = validateConfig(absConf);
-    if (!validationResult.valid) {
-      console.error('Configuration validation failed:');
-      validationResult.errors.forEach(error => console.error(`  ${error}`));
+  if (args.diff || args.check) {
+    const target = path.resolve(out || argsFallbacks.checkTarget);
+    if (!fs.existsSync(target)) {
+      console.error(`Compose file not found: ${target}`);
       process.exit(1);
+      return;
     }
+    let existing;
+    try {
+      existing = yaml.load(fs.readFileSync(target, 'utf8'));
+    } catch (e) {
+      console.error(`Failed to parse compose file ${target}: ${e.message}`);
+      process.exit(1);
+      return;
+    }
+    const changes = diffCompose(maskEphemeralSecretFiles(existing), maskEphemeralSecretFiles(yaml.load(yml)));
+    if (!changes.length) {
+      console.log(`${target} is up to date with ${absConf}`);
+      return;
+    }
+    if (args.diff) {
+      console.log(`${target} is out of date with ${absConf}:`);
+      console.log(formatComposeDiff(changes));
+    }
+    console.error(`${target} is out of date (${changes.length} difference${changes.length === 1 ? '' : 's'}); regenerate with: fvtt-compose-gen -c ${confPath} -o ${out || argsFallbacks.checkTarget}`);
+    process.exit(1);
+    return;
   }
-  const secretsConf = resolveSecrets(args);
-  const compose = looksLikeContainerConfig
-    ? buildComposeFromContainerConfig(cfg, {
-        baseImage: process.env.COMPOSE_BASE_IMAGE,
-        user: process.env.COMPOSE_USER,
-        builderEnabled: process.env.COMPOSE_BUILDER_ENABLED !== '0',
-        builderImage: process.env.COMPOSE_BUILDER_IMAGE
-      }, secretsConf)
-    : buildComposeFromComposeConfig(cfg, secretsConf);
-  const yml = yaml.dump(compose, { noRefs: true, lineWidth: 120 });
+  warnings.forEach(warning => console.error(warning));
   if (dryRun) {
     console.log('[dry-run] Would generate compose YAML from config:', absConf);
     if (out) {
@@ -752,11 +1980,23 @@ function main() {
 			console.log('[dry-run] Would write to: stdout');
 		}
     console.log(`[dry-run] Generated YAML size: ${yml.length} characters`);
+    extraFiles.forEach(extra => console.log(`[dry-run] Would write ${path.basename(extra.file)} to: ${out ? path.join(path.dirname(path.resolve(out)), extra.file) : '(skipped without -o)'}`));
     return;
   }
-  if (out) { const absOut = path.resolve(out); fs.writeFileSync(absOut, yml, 'utf8'); console.log(`Wrote ${absOut}`); }
+  if (out) {
+    const absOut = path.resolve(out);
+    writeFileAtomic(absOut, yml);
+    console.log(`Wrote ${absOut}`);
+    for (const extra of extraFiles) {
+      const absExtra = path.join(path.dirname(absOut), extra.file);
+      fs.mkdirSync(path.dirname(absExtra), { recursive: true });
+      writeFileAtomic(absExtra, extra.content);
+      console.log(`Wrote ${absExtra}`);
+    }
+  }
   else {
     process.stdout.write(yml);
+    extraFiles.forEach(extra => console.error(`${path.basename(extra.file)} not written when printing to stdout; use -o to write it next to the compose file`));
   }
 }
 
@@ -774,6 +2014,7 @@ export {
 	SECRET_MODES,
 	FETCH_STAGGER_DEFAULTS,
 	DEFAULT_BUILDER,
+	HEALTHCHECK_DEFAULTS,
   SECRET_CLI_TIMEOUT_MS,
   getSecretsCliTimeoutMs,
   setSecretsCliTimeoutMs,
@@ -784,28 +2025,66 @@ export {
 	defaultFetchStagger,
 	applyVersionTemplate,
 	buildBaseVolumeMounts,
+	buildConfigMount,
+	maskEphemeralSecretFiles,
+	hostPortOf,
+	findPortCollisions,
+	assignAutoPorts,
+	resolveProxySettings,
+	resolveProxyHostname,
+	proxyUrl,
+	buildProxyLabels,
+	buildProxyService,
+	buildCaddyfile,
+	builderInstallCommand,
+	listFoundryServices,
+	foundryPortLabels,
+	usesServiceTemplateVars,
+	buildDevcontainer,
+	readPublishedPorts,
 	envFiles,
+	buildHealthcheck,
+	buildResources,
+	resolveRestart,
 	createFoundryService,
+	buildBuilderService,
+	resolvePerVersionList,
+	resolveProfiles,
+	buildNetworks,
 	experimentalWarning,
 	createSecretTempFile,
   deriveVersionDefaults,
   buildServiceEntry,
+	variantCompositionParams,
 	// Existing API
 	parseArgs,
 	resolveSecrets,
 	retrieveGcpSecret,
 	retrieveAzureSecret,
 	retrieveAwsSecret,
+	retrieveVaultSecret,
+	decryptSopsSecret,
+	decryptAgeSecret,
+	validateSecretsPayload,
 	toEnvList,
 	resolveTemplatedString,
 	resolveTemplatedNumber,
 	buildComposeFromComposeConfig,
 	buildComposeFromContainerConfig,
+	// Library API
+	generateCompose,
+	runPodUp,
+	ComposeGenerationError,
+	ConfigNotFoundError,
+	ConfigValidationError,
+	PortCollisionError,
+	SecretsResolutionError,
+	ConfigParseError,
 	main
 };
 
 if (import.meta.url === `file://${process.argv[1]}`) {
-  try { main(); } catch (e) {
+  main().catch((e) => {
     function isProduction() {
       return process.env.NODE_ENV === 'production';
     }
@@ -836,5 +2115,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
     console.error(formatError(e));
     process.exit(1);
-  }
+  });
 }
@@ -11,6 +11,7 @@ import { fileURLToPath } from 'node:url';
 import childProcess from 'node:child_process';
 import yaml from 'js-yaml';
 import { runBashScript } from '#tests/utils/shell.js';
+import { wouldRun } from '#tests/utils/dry-run.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -168,20 +169,20 @@ describe('End-to-end workflow integration tests', () => {
 
       expect(podResult.code).toBe(0);
       expect(podResult.stdout).toContain('[dry-run]');
-      expect(podResult.stdout).toContain('Would run: dc_cmd up -d');
+      expect(podResult.stdout).toMatch(wouldRun('up -d'));
 
       // Step 6: Test various pod handler commands with the generated file
       const psResult = runPodHandler(['-f', composePath, '--dry-run', 'ps']);
       expect(psResult.code).toBe(0);
-      expect(psResult.stdout).toContain('Would run: dc_cmd ps');
+      expect(psResult.stdout).toMatch(wouldRun('ps'));
 
       const logsResult = runPodHandler(['-f', composePath, '--dry-run', 'logs', 'foundry-v13-custom']);
       expect(logsResult.code).toBe(0);
-      expect(logsResult.stdout).toContain('Would run: dc_cmd logs foundry-v13-custom');
+      expect(logsResult.stdout).toMatch(wouldRun('logs foundry-v13-custom'));
 
       const execResult = runPodHandler(['-f', composePath, '--dry-run', 'exec', 'foundry-v12', 'ls', '-la']);
       expect(execResult.code).toBe(0);
-      expect(execResult.stdout).toContain('Would run: dc_cmd exec -u 0 -it foundry-v12 ls -la');
+      expect(execResult.stdout).toMatch(wouldRun('exec -u 0 -it foundry-v12 ls -la'));
     });
 
     test('workflow with external secrets mode', () => {
@@ -268,15 +269,15 @@ describe('End-to-end workflow integration tests', () => {
       // Test builder-specific commands
       const runBuilderResult = runPodHandler(['-f', composePath, '--dry-run', 'run-builder']);
       expect(runBuilderResult.code).toBe(0);
-      expect(runBuilderResult.stdout).toContain('Would run: dc_cmd up -d --build builder');
+      expect(runBuilderResult.stdout).toMatch(wouldRun('up -d --build builder'));
 
       const stopBuilderResult = runPodHandler(['-f', composePath, '--dry-run', 'stop-builder']);
       expect(stopBuilderResult.code).toBe(0);
-      expect(stopBuilderResult.stdout).toContain('Would run: dc_cmd stop builder');
+      expect(stopBuilderResult.stdout).toMatch(wouldRun('stop builder'));
 
       const execBuilderResult = runPodHandler(['-f', composePath, '--dry-run', 'exec', 'builder', 'npm', '--version']);
       expect(execBuilderResult.code).toBe(0);
-      expect(execBuilderResult.stdout).toContain('Would run: dc_cmd exec -u 0 -it builder npm --version');
+      expect(execBuilderResult.stdout).toMatch(wouldRun('exec -u 0 -it builder npm --version'));
     });
 
     test('workflow with environment variable overrides', () => {
@@ -10,6 +10,7 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { jest } from '@jest/globals';
 import { runBashScript } from '#tests/utils/shell.js';
+import { wouldRun } from '#tests/utils/dry-run.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -224,14 +225,14 @@ volumes:
       const result = runPodHandler(['-f', testComposeFile, '--dry-run', 'up', '-d', '--remove-orphans']);
 
       expect(result.code).toBe(0);
-      expect(result.stdout).toContain('Would run: dc_cmd up -d --remove-orphans');
+      expect(result.stdout).toMatch(wouldRun('up -d --remove-orphans'));
     });
 
     test('forwards exec arguments correctly', () => {
       const result = runPodHandler(['-f', testComposeFile, '--dry-run', 'exec', 'foundry-v13', 'cat', '/etc/hostname']);
 
       expect(result.code).toBe(0);
-      expect(result.stdout).toContain('Would run: dc_cmd exec -u 0 -it foundry-v13 cat /etc/hostname');
+      expect(result.stdout).toMatch(wouldRun('exec -u 0 -it foundry-v13 cat /etc/hostname'));
     });
 
     test('handles complex argument combinations', () => {
@@ -245,7 +246,7 @@ volumes:
       ]);
 
       expect(result.code).toBe(0);
-      expect(result.stdout).toContain('Would run: dc_cmd logs');
+      expect(result.stdout).toMatch(wouldRun('logs'));
       expect(result.stdout).toContain('--tail');
     });
   });
@@ -256,7 +257,7 @@ volumes:
 
       expect(result.code).toBe(0);
       // The script should use docker compose (v2) when available
-      expect(result.stdout).toContain('Would run: dc_cmd ps');
+      expect(result.stdout).toMatch(wouldRun('ps'));
     });
   });
 
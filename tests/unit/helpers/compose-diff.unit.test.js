@@ -0,0 +1,66 @@
+import { diffCompose, formatComposeDiff, envToMap } from '#helpers/compose-diff.js';
+
+const service = (overrides = {}) => ({
+  image: 'felddy/foundryvtt:13',
+  ports: ['30013:30000'],
+  volumes: ['foundry-v13-data:/data', { type: 'bind', source: './dist', target: '/host/dist', read_only: true }],
+  env_file: ['./env/.env', './env/.v13.env'],
+  environment: ['FETCH_STAGGER_SECONDS=4'],
+  ...overrides
+});
+
+describe('helpers/compose-diff.js', () => {
+  test('returns no changes for documents that only differ in ordering', () => {
+    const before = { volumes: { 'foundry-v13-data': null }, services: { 'foundry-v13': service() } };
+    const after = {
+      services: { 'foundry-v13': service({ env_file: ['./env/.v13.env', './env/.env'], volumes: [...service().volumes].reverse() }) },
+      volumes: { 'foundry-v13-data': null }
+    };
+    expect(diffCompose(before, after)).toEqual([]);
+  });
+
+  test('reports added and removed services and volumes', () => {
+    const before = { volumes: { 'foundry-v11-data': null }, services: { 'foundry-v11': service() } };
+    const after = { volumes: { 'foundry-v13-data': null }, services: { 'foundry-v13': service() } };
+    expect(formatComposeDiff(diffCompose(before, after)).split('\n')).toEqual([
+      '- volumes.foundry-v11-data',
+      '+ volumes.foundry-v13-data',
+      '- services.foundry-v11',
+      '+ services.foundry-v13'
+    ]);
+  });
+
+  test('reports per env entry, volume target and port changes', () => {
+    const before = { services: { 'foundry-v13': service({ environment: ['FETCH_STAGGER_SECONDS=2', 'OLD=1'] }) } };
+    const after = { services: { 'foundry-v13': service({
+      ports: ['31013:30000'],
+      environment: { FETCH_STAGGER_SECONDS: 4, NEW: 'x' },
+      volumes: ['foundry-v13-data:/data', { type: 'bind', source: './build', target: '/host/dist', read_only: true }]
+    }) } };
+    const lines = formatComposeDiff(diffCompose(before, after)).split('\n');
+    expect(lines).toContain('~ services.foundry-v13.ports.30000: 30013:30000 -> 31013:30000');
+    expect(lines).toContain('~ services.foundry-v13.environment.FETCH_STAGGER_SECONDS: 2 -> 4');
+    expect(lines).toContain('- services.foundry-v13.environment.OLD: 1');
+    expect(lines).toContain('+ services.foundry-v13.environment.NEW: x');
+    expect(lines.find(l => l.startsWith('~ services.foundry-v13.volumes./host/dist'))).toContain('"source":"./build"');
+  });
+
+  test('reports other service fields and list membership', () => {
+    const before = { services: { s: service({ profiles: ['v13'] }) } };
+    const after = { services: { s: service({ image: 'felddy/foundryvtt:release', profiles: ['v13', 'all'], healthcheck: { retries: 5 } }) } };
+    expect(diffCompose(before, after)).toEqual([
+      { op: '~', path: ['services', 's', 'image'], before: 'felddy/foundryvtt:13', after: 'felddy/foundryvtt:release' },
+      { op: '+', path: ['services', 's', 'profiles', 'all'] },
+      { op: '+', path: ['services', 's', 'healthcheck'], after: { retries: 5 } }
+    ]);
+  });
+
+  test('treats a missing existing document as all additions', () => {
+    expect(diffCompose(null, { services: { s: {} } })).toEqual([{ op: '+', path: ['services', 's'] }]);
+  });
+
+  test('envToMap normalizes list and map forms', () => {
+    expect(envToMap(['A=1', 'B', 'C=x=y'])).toEqual({ A: '1', B: null, C: 'x=y' });
+    expect(envToMap({ A: 1, B: null })).toEqual({ A: '1', B: null });
+  });
+});
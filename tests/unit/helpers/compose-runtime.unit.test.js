@@ -0,0 +1,38 @@
+import { jest } from '@jest/globals';
+import { detectComposeRuntime, parseComposePs } from '#helpers/compose-runtime.js';
+
+describe('helpers/compose-runtime.js', () => {
+  const probes = (available) => jest.fn((cmd) => {
+    if (!available.includes(cmd)) throw new Error(`not found: ${cmd}`);
+    return '';
+  });
+
+  test('prefers the docker compose plugin', () => {
+    const exec = probes([ 'docker --version', 'docker compose version', 'docker-compose --version' ]);
+    expect(detectComposeRuntime(exec)).toEqual({
+      available: true, docker: true, compose: true, composeCommand: 'docker compose', command: [ 'docker', 'compose' ], engine: [ 'docker' ], error: null
+    });
+  });
+
+  test('falls back to legacy docker-compose and reports what is missing', () => {
+    expect(detectComposeRuntime(probes([ 'docker --version', 'docker-compose --version' ])))
+      .toMatchObject({ available: true, composeCommand: 'docker-compose', command: [ 'docker-compose' ], engine: [ 'docker' ] });
+    expect(detectComposeRuntime(probes([ 'docker --version' ])))
+      .toMatchObject({ available: false, docker: true, compose: false, error: 'Neither "docker compose" nor "docker-compose" available' });
+    expect(detectComposeRuntime(probes([]))).toMatchObject({ available: false, docker: false, error: 'Docker not available' });
+  });
+
+  test('parseComposePs reads line-delimited and array output', () => {
+    const v13 = { Service: 'foundry-v13', State: 'running', Health: 'healthy', Publishers: [ { PublishedPort: 30013 } ] };
+    const builder = { Name: 'pod-builder-1', State: 'running' };
+    const expected = [
+      { name: 'foundry-v13', status: 'running', ports: [ { PublishedPort: 30013 } ], health: 'healthy' },
+      { name: 'pod-builder-1', status: 'running', ports: [], health: '' }
+    ];
+    const onInvalid = jest.fn();
+    expect(parseComposePs(`${JSON.stringify(v13)}\nnot json\n${JSON.stringify(builder)}\n`, onInvalid)).toEqual(expected);
+    expect(onInvalid).toHaveBeenCalledWith('not json');
+    expect(parseComposePs(JSON.stringify([ v13, builder ]))).toEqual(expected);
+    expect(parseComposePs('')).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { kubeName, durationSeconds, memoryQuantity, composeToKube, formatKubeYaml } from '#helpers/compose-to-kube.js';
+
+const byKind = (manifests, kind) => manifests.filter(m => m.kind === kind);
+
+describe('helpers/compose-to-kube.js', () => {
+  let tmp;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-kube-'));
+    fs.mkdirSync(path.join(tmp, 'env'));
+    fs.mkdirSync(path.join(tmp, 'dist'));
+    fs.writeFileSync(path.join(tmp, 'env/.env'), 'TIMEZONE=UTC\nBARE\n');
+    fs.writeFileSync(path.join(tmp, 'container-config.json'), '{}');
+    fs.writeFileSync(path.join(tmp, 'secrets.json'), '{"foundry_license_key":"k"}');
+  });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  const compose = () => ({
+    secrets: { config_json: { file: './secrets.json' } },
+    volumes: { 'foundry-v13-data': null },
+    services: {
+      'foundry-v13': {
+        image: 'felddy/foundryvtt:13',
+        hostname: 'foundry-v13',
+        user: '0:0',
+        ports: [ '30013:30000' ],
+        volumes: [
+          'foundry-v13-data:/data',
+          { type: 'bind', source: './container-config.json', target: '/config/container-config.json', read_only: true },
+          { type: 'bind', source: './dist', target: '/host/dist', read_only: true },
+          { type: 'bind', source: './foundry-cache/v13', target: '/data/container_cache' }
+        ],
+        secrets: [ { source: 'config_json', target: 'config.json' } ],
+        env_file: [ './env/.env', './env/.v13.env' ],
+        environment: [ 'FETCH_STAGGER_SECONDS=4' ],
+        healthcheck: { test: [ 'CMD-SHELL', 'wget -q -O /dev/null http://127.0.0.1:30000/api/status || exit 1' ], interval: '1m30s', timeout: '5s', retries: 5 },
+        deploy: { resources: { limits: { memory: '2g', cpus: 2 }, reservations: { memory: '512m' } } }
+      },
+      builder: { image: 'node:20-alpine', working_dir: '/work', command: 'sh -c "npm ci && npx vite build --watch"', volumes: [ '../:/work' ] }
+    }
+  });
+
+  test('normalizes names, durations and memory sizes', () => {
+    expect(kubeName('config_json')).toBe('config-json');
+    expect(kubeName('/host/dist')).toBe('host-dist');
+    expect(durationSeconds('1m30s')).toBe(90);
+    expect(durationSeconds('500ms')).toBe(1);
+    expect(durationSeconds('soon')).toBeUndefined();
+    expect(memoryQuantity('2g')).toBe('2Gi');
+    expect(memoryQuantity('512m')).toBe('512Mi');
+    expect(memoryQuantity(1024)).toBe('1024');
+  });
+
+  test('emits Secrets, ConfigMaps and PVCs before the workloads', () => {
+    const { manifests, warnings } = composeToKube(compose(), { baseDir: tmp, pvcSize: '10Gi' });
+    expect(manifests.map(m => `${m.kind}/${m.metadata.name}`)).toEqual([
+      'Secret/config-json', 'ConfigMap/env-env', 'PersistentVolumeClaim/foundry-v13-data',
+      'Deployment/foundry-v13', 'Service/foundry-v13', 'Deployment/builder'
+    ]);
+    expect(warnings).toEqual([]);
+    const [ secret ] = byKind(manifests, 'Secret');
+    expect(Buffer.from(secret.data['config.json'], 'base64').toString()).toBe('{"foundry_license_key":"k"}');
+    expect(byKind(manifests, 'ConfigMap')[0].data).toEqual({ TIMEZONE: 'UTC' });
+    expect(byKind(manifests, 'PersistentVolumeClaim')[0].spec.resources.requests.storage).toBe('10Gi');
+    for (const m of manifests) expect(m.metadata.labels['app.kubernetes.io/part-of']).toBe('foundryvtt-dev-pod');
+  });
+
+  test('maps a Foundry service to a Deployment and a Service', () => {
+    const { manifests } = composeToKube(compose(), { baseDir: tmp });
+    const [ deployment ] = byKind(manifests, 'Deployment');
+    const pod = deployment.spec.template.spec;
+    const [ container ] = pod.containers;
+    expect(deployment.spec.strategy).toEqual({ type: 'Recreate' });
+    expect(pod.securityContext).toEqual({ runAsUser: 0, runAsGroup: 0 });
+    expect(container.ports).toEqual([ { containerPort: 30000, hostPort: 30013, protocol: 'TCP' } ]);
+    expect(container.envFrom).toEqual([ { configMapRef: { name: 'env-env' } }, { configMapRef: { name: 'env-v13-env', optional: true } } ]);
+    expect(container.env).toEqual([ { name: 'FETCH_STAGGER_SECONDS', value: '4' } ]);
+    expect(container.readinessProbe).toEqual({
+      exec: { command: [ 'sh', '-c', 'wget -q -O /dev/null http://127.0.0.1:30000/api/status || exit 1' ] },
+      periodSeconds: 90,
+      timeoutSeconds: 5,
+      failureThreshold: 5
+    });
+    expect(container.resources).toEqual({ limits: { memory: '2Gi', cpu: '2' }, requests: { memory: '512Mi' } });
+    expect(container.volumeMounts).toEqual([
+      { name: 'foundry-v13-data', mountPath: '/data' },
+      { name: 'config-container-config-json', mountPath: '/config/container-config.json', readOnly: true },
+      { name: 'host-dist', mountPath: '/host/dist', readOnly: true },
+      { name: 'data-container-cache', mountPath: '/data/container_cache' },
+      { name: 'secret-config-json', mountPath: '/run/secrets/config.json', subPath: 'config.json', readOnly: true }
+    ]);
+    expect(pod.volumes.map(v => v.hostPath || v.persistentVolumeClaim || v.secret)).toEqual([
+      { claimName: 'foundry-v13-data' },
+      { path: path.join(tmp, 'container-config.json'), type: 'File' },
+      { path: path.join(tmp, 'dist'), type: 'Directory' },
+      { path: path.join(tmp, 'foundry-cache/v13'), type: 'DirectoryOrCreate' },
+      { secretName: 'config-json', items: [ { key: 'config.json', path: 'config.json' } ] }
+    ]);
+    const [ service ] = byKind(manifests, 'Service');
+    expect(service.spec).toEqual({
+      type: 'ClusterIP',
+      selector: { 'app.kubernetes.io/name': 'foundry-v13' },
+      ports: [ { name: 'tcp-30000', port: 30000, targetPort: 30000, protocol: 'TCP' } ]
+    });
+  });
+
+  test('runs the builder as its own Deployment without a Service', () => {
+    const { manifests } = composeToKube(compose(), { baseDir: tmp });
+    const builder = manifests.find(m => m.kind === 'Deployment' && m.metadata.name === 'builder');
+    const [ container ] = builder.spec.template.spec.containers;
+    expect(container.args).toEqual([ 'sh', '-c', 'npm ci && npx vite build --watch' ]);
+    expect(container.workingDir).toBe('/work');
+    expect(builder.spec.template.spec.volumes).toEqual([ { name: 'work', hostPath: { path: path.dirname(tmp), type: 'Directory' } } ]);
+    expect(manifests.some(m => m.kind === 'Service' && m.metadata.name === 'builder')).toBe(false);
+  });
+
+  test('warns about secrets it cannot create', () => {
+    const doc = compose();
+    doc.secrets = { config_json: { file: './missing.json' }, creds: { external: true } };
+    doc.services['foundry-v13'].secrets.push({ source: 'creds', target: 'creds.json' });
+    const { manifests, warnings } = composeToKube(doc, { baseDir: tmp });
+    expect(byKind(manifests, 'Secret')).toEqual([]);
+    expect(warnings).toEqual([
+      'secret config_json: ./missing.json does not exist; create Secret config-json yourself',
+      'foundry-v13: secret creds must exist with key creds.json'
+    ]);
+  });
+
+  test('formatKubeYaml renders one document per manifest', () => {
+    const { manifests } = composeToKube(compose(), { baseDir: tmp });
+    expect(yaml.loadAll(formatKubeYaml(manifests))).toEqual(manifests);
+  });
+});
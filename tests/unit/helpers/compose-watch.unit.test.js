@@ -0,0 +1,86 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import { diffCompose } from '#helpers/compose-diff.js';
+import { writeFileAtomic, summarizeServiceChanges, formatServiceSummary, composeInputFiles, watchCompose } from '#helpers/compose-watch.js';
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+};
+
+describe('helpers/compose-watch.js', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-watch-')); });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('writeFileAtomic replaces the file and leaves no temp file behind', () => {
+    const file = path.join(tmp, 'compose.yml');
+    fs.writeFileSync(file, 'old');
+    writeFileAtomic(file, 'new');
+    expect(fs.readFileSync(file, 'utf8')).toBe('new');
+    expect(fs.readdirSync(tmp)).toEqual([ 'compose.yml' ]);
+  });
+
+  test('summarizes service changes', () => {
+    const before = { services: { a: { image: 'x:1' }, b: { image: 'x:1' } } };
+    const after = { services: { a: { image: 'x:2', ports: [ '1:1' ] }, c: { image: 'x:1' } } };
+    const summary = summarizeServiceChanges(diffCompose(before, after));
+    expect(summary).toEqual({ added: [ 'c' ], removed: [ 'b' ], changed: [ 'a' ] });
+    expect(formatServiceSummary(summary)).toBe('changed a; added c; removed b');
+    expect(formatServiceSummary(summarizeServiceChanges([]))).toBe('no service changes');
+  });
+
+  test('composeInputFiles lists the config and env files', () => {
+    const compose = { services: { a: { env_file: [ './env/.env', { path: './env/.a.env' } ] }, b: { env_file: './env/.env' } } };
+    expect(composeInputFiles(compose, { configPath: 'cfg.json', baseDir: tmp })).toEqual([
+      path.resolve('cfg.json'), path.join(tmp, 'env/.env'), path.join(tmp, 'env/.a.env')
+    ]);
+  });
+
+  test('watchCompose regenerates on change, keeps output on errors and reports changed services', async () => {
+    const configPath = path.join(tmp, 'config.json');
+    const envFile = path.join(tmp, 'env/.env');
+    fs.mkdirSync(path.dirname(envFile));
+    fs.writeFileSync(envFile, '');
+    fs.writeFileSync(configPath, JSON.stringify({ image: 'x:1' }));
+    const generate = async () => {
+      const cfg = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      if (cfg.fail) throw new Error('validation failed');
+      const compose = { services: { a: { image: cfg.image, env_file: [ './env/.env' ] } } };
+      return { compose, yaml: JSON.stringify(compose), warnings: [], caddyfile: null };
+    };
+    const log = jest.fn();
+    const error = jest.fn();
+    const onChange = jest.fn();
+    const out = path.join(tmp, 'compose.yml');
+    const watcher = watchCompose({ generate, out, configPath, onChange, log, error, interval: 20 });
+    try {
+      expect(await watcher.ready).toEqual({ added: [ 'a' ], removed: [], changed: [] });
+      expect(watcher.files()).toEqual([ configPath, envFile ]);
+      expect(log).toHaveBeenLastCalledWith(`[watch] initial run: wrote ${out} (added a)`);
+
+      fs.writeFileSync(configPath, JSON.stringify({ image: 'x:2', pad: true }));
+      await waitFor(() => log.mock.calls.length === 2);
+      expect(log.mock.calls[1][0]).toMatch(/config\.json changed: wrote .*compose\.yml \(changed a\)$/);
+      expect(onChange).toHaveBeenLastCalledWith({ added: [], removed: [], changed: [ 'a' ] });
+      expect(JSON.parse(fs.readFileSync(out, 'utf8')).services.a.image).toBe('x:2');
+
+      fs.writeFileSync(configPath, JSON.stringify({ fail: true }));
+      await waitFor(() => error.mock.calls.length === 1);
+      expect(error.mock.calls[0][0]).toMatch(/validation failed \(keeping .*compose\.yml\)$/);
+      expect(JSON.parse(fs.readFileSync(out, 'utf8')).services.a.image).toBe('x:2');
+
+      fs.writeFileSync(envFile, 'A=1\n');
+      await waitFor(() => error.mock.calls.length === 2);
+      expect(error.mock.calls[1][0]).toContain('.env changed: validation failed');
+      expect(onChange).toHaveBeenCalledTimes(2);
+    } finally {
+      watcher.close();
+    }
+  });
+});
@@ -0,0 +1,48 @@
+import { CONFIG_SCHEMA_VERSION, configSchemaVersion, migrateConfig } from '#helpers/config-migrations.js';
+
+describe('helpers/config-migrations.js', () => {
+  const legacy = () => ({
+    systems: { sys: { name: 'System', file: '/host/dist/sys', continuous_sync: true } },
+    modules: { mod: { name: 'Module', manifest: 'https://example.com/mod.json', continuous_sync: { direction: 'bidirectional' } } },
+    worlds: {},
+    versions: {
+      '13': {
+        install: { systems: { sys: {} }, modules: { mod: { continuous_sync: {} } } },
+        variants: { dev: { install: { modules: { mod: null } } } }
+      },
+      '12': null
+    }
+  });
+
+  test('configSchemaVersion treats unversioned configs as version 0', () => {
+    expect(configSchemaVersion({})).toBe(0);
+    expect(configSchemaVersion({ schemaVersion: CONFIG_SCHEMA_VERSION })).toBe(CONFIG_SCHEMA_VERSION);
+    expect(() => configSchemaVersion({ schemaVersion: 1.5 })).toThrow('Invalid schemaVersion: 1.5');
+  });
+
+  test('0 -> 1 renames "file" in place and makes continuous_sync objects explicit', () => {
+    const input = legacy();
+    const { config, from, to, steps, changes } = migrateConfig(input);
+    expect([ from, to ]).toEqual([ 0, 1 ]);
+    expect(Object.keys(config)[0]).toBe('schemaVersion');
+    expect(config.schemaVersion).toBe(1);
+    expect(Object.keys(config.systems.sys)).toEqual([ 'name', 'path', 'continuous_sync' ]);
+    expect(config.systems.sys.continuous_sync).toBe(true);
+    expect(config.modules.mod.continuous_sync).toEqual({ enabled: true, direction: 'bidirectional' });
+    expect(config.versions['13'].install.modules.mod.continuous_sync).toEqual({ enabled: true });
+    expect(config.versions['12']).toBeNull();
+    expect(steps).toHaveLength(1);
+    expect(changes).toEqual([
+      '/systems/sys: renamed "file" to "path"',
+      '/modules/mod/continuous_sync: set "enabled": true (was implied)',
+      '/versions/13/install/modules/mod/continuous_sync: set "enabled": true (was implied)'
+    ]);
+    expect(input).toEqual(legacy());
+  });
+
+  test('leaves current configs alone and refuses newer ones', () => {
+    const current = { schemaVersion: CONFIG_SCHEMA_VERSION, systems: {}, modules: {}, versions: {} };
+    expect(migrateConfig(current)).toEqual({ config: current, from: 1, to: 1, steps: [], changes: [] });
+    expect(() => migrateConfig({ schemaVersion: CONFIG_SCHEMA_VERSION + 1 })).toThrow('upgrade the tools instead');
+  });
+});
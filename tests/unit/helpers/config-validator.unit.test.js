@@ -42,6 +42,35 @@ describe('scripts/config-validator.js', () => {
       expect(result.errors).toContain('/versions/13: must have required property "install"');
     });
 
+    test('rejects variant names that cannot be used in service names', () => {
+      const cfgPath = path.join(tempDir, 'variants.json');
+      fs.writeFileSync(cfgPath, JSON.stringify({
+        systems: {},
+        modules: {},
+        versions: { "13": { install: { systems: {}, modules: {} }, variants: { full: {}, "13_345": {} } } }
+      }));
+      const result = new ConfigValidator().validate(cfgPath);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['/versions/13/variants/13_345: variant name must match /^[a-z][a-z0-9-]*$/']);
+    });
+
+    test('rejects unknown template variables and malformed env references', () => {
+      const cfgPath = path.join(tempDir, 'templates.json');
+      fs.writeFileSync(cfgPath, JSON.stringify({
+        schemaVersion: 1,
+        systems: { sys: { name: "System", path: "/host/resources/{dir}/sys" } },
+        modules: { mod: { name: "Module", manifest: "https://example.com/{release}/mod.json" } },
+        composition: { version_params: { tag: "${env:FOUNDRY-TAG}", port: "${env:FOUNDRY_PORT:-30013}" } },
+        versions: { "13": { install: { systems: { sys: {} }, modules: { mod: {} } } } }
+      }));
+      const result = new ConfigValidator().validate(cfgPath);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        '/composition/version_params/tag: malformed template reference ${env:FOUNDRY-TAG} (expected ${env:VAR} or ${env:VAR:-default})',
+        '/modules/mod/manifest: unknown template variable {release} (expected {version}, {major}, {minor}, {name}, {port}, {dir} or ${env:VAR})'
+      ]);
+    });
+
     test('handles missing file', () => {
       const validator = new ConfigValidator();
       const result = validator.validate(path.join(tempDir, 'missing.json'));
@@ -57,6 +86,62 @@ describe('scripts/config-validator.js', () => {
       expect(result.valid).toBe(false);
       expect(result.errors[0]).toContain('Validation error:');
     });
+
+    test('validates YAML configs', () => {
+      const yamlPath = path.join(tempDir, 'valid.yaml');
+      fs.writeFileSync(yamlPath, [
+        '# sys is pinned to a local build',
+        'schemaVersion: 1',
+        'systems:',
+        '  sys: { name: System, path: /x }',
+        'modules: {}',
+        'versions:',
+        '  "13":',
+        '    install: { systems: { sys: {} }, modules: {} }',
+        ''
+      ].join('\n'));
+      expect(new ConfigValidator().validate(yamlPath)).toEqual({ valid: true });
+    });
+
+    test('reports line and column for parse errors', () => {
+      const jsoncPath = path.join(tempDir, 'broken.jsonc');
+      fs.writeFileSync(jsoncPath, '{\n  // comment\n  "systems": {},\n  "modules": {}\n  "versions": {}\n}');
+      const result = new ConfigValidator().validate(jsoncPath);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain(`Validation error: ${jsoncPath}:5:3:`);
+    });
+
+    test('validates composed configs and names the file behind each error', () => {
+      const overlayPath = path.join(tempDir, 'overlay.json');
+      fs.writeFileSync(overlayPath, JSON.stringify({
+        extends: './valid.json',
+        modules: { mod: null, extra: { name: 'Extra' } },
+        versions: { "13": { install: { modules: { mod: null } } } }
+      }));
+      const result = new ConfigValidator().validate(overlayPath);
+      expect(result.errors).toEqual([ `/modules/extra: must have either "manifest" or "path" property (from ${path.relative(process.cwd(), overlayPath)})` ]);
+
+      fs.writeFileSync(overlayPath, JSON.stringify({ schemaVersion: 1, extends: './valid.json', modules: { mod: null } }));
+      expect(new ConfigValidator().validate(overlayPath)).toEqual({
+        valid: true,
+        warnings: [ expect.stringContaining(`${path.relative(process.cwd(), validConfigPath)}: no schemaVersion`) ]
+      });
+    });
+
+    test('warns about configs older or newer than the current schema version', () => {
+      const rel = path.relative(process.cwd(), validConfigPath);
+      expect(new ConfigValidator().validate(validConfigPath).warnings).toEqual([
+        `${rel}: no schemaVersion, older than the current 1; run "fvtt-config migrate ${rel}" to upgrade it`
+      ]);
+      const config = JSON.parse(fs.readFileSync(validConfigPath, 'utf8'));
+      fs.writeFileSync(validConfigPath, JSON.stringify({ schemaVersion: 2, ...config }));
+      expect(new ConfigValidator().validate(validConfigPath)).toEqual({
+        valid: true,
+        warnings: [ `${rel}: schemaVersion 2 is newer than 1, the version these tools support` ]
+      });
+      fs.writeFileSync(validConfigPath, JSON.stringify({ schemaVersion: '1', ...config }));
+      expect(new ConfigValidator().validate(validConfigPath).errors).toEqual([ 'root: "schemaVersion" must be a positive integer' ]);
+    });
   });
 
   describe('validateConfigWithCache wrapper', () => {
@@ -67,6 +152,19 @@ describe('scripts/config-validator.js', () => {
       expect(first.cached).toBe(false);
       expect(second.cached).toBe(true);
     });
+
+    test('misses the cache when a file the config extends changes', (done) => {
+      const cacheDir = path.join(tempDir, 'cache');
+      const overlayPath = path.join(tempDir, 'overlay.json');
+      fs.writeFileSync(overlayPath, JSON.stringify({ extends: './valid.json' }));
+      expect(validateConfigWithCache(overlayPath, null, cacheDir).cached).toBe(false);
+      expect(validateConfigWithCache(overlayPath, null, cacheDir).cached).toBe(true);
+      setTimeout(() => {
+        fs.writeFileSync(validConfigPath, JSON.stringify({ systems: {}, modules: {}, versions: {} }));
+        expect(validateConfigWithCache(overlayPath, null, cacheDir).cached).toBe(false);
+        done();
+      }, 10);
+    });
   });
 
   describe('calculateFileHash', () => {
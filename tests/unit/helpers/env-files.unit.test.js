@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseEnvFile, validateEnvFiles, envFileTemplate, initEnvFiles } from '#helpers/env-files.js';
+
+const service = (suffix, environment = [ 'FETCH_STAGGER_SECONDS=4' ]) => ({
+  env_file: [ './env/.env', `./env/.${suffix}.env` ],
+  environment
+});
+const compose = {
+  services: {
+    'foundry-v13': service('v13', [ 'FETCH_STAGGER_SECONDS=4', 'FOUNDRY_VARIANT=full' ]),
+    'foundry-v12': service('v12'),
+    builder: { image: 'node:20-alpine' }
+  }
+};
+
+describe('helpers/env-files.js', () => {
+  let tmp;
+  const write = (file, text) => {
+    fs.mkdirSync(path.join(tmp, 'env'), { recursive: true });
+    fs.writeFileSync(path.join(tmp, file), text);
+  };
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-env-')); });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('parseEnvFile reads keys, values, comments, export and bare keys', () => {
+    const { entries, invalid } = parseEnvFile('# comment\n\nA=1 # note\nexport B="x y"\nC\nnot valid\n');
+    expect(entries).toEqual([ { key: 'A', line: 3, value: '1' }, { key: 'B', line: 4, value: 'x y' }, { key: 'C', line: 5, value: undefined } ]);
+    expect(invalid).toEqual([ 6 ]);
+  });
+
+  test('validateEnvFiles reports missing files once per file', () => {
+    write('env/.env', 'TIMEZONE=UTC\n');
+    expect(validateEnvFiles(compose, { baseDir: tmp })).toEqual([
+      './env/.v13.env does not exist (docker compose will refuse to start; create it with --init-env)',
+      './env/.v12.env does not exist (docker compose will refuse to start; create it with --init-env)'
+    ]);
+  });
+
+  test('validateEnvFiles reports duplicate, overridden and injected keys', () => {
+    write('env/.env', 'TIMEZONE=UTC\nTIMEZONE=CET\nFETCH_STAGGER_SECONDS=0\n');
+    write('env/.v13.env', 'TIMEZONE=PST\nFOUNDRY_VARIANT=lite\n');
+    write('env/.v12.env', '');
+    expect(validateEnvFiles(compose, { baseDir: tmp })).toEqual([
+      './env/.env:2: TIMEZONE repeats line 1 (the later value wins)',
+      './env/.env: FETCH_STAGGER_SECONDS is set by the generated service environment and is ignored',
+      './env/.v13.env: TIMEZONE overrides ./env/.env',
+      './env/.v13.env: FOUNDRY_VARIANT is set by the generated service environment and is ignored'
+    ]);
+  });
+
+  test('validateEnvFiles skips optional files', () => {
+    const optional = { services: { a: { env_file: [ { path: './env/.local.env', required: false } ] } } };
+    expect(validateEnvFiles(optional, { baseDir: tmp })).toEqual([]);
+  });
+
+  test('initEnvFiles creates only missing files and documents injected variables', () => {
+    write('env/.v12.env', 'KEEP=1\n');
+    expect(initEnvFiles(compose, { baseDir: tmp, dryRun: true })).toHaveLength(2);
+    expect(fs.existsSync(path.join(tmp, 'env/.env'))).toBe(false);
+
+    const created = initEnvFiles(compose, { baseDir: tmp });
+    expect(created).toEqual([ path.join(tmp, 'env/.env'), path.join(tmp, 'env/.v13.env') ]);
+    expect(fs.readFileSync(path.join(tmp, 'env/.v12.env'), 'utf8')).toBe('KEEP=1\n');
+    const v13 = fs.readFileSync(path.join(tmp, 'env/.v13.env'), 'utf8');
+    expect(v13).toBe(envFileTemplate('./env/.v13.env', [ 'foundry-v13' ], [ 'FETCH_STAGGER_SECONDS', 'FOUNDRY_VARIANT' ]));
+    expect(v13).toContain('# Environment for foundry-v13.');
+    expect(parseEnvFile(v13).entries).toEqual([]);
+    expect(validateEnvFiles(compose, { baseDir: tmp })).toEqual([]);
+    expect(initEnvFiles(compose, { baseDir: tmp })).toEqual([]);
+  });
+});
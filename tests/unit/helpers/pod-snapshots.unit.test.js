@@ -0,0 +1,48 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { snapshotId, writeSnapshotManifest, listSnapshots, findSnapshot, verifySnapshot, pruneSnapshots } from '#helpers/pod-snapshots.js';
+
+describe('helpers/pod-snapshots.js', () => {
+  let root;
+  const save = (service, date, name) => {
+    const dir = path.join(root, service);
+    const id = snapshotId(new Date(date), name);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${id}.tar.gz`), id);
+    return writeSnapshotManifest(dir, { id, name, service, version: 13, scope: 'worlds' });
+  };
+
+  beforeEach(() => { root = fs.mkdtempSync(path.join(os.tmpdir(), 'pod-snapshots-')); });
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('snapshotId starts with a sortable UTC timestamp', () => {
+    expect(snapshotId(new Date('2026-10-19T14:30:05.123Z'), 'Before Migration!')).toBe('20261019-143005-before-migration');
+    expect(snapshotId(new Date('2026-10-19T14:30:05Z'), '')).toBe('20261019-143005');
+  });
+
+  test('finds snapshots by id, name or latest and verifies their checksum', () => {
+    const first = save('foundry-v13', '2026-10-01T00:00:00Z', 'before');
+    const second = save('foundry-v13', '2026-10-02T00:00:00Z', 'before');
+    save('foundry-v12', '2026-10-03T00:00:00Z', 'worlds');
+    expect(listSnapshots(root).map(m => m.service)).toEqual([ 'foundry-v13', 'foundry-v13', 'foundry-v12' ]);
+    expect(findSnapshot(root, 'foundry-v13', first.id).id).toBe(first.id);
+    expect(findSnapshot(root, 'foundry-v13', 'before').id).toBe(second.id);
+    expect(findSnapshot(root, 'foundry-v13', 'latest').id).toBe(second.id);
+    expect(() => findSnapshot(root, 'foundry-v13', 'nope')).toThrow('no snapshot nope of foundry-v13');
+    expect(verifySnapshot(second)).toBe(path.join(root, 'foundry-v13', `${second.id}.tar.gz`));
+    fs.writeFileSync(verifySnapshot(first), 'changed');
+    expect(() => verifySnapshot(first)).toThrow('does not match its sha256 checksum');
+  });
+
+  test('pruneSnapshots keeps the newest snapshots of each service', () => {
+    const old = save('foundry-v13', '2026-10-01T00:00:00Z', 'a');
+    save('foundry-v13', '2026-10-02T00:00:00Z', 'b');
+    save('foundry-v12', '2026-10-01T00:00:00Z', 'c');
+    expect(pruneSnapshots(root, { keep: 1, dryRun: true }).removed.map(m => m.id)).toEqual([ old.id ]);
+    expect(fs.existsSync(old.file)).toBe(true);
+    const { kept, removed } = pruneSnapshots(root, { keep: 1 });
+    expect([ kept.length, removed.length ]).toEqual([ 2, 1 ]);
+    expect(fs.readdirSync(path.join(root, 'foundry-v13'))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+import net from 'node:net';
+import { hostPortOf, isPortInUse, findPortsInUse, findPortsInUseSync } from '#helpers/port-probe.js';
+
+function listen() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '0.0.0.0', () => resolve(server));
+  });
+}
+
+describe('helpers/port-probe.js', () => {
+  test('hostPortOf reads short, IP-bound and long port syntax', () => {
+    expect(hostPortOf('30013:30000')).toBe(30013);
+    expect(hostPortOf('127.0.0.1:30013:30000')).toBe(30013);
+    expect(hostPortOf({ target: 30000, published: '30013' })).toBe(30013);
+    expect(hostPortOf('30000')).toBeNull();
+    expect(hostPortOf({ target: 30000 })).toBeNull();
+  });
+
+  test('detects a bound port and a released one', async () => {
+    const server = await listen();
+    const { port } = server.address();
+    expect(await isPortInUse(port)).toBe(true);
+    await new Promise((resolve) => server.close(resolve));
+    expect(await isPortInUse(port)).toBe(false);
+  });
+
+  test('findPortsInUse returns only the bound ports', async () => {
+    const server = await listen();
+    const { port } = server.address();
+    try {
+      expect(await findPortsInUse([port])).toEqual([port]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('findPortsInUseSync probes in a child process', async () => {
+    const server = await listen();
+    const { port } = server.address();
+    try {
+      expect(findPortsInUseSync([port])).toEqual([port]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('findPortsInUseSync skips the subprocess for no ports and parses injected output', () => {
+    const execFn = jest.fn(() => '[30013]');
+    expect(findPortsInUseSync([], execFn)).toEqual([]);
+    expect(execFn).not.toHaveBeenCalled();
+    expect(findPortsInUseSync([30012, 30013], execFn)).toEqual([30013]);
+    expect(execFn.mock.calls[0][1].slice(1)).toEqual(['30012', '30013']);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @file vault-client.unit.test.js
+ * @description Unit tests for the Vault KV reader against a local stand-in server
+ * @path tests/unit/helpers/vault-client.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveVaultToken, extractSecretValue, readVaultSecret, readVaultSecretSync } from '#helpers/vault-client.js';
+import { startVaultStandIn, spawnVaultStandIn } from '#tests/utils/vault-stand-in.js';
+
+const TOKEN = 'dev-root-token';
+const CREDENTIALS = { foundry_username: 'gm', foundry_password: 'hunter2', foundry_license_key: 'ABCD' };
+const SECRETS = {
+  'secret/data/foundry': { data: { data: CREDENTIALS, metadata: { version: 3 } } },
+  'kv/foundry': { data: { config: CREDENTIALS } }
+};
+
+describe('resolveVaultToken', () => {
+  test('prefers VAULT_TOKEN and falls back to ~/.vault-token', () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-home-'));
+    try {
+      expect(resolveVaultToken({}, home)).toBe('');
+      fs.writeFileSync(path.join(home, '.vault-token'), 'file-token\n');
+      expect(resolveVaultToken({}, home)).toBe('file-token');
+      expect(resolveVaultToken({ VAULT_TOKEN: 'env-token' }, home)).toBe('env-token');
+    } finally {
+      fs.rmSync(home, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('extractSecretValue', () => {
+  test('unwraps KV v2 responses and serializes the whole secret', () => {
+    expect(JSON.parse(extractSecretValue(SECRETS['secret/data/foundry']))).toEqual(CREDENTIALS);
+  });
+
+  test('returns a single field, serializing non-string values', () => {
+    expect(extractSecretValue(SECRETS['secret/data/foundry'], 'foundry_username')).toBe('gm');
+    expect(JSON.parse(extractSecretValue(SECRETS['kv/foundry'], 'config'))).toEqual(CREDENTIALS);
+  });
+
+  test('reports a missing field with the available names', () => {
+    expect(() => extractSecretValue(SECRETS['kv/foundry'], 'nope')).toThrow('field "nope" not found (available: config)');
+  });
+});
+
+describe('readVaultSecret', () => {
+  let vault;
+  beforeAll(async () => { vault = await startVaultStandIn({ token: TOKEN, secrets: SECRETS }); });
+  afterAll(() => vault.close());
+
+  test('reads a KV v2 secret with the token and namespace headers', async () => {
+    const value = await readVaultSecret({ addr: `${vault.addr}/`, path: '/secret/data/foundry', token: TOKEN, namespace: 'team' });
+    expect(JSON.parse(value)).toEqual(CREDENTIALS);
+    const { url, headers } = vault.requests[vault.requests.length - 1];
+    expect(url).toBe('/v1/secret/data/foundry');
+    expect(headers['x-vault-token']).toBe(TOKEN);
+    expect(headers['x-vault-namespace']).toBe('team');
+  });
+
+  test('surfaces Vault errors with the HTTP status', async () => {
+    await expect(readVaultSecret({ addr: vault.addr, path: 'secret/data/foundry', token: 'wrong' }))
+      .rejects.toThrow('HTTP 403 reading secret/data/foundry: permission denied');
+    await expect(readVaultSecret({ addr: vault.addr, path: 'secret/data/missing', token: TOKEN }))
+      .rejects.toThrow('HTTP 404 reading secret/data/missing');
+  });
+
+  test('requires a token', async () => {
+    await expect(readVaultSecret({ addr: vault.addr, path: 'kv/foundry', token: '' })).rejects.toThrow(/no Vault token/);
+  });
+});
+
+describe('readVaultSecretSync', () => {
+  let vault;
+  beforeAll(async () => { vault = await spawnVaultStandIn({ token: TOKEN, secrets: SECRETS }); });
+  afterAll(() => vault.close());
+
+  test('reads through a child process', () => {
+    expect(readVaultSecretSync({ addr: vault.addr, path: 'kv/foundry', field: 'config', token: TOKEN })).toBe(JSON.stringify(CREDENTIALS));
+  });
+
+  test('reports the child error message', () => {
+    expect(() => readVaultSecretSync({ addr: vault.addr, path: 'kv/foundry', token: 'wrong' })).toThrow('HTTP 403 reading kv/foundry: permission denied');
+  });
+
+  test('reports unreachable servers', () => {
+    expect(() => readVaultSecretSync({ addr: 'http://127.0.0.1:1', path: 'kv/foundry', token: TOKEN })).toThrow(/cannot reach Vault at http:\/\/127\.0\.0\.1:1/);
+  });
+});
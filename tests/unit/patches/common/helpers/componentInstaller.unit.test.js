@@ -225,6 +225,41 @@ describe('patches/common/helpers/componentInstaller.mjs', () => {
     }
   });
 
+  test('selects the FOUNDRY_VARIANT install plan merged over the version', () => {
+    const cfg = {
+      versions: {
+        '13': {
+          install: { systems: { sys1: {} }, modules: { mod1: {}, mod2: {} } },
+          variants: { lean: { install: { modules: { mod2: null, mod3: { name: 'Three' } } } } }
+        }
+      }
+    };
+    const cfgPath = path.join(tmpRoot, 'variant.json');
+    fs.writeFileSync(cfgPath, JSON.stringify(cfg));
+    const env = { FOUNDRY_VERSION: '13.345', FOUNDRY_VARIANT: 'lean', FOUNDRY_DATA_DIR: dataDir, CONTAINER_CONFIG_PATH: cfgPath, COMPONENT_CACHE: cacheDir };
+    // @ts-ignore
+    const installer = new ComponentInstaller(env, fallbacks, dirs);
+    expect(installer.getVariant()).toBe('lean');
+    expect(installer.getVersionConfig().install).toEqual({ systems: { sys1: {} }, modules: { mod1: {}, mod3: { name: 'Three' } } });
+  });
+
+  test('exits with code 3 when FOUNDRY_VARIANT is not configured', () => {
+    const cfg = { versions: { '13': { install: { systems: {}, modules: {} } } } };
+    const cfgPath = path.join(tmpRoot, 'variant-missing.json');
+    fs.writeFileSync(cfgPath, JSON.stringify(cfg));
+    const env = { FOUNDRY_VERSION: '13', FOUNDRY_VARIANT: 'lean', FOUNDRY_DATA_DIR: dataDir, CONTAINER_CONFIG_PATH: cfgPath, COMPONENT_CACHE: cacheDir };
+    const spy = jest.spyOn(process, 'exit').mockImplementation((code) => { throw new Error(`exit:${code}`); });
+    try {
+      // @ts-ignore
+      new ComponentInstaller(env, fallbacks, dirs);
+      fail('Expected constructor to exit');
+    } catch (e) {
+      expect(String(e)).toContain('exit:3');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
   test('relative manifest download URL results in skipped install', async () => {
     // write config that points world to manifest-relative
     const cfgPath = path.join(tmpRoot, 'cfg-relative.json');
@@ -0,0 +1,148 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import {
+  ConfigParseError,
+  detectConfigFormat,
+  stripJsonComments,
+  parseConfigText,
+  loadConfigFile,
+  findConfigFile,
+  mergeConfig,
+  loadComposedConfig,
+  configSourceOf
+} from '#patches/common/helpers/configLoader.mjs';
+
+describe('patches/common/helpers/configLoader.mjs', () => {
+  let tmpDir;
+
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-')); });
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }); });
+
+  describe('detectConfigFormat', () => {
+    test('uses the file extension when known', () => {
+      expect(detectConfigFormat('a/container-config.yaml')).toBe('yaml');
+      expect(detectConfigFormat('container-config.YML')).toBe('yaml');
+      expect(detectConfigFormat('container-config.jsonc', 'systems: {}')).toBe('json');
+    });
+
+    test('sniffs content for unknown extensions', () => {
+      expect(detectConfigFormat('config', '// note\n{ "a": 1 }')).toBe('json');
+      expect(detectConfigFormat('config', 'systems: {}\n')).toBe('yaml');
+    });
+  });
+
+  describe('JSONC', () => {
+    test('strips comments and trailing commas without touching strings', () => {
+      const text = '{\n  // pinned: v2 breaks the sheet\n  "url": "https://x//y", /* inline */\n  "list": [1, 2,],\n}';
+      expect(parseConfigText(text, { filePath: 'c.json' })).toEqual({ url: 'https://x//y', list: [1, 2] });
+    });
+
+    test('keeps offsets so errors point at the original line', () => {
+      const text = '{ /* a */ "a": 1 }';
+      expect(stripJsonComments(text)).toHaveLength(text.length);
+    });
+
+    test('reports line and column for JSON errors', () => {
+      const text = '{\n  // comment\n  "a": 1\n  "b": 2\n}';
+      let err;
+      try { parseConfigText(text, { filePath: 'container-config.json' }); } catch (e) { err = e; }
+      expect(err).toBeInstanceOf(ConfigParseError);
+      expect(err.line).toBe(4);
+      expect(err.column).toBe(3);
+      expect(err.message).toMatch(/^container-config\.json:4:3: /);
+    });
+
+    test('reports the end of input for truncated files', () => {
+      expect(() => parseConfigText('{\n  "a": ', { filePath: 'c.json' })).toThrow(/^c\.json:2:8: /);
+    });
+  });
+
+  describe('YAML', () => {
+    test('parses YAML with the resolved js-yaml parser', () => {
+      const text = '# pinned for v13\nsystems: {}\nmodules:\n  mod: { name: Mod, manifest: "https://e/x.json" }\n';
+      expect(parseConfigText(text, { filePath: 'c.yaml' })).toEqual({ systems: {}, modules: { mod: { name: 'Mod', manifest: 'https://e/x.json' } } });
+    });
+
+    test('reports 1-based line and column for YAML errors', () => {
+      let err;
+      try { parseConfigText('a: 1\n b: [\n', { filePath: 'c.yml' }); } catch (e) { err = e; }
+      expect(err).toBeInstanceOf(ConfigParseError);
+      expect(err.line).toBe(2);
+      expect(err.column).toBe(3);
+      expect(err.message).toBe('c.yml:2:3: bad indentation of a mapping entry');
+    });
+
+    test('uses an injected parser when given', () => {
+      const yamlParser = (text) => ({ raw: text });
+      expect(parseConfigText('x: 1', { format: 'yaml', yamlParser })).toEqual({ raw: 'x: 1' });
+    });
+  });
+
+  describe('files', () => {
+    test('loadConfigFile reads and parses by extension', () => {
+      const p = path.join(tmpDir, 'container-config.yml');
+      fs.writeFileSync(p, 'versions:\n  "13": {}\n');
+      expect(loadConfigFile(p)).toEqual({ versions: { '13': {} } });
+    });
+
+    test('findConfigFile prefers JSON, then JSONC, then YAML', () => {
+      expect(findConfigFile(tmpDir)).toBeNull();
+      fs.writeFileSync(path.join(tmpDir, 'container-config.yaml'), '{}');
+      expect(findConfigFile(tmpDir)).toBe(path.join(tmpDir, 'container-config.yaml'));
+      fs.writeFileSync(path.join(tmpDir, 'container-config.jsonc'), '{}');
+      expect(findConfigFile(tmpDir)).toBe(path.join(tmpDir, 'container-config.jsonc'));
+    });
+  });
+
+  describe('composition', () => {
+    const write = (name, value) => {
+      const file = path.join(tmpDir, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, typeof value === 'string' ? value : JSON.stringify(value));
+      return file;
+    };
+
+    test('mergeConfig merges objects, replaces arrays and scalars, and deletes on null', () => {
+      const base = { a: { x: 1, y: [ 1, 2 ] }, b: 'keep', c: { gone: true }, d: { memory: '2g' } };
+      const overlay = { a: { y: [ 3 ], z: null }, b: 'new', c: null };
+      expect(mergeConfig(base, overlay)).toEqual({ a: { x: 1, y: [ 3 ], z: null }, b: 'new', d: { memory: '2g' } });
+      expect(base.a.y).toEqual([ 1, 2 ]);
+    });
+
+    test('applies extends, the file, then include, tracking where each value came from', () => {
+      write('team/base.json', { modules: { a: { name: 'A' }, b: { name: 'B' } }, tags: [ 'base' ] });
+      write('team/extra.yaml', 'modules:\n  a:\n    path: /host/dist/a\n');
+      const main = write('proj/container-config.jsonc', {
+        extends: [ '../team/base.json', '../team/extra.yaml' ],
+        include: [ 'local.json', { path: 'missing.json', optional: true } ],
+        modules: { b: null, c: { name: 'C' } },
+        tags: [ 'proj' ]
+      });
+      const local = write('proj/local.json', { modules: { c: { name: 'Mine' } } });
+      const { config, files, sources } = loadComposedConfig(main);
+      expect(config).toEqual({ modules: { a: { name: 'A', path: '/host/dist/a' }, c: { name: 'Mine' } }, tags: [ 'proj' ] });
+      expect(files.map(f => path.relative(tmpDir, f))).toEqual([ 'team/base.json', 'team/extra.yaml', 'proj/container-config.jsonc', 'proj/local.json' ]);
+      expect(configSourceOf(sources, '/modules/a/name')).toBe(path.join(tmpDir, 'team/base.json'));
+      expect(configSourceOf(sources, '/modules/a/path')).toBe(path.join(tmpDir, 'team/extra.yaml'));
+      expect(configSourceOf(sources, '/modules/c/name')).toBe(local);
+      expect(configSourceOf(sources, '/nope')).toBeUndefined();
+    });
+
+    test('applies a file reached twice once and rejects cycles and missing files', () => {
+      write('base.json', { v: 1 });
+      write('a.json', { extends: 'base.json', v: 2 });
+      const diamond = write('main.json', { extends: [ 'a.json', 'base.json' ] });
+      expect(loadComposedConfig(diamond).config).toEqual({ v: 2 });
+
+      write('x.json', { extends: 'y.json' });
+      const y = write('y.json', { include: [ 'x.json' ] });
+      expect(() => loadComposedConfig(y)).toThrow('circular config reference: y.json -> x.json -> y.json');
+
+      const missing = write('m.json', { extends: 'nowhere.json' });
+      expect(() => loadComposedConfig(missing)).toThrow(ConfigParseError);
+      expect(() => loadComposedConfig(missing)).toThrow(`${missing}: extends: nowhere.json not found`);
+      expect(() => loadComposedConfig(write('bad.json', { extends: [ 1 ] }))).toThrow('"extends" entries must be a path');
+    });
+  });
+});
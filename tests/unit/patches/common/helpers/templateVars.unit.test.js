@@ -0,0 +1,94 @@
+import {
+  TEMPLATE_VARS_ENV,
+  TemplateError,
+  templateProblems,
+  templateVariablesOf,
+  resolveTemplate,
+  checkTemplateVariables,
+  resolveTemplates,
+  listComponentTemplates,
+  listInstallTemplates,
+  configTemplateProblems,
+  containerTemplateVars
+} from '#patches/common/helpers/templateVars.mjs';
+
+describe('patches/common/helpers/templateVars.mjs', () => {
+  const vars = { version: '13', major: '13', minor: '345', name: 'foundry-v13', port: '30013', dir: 'v13' };
+
+  test('resolveTemplate substitutes variables and env references with defaults', () => {
+    expect(resolveTemplate('{name}:{port} {dir} {major}.{minor}', vars)).toBe('foundry-v13:30013 v13 13.345');
+    expect(resolveTemplate('${env:FOUNDRY_TAG:-release}', vars, {})).toBe('release');
+    expect(resolveTemplate('${env:FOUNDRY_TAG:-release}', vars, { FOUNDRY_TAG: '' })).toBe('release');
+    expect(resolveTemplate('${env:FOUNDRY_TAG:-release}', vars, { FOUNDRY_TAG: '13.345' })).toBe('13.345');
+    expect(resolveTemplate('${FOUNDRY_ADMIN_KEY}', vars, {})).toBe('${FOUNDRY_ADMIN_KEY}');
+    expect(resolveTemplate(30013, vars)).toBe(30013);
+  });
+
+  test('resolveTemplate reports unknown and unresolved references with their pointer', () => {
+    expect(() => resolveTemplate('v{minor}', { version: '13' }, {}, '/composition/version_params/tag'))
+      .toThrow('/composition/version_params/tag: unresolved template variable {minor} (needs a version such as 13.345)');
+    expect(() => resolveTemplate('${env:TAG}', vars, {})).toThrow('unresolved template variable ${env:TAG} (TAG is not set');
+    let error;
+    try { resolveTemplate('{versoin}', vars, {}, '/x'); } catch (e) { error = e; }
+    expect(error).toBeInstanceOf(TemplateError);
+    expect(error).toMatchObject({ pointer: '/x', reference: '{versoin}' });
+  });
+
+  test('templateProblems and templateVariablesOf inspect templates without values', () => {
+    expect(templateProblems('{version}-${env:A:-b}-${OTHER}')).toEqual([]);
+    expect(templateProblems('{foo} ${env:1BAD}')).toEqual([
+      expect.stringContaining('unknown template variable {foo}'),
+      expect.stringContaining('malformed template reference ${env:1BAD}')
+    ]);
+    expect(templateVariablesOf('{name}-${env:A}-{port}')).toEqual([ 'name', 'port' ]);
+  });
+
+  test('resolveTemplates copies objects and arrays with nested pointers', () => {
+    const input = { profiles: [ 'v{version}' ], labels: { host: '{name}.local' } };
+    expect(resolveTemplates(input, vars)).toEqual({ profiles: [ 'v13' ], labels: { host: 'foundry-v13.local' } });
+    expect(() => resolveTemplates({ a: [ '{bad}' ] }, vars, {}, '/p')).toThrow('/p/a/0: unknown template variable {bad}');
+  });
+
+  test('configTemplateProblems checks params, proxy hostname and component fields', () => {
+    const config = {
+      systems: { sys: { path: '/host/{nope}' } },
+      modules: { mod: { manifest: 'https://example.com/{version}/module.json', continuous_sync: { source: '/host/{dir}' } } },
+      composition: { version_params: { name: 'foundry-{bad}' }, proxy: { hostname: '{name}.localhost' } },
+      versions: { '13': { install: { modules: { mod: { manifest: '${env:}' } } }, variants: { dev: { composition_params: { tag: '{tag}' } } } } }
+    };
+    expect(listComponentTemplates(config).map(t => t.pointer)).toEqual([
+      '/systems/sys/path',
+      '/modules/mod/manifest',
+      '/modules/mod/continuous_sync/source',
+      '/versions/13/install/modules/mod/manifest'
+    ]);
+    expect(configTemplateProblems(config)).toEqual([
+      expect.stringMatching(/^\/composition\/version_params\/name: unknown template variable \{bad\}/),
+      expect.stringMatching(/^\/versions\/13\/variants\/dev\/composition_params\/tag: unknown template variable \{tag\}/),
+      expect.stringMatching(/^\/systems\/sys\/path: unknown template variable \{nope\}/),
+      expect.stringMatching(/^\/versions\/13\/install\/modules\/mod\/manifest: malformed template reference/)
+    ]);
+  });
+
+  test('listInstallTemplates merges installed entries over the top level; checkTemplateVariables skips env references', () => {
+    const config = {
+      modules: {
+        mod: { manifest: 'https://example.com/{minor}/module.json', continuous_sync: { enabled: false, source: '/host/{minor}' } },
+        other: { path: '/host/other' }
+      }
+    };
+    const install = { modules: { mod: { continuous_sync: { source: '/host/{dir}/${env:SRC}' } } } };
+    expect(listInstallTemplates(config, install)).toEqual([
+      { pointer: '/modules/mod/manifest', value: 'https://example.com/{minor}/module.json' },
+      { pointer: '/modules/mod/continuous_sync/source', value: '/host/{dir}/${env:SRC}' }
+    ]);
+    expect(() => checkTemplateVariables('/host/{dir}/${env:SRC}', vars, '/p')).not.toThrow();
+    expect(() => checkTemplateVariables('{minor}', { version: '12' }, '/p')).toThrow('/p: unresolved template variable {minor}');
+  });
+
+  test('containerTemplateVars reads the pinned build and the service variables', () => {
+    const env = { FOUNDRY_VERSION: '13.345', [TEMPLATE_VARS_ENV]: JSON.stringify({ name: 'foundry-v13', port: 30013, dir: 'v13' }) };
+    expect(containerTemplateVars(env, 13)).toEqual(vars);
+    expect(containerTemplateVars({ FOUNDRY_VERSION: 'release' }, '12')).toEqual({ version: '12', major: '12' });
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  VARIANT_NAME_PATTERN,
+  listVariants,
+  mergeInstall,
+  resolveVariantConfig
+} from '#patches/common/helpers/variants.mjs';
+
+describe('patches/common/helpers/variants.mjs', () => {
+  const versionConfig = {
+    supported: true,
+    composition_params: { name: 'foundry-v13', tag: 'release', env_files: ['./env/.extra'] },
+    install: {
+      systems: { dnd5e: {} },
+      modules: { 'lib-wrapper': {}, 'dice-so-nice': { continuous_sync: true } }
+    },
+    variants: {
+      full: { install: { modules: { 'dice-so-nice': { install_at_startup: false }, 'token-action-hud': {} } } },
+      clean: { inherit_install: false, install: { systems: { dnd5e: {} }, modules: {} } },
+      old: { supported: false, composition_params: { tag: '13.331' } }
+    }
+  };
+
+  test('variant names must start with a letter and stay hostname-safe', () => {
+    expect(VARIANT_NAME_PATTERN.test('full')).toBe(true);
+    expect(VARIANT_NAME_PATTERN.test('p345')).toBe(true);
+    expect(VARIANT_NAME_PATTERN.test('345')).toBe(false);
+    expect(VARIANT_NAME_PATTERN.test('with_underscore')).toBe(false);
+  });
+
+  test('listVariants keeps declaration order and skips unsupported variants', () => {
+    expect(listVariants(versionConfig).map(([name]) => name)).toEqual(['full', 'clean']);
+    expect(listVariants({ install: {} })).toEqual([]);
+  });
+
+  test('mergeInstall merges entries per kind and removes null entries', () => {
+    expect(mergeInstall({ modules: { a: { name: 'A' }, b: {} } }, { modules: { a: { path: '/x' }, b: null }, worlds: { w: {} } })).toEqual({
+      modules: { a: { name: 'A', path: '/x' } },
+      worlds: { w: {} }
+    });
+  });
+
+  test('resolveVariantConfig merges install and composition_params over the version', () => {
+    const full = resolveVariantConfig(versionConfig, 'full');
+    expect(full.variant).toBe('full');
+    expect(full).not.toHaveProperty('variants');
+    expect(full.composition_params.tag).toBe('release');
+    expect(full.install.modules).toEqual({
+      'lib-wrapper': {},
+      'dice-so-nice': { continuous_sync: true, install_at_startup: false },
+      'token-action-hud': {}
+    });
+  });
+
+  test('inherit_install: false replaces the install plan', () => {
+    expect(resolveVariantConfig(versionConfig, 'clean').install).toEqual({ systems: { dnd5e: {} }, modules: {} });
+  });
+
+  test('unsupported and unknown variants', () => {
+    expect(resolveVariantConfig(versionConfig, 'old').supported).toBe(false);
+    expect(resolveVariantConfig(versionConfig, 'nope')).toBeNull();
+    expect(resolveVariantConfig(versionConfig, '')).toBe(versionConfig);
+  });
+});
@@ -30,6 +30,20 @@ describe('sync-host-content.mjs - buildConfigSyncTasksFrom', () => {
     expect(runBuilder(cfg, { version: '13', dataDir })).toEqual([]);
   });
 
+  test('uses the variant install plan when a variant is given', () => {
+    const cfg = {
+      versions: {
+        '13': {
+          install: { modules: { modA: { continuous_sync: true } } },
+          variants: { lean: { install: { modules: { modA: null, modB: { continuous_sync: true } } } } },
+        },
+      },
+    };
+    expect(runBuilder(cfg, { version: '13', dataDir }).map(t => t.id)).toEqual(['modA']);
+    expect(runBuilder(cfg, { version: '13', variant: 'lean', dataDir }).map(t => t.id)).toEqual(['modB']);
+    expect(runBuilder(cfg, { version: '13', variant: 'missing', dataDir })).toEqual([]);
+  });
+
   test('creates tasks with sensible defaults for worlds/modules/systems', () => {
     const cfg = {
       versions: {
@@ -102,6 +116,19 @@ describe('sync-host-content.mjs - buildConfigSyncTasksFrom', () => {
     expect(s1).toBeTruthy();
   });
 
+  test('resolves template variables in sources and skips unresolved ones', () => {
+    const cfg = {
+      modules: {
+        m1: { continuous_sync: { source: '/host/{dir}/modules/m1-{minor}' } },
+        m2: { continuous_sync: { source: '${env:M2_SOURCE}' } },
+      },
+      versions: { '13': { install: { modules: { m1: {}, m2: {} } } } },
+    };
+    const env = { FOUNDRY_VERSION: '13.345', FOUNDRY_TEMPLATE_VARS: JSON.stringify({ dir: 'v13' }) };
+    const tasks = runBuilder(cfg, { version: '13', dataDir, env });
+    expect(tasks.map(t => [ t.id, t.source ])).toEqual([ [ 'm1', '/host/v13/modules/m1-345' ] ]);
+  });
+
   test('skips entries where continuous_sync is false/disabled', () => {
     const cfg = {
       versions: {
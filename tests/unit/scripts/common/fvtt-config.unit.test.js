@@ -0,0 +1,68 @@
+/**
+ * @file fvtt-config.unit.test.js
+ * @description Unit tests for the fvtt-config migrate module
+ * @path tests/unit/scripts/common/fvtt-config.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { formatLineDiff, backupPath, migrateConfigFile, runMigrate } from '#scripts/common/fvtt-config.mjs';
+
+describe('formatLineDiff', () => {
+  test('prints unified hunks with context and nothing for equal texts', () => {
+    const before = [ 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', '' ].join('\n');
+    const after = [ 'a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', '' ].join('\n');
+    expect(formatLineDiff(before, after, { context: 1 })).toBe([
+      '@@ -1,3 +1,3 @@', ' a', '-b', '+B', ' c',
+      '@@ -8,1 +8,2 @@', ' h', '+i'
+    ].join('\n'));
+    expect(formatLineDiff(before, before)).toBe('');
+  });
+});
+
+describe('migrateConfigFile', () => {
+  let tmp;
+  const legacy = { systems: { sys: { name: 'System', file: '/host/dist/sys' } }, modules: {}, versions: { '13': { install: { systems: { sys: {} }, modules: {} } } } };
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-migrate-')); });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('writes the migrated file, keeps a numbered backup and shows the diff', () => {
+    const file = path.join(tmp, 'container-config.json');
+    const original = JSON.stringify(legacy, null, 4) + '\n';
+    fs.writeFileSync(file, original);
+    fs.writeFileSync(`${file}.v0.bak`, 'older backup');
+
+    const result = migrateConfigFile(file);
+    expect(result).toMatchObject({ from: 0, to: 1, written: true, backup: `${file}.v0.bak.1`, warnings: [] });
+    expect(result.diff).toContain('+    "schemaVersion": 1,');
+    expect(result.diff).toContain('-            "file": "/host/dist/sys"\n+            "path": "/host/dist/sys"');
+    expect(fs.readFileSync(result.backup, 'utf8')).toBe(original);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).systems.sys).toEqual({ name: 'System', path: '/host/dist/sys' });
+    expect(migrateConfigFile(file)).toMatchObject({ from: 1, to: 1, diff: '', written: false, backup: null });
+  });
+
+  test('dry runs leave YAML files untouched and warn that comments are dropped', () => {
+    const file = path.join(tmp, 'container-config.yaml');
+    const original = `# pinned build\n${yaml.dump(legacy)}`;
+    fs.writeFileSync(file, original);
+    const result = migrateConfigFile(file, { dryRun: true });
+    expect(result.diff).toContain('+schemaVersion: 1');
+    expect(result.warnings).toEqual([ `${file}: comments and formatting are not preserved (the backup keeps the original)` ]);
+    expect(result.written).toBe(false);
+    expect(fs.readFileSync(file, 'utf8')).toBe(original);
+    expect(fs.readdirSync(tmp)).toEqual([ 'container-config.yaml' ]);
+  });
+
+  test('lists extended files that need migrating and finds the default config', () => {
+    const base = path.join(tmp, 'base.json');
+    fs.writeFileSync(base, JSON.stringify(legacy));
+    fs.writeFileSync(path.join(tmp, 'container-config.json'), JSON.stringify({ schemaVersion: 1, extends: './base.json' }));
+    const [ result ] = runMigrate({ cwd: tmp });
+    expect(result).toMatchObject({ file: path.join(tmp, 'container-config.json'), from: 1, written: false });
+    expect(result.references).toEqual([ { file: base, version: 0 } ]);
+    expect(backupPath(base, 0)).toBe(`${base}.v0.bak`);
+    expect(() => runMigrate({ cwd: path.join(tmp, 'missing') })).toThrow('pass the file to migrate');
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @file fvtt-init.unit.test.js
+ * @description Unit tests for the fvtt-pod init scaffolding module
+ * @path tests/unit/scripts/common/fvtt-init.unit.test.js
+ */
+
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import { jest } from '@jest/globals';
+import yaml from 'js-yaml';
+import { parseVersions, parsePackageSpec, containerPath, buildInitConfig, createPrompter, runInit } from '#scripts/common/fvtt-init.mjs';
+import { ConfigValidator } from '#helpers/config-validator.js';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../..');
+const schemaPath = path.join(repoRoot, 'schemas/container-config.schema.json');
+
+describe('fvtt-init answers', () => {
+  test('parseVersions accepts comma or space separated majors', () => {
+    expect(parseVersions('13,12')).toEqual([ 13, 12 ]);
+    expect(parseVersions('v13 v12 13')).toEqual([ 13, 12 ]);
+    expect(parseVersions([ 11 ])).toEqual([ 11 ]);
+    expect(() => parseVersions('13.1')).toThrow('Invalid Foundry version: 13.1');
+    expect(() => parseVersions('')).toThrow('At least one Foundry version is required');
+  });
+
+  test('parsePackageSpec takes an explicit id or derives it from the file name', () => {
+    expect(parsePackageSpec('dnd5e=https://example.com/dnd5e/system.json', 'system'))
+      .toEqual({ id: 'dnd5e', name: 'Dnd5e', manifest: 'https://example.com/dnd5e/system.json' });
+    expect(parsePackageSpec('./dist/my-module', 'module')).toEqual({ id: 'my-module', name: 'My Module', path: './dist/my-module' });
+    expect(parsePackageSpec('https://example.com/cool_mod.json', 'module').id).toBe('cool_mod');
+    expect(() => parsePackageSpec('https://example.com/dnd5e/system.json', 'system')).toThrow('Cannot derive a system id');
+    expect(() => parsePackageSpec('ftp://example.com/m.json', 'module')).toThrow('expected http or https');
+  });
+
+  test('containerPath maps host paths below bound directories', () => {
+    const mounts = [ { source: './foundry-cache/v13', target: '/data/container_cache' }, { source: './dist', target: '/host/dist' } ];
+    expect(containerPath('./dist/my-module', mounts, '/pod')).toBe('/host/dist/my-module');
+    expect(containerPath('/pod/foundry-cache/v13/sys.zip', mounts, '/pod')).toBe('/data/container_cache/sys.zip');
+    expect(containerPath('/data/container_cache/x.zip', mounts, '/pod')).toBe('/data/container_cache/x.zip');
+    expect(containerPath('../elsewhere/x.zip', mounts, '/pod')).toBeNull();
+  });
+});
+
+describe('buildInitConfig', () => {
+  test('installs the system and modules in every version and passes the schema', () => {
+    const { config, warnings } = buildInitConfig({
+      versions: [ 13, 12 ],
+      system: parsePackageSpec('dnd5e=https://example.com/dnd5e/system.json', 'system'),
+      modules: [ parsePackageSpec('./dist/my-module', 'module'), parsePackageSpec('/tmp/other.zip', 'module') ]
+    }, { baseDir: '/pod' });
+    expect(config.schemaVersion).toBe(1);
+    expect(config.modules['my-module']).toEqual({ name: 'My Module', manifest: '', path: '/host/dist/my-module', install_at_startup: true });
+    expect(config.versions['12']).toEqual({ supported: true, install: { systems: { dnd5e: {} }, modules: { 'my-module': {}, other: {} } } });
+    expect(warnings).toEqual([ 'modules.other: /tmp/other.zip is not visible in the container; move it below ./dist or ./foundry-cache/vNN' ]);
+    expect(new ConfigValidator({ schemaPath }).validateConfig(config)).toEqual({ valid: true });
+  });
+
+  test('rejects duplicate ids', () => {
+    const mod = parsePackageSpec('a=https://example.com/a.json', 'module');
+    expect(() => buildInitConfig({ versions: [ 13 ], modules: [ mod, mod ] })).toThrow('Duplicate module id: a');
+  });
+});
+
+describe('runInit', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-init-')); });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('--yes writes the config, env files, host directories and a private secrets.json', async () => {
+    const result = await runInit({ yes: true, dir: tmp, versions: '13,12', system: 'dnd5e=https://example.com/dnd5e/system.json' });
+    const rel = result.created.map(f => path.relative(tmp, f));
+    expect(rel).toEqual(expect.arrayContaining([
+      'container-config.json', 'env/.env', 'env/.v13.env', 'env/.v12.env', 'dist',
+      'shared/v13', 'resources/v12', 'foundry-cache/v13', 'foundry-cache/v12', 'secrets.json'
+    ]));
+    for (const file of rel) expect(fs.existsSync(path.join(tmp, file))).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(tmp, 'container-config.json'), 'utf8'))).toEqual(result.config);
+    expect(fs.statSync(path.join(tmp, 'secrets.json')).mode & 0o777).toBe(0o600);
+    expect(result.commands[0]).toContain('--secrets-mode file');
+  });
+
+  test('the printed generator command points the secret at secrets.json next to the compose file', async () => {
+    const dir = path.join(tmp, 'pod');
+    const { commands } = await runInit({ yes: true, dir, versions: '13' });
+    const genArgs = commands[0].replace('npx fvtt-compose-gen ', '').split(' ');
+    execFileSync(process.execPath, [ path.join(repoRoot, 'scripts/generate-compose.js'), ...genArgs ], { stdio: 'pipe' });
+    const compose = yaml.load(fs.readFileSync(path.join(dir, 'compose.dev.yml'), 'utf8'));
+    const files = Object.values(compose.secrets).map(secret => path.resolve(dir, secret.file));
+    expect(files).toEqual([ path.join(dir, 'secrets.json') ]);
+  });
+
+  test('refuses to overwrite an existing config without force and writes nothing on dry run', async () => {
+    fs.writeFileSync(path.join(tmp, 'container-config.json'), '{}');
+    await expect(runInit({ yes: true, dir: tmp })).rejects.toThrow('already exists; pass --force to overwrite it');
+    const { created } = await runInit({ yes: true, dir: tmp, force: true, dryRun: true, secretsMode: 'none' });
+    expect(created).toContain(path.join(tmp, 'env/.env'));
+    expect(fs.readFileSync(path.join(tmp, 'container-config.json'), 'utf8')).toBe('{}');
+    expect(fs.readdirSync(tmp)).toEqual([ 'container-config.json' ]);
+  });
+
+  test('prompts for missing answers and asks again after an invalid one', async () => {
+    const errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const replies = [ '13, 99x', '13', '', 'https://example.com/helper.json', '', 'vault' ];
+    const ask = jest.fn(async () => replies.shift());
+    try {
+      const { config, commands } = await runInit({ dir: tmp, dryRun: true }, { ask });
+      expect(ask).toHaveBeenCalledTimes(6);
+      expect(ask.mock.calls[0][1]).toBe('13');
+      expect(errSpy).toHaveBeenCalledWith('Invalid Foundry version: 99x (expected a major version such as 13)');
+      expect(config.systems).toEqual({});
+      expect(Object.keys(config.modules)).toEqual([ 'helper' ]);
+      expect(commands[0]).toContain('--secrets-mode vault');
+    } finally {
+      errSpy.mockRestore();
+    }
+  });
+
+  test('fails instead of hanging when stdin ends before the questions are answered', async () => {
+    const input = new PassThrough();
+    const prompter = createPrompter({ input, output: new PassThrough() });
+    input.end();
+    await expect(runInit({ dir: tmp }, { ask: prompter.ask })).rejects.toThrow('stdin closed; pass --yes to use the defaults');
+    expect(fs.readdirSync(tmp)).toEqual([]);
+  });
+});
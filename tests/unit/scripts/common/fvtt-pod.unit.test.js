@@ -0,0 +1,354 @@
+/**
+ * @file fvtt-pod.unit.test.js
+ * @description Unit tests for the fvtt-pod command runner
+ * @path tests/unit/scripts/common/fvtt-pod.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import { runPodCommand, planPodCommand, resolveComposeFile, resolveFoundryService, PodCommandError } from '#scripts/common/fvtt-pod.mjs';
+
+const DOCKER_COMPOSE = { available: true, composeCommand: 'docker compose', command: [ 'docker', 'compose' ], engine: [ 'docker' ] };
+const SERVICES = [
+  { name: 'foundry-v12', version: 12 },
+  { name: 'foundry-v13', version: 13 },
+  { name: 'foundry-v13-lite', version: 13, variant: 'lite' }
+];
+
+describe('planPodCommand', () => {
+  test('maps commands to compose arguments', () => {
+    expect(planPodCommand('up', [ '-d', '--profile', 'legacy', '--only', 'v13', '--only', 'builder' ], 'c.yml'))
+      .toEqual([ { compose: [ '--profile', 'legacy', 'up', '-d', '--remove-orphans', 'foundry-v13', 'builder' ] } ]);
+    expect(planPodCommand('logs', [ '--tail', '50', 'foundry-v13' ])).toEqual([ { compose: [ 'logs', '--tail', '50', 'foundry-v13' ] } ]);
+    expect(planPodCommand('exec', [ 'foundry-v13' ])).toEqual([ { compose: [ 'exec', '-u', '0', '-it', 'foundry-v13', 'sh' ] } ]);
+    expect(planPodCommand('stop-builder')).toEqual([ { compose: [ 'stop', 'builder' ], ignoreFailure: true } ]);
+    expect(planPodCommand('up', [ '--check' ], 'c.yml')[0].argv.slice(-3)).toEqual([ '--check', '-o', 'c.yml' ]);
+  });
+
+  test('rejects missing arguments and unknown commands', () => {
+    expect(() => planPodCommand('start', [])).toThrow('Usage: fvtt-pod start SERVICE');
+    expect(() => planPodCommand('up', [ '--profile' ])).toThrow('--profile requires a name');
+    expect(() => planPodCommand('up', [ '--bogus' ])).toThrow('unknown option for up: --bogus');
+    expect(() => planPodCommand('bogus')).toThrow(PodCommandError);
+  });
+
+  test('switch stops the other Foundry services, starts the target and waits for it', () => {
+    expect(planPodCommand('switch', [ 'v13', '--timeout', '60' ], 'c.yml', { services: SERVICES })).toEqual([
+      { compose: [ 'stop', 'foundry-v12', 'foundry-v13-lite' ] },
+      { compose: [ 'up', '-d', '--no-deps', 'foundry-v13' ] },
+      { wait: 'foundry-v13', timeout: 60 }
+    ]);
+    expect(resolveFoundryService('13-lite', SERVICES).name).toBe('foundry-v13-lite');
+    expect(resolveFoundryService('foundry-v12', SERVICES).name).toBe('foundry-v12');
+    expect(() => resolveFoundryService('14', SERVICES)).toThrow('no Foundry service for 14 (services: foundry-v12, foundry-v13, foundry-v13-lite)');
+    expect(() => planPodCommand('switch', [], 'c.yml', { services: SERVICES })).toThrow('Usage: fvtt-pod switch VERSION|SERVICE');
+    expect(() => planPodCommand('switch', [ '13' ], 'c.yml')).toThrow(expect.objectContaining({ exitCode: 2 }));
+  });
+
+  test('reset confirms, stops, snapshots, wipes and restarts the service', () => {
+    const context = { services: SERVICES, cwd: '/pod', date: new Date('2026-10-19T14:30:05Z') };
+    const steps = planPodCommand('reset', [ '13', '--snapshot' ], 'compose.dev.yml', context);
+    const restart = { compose: [ 'up', '-d', '--no-deps', 'foundry-v13' ] };
+    expect(steps).toEqual([
+      { confirm: 'Reset the data volume of foundry-v13? This deletes its data' },
+      { compose: [ 'stop', 'foundry-v13' ] },
+      expect.objectContaining({
+        snapshot: expect.objectContaining({ id: '20261019-143005-pre-reset-all', scope: 'all', dir: '/pod/snapshots/foundry-v13' }),
+        onFailure: restart
+      }),
+      { compose: [ 'rm', '-f', 'foundry-v13' ], onFailure: restart },
+      { removeVolume: 'foundry-v13-data', onFailure: restart },
+      restart
+    ]);
+    expect(steps[2].compose.slice(-4)).toEqual([ '/data', '.', '20261019-143005-pre-reset-all.tar.gz', 'all' ]);
+    const worlds = planPodCommand('reset', [ 'v12', '--worlds', '--yes' ], 'compose.dev.yml', context);
+    expect(worlds.map(step => step.compose.slice(0, 6))).toEqual([
+      [ 'stop', 'foundry-v12' ],
+      [ 'run', '--rm', '--no-deps', '--entrypoint', 'sh', 'foundry-v12' ],
+      [ 'up', '-d', '--no-deps', 'foundry-v12' ]
+    ]);
+    expect(worlds[1].compose.at(-1)).toBe('/data/Data/worlds');
+    expect(worlds[1].onFailure).toEqual(worlds[2]);
+    expect(() => planPodCommand('reset', [ '13', '--modules', '--worlds' ], 'c.yml', context)).toThrow('reset takes one of --all, --modules or --worlds');
+  });
+
+  test('up --wait starts detached and waits for the Foundry services it started', () => {
+    expect(planPodCommand('up', [ '--wait', '--only', '13-lite', '--only', 'builder', '--timeout', '60' ], 'c.yml', { services: SERVICES })).toEqual([
+      { compose: [ 'up', '-d', '--remove-orphans', 'foundry-v13-lite', 'builder' ] },
+      { serve: [ 'foundry-v13-lite' ], timeout: 60 }
+    ]);
+    expect(planPodCommand('up', [ '--wait' ], 'c.yml', { services: SERVICES })[1]).toEqual({ serve: [ 'foundry-v12', 'foundry-v13', 'foundry-v13-lite' ], timeout: 300 });
+    expect(() => planPodCommand('up', [ '--timeout', '60' ], 'c.yml')).toThrow('--timeout requires --wait');
+    expect(() => planPodCommand('up', [ '--wait' ], 'c.yml')).toThrow(expect.objectContaining({ exitCode: 2 }));
+  });
+
+  test('snapshot archives the worlds of a stopped service with a one-off container', () => {
+    const context = { services: SERVICES, cwd: '/pod', date: new Date('2026-10-19T14:30:05Z') };
+    const steps = planPodCommand('snapshot', [ '13-lite', '--name', 'Before Migration' ], 'c.yml', context);
+    expect(steps.map(step => step.compose.slice(0, 7))).toEqual([
+      [ 'stop', 'foundry-v13-lite' ],
+      [ 'run', '--rm', '--no-deps', '-T', '-v', '/pod/snapshots/foundry-v13-lite:/snapshots', '--entrypoint' ],
+      [ 'up', '-d', '--no-deps', 'foundry-v13-lite' ]
+    ]);
+    expect(steps[1].compose.slice(-5)).toEqual([ 'sh', '/data/Data', 'worlds', '20261019-143005-before-migration.tar.gz', 'worlds' ]);
+    expect(steps[2].ifRunning).toBe('foundry-v13-lite');
+    expect(steps[1].onFailure).toEqual(steps[2]);
+    expect(steps[1].snapshot).toEqual({
+      dir: '/pod/snapshots/foundry-v13-lite',
+      id: '20261019-143005-before-migration',
+      name: 'Before Migration',
+      service: 'foundry-v13-lite',
+      version: 13,
+      variant: 'lite',
+      scope: 'worlds',
+      source: '/data/Data/worlds',
+      created: '2026-10-19T14:30:05.000Z'
+    });
+    expect(planPodCommand('snapshot', [ '12', '--all', '--live' ], 'c.yml', context)).toHaveLength(1);
+  });
+});
+
+describe('runPodCommand', () => {
+  let tmp;
+  let composeFile;
+  const noConfig = () => null;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'fvtt-pod-'));
+    composeFile = path.join(tmp, 'compose.dev.yml');
+    fs.writeFileSync(composeFile, 'services: {}\n');
+  });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('dry runs print the compose commands without running them', async () => {
+    const spawn = jest.fn();
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await runPodCommand('up', [ '-d', '--only', '13' ], { cwd: tmp, env: {}, dryRun: true },
+      { detectRuntime: () => DOCKER_COMPOSE, spawn, validateConfig: noConfig });
+    expect(spawn).not.toHaveBeenCalled();
+    expect(logSpy).toHaveBeenCalledWith(`[dry-run] Would run: docker compose -f compose.dev.yml up -d --remove-orphans foundry-v13`);
+    expect(result).toMatchObject({ ok: true, composeFile: 'compose.dev.yml', runtime: 'docker compose', exitCode: 0 });
+    expect(result.commands).toEqual([ { argv: [ 'docker', 'compose', '-f', 'compose.dev.yml', 'up', '-d', '--remove-orphans', 'foundry-v13' ], executed: false, status: 0 } ]);
+    logSpy.mockRestore();
+  });
+
+  test('dry-run up --only resolves versions to services renamed in the container config', async () => {
+    const renamed = [ { name: 'fvtt-13', version: 13 }, { name: 'fvtt-13-lite', version: 13, variant: 'lite' } ];
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const result = await runPodCommand('up', [ '-d', '--only', '13', '--only', 'v13-lite', '--only', 'builder' ], { cwd: tmp, env: {}, dryRun: true }, {
+      detectRuntime: () => DOCKER_COMPOSE, spawn: jest.fn(), validateConfig: () => ({ file: 'c.json', valid: true, errors: [] }), listServices: () => renamed
+    });
+    expect(logSpy).toHaveBeenCalledWith('[dry-run] Would run: docker compose -f compose.dev.yml up -d --remove-orphans fvtt-13 fvtt-13-lite builder');
+    expect(result.ok).toBe(true);
+    logSpy.mockRestore();
+  });
+
+  test('json mode captures output and reports the failing exit code', async () => {
+    const spawn = jest.fn(() => ({ status: 0, stdout: 'NAME  STATUS\n', stderr: '' }));
+    const deps = { detectRuntime: () => DOCKER_COMPOSE, spawn, validateConfig: noConfig };
+    const result = await runPodCommand('ps', [], { file: composeFile, cwd: tmp, json: true }, deps);
+    expect(spawn).toHaveBeenCalledWith('docker', [ 'compose', '-f', composeFile, 'ps' ], expect.objectContaining({ stdio: 'pipe', cwd: tmp }));
+    expect(result.commands[0]).toMatchObject({ executed: true, status: 0, stdout: 'NAME  STATUS\n' });
+
+    spawn.mockReturnValue({ status: 17, stdout: '', stderr: 'no such service' });
+    const error = await runPodCommand('restart', [ 'foundry-v9' ], { file: composeFile, json: true }, deps).catch(e => e);
+    expect(error).toBeInstanceOf(PodCommandError);
+    expect(error.exitCode).toBe(17);
+    expect(error.result.commands[0].stderr).toBe('no such service');
+    await expect(runPodCommand('stop-builder', [], { file: composeFile, json: true }, deps)).resolves.toMatchObject({ ok: true });
+  });
+
+  test('checks the compose file, the config and the runtime with distinct exit codes', async () => {
+    const spawn = jest.fn();
+    const opts = { file: composeFile, json: true };
+    const missing = await runPodCommand('ps', [], { file: path.join(tmp, 'missing.yml'), json: true }, { spawn }).catch(e => e);
+    expect(missing).toMatchObject({ exitCode: 2, message: expect.stringContaining('compose file not found') });
+    const invalid = await runPodCommand('ps', [], opts, { spawn, validateConfig: () => ({ file: 'c.json', valid: false, errors: [ '/versions: required' ] }) }).catch(e => e);
+    expect(invalid).toMatchObject({ exitCode: 2, message: 'Container configuration validation failed:\n  /versions: required' });
+    const noRuntime = await runPodCommand('ps', [], opts, { spawn, validateConfig: noConfig, detectRuntime: () => ({ available: false, error: 'Docker not available' }) }).catch(e => e);
+    expect(noRuntime.exitCode).toBe(3);
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  test('switch polls the target until it is healthy and reports its URL', async () => {
+    const ps = (state) => ({ status: 0, stdout: `${JSON.stringify({ Service: 'foundry-v13', State: 'running', Health: state, Publishers: [ { PublishedPort: 30013 } ] })}\n` });
+    const spawn = jest.fn(() => ({ status: 0, stdout: '', stderr: '' }))
+      .mockReturnValueOnce({ status: 0 })
+      .mockReturnValueOnce({ status: 0 })
+      .mockReturnValueOnce(ps('starting'))
+      .mockReturnValueOnce(ps('healthy'));
+    const sleep = jest.fn(async () => {});
+    const deps = { detectRuntime: () => DOCKER_COMPOSE, spawn, sleep, validateConfig: () => ({ file: 'c.json', valid: true, errors: [] }), listServices: () => SERVICES };
+    const result = await runPodCommand('switch', [ '13' ], { file: composeFile, cwd: tmp, json: true }, deps);
+    expect(result).toMatchObject({ ok: true, service: 'foundry-v13', url: 'http://localhost:30013' });
+    expect(result.commands.map(entry => entry.argv.slice(4))).toEqual([ [ 'stop', 'foundry-v12', 'foundry-v13-lite' ], [ 'up', '-d', '--no-deps', 'foundry-v13' ] ]);
+    expect(spawn).toHaveBeenLastCalledWith('docker', [ 'compose', '-f', composeFile, 'ps', '--format', 'json', 'foundry-v13' ], expect.anything());
+    expect(sleep).toHaveBeenCalledTimes(1);
+
+    let clock = 0;
+    spawn.mockImplementation(() => ps('starting'));
+    const timedOut = await runPodCommand('switch', [ '13', '--timeout', '5' ], { file: composeFile, json: true }, { ...deps, now: () => (clock += 2000) }).catch(e => e);
+    expect(timedOut).toMatchObject({ exitCode: 1, message: 'foundry-v13 did not become healthy within 5s (running, starting)' });
+    const noConfig = await runPodCommand('switch', [ '13' ], { file: composeFile, json: true }, { ...deps, validateConfig: () => null, listServices: () => undefined }).catch(e => e);
+    expect(noConfig.exitCode).toBe(2);
+  });
+
+  test('reset stops when the confirmation is declined and finds the volume by its compose labels', async () => {
+    const spawn = jest.fn(() => ({ status: 0 }));
+    const confirm = jest.fn(async () => false);
+    const deps = { detectRuntime: () => DOCKER_COMPOSE, spawn, confirm, validateConfig: () => ({ file: 'c.json', valid: true, errors: [] }), listServices: () => SERVICES };
+    const cancelled = await runPodCommand('reset', [ '13', '--modules' ], { file: composeFile, cwd: tmp, json: true }, deps).catch(e => e);
+    expect(cancelled).toMatchObject({ exitCode: 1, message: 'reset cancelled' });
+    expect(confirm).toHaveBeenCalledWith('Reset /data/Data/modules of foundry-v13? This deletes its data');
+    expect(spawn).not.toHaveBeenCalled();
+
+    let rmStatus = 0;
+    spawn.mockImplementation((cmd, argv) => {
+      if (argv.includes('config')) return { status: 0, stdout: 'name: devpod\nservices: {}\n' };
+      if (argv[1] === 'ls') return { status: 0, stdout: 'devpod_foundry-v13-data\n' };
+      return { status: argv[1] === 'rm' && cmd === 'docker' && argv[0] === 'volume' ? rmStatus : 0 };
+    });
+    const result = await runPodCommand('reset', [ '13', '--yes' ], { file: composeFile, cwd: tmp, json: true }, deps);
+    expect(spawn).toHaveBeenCalledWith('docker', [
+      'volume', 'ls', '-q', '--filter', 'label=com.docker.compose.project=devpod', '--filter', 'label=com.docker.compose.volume=foundry-v13-data'
+    ], expect.anything());
+    expect(result.commands.map(entry => entry.argv.slice(-4))).toEqual([
+      [ '-f', composeFile, 'stop', 'foundry-v13' ],
+      [ composeFile, 'rm', '-f', 'foundry-v13' ],
+      [ 'docker', 'volume', 'rm', 'devpod_foundry-v13-data' ],
+      [ 'up', '-d', '--no-deps', 'foundry-v13' ]
+    ]);
+
+    rmStatus = 1;
+    const failed = await runPodCommand('reset', [ '13', '--yes' ], { file: composeFile, cwd: tmp, json: true }, deps).catch(e => e);
+    expect(failed.message).toBe(`docker volume rm devpod_foundry-v13-data failed (exit 1); ran docker compose -f ${composeFile} up -d --no-deps foundry-v13`);
+    expect(failed.result.commands.at(-1).argv.slice(-4)).toEqual([ 'up', '-d', '--no-deps', 'foundry-v13' ]);
+
+    // A failed pre-reset snapshot starts the service again before anything is deleted
+    rmStatus = 0;
+    spawn.mockImplementation((cmd, argv) => ({ status: argv.at(-1) === 'all' ? 2 : 0, stdout: '', stderr: 'tar: write error' }));
+    const unsaved = await runPodCommand('reset', [ '13', '--yes', '--snapshot' ], { file: composeFile, cwd: tmp, json: true }, deps).catch(e => e);
+    expect(unsaved.message).toMatch(/all failed \(exit 2\); ran docker compose -f .+ up -d --no-deps foundry-v13$/);
+    expect(unsaved.result.commands.map(entry => entry.argv.slice(-4))).toEqual([
+      [ '-f', composeFile, 'stop', 'foundry-v13' ],
+      expect.arrayContaining([ 'all' ]),
+      [ 'up', '-d', '--no-deps', 'foundry-v13' ]
+    ]);
+
+    // The volume commands use the runtime's docker CLI
+    const podman = { ...DOCKER_COMPOSE, engine: [ 'podman' ] };
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    await runPodCommand('reset', [ '13', '--yes' ], { file: composeFile, cwd: tmp, dryRun: true }, { ...deps, detectRuntime: () => podman });
+    expect(logSpy).toHaveBeenCalledWith(
+      '[dry-run] Would run: podman volume rm <the volume labelled com.docker.compose.volume=foundry-v13-data in the compose project>');
+    logSpy.mockRestore();
+  });
+
+  test('up --wait streams [patch] lines until Foundry answers HTTP and reports failures with their logs', async () => {
+    const state = { 'foundry-v12': 'running', 'foundry-v13': 'running' };
+    const logs = { 'foundry-v12': [ 'boot' ], 'foundry-v13': [ '[patch] Downloading release' ] };
+    const spawn = jest.fn((cmd, argv) => {
+      if (argv.includes('ps')) {
+        const entries = Object.entries(state).map(([ name, State ], i) => ({ Service: name, State, Publishers: [ { PublishedPort: 30012 + i } ] }));
+        return { status: 0, stdout: entries.map(entry => JSON.stringify(entry)).join('\n') };
+      }
+      if (argv.includes('logs')) {
+        // One line per second with --timestamps; --since is inclusive like docker's
+        const since = argv.includes('--since') ? argv[argv.indexOf('--since') + 1] : '';
+        const lines = logs[argv.at(-1)].map((line, i) => `2026-10-19T14:30:${String(i).padStart(2, '0')}.000000000Z ${line}`);
+        return { status: 0, stdout: `${lines.filter(line => line.split(' ')[0] >= since).join('\n')}\n` };
+      }
+      return { status: 0, stdout: '' };
+    });
+    let up13 = false;
+    const probeHttp = jest.fn(async url => url.endsWith('30012') || up13);
+    const sleep = jest.fn(async () => {
+      logs['foundry-v13'].push('[patch] Installing modules', 'noise');
+      up13 = true;
+    });
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const deps = { detectRuntime: () => DOCKER_COMPOSE, spawn, sleep, probeHttp, validateConfig: () => ({ file: 'c.json', valid: true, errors: [] }), listServices: () => SERVICES };
+    const result = await runPodCommand('up', [ '--wait' ], { file: composeFile, cwd: tmp }, deps);
+    expect(result.serving).toEqual([
+      { service: 'foundry-v12', url: 'http://localhost:30012' },
+      { service: 'foundry-v13', url: 'http://localhost:30013' }
+    ]);
+    expect(logSpy).toHaveBeenCalledWith('foundry-v13-lite was not started (not in an enabled profile?); not waiting for it');
+    const streamed = logSpy.mock.calls.map(([ line ]) => line).filter(line => line.includes(' | '));
+    expect(streamed).toEqual([ 'foundry-v13 | [patch] Downloading release', 'foundry-v13 | [patch] Installing modules' ]);
+    expect(spawn.mock.calls.map(([ , argv ]) => argv).filter(argv => argv.includes('logs') && argv.at(-1) === 'foundry-v13').at(-1))
+      .toEqual(expect.arrayContaining([ '--timestamps', '--since', '2026-10-19T14:30:00.000000000Z' ]));
+
+    state['foundry-v13'] = 'exited';
+    const failed = await runPodCommand('up', [ '--wait', '--only', '13' ], { file: composeFile, cwd: tmp, json: true }, deps).catch(e => e);
+    expect(failed).toBeInstanceOf(PodCommandError);
+    expect(failed.message).toBe('foundry-v13 failed before serving (exited); last log lines:\n  [patch] Downloading release\n  [patch] Installing modules\n  noise');
+
+    state['foundry-v13'] = 'restarting';
+    const crashLooping = await runPodCommand('up', [ '--wait', '--only', '13' ], { file: composeFile, cwd: tmp, json: true }, deps).catch(e => e);
+    expect(crashLooping.message).toMatch(/^foundry-v13 failed before serving \(restarting\); last log lines:/);
+    logSpy.mockRestore();
+  });
+
+  test('snapshot records a manifest that list, restore and prune use', async () => {
+    let running = '';
+    let archiveStatus = 0;
+    const spawn = jest.fn((cmd, argv) => {
+      if (argv.includes('ps')) return { status: 0, stdout: running, stderr: '' };
+      if (argv.includes('-c') && argv.at(-1) === 'worlds') {
+        if (archiveStatus) return { status: archiveStatus, stdout: '', stderr: 'tar: write error' };
+        fs.writeFileSync(path.join(tmp, 'snapshots', 'foundry-v13', argv.at(-2)), 'archive');
+        return { status: 0, stdout: `version=13.345\nworld=test-world ${'a'.repeat(64)}\n`, stderr: '' };
+      }
+      return { status: 0, stdout: '', stderr: '' };
+    });
+    const deps = { detectRuntime: () => DOCKER_COMPOSE, spawn, validateConfig: () => ({ file: 'c.json', valid: true, errors: [] }), listServices: () => SERVICES };
+    const opts = { file: composeFile, cwd: tmp, json: true };
+    const { snapshot, commands } = await runPodCommand('snapshot', [ '13', '--name', 'before' ], opts, deps);
+    // Stopped before the snapshot, so it stays stopped
+    expect(commands.map(entry => entry.argv.at(-1))).toEqual([ 'foundry-v13', 'worlds' ]);
+    expect(snapshot).toMatchObject({ service: 'foundry-v13', foundryVersion: '13.345', worlds: [ { id: 'test-world', sha256: 'a'.repeat(64) } ], size: 7 });
+    expect(JSON.parse(fs.readFileSync(snapshot.file, 'utf8')).sha256).toMatch(/^[0-9a-f]{64}$/);
+
+    const listed = await runPodCommand('snapshot', [ 'list', 'v13' ], { cwd: tmp, json: true }, { spawn });
+    expect(listed.snapshots.map(m => m.id)).toEqual([ snapshot.id ]);
+    expect(spawn).toHaveBeenCalledTimes(3);
+
+    running = JSON.stringify({ Service: 'foundry-v13', State: 'running' });
+    const restarted = await runPodCommand('snapshot', [ '13', '--name', 'again' ], opts, deps);
+    expect(restarted.commands.at(-1).argv.slice(-4)).toEqual([ 'up', '-d', '--no-deps', 'foundry-v13' ]);
+    fs.rmSync(restarted.snapshot.file);
+    fs.rmSync(path.join(path.dirname(restarted.snapshot.file), restarted.snapshot.archive));
+
+    // A failed archive still restarts a service that was running, and leaves a stopped one stopped
+    archiveStatus = 1;
+    const failed = await runPodCommand('snapshot', [ '13', '--name', 'broken' ], opts, deps).catch(e => e);
+    expect(failed).toBeInstanceOf(PodCommandError);
+    expect(failed.message).toMatch(/worlds failed \(exit 1\); ran docker compose -f .+ up -d --no-deps foundry-v13$/);
+    expect(failed.result.commands.at(-1).argv.slice(-4)).toEqual([ 'up', '-d', '--no-deps', 'foundry-v13' ]);
+    running = '';
+    const stopped = await runPodCommand('snapshot', [ '13', '--name', 'broken' ], opts, deps).catch(e => e);
+    expect(stopped.result.commands.map(entry => entry.argv.at(-1))).toEqual([ 'foundry-v13', 'worlds' ]);
+    archiveStatus = 0;
+
+    const restored = await runPodCommand('restore', [ '13', 'before', '--yes' ], opts, deps);
+    expect(restored.commands[1].argv).toEqual(expect.arrayContaining([ `${path.dirname(snapshot.file)}:/snapshots:ro`, snapshot.archive ]));
+    fs.appendFileSync(path.join(path.dirname(snapshot.file), snapshot.archive), 'tampered');
+    await expect(runPodCommand('restore', [ '13', 'latest', '--yes' ], opts, deps)).rejects.toThrow('does not match its sha256 checksum');
+
+    const dry = await runPodCommand('snapshot', [ 'prune', '--keep', '0' ], { cwd: tmp, json: true, dryRun: true }, { spawn });
+    expect(dry.removed).toHaveLength(1);
+    expect(fs.existsSync(snapshot.file)).toBe(true);
+    await runPodCommand('snapshot', [ 'prune', '13', '--keep', '0' ], { cwd: tmp, json: true }, { spawn });
+    expect(fs.readdirSync(path.dirname(snapshot.file))).toEqual([]);
+  });
+
+  test('resolveComposeFile prefers -f, then COMPOSE_FILE, then compose.dev.yml in cwd', () => {
+    expect(resolveComposeFile({ file: 'a.yml', cwd: tmp, env: { COMPOSE_FILE: 'b.yml' } })).toBe('a.yml');
+    expect(resolveComposeFile({ cwd: tmp, env: { COMPOSE_FILE: 'b.yml' } })).toBe('b.yml');
+    expect(resolveComposeFile({ cwd: tmp, env: {} })).toBe('compose.dev.yml');
+    expect(resolveComposeFile({ cwd: path.join(tmp, 'none'), env: {} })).toMatch(/compose\.dev\.yml$/);
+  });
+});
@@ -15,7 +15,9 @@ const execSyncMock = jest.fn(() => { throw new Error('Command not found'); });
 jest.unstable_mockModule('child_process', () => {
   // Only provide the bits we need; tests do not rely on other child_process exports.
   return {
-    execSync: (...args) => execSyncMock(...args)
+    execSync: (...args) => execSyncMock(...args),
+    // Imported by helpers/port-probe.js (sync probe is unused by fvtt-status)
+    execFileSync: jest.fn()
   };
 });
 
@@ -227,5 +229,156 @@ describe('fvtt-status common module', () => {
       expect(result.pod.config.error).toBe('Configuration file not found');
       expect(result.pod.valid).toBe(false); // Config is required for valid pod
     });
+
+    it('should auto-detect and validate a YAML config', async () => {
+      fs.writeFileSync('compose.dev.yml', 'services:\n  test:\n    image: alpine');
+      fs.writeFileSync('container-config.yaml', [
+        '# no components yet',
+        'systems: {}',
+        'modules: {}',
+        'versions:',
+        '  "13": { install: { systems: {}, modules: {} } }',
+        ''
+      ].join('\n'));
+
+      const result = await checkStatus({ json: true, dryRun: true });
+
+      expect(result.pod.config.file).toBe('container-config.yaml');
+      expect(result.pod.config.valid).toBe(true);
+    });
+
+    it('should report the line and column of config parse errors', async () => {
+      fs.writeFileSync('compose.dev.yml', 'services:\n  test:\n    image: alpine');
+      fs.writeFileSync('container-config.yaml', 'systems: {}\n modules: {}\n');
+
+      const result = await checkStatus({ json: true, dryRun: true });
+
+      expect(result.pod.config.valid).toBe(false);
+      expect(result.pod.config.error).toContain('container-config.yaml:2:');
+    });
+
+    it('should report running services whose healthcheck is not passing', async () => {
+      fs.writeFileSync('compose.dev.yml', 'services:\n  foundry-v13:\n    image: felddy/foundryvtt:13');
+      const validConfig = {
+        systems: {},
+        modules: {},
+        versions: { "13": { install: { systems: {}, modules: {} } } }
+      };
+      fs.writeFileSync('container-config.json', JSON.stringify(validConfig, null, 2));
+
+      const psLines = [
+        { Service: 'foundry-v13', State: 'running', Health: 'starting', Publishers: [{ PublishedPort: 30013 }] },
+        { Service: 'foundry-v12', State: 'running', Health: 'unhealthy', Publishers: [] },
+        { Service: 'foundry-v11', State: 'running', Health: 'healthy', Publishers: [] },
+        { Service: 'builder', State: 'running', Health: '', Publishers: [] }
+      ].map(line => JSON.stringify(line)).join('\n');
+      execSyncMock
+        .mockImplementationOnce(() => 'Docker version')
+        .mockImplementationOnce(() => 'docker compose version')
+        .mockImplementationOnce(() => psLines);
+
+      const result = await checkStatus({ json: true, dryRun: false });
+
+      expect(result.services.find(s => s.name === 'foundry-v13').health).toBe('starting');
+      expect(result.healthChecks.allServicesHealthy).toBe(false);
+      expect(result.healthChecks.issues).toContain(
+        '2 service(s) not serving: foundry-v13 (starting), foundry-v12 (unhealthy)'
+      );
+      expect(result.healthy).toBe(false);
+    });
+
+    it('should flag declared host ports bound outside the pod', async () => {
+      fs.writeFileSync('compose.dev.yml', [
+        'services:',
+        '  foundry-v13:',
+        '    ports: ["30013:30000"]',
+        '  foundry-v12:',
+        '    ports: ["30012:30000"]',
+        ''
+      ].join('\n'));
+      const validConfig = {
+        systems: {},
+        modules: {},
+        versions: { "13": { install: { systems: {}, modules: {} } } }
+      };
+      fs.writeFileSync('container-config.json', JSON.stringify(validConfig, null, 2));
+
+      // foundry-v13 runs and publishes its own port; foundry-v12 is down and someone else holds 30012
+      const psLines = JSON.stringify({ Service: 'foundry-v13', State: 'running', Health: 'healthy', Publishers: [{ PublishedPort: 30013 }] });
+      execSyncMock
+        .mockImplementationOnce(() => 'Docker version')
+        .mockImplementationOnce(() => 'docker compose version')
+        .mockImplementationOnce(() => psLines);
+      const isPortInUse = jest.fn(async () => true);
+
+      const result = await checkStatus({ json: true, dryRun: false }, { isPortInUse });
+
+      expect(isPortInUse).toHaveBeenCalledTimes(1);
+      expect(isPortInUse).toHaveBeenCalledWith(30012);
+      expect(result.healthChecks.allPortsAccessible).toBe(false);
+      expect(result.healthChecks.portConflicts).toEqual([{ service: 'foundry-v12', port: 30012 }]);
+      expect(result.healthChecks.issues).toContain('1 port(s) bound outside the pod: 30012 (foundry-v12)');
+      expect(result.healthy).toBe(false);
+    });
+
+    it('should treat healthy and healthcheck-less running services as serving', async () => {
+      fs.writeFileSync('compose.dev.yml', 'services:\n  foundry-v13:\n    image: felddy/foundryvtt:13');
+      const validConfig = {
+        systems: {},
+        modules: {},
+        versions: { "13": { install: { systems: {}, modules: {} } } }
+      };
+      fs.writeFileSync('container-config.json', JSON.stringify(validConfig, null, 2));
+
+      const psLines = [
+        { Service: 'foundry-v13', State: 'running', Health: 'healthy', Publishers: [] },
+        { Service: 'builder', State: 'running', Health: '', Publishers: [] }
+      ].map(line => JSON.stringify(line)).join('\n');
+      execSyncMock
+        .mockImplementationOnce(() => 'Docker version')
+        .mockImplementationOnce(() => 'docker compose version')
+        .mockImplementationOnce(() => psLines);
+
+      const result = await checkStatus({ json: true, dryRun: false });
+
+      expect(result.healthChecks.issues).toEqual([]);
+      expect(result.healthy).toBe(true);
+    });
+
+    it('should prefer the reverse proxy URL label over the published port', async () => {
+      fs.writeFileSync('compose.dev.yml', [
+        'services:',
+        '  foundry-v13:',
+        '    labels:',
+        '      foundryvtt-dev-pod.url: http://v13.foundry.localhost',
+        '  foundry-v12:',
+        '    labels: ["foundryvtt-dev-pod.url=http://v12.foundry.localhost:8080"]',
+        '  foundry-v11:',
+        '    image: felddy/foundryvtt:11',
+        ''
+      ].join('\n'));
+      const validConfig = {
+        systems: {},
+        modules: {},
+        versions: { "13": { install: { systems: {}, modules: {} } } }
+      };
+      fs.writeFileSync('container-config.json', JSON.stringify(validConfig, null, 2));
+
+      const psLines = ['foundry-v13', 'foundry-v12', 'foundry-v11']
+        .map((name, i) => JSON.stringify({ Service: name, State: 'running', Health: 'healthy', Publishers: [{ PublishedPort: 30013 - i }] }))
+        .join('\n');
+      execSyncMock
+        .mockImplementationOnce(() => 'Docker version')
+        .mockImplementationOnce(() => 'docker compose version')
+        .mockImplementationOnce(() => psLines);
+
+      const result = await checkStatus({ json: true, dryRun: false }, { isPortInUse: async () => false });
+
+      expect(result.services.map(s => s.url)).toEqual([
+        'http://v13.foundry.localhost',
+        'http://v12.foundry.localhost:8080',
+        'http://localhost:30011'
+      ]);
+    });
   });
 });
\ No newline at end of file
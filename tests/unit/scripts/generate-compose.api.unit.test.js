@@ -0,0 +1,111 @@
+/**
+ * @file generate-compose.api.unit.test.js
+ * @description Unit tests for the programmatic generateCompose API and its typed errors
+ * @path tests/unit/scripts/generate-compose.api.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { pathToFileURL } from 'node:url';
+import yaml from 'js-yaml';
+import { jest } from '@jest/globals';
+import {
+  generateCompose,
+  ComposeGenerationError,
+  ConfigNotFoundError,
+  ConfigValidationError,
+  PortCollisionError,
+  SecretsResolutionError,
+  ConfigParseError
+} from '#scripts/generate-compose.js';
+import * as pkg from '#/index.js';
+import { install, containerConfig } from '#tests/utils/compose-fixtures.js';
+
+describe('generateCompose', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-api-')); });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('returns the compose object, its YAML and warnings from a config object', async () => {
+    const exit = jest.spyOn(process, 'exit');
+    const result = await generateCompose({
+      config: containerConfig(),
+      overrides: { baseImage: 'example/foundry', builderEnabled: false, baseDir: tmp }
+    });
+    expect(Object.keys(result.compose.services)).toEqual([ 'foundry-v13' ]);
+    expect(result.compose.services['foundry-v13'].image).toBe('example/foundry:13');
+    expect(yaml.load(result.yaml)).toEqual(result.compose);
+    expect(result.warnings).toEqual([
+      '[env] ./env/.env does not exist (docker compose will refuse to start; create it with --init-env)',
+      '[env] ./env/.v13.env does not exist (docker compose will refuse to start; create it with --init-env)'
+    ]);
+    expect(result.caddyfile).toBeNull();
+    expect(exit).not.toHaveBeenCalled();
+    exit.mockRestore();
+  });
+
+  test('reads configPath and resolves secrets options or takes them pre-resolved', async () => {
+    const cfgPath = path.join(tmp, 'container-config.yaml');
+    fs.writeFileSync(cfgPath, yaml.dump(containerConfig()));
+    const fromOptions = await generateCompose({ configPath: cfgPath, secrets: { secretsMode: 'file', secretsFile: './creds.json' } });
+    expect(fromOptions.compose.secrets).toEqual({ config_json: { file: './creds.json' } });
+    expect(fromOptions.compose.services['foundry-v13'].environment).toContain('CONTAINER_CONFIG_PATH=/config/container-config.yaml');
+
+    const resolved = { topLevel: { creds: { external: true } }, serviceRef: [ { source: 'creds', target: 'config.json' } ] };
+    const preResolved = await generateCompose({ configPath: cfgPath, secrets: resolved });
+    expect(preResolved.compose.secrets).toEqual({ creds: { external: true } });
+  });
+
+  test('reports auto-port moves as warnings', async () => {
+    const config = containerConfig({ versions: { '13': install, '12': { ...install, composition_params: { port: 30013 } } } });
+    await expect(generateCompose({ config })).rejects.toBeInstanceOf(PortCollisionError);
+    const { warnings, compose } = await generateCompose({ config, overrides: { autoPort: true, keepPorts: { 'foundry-v12': [ 30013 ] } } });
+    expect(warnings[0]).toMatch(/^\[auto-port\] foundry-v13: host port 30013 is taken, using 300\d\d$/);
+    expect(compose.services['foundry-v12'].ports).toEqual([ '30013:30000' ]);
+  });
+
+  test('returns the Caddyfile for the caddy proxy provider', async () => {
+    const config = { ...containerConfig(), composition: { proxy: { provider: 'caddy' } } };
+    const { caddyfile } = await generateCompose({ config });
+    expect(caddyfile.file).toBe('Caddyfile');
+    expect(caddyfile.content).toContain('reverse_proxy foundry-v13:30000');
+  });
+
+  test('throws typed errors', async () => {
+    await expect(generateCompose({})).rejects.toMatchObject({ name: 'ComposeGenerationError', code: 'E_OPTIONS' });
+
+    const missing = path.join(tmp, 'missing.json');
+    await expect(generateCompose({ configPath: missing })).rejects.toMatchObject({ code: 'E_CONFIG_NOT_FOUND', file: missing });
+
+    const broken = path.join(tmp, 'broken.jsonc');
+    fs.writeFileSync(broken, '{\n  "systems": {}\n  "modules": {}\n}');
+    await expect(generateCompose({ configPath: broken })).rejects.toBeInstanceOf(ConfigParseError);
+
+    const invalid = generateCompose({ config: { systems: { s: {} }, modules: {}, versions: { '13': install } } });
+    await expect(invalid).rejects.toBeInstanceOf(ConfigValidationError);
+    await expect(invalid).rejects.toMatchObject({ code: 'E_CONFIG_INVALID', errors: [ '/systems/s: must have required property "name"', '/systems/s: must have either "manifest" or "path" property' ] });
+
+    const secrets = generateCompose({ config: containerConfig(), secrets: { secretsMode: 'bogus' } });
+    await expect(secrets).rejects.toBeInstanceOf(SecretsResolutionError);
+    await expect(secrets).rejects.toThrow('Unknown secrets mode: bogus');
+
+    for (const ErrorClass of [ ConfigNotFoundError, ConfigValidationError, PortCollisionError, SecretsResolutionError ]) {
+      expect(ErrorClass.prototype).toBeInstanceOf(ComposeGenerationError);
+    }
+  });
+
+  test('is exported from the package entry point next to ConfigValidator', () => {
+    expect(pkg.generateCompose).toBe(generateCompose);
+    expect(typeof pkg.ConfigValidator).toBe('function');
+    expect(pkg.PortCollisionError).toBe(PortCollisionError);
+  });
+
+  test('imports from a working directory outside the package', () => {
+    const entry = pathToFileURL(path.resolve('index.js')).href;
+    const script = `const pkg = await import(${JSON.stringify(entry)}); console.log(typeof pkg.generateCompose, typeof pkg.runPodCommand);`;
+    const out = execFileSync(process.execPath, [ '--input-type=module', '-e', script ], { cwd: tmp, encoding: 'utf8' });
+    expect(out.trim()).toBe('function function');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @file generate-compose.devcontainer.unit.test.js
+ * @description Unit tests for the generated VS Code devcontainer.json
+ * @path tests/unit/scripts/generate-compose.devcontainer.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import {
+  DEFAULT_BUILDER,
+  builderInstallCommand,
+  foundryPortLabels,
+  generateCompose,
+  parseArgs,
+  main
+} from '#scripts/generate-compose.js';
+import { install, containerConfig } from '#tests/utils/compose-fixtures.js';
+
+const versions = { '13': { ...install, variants: { lite: install } }, '12': install, '11': { ...install, supported: false } };
+
+describe('devcontainer helpers', () => {
+  test('builderInstallCommand takes the first step of the builder command', () => {
+    expect(builderInstallCommand()).toBe('npm ci');
+    expect(builderInstallCommand(DEFAULT_BUILDER.command)).toBe('npm ci');
+    expect(builderInstallCommand('pnpm install && pnpm dev')).toBe('pnpm install');
+    expect(builderInstallCommand('')).toBeUndefined();
+  });
+
+  test('foundryPortLabels names every supported version and variant', () => {
+    const labels = foundryPortLabels(containerConfig({ versions, composition: { version_params: { name: 'fvtt-{version}' } } }));
+    expect(labels).toEqual({ 'fvtt-13': 'Foundry v13', 'fvtt-13-lite': 'Foundry v13 (lite)', 'fvtt-12': 'Foundry v12' });
+  });
+});
+
+describe('generateCompose devcontainer', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-devc-')); });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('points at the compose file, attaches to the builder and forwards every Foundry port', async () => {
+    const config = containerConfig({ versions, composition: { proxy: { service: { enabled: true } } } });
+    const { devcontainer } = await generateCompose({ config, overrides: { baseDir: tmp }, devcontainer: 'compose.dev.yml' });
+    expect(devcontainer.file).toBe('.devcontainer/devcontainer.json');
+    expect(JSON.parse(devcontainer.content)).toEqual({
+      name: 'FoundryVTT dev pod',
+      dockerComposeFile: [ '../compose.dev.yml' ],
+      service: 'builder',
+      workspaceFolder: '/work',
+      forwardPorts: [ 30012, 30013, 30113 ],
+      portsAttributes: {
+        '30012': { label: 'Foundry v12', onAutoForward: 'notify' },
+        '30013': { label: 'Foundry v13', onAutoForward: 'notify' },
+        '30113': { label: 'Foundry v13 (lite)', onAutoForward: 'notify' }
+      },
+      postCreateCommand: 'npm ci'
+    });
+  });
+
+  test('is omitted unless requested and rejected without a builder or with kube output', async () => {
+    expect((await generateCompose({ config: containerConfig({ versions }) })).devcontainer).toBeNull();
+    await expect(generateCompose({ config: containerConfig({ versions }), overrides: { builderEnabled: false }, devcontainer: 'c.yml' }))
+      .rejects.toMatchObject({ code: 'E_OPTIONS', message: 'devcontainer.json attaches to the builder service, which is disabled' });
+    await expect(generateCompose({ config: containerConfig({ versions }), format: 'kube', devcontainer: 'c.yml' }))
+      .rejects.toMatchObject({ code: 'E_OPTIONS' });
+  });
+});
+
+describe('main --devcontainer', () => {
+  let tmp;
+  let originalArgv;
+  let logSpy;
+  let errSpy;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-devc-'));
+    fs.writeFileSync(path.join(tmp, 'container-config.json'), JSON.stringify(containerConfig({ versions })));
+    originalArgv = process.argv;
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.argv = originalArgv;
+    logSpy.mockRestore();
+    errSpy.mockRestore();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('writes .devcontainer/devcontainer.json next to the -o file', async () => {
+    expect(parseArgs([ 'node', 'script.js', '--devcontainer' ]).devcontainer).toBe(true);
+    const outPath = path.join(tmp, 'pod', 'compose.yml');
+    fs.mkdirSync(path.dirname(outPath));
+    process.argv = [ 'node', 'script.js', '-c', path.join(tmp, 'container-config.json'), '-o', outPath, '--secrets-mode', 'none', '--devcontainer' ];
+    await main();
+    const file = path.join(tmp, 'pod', '.devcontainer', 'devcontainer.json');
+    expect(logSpy).toHaveBeenCalledWith(`Wrote ${file}`);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).dockerComposeFile).toEqual([ '../compose.yml' ]);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @file generate-compose.encrypted-secrets.unit.test.js
+ * @description Tests for the sops/age encrypted secrets modes and payload validation
+ * @path tests/unit/scripts/generate-compose.encrypted-secrets.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import { parseArgs, resolveSecrets, decryptSopsSecret, decryptAgeSecret, validateSecretsPayload } from '#scripts/generate-compose.js';
+
+const CREDENTIALS = { foundry_username: 'gm', foundry_password: 'hunter2', foundry_license_key: 'AAAA-BBBB' };
+
+let dir, encFile, identityFile;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enc-secrets-'));
+  encFile = path.join(dir, 'secrets.enc.json');
+  identityFile = path.join(dir, 'keys.txt');
+  fs.writeFileSync(encFile, '{"sops":{}}');
+  fs.writeFileSync(identityFile, 'AGE-SECRET-KEY-1TEST');
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('validateSecretsPayload', () => {
+  test('accepts credentials or a license key alone', () => {
+    expect(validateSecretsPayload(JSON.stringify(CREDENTIALS))).toEqual(CREDENTIALS);
+    expect(validateSecretsPayload('{"foundry_license_key":"AAAA"}')).toEqual({ foundry_license_key: 'AAAA' });
+  });
+
+  test('reports shape problems without echoing values', () => {
+    expect(() => validateSecretsPayload('hunter2', 'Decrypted x')).toThrow(/^Decrypted x is not valid JSON$/);
+    expect(() => validateSecretsPayload('["a"]')).toThrow('must be a JSON object');
+    expect(() => validateSecretsPayload('{"foundry_username":"gm"}')).toThrow('foundry_username and foundry_password must be set together');
+    expect(() => validateSecretsPayload('{"foundry_admin_key":"x"}')).toThrow('expected foundry_username and foundry_password, or foundry_license_key');
+    expect(() => validateSecretsPayload('{"foundry_license_key":42}')).toThrow('foundry_license_key must be a non-empty string');
+  });
+
+  test('warns about unrecognized foundry_* fields', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    validateSecretsPayload('{"foundry_license_key":"A","foundry_licence_key":"A"}');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('unrecognized field(s) foundry_licence_key'));
+    warn.mockRestore();
+  });
+});
+
+describe('decryptSopsSecret / decryptAgeSecret', () => {
+  test('run the tools with the resolved paths and the CLI timeout', () => {
+    const exec = jest.fn().mockReturnValue('{"foundry_license_key":"A"}\n');
+    expect(decryptSopsSecret(encFile, exec)).toBe('{"foundry_license_key":"A"}');
+    expect(exec).toHaveBeenCalledWith('sops', [ '--decrypt', '--output-type', 'json', encFile ], expect.objectContaining({ timeout: expect.any(Number) }));
+    decryptAgeSecret(encFile, identityFile, exec);
+    expect(exec).toHaveBeenLastCalledWith('age', [ '--decrypt', '--identity', identityFile, encFile ], expect.any(Object));
+  });
+
+  test('fail early on missing files and identity', () => {
+    const exec = jest.fn();
+    expect(() => decryptSopsSecret(path.join(dir, 'nope.json'), exec)).toThrow('encrypted secrets file not found');
+    expect(() => decryptAgeSecret(encFile, '', exec)).toThrow('age identity file is required');
+    expect(() => decryptAgeSecret(encFile, path.join(dir, 'nope.txt'), exec)).toThrow('age identity file not found');
+    expect(exec).not.toHaveBeenCalled();
+  });
+
+  test('report a missing binary and the tool stderr', () => {
+    const missing = () => { throw Object.assign(new Error('spawnSync sops ENOENT'), { code: 'ENOENT' }); };
+    expect(() => decryptSopsSecret(encFile, missing)).toThrow('sops is not installed or not on PATH');
+    const failed = () => { throw Object.assign(new Error('Command failed'), { stderr: 'no identity matched any of the recipients\n' }); };
+    expect(() => decryptAgeSecret(encFile, identityFile, failed)).toThrow(`age decryption failed (file=${encFile}): no identity matched any of the recipients`);
+  });
+});
+
+describe('sops/age secrets modes', () => {
+  const savedEnv = { ...process.env };
+  afterEach(() => { process.env = { ...savedEnv }; });
+
+  test('parseArgs reads flags, env and the SOPS_AGE_KEY_FILE fallback', () => {
+    delete process.env.COMPOSE_SECRETS_ENCRYPTED_FILE;
+    delete process.env.COMPOSE_SECRETS_AGE_IDENTITY;
+    process.env.SOPS_AGE_KEY_FILE = '/keys/age.txt';
+    expect(parseArgs([ 'node', 'x' ])).toMatchObject({ secretsEncryptedFile: './secrets.enc.json', secretsAgeIdentity: '/keys/age.txt' });
+    const args = parseArgs([ 'node', 'x', '--secrets-mode', 'age', '--secrets-encrypted-file', 'enc.json', '--secrets-age-identity', 'id.txt' ]);
+    expect(args).toMatchObject({ secretsMode: 'age', secretsEncryptedFile: 'enc.json', secretsAgeIdentity: 'id.txt' });
+  });
+
+  test('sops mode writes the validated payload to a private temp file', () => {
+    const decrypt = jest.fn().mockReturnValue(JSON.stringify(CREDENTIALS));
+    const secrets = resolveSecrets({ secretsMode: 'sops', secretsEncryptedFile: encFile }, undefined, undefined, undefined, undefined, decrypt);
+    expect(decrypt).toHaveBeenCalledWith(encFile);
+    const file = secrets.topLevel.config_json_sops.file;
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(CREDENTIALS);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(secrets.serviceRef).toEqual([ { source: 'config_json_sops', target: 'config.json' } ]);
+  });
+
+  test('age mode passes the identity through', () => {
+    const decrypt = jest.fn().mockReturnValue('{"foundry_license_key":"A"}');
+    const secrets = resolveSecrets({ secretsMode: 'age', secretsEncryptedFile: encFile, secretsAgeIdentity: identityFile, secretsTarget: 'secrets.json' }, undefined, undefined, undefined, undefined, undefined, decrypt);
+    expect(decrypt).toHaveBeenCalledWith(encFile, identityFile);
+    expect(secrets.serviceRef).toEqual([ { source: 'config_json_age', target: 'secrets.json' } ]);
+  });
+
+  test('decryption errors and invalid payloads stop generation', () => {
+    const failing = () => { throw new Error('sops is not installed or not on PATH'); };
+    expect(() => resolveSecrets({ secretsMode: 'sops', secretsEncryptedFile: encFile }, undefined, undefined, undefined, undefined, failing))
+      .toThrow('Failed to decrypt sops secrets: sops is not installed or not on PATH');
+    const invalid = () => '{"foundry_username":"gm"}';
+    expect(() => resolveSecrets({ secretsMode: 'sops', secretsEncryptedFile: encFile }, undefined, undefined, undefined, undefined, invalid))
+      .toThrow(`Decrypted ${encFile} is invalid: foundry_username and foundry_password must be set together`);
+  });
+});
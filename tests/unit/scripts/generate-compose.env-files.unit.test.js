@@ -0,0 +1,67 @@
+/**
+ * @file generate-compose.env-files.unit.test.js
+ * @description Unit tests for --init-env and the env file warnings printed by main
+ * @path tests/unit/scripts/generate-compose.env-files.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import { parseArgs, main } from '#scripts/generate-compose.js';
+import { containerConfig } from '#tests/utils/compose-fixtures.js';
+
+describe('main env file handling', () => {
+  let tmp;
+  let cfgPath;
+  let outPath;
+  let originalArgv;
+  let logSpy;
+  let errSpy;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-env-'));
+    cfgPath = path.join(tmp, 'container-config.json');
+    outPath = path.join(tmp, 'compose.dev.yml');
+    fs.writeFileSync(cfgPath, JSON.stringify(containerConfig()));
+    originalArgv = process.argv;
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.argv = originalArgv;
+    logSpy.mockRestore();
+    errSpy.mockRestore();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  const warnings = () => errSpy.mock.calls.map(c => c[0]).filter(m => m.startsWith('[env]'));
+
+  test('--init-env creates missing env files next to the output and writes no compose file', async () => {
+    expect(parseArgs([ 'node', 'script.js', '--init-env' ]).initEnv).toBe(true);
+    process.argv = [ 'node', 'script.js', '-c', cfgPath, '-o', outPath, '--init-env' ];
+    await main();
+    expect(fs.existsSync(path.join(tmp, 'env/.env'))).toBe(true);
+    expect(fs.existsSync(path.join(tmp, 'env/.v13.env'))).toBe(true);
+    expect(fs.existsSync(outPath)).toBe(false);
+    expect(logSpy).toHaveBeenCalledWith(`Created ${path.join(tmp, 'env/.v13.env')}`);
+  });
+
+  test('generation warns about missing files and injected keys', async () => {
+    process.argv = [ 'node', 'script.js', '-c', cfgPath, '-o', outPath, '--secrets-mode', 'none' ];
+    await main();
+    expect(warnings()).toEqual([
+      '[env] ./env/.env does not exist (docker compose will refuse to start; create it with --init-env)',
+      '[env] ./env/.v13.env does not exist (docker compose will refuse to start; create it with --init-env)'
+    ]);
+    expect(fs.existsSync(outPath)).toBe(true);
+
+    errSpy.mockClear();
+    fs.mkdirSync(path.join(tmp, 'env'));
+    fs.writeFileSync(path.join(tmp, 'env/.env'), 'FETCH_STAGGER_SECONDS=0\n');
+    fs.writeFileSync(path.join(tmp, 'env/.v13.env'), '');
+    await main();
+    expect(warnings()).toEqual([ '[env] ./env/.env: FETCH_STAGGER_SECONDS is set by the generated service environment and is ignored' ]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @file generate-compose.extends.unit.test.js
+ * @description Unit tests for container configs composed with extends/include
+ * @path tests/unit/scripts/generate-compose.extends.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildConfigMount, generateCompose } from '#scripts/generate-compose.js';
+import { watchCompose } from '#helpers/compose-watch.js';
+import { install } from '#tests/utils/compose-fixtures.js';
+
+describe('composed container configs', () => {
+  let tmp;
+  let mainPath;
+  const write = (name, value) => {
+    const file = path.join(tmp, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(value));
+    return file;
+  };
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-extends-'));
+    write('team/base.json', {
+      systems: {},
+      modules: { a: { name: 'A', manifest: 'https://example.com/a.json' } },
+      versions: { '13': install, '12': install }
+    });
+    mainPath = write('proj/container-config.json', {
+      extends: '../team/base.json',
+      include: [ { path: 'local.json', optional: true } ],
+      versions: { '12': null }
+    });
+  });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('buildConfigMount keeps the layout of included files relative to the main config', () => {
+    const sameDir = buildConfigMount(path.join(tmp, 'container-config.json'), [ path.join(tmp, 'container-config.json'), path.join(tmp, 'overlays/me.json') ]);
+    expect(sameDir.bind).toEqual({ type: 'bind', source: './container-config.json', target: '/config/container-config.json', read_only: true });
+    expect(sameDir.volumes).toEqual([ { type: 'bind', source: './overlays/me.json', target: '/config/overlays/me.json', read_only: true } ]);
+    expect(sameDir.environment).toEqual([]);
+
+    const outside = buildConfigMount(mainPath, [ path.join(tmp, 'team/base.json'), mainPath ]);
+    expect(outside.bind.target).toBe('/config/proj/container-config.json');
+    expect(outside.volumes).toEqual([ { type: 'bind', source: '../team/base.json', target: '/config/team/base.json', read_only: true } ]);
+    expect(outside.environment).toEqual([ 'CONTAINER_CONFIG_PATH=/config/proj/container-config.json' ]);
+  });
+
+  test('generates from the merged config and mounts every file', async () => {
+    const { compose, configFiles } = await generateCompose({ configPath: mainPath, overrides: { builderEnabled: false, baseDir: tmp } });
+    expect(Object.keys(compose.services)).toEqual([ 'foundry-v13' ]);
+    expect(configFiles).toEqual([ path.join(tmp, 'team/base.json'), mainPath ]);
+    const svc = compose.services['foundry-v13'];
+    // Bind sources are relative to baseDir, where the compose file lives
+    expect(svc.volumes).toContainEqual({ type: 'bind', source: './proj/container-config.json', target: '/config/proj/container-config.json', read_only: true });
+    expect(svc.volumes).toContainEqual({ type: 'bind', source: './team/base.json', target: '/config/team/base.json', read_only: true });
+    expect(svc.environment).toContain('CONTAINER_CONFIG_PATH=/config/proj/container-config.json');
+  });
+
+  test('names the file behind validation errors and rejects extends in config objects', async () => {
+    const local = write('proj/local.json', { modules: { b: { name: 'B' } } });
+    await expect(generateCompose({ configPath: mainPath })).rejects.toMatchObject({
+      code: 'E_CONFIG_INVALID',
+      errors: [ `/modules/b: must have either "manifest" or "path" property (from ${path.relative(process.cwd(), local)})` ]
+    });
+    await expect(generateCompose({ config: { extends: './base.json', ...install } }))
+      .rejects.toMatchObject({ code: 'E_OPTIONS' });
+  });
+
+  test('watch mode follows the files the config extends', async () => {
+    const out = path.join(tmp, 'proj/compose.yml');
+    const watcher = watchCompose({
+      generate: () => generateCompose({ configPath: mainPath, overrides: { builderEnabled: false, baseDir: path.dirname(out) } }),
+      out,
+      configPath: mainPath,
+      log: () => {},
+      error: () => {},
+      interval: 60000
+    });
+    try {
+      await watcher.ready;
+      expect(watcher.files()).toContain(path.join(tmp, 'team/base.json'));
+    } finally {
+      watcher.close();
+    }
+  });
+});
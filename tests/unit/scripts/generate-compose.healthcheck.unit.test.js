@@ -0,0 +1,86 @@
+/**
+ * @file generate-compose.healthcheck.unit.test.js
+ * @description Unit tests for Foundry service healthcheck generation
+ * @path tests/unit/scripts/generate-compose.healthcheck.unit.test.js
+ */
+
+import {
+  HEALTHCHECK_DEFAULTS,
+  buildHealthcheck,
+  deriveVersionDefaults,
+  buildServiceEntry,
+  buildComposeFromContainerConfig,
+  buildComposeFromComposeConfig
+} from '#scripts/generate-compose.js';
+import { NO_SECRETS, install } from '#tests/utils/compose-fixtures.js';
+
+describe('buildHealthcheck', () => {
+  test('probes the default path on the container port with default timings', () => {
+    const hc = buildHealthcheck();
+    expect(hc.test).toEqual(['CMD-SHELL', 'wget -q -O /dev/null http://127.0.0.1:30000/api/status || exit 1']);
+    expect(hc).toMatchObject({
+      interval: HEALTHCHECK_DEFAULTS.interval,
+      timeout: HEALTHCHECK_DEFAULTS.timeout,
+      retries: HEALTHCHECK_DEFAULTS.retries,
+      start_period: HEALTHCHECK_DEFAULTS.start_period
+    });
+  });
+
+  test('merges layers in order with later layers winning', () => {
+    const hc = buildHealthcheck({ interval: '10s', path: '/setup' }, { interval: '15s', retries: 2 });
+    expect(hc.interval).toBe('15s');
+    expect(hc.retries).toBe(2);
+    expect(hc.test[1]).toContain('http://127.0.0.1:30000/setup');
+  });
+
+  test('normalizes paths without a leading slash and probes the root for an empty path', () => {
+    expect(buildHealthcheck({ path: 'join' }).test[1]).toContain(':30000/join ');
+    expect(buildHealthcheck({ path: '' }).test[1]).toContain(':30000/ ');
+    expect(buildHealthcheck({ path: null }).test[1]).toContain(':30000/ ');
+  });
+
+  test('returns undefined when disabled', () => {
+    expect(buildHealthcheck({ enabled: false })).toBeUndefined();
+    expect(buildHealthcheck({ enabled: false }, { enabled: true })).toBeDefined();
+  });
+});
+
+describe('healthcheck in generated services', () => {
+  test('deriveVersionDefaults merges version_params and composition_params healthchecks', () => {
+    const derived = deriveVersionDefaults({ healthcheck: { interval: '20s', retries: 3 } }, 13, { healthcheck: { retries: 9 } });
+    expect(derived.healthcheck.interval).toBe('20s');
+    expect(derived.healthcheck.retries).toBe(9);
+  });
+
+  test('buildServiceEntry emits the derived healthcheck', () => {
+    const derived = deriveVersionDefaults({}, 12, {});
+    const svc = buildServiceEntry(derived, {}, 'felddy/foundryvtt', '0:0', []);
+    expect(svc.healthcheck).toEqual(buildHealthcheck());
+  });
+
+  test('every container-config service carries a healthcheck unless disabled per version', () => {
+    const containerCfg = {
+      composition: { version_params: { healthcheck: { start_period: '5m' } } },
+      versions: {
+        '13': install,
+        '12': { ...install, composition_params: { healthcheck: { enabled: false } } }
+      }
+    };
+    const compose = buildComposeFromContainerConfig(containerCfg, {}, NO_SECRETS);
+    expect(compose.services['foundry-v13'].healthcheck.start_period).toBe('5m');
+    expect(compose.services['foundry-v12']).not.toHaveProperty('healthcheck');
+    expect(compose.services.builder).not.toHaveProperty('healthcheck');
+  });
+
+  test('advanced compose config applies top-level and per-entry healthchecks', () => {
+    const config = {
+      healthcheck: { timeout: '9s' },
+      versions: [ { name: 'foundry-a', versionDir: 'v13', healthcheck: { path: '/status' } } ],
+      builder: { enabled: false }
+    };
+    const compose = buildComposeFromComposeConfig(config, NO_SECRETS);
+    const hc = compose.services['foundry-a'].healthcheck;
+    expect(hc.timeout).toBe('9s');
+    expect(hc.test[1]).toContain(':30000/status');
+  });
+});
@@ -1,4 +1,4 @@
-import { deriveVersionDefaults, buildServiceEntry } from '#scripts/generate-compose.js';
+import { deriveVersionDefaults, buildServiceEntry, buildConfigMount } from '#scripts/generate-compose.js';
 
 describe('deriveVersionDefaults', () => {
   test('derives sensible defaults from version params', () => {
@@ -42,3 +42,27 @@ describe('buildServiceEntry', () => {
     expect(svc.environment).toEqual(expect.arrayContaining(['ONE=1','TWO=2']));
   });
 });
+
+describe('buildConfigMount', () => {
+  test('keeps the container-config.json bind for JSON configs', () => {
+    for (const p of [undefined, '/work/container-config.json', '/work/other.json']) {
+      const mount = buildConfigMount(p);
+      expect(mount.bind).toMatchObject({ source: './container-config.json', target: '/config/container-config.json', read_only: true });
+      expect(mount.volumes).toEqual([]);
+      expect(mount.environment).toEqual([]);
+    }
+  });
+
+  test('mounts JSONC configs under their own name', () => {
+    const mount = buildConfigMount('/work/container-config.jsonc');
+    expect(mount.bind).toMatchObject({ source: './container-config.jsonc', target: '/config/container-config.jsonc' });
+    expect(mount.volumes).toEqual([]);
+    expect(mount.environment).toEqual(['CONTAINER_CONFIG_PATH=/config/container-config.jsonc']);
+  });
+
+  test('mounts js-yaml alongside YAML configs', () => {
+    const mount = buildConfigMount('/work/container-config.yml', [], process.cwd());
+    expect(mount.environment).toEqual(['CONTAINER_CONFIG_PATH=/config/container-config.yml']);
+    expect(mount.volumes).toEqual([{ type: 'bind', source: './node_modules/js-yaml', target: '/node_modules/js-yaml', read_only: true }]);
+  });
+});
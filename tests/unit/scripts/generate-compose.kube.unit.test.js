@@ -0,0 +1,107 @@
+/**
+ * @file generate-compose.kube.unit.test.js
+ * @description Unit tests for --format kube in generateCompose and the CLI
+ * @path tests/unit/scripts/generate-compose.kube.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { jest } from '@jest/globals';
+import { parseArgs, generateCompose, main } from '#scripts/generate-compose.js';
+import { containerConfig } from '#tests/utils/compose-fixtures.js';
+
+describe('generateCompose format kube', () => {
+  let tmp;
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-kube-')); });
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+  test('renders the manifests as yaml and keeps the compose document', async () => {
+    fs.writeFileSync(path.join(tmp, 'secrets.json'), '{"foundry_license_key":"k"}');
+    const result = await generateCompose({
+      config: containerConfig(),
+      secrets: { secretsMode: 'file', secretsFile: './secrets.json', secretsTarget: 'config.json' },
+      overrides: { baseDir: tmp },
+      format: 'kube'
+    });
+    expect(Object.keys(result.compose.services)).toEqual([ 'foundry-v13', 'builder' ]);
+    expect(result.manifests.map(m => `${m.kind}/${m.metadata.name}`)).toEqual([
+      'Secret/config-json', 'PersistentVolumeClaim/foundry-v13-data', 'Deployment/foundry-v13', 'Service/foundry-v13', 'Deployment/builder'
+    ]);
+    expect(result.manifests[1].spec.resources.requests.storage).toBe('5Gi');
+    expect(yaml.loadAll(result.yaml)).toEqual(result.manifests);
+    expect(result.caddyfile).toBeNull();
+  });
+
+  test('drops the proxy service with a warning', async () => {
+    const config = containerConfig({ composition: { proxy: { provider: 'caddy', service: { enabled: true } } } });
+    const { manifests, warnings } = await generateCompose({ config, overrides: { builderEnabled: false, baseDir: tmp }, format: 'kube' });
+    expect(manifests.filter(m => m.kind === 'Deployment').map(m => m.metadata.name)).toEqual([ 'foundry-v13' ]);
+    expect(warnings).toContain('[kube] composition.proxy is compose-only and is ignored; route to the generated Services with an Ingress');
+  });
+
+  test('rejects unknown formats', async () => {
+    await expect(generateCompose({ config: containerConfig(), format: 'helm' }))
+      .rejects.toMatchObject({ code: 'E_OPTIONS', message: 'Unknown output format: helm (expected compose or kube)' });
+  });
+});
+
+describe('main --format kube', () => {
+  let tmp;
+  let cfgPath;
+  let originalArgv;
+  let originalExit;
+  let logSpy;
+  let errSpy;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-kube-'));
+    cfgPath = path.join(tmp, 'container-config.json');
+    fs.writeFileSync(cfgPath, JSON.stringify(containerConfig()));
+    originalArgv = process.argv;
+    originalExit = process.exit;
+    process.exit = jest.fn();
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.argv = originalArgv;
+    process.exit = originalExit;
+    logSpy.mockRestore();
+    errSpy.mockRestore();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('parses --format and COMPOSE_FORMAT', () => {
+    expect(parseArgs([ 'node', 'script.js' ]).format).toBe('compose');
+    expect(parseArgs([ 'node', 'script.js', '--format', 'kube' ]).format).toBe('kube');
+    process.env.COMPOSE_FORMAT = 'kube';
+    try {
+      expect(parseArgs([ 'node', 'script.js' ]).format).toBe('kube');
+    } finally {
+      delete process.env.COMPOSE_FORMAT;
+    }
+  });
+
+  test('writes the manifests to -o', async () => {
+    const outPath = path.join(tmp, 'foundry.kube.yml');
+    process.argv = [ 'node', 'script.js', '-c', cfgPath, '-o', outPath, '--secrets-mode', 'none', '--format', 'kube' ];
+    await main();
+    expect(process.exit).not.toHaveBeenCalled();
+    const kinds = yaml.loadAll(fs.readFileSync(outPath, 'utf8')).map(m => m.kind);
+    expect(kinds).toEqual([ 'PersistentVolumeClaim', 'Deployment', 'Service', 'Deployment' ]);
+  });
+
+  test('refuses --diff and an unknown format', async () => {
+    process.argv = [ 'node', 'script.js', '-c', cfgPath, '--diff', '--format', 'kube' ];
+    await main();
+    expect(process.exit).toHaveBeenCalledWith(1);
+    expect(errSpy).toHaveBeenCalledWith('--diff and --check compare compose files and cannot be combined with --format kube');
+
+    process.argv = [ 'node', 'script.js', '-c', cfgPath, '--format', 'yaml' ];
+    await main();
+    expect(errSpy).toHaveBeenLastCalledWith('Unknown output format: yaml (expected compose or kube)');
+  });
+});
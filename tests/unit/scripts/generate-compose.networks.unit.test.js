@@ -0,0 +1,97 @@
+/**
+ * @file generate-compose.networks.unit.test.js
+ * @description Unit tests for composition.networks and per-service network attachment
+ * @path tests/unit/scripts/generate-compose.networks.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { resolvePerVersionList, buildNetworks, buildComposeFromContainerConfig } from '#scripts/generate-compose.js';
+import { ConfigValidator } from '#helpers/config-validator.js';
+import { NO_SECRETS, install, containerConfig } from '#tests/utils/compose-fixtures.js';
+
+const schemaPath = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../schemas/container-config.schema.json');
+
+const isolatedConfig = () => ({
+  systems: {},
+  modules: {},
+  composition: {
+    networks: { build: {}, 'foundry-v{version}': { driver: 'bridge' }, offline: { internal: true } },
+    version_params: { networks: [ 'foundry-v{version}' ] },
+    builder: { networks: [ 'build' ] }
+  },
+  versions: {
+    '13': { ...install, variants: { lite: install } },
+    '12': { ...install, composition_params: { networks: [ 'offline' ] } }
+  }
+});
+
+describe('network resolution', () => {
+  test('templates version_params networks per version; composition_params replaces them', () => {
+    expect(resolvePerVersionList(undefined, 13, undefined)).toEqual([]);
+    expect(resolvePerVersionList([ 'foundry-v{version}' ], 13, undefined)).toEqual([ 'foundry-v13' ]);
+    expect(resolvePerVersionList([ 'foundry-v{version}' ], 12, [])).toEqual([]);
+  });
+});
+
+describe('buildNetworks', () => {
+  test('declares defined and joined networks, expanding templated definitions per version', () => {
+    const services = { a: { networks: [ 'foundry-v13', 'extra' ] }, b: {}, c: { networks: [ 'default' ] } };
+    expect(buildNetworks({ shared: {}, 'foundry-v{version}': { internal: true, bogus: 1 } }, [ 13, 12 ], services)).toEqual({
+      shared: null,
+      'foundry-v13': { internal: true },
+      extra: null
+    });
+    expect(buildNetworks({ default: { internal: true } }, [], services)).toEqual({ default: { internal: true }, 'foundry-v13': null, extra: null });
+    expect(buildNetworks(undefined, [ 13 ], { a: {} })).toEqual({});
+  });
+});
+
+describe('networks in generated compose', () => {
+  test('isolates each version, keeps the builder on its own network and honors internal networks', () => {
+    const compose = buildComposeFromContainerConfig(isolatedConfig(), {}, NO_SECRETS);
+    expect(compose.networks).toEqual({ build: null, offline: { internal: true }, 'foundry-v13': { driver: 'bridge' } });
+    expect(compose.services['foundry-v13'].networks).toEqual([ 'foundry-v13' ]);
+    expect(compose.services['foundry-v13-lite'].networks).toEqual([ 'foundry-v13' ]);
+    expect(compose.services['foundry-v12'].networks).toEqual([ 'offline' ]);
+    expect(compose.services.builder.networks).toEqual([ 'build' ]);
+    expect(Object.keys(compose)).toEqual([ 'secrets', 'volumes', 'networks', 'services' ]);
+  });
+
+  test('the proxy service joins every Foundry network', () => {
+    const config = isolatedConfig();
+    config.composition.proxy = { service: { enabled: true } };
+    config.versions['11'] = install;
+    config.versions['11'].composition_params = { networks: [] };
+    const compose = buildComposeFromContainerConfig(config, {}, NO_SECRETS);
+    expect(compose.services.proxy.networks).toEqual([ 'default', 'offline', 'foundry-v13' ]);
+  });
+
+  test('leaves compose untouched without networks', () => {
+    const compose = buildComposeFromContainerConfig(containerConfig({ composition: { proxy: { service: { enabled: true } } } }), {}, NO_SECRETS);
+    expect(compose).not.toHaveProperty('networks');
+    for (const svc of Object.values(compose.services)) expect(svc).not.toHaveProperty('networks');
+  });
+
+  test('composition.networks is validated by the container-config schema', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-net-'));
+    try {
+      const file = path.join(tmp, 'container-config.json');
+      fs.writeFileSync(file, JSON.stringify(isolatedConfig()));
+      expect(new ConfigValidator({ schemaPath }).validate(file)).toMatchObject({ valid: true });
+
+      const invalid = isolatedConfig();
+      invalid.composition.networks.offline = { internal: 'yes' };
+      invalid.composition.builder.networks = [ 'bad name' ];
+      fs.writeFileSync(file, JSON.stringify(invalid));
+      const { valid, errors } = new ConfigValidator({ schemaPath }).validate(file);
+      expect(valid).toBe(false);
+      expect(errors.join('\n')).toMatch(/internal/);
+      expect(errors.join('\n')).toMatch(/builder\/networks\/0/);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @file generate-compose.ports.unit.test.js
+ * @description Unit tests for host port collision detection and --auto-port
+ * @path tests/unit/scripts/generate-compose.ports.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { jest } from '@jest/globals';
+import {
+  findPortCollisions,
+  assignAutoPorts,
+  readPublishedPorts,
+  buildComposeFromContainerConfig,
+  parseArgs,
+  main
+} from '#scripts/generate-compose.js';
+import { NO_SECRETS, install } from '#tests/utils/compose-fixtures.js';
+
+describe('findPortCollisions', () => {
+  test('reports services sharing a host port', () => {
+    const compose = buildComposeFromContainerConfig({
+      composition: { version_params: { port: '300{version}' } },
+      versions: { '13': install, '12': { ...install, composition_params: { port: 30013 } }, '11': install }
+    }, {}, NO_SECRETS);
+    expect(findPortCollisions(compose.services)).toEqual(['/services: host port 30013 is used by foundry-v12, foundry-v13']);
+  });
+
+  test('returns no errors for unique ports', () => {
+    const compose = buildComposeFromContainerConfig({ versions: { '13': install, '12': install } }, {}, NO_SECRETS);
+    expect(findPortCollisions(compose.services)).toEqual([]);
+  });
+});
+
+describe('assignAutoPorts', () => {
+  test('moves duplicates and host-bound ports to the next free port', () => {
+    const services = {
+      a: { ports: ['30013:30000'] },
+      b: { ports: ['30013:30000'] },
+      c: { ports: ['127.0.0.1:30020:30000'] },
+      builder: {}
+    };
+    const bound = new Set([30014, 30020]);
+    const findPortsInUse = jest.fn(ports => ports.filter(p => bound.has(p)));
+    const changes = assignAutoPorts(services, { findPortsInUse });
+    expect(changes).toEqual([
+      { service: 'b', from: 30013, to: 30015 },
+      { service: 'c', from: 30020, to: 30021 }
+    ]);
+    expect(services.b.ports).toEqual(['30015:30000']);
+    expect(services.c.ports).toEqual(['127.0.0.1:30021:30000']);
+    expect(findPortCollisions(services)).toEqual([]);
+  });
+
+  test('keeps a bound port the service already publishes', () => {
+    const services = { 'foundry-v13': { ports: ['30013:30000'] } };
+    const changes = assignAutoPorts(services, { findPortsInUse: ports => ports, keep: { 'foundry-v13': [30013] } });
+    expect(changes).toEqual([]);
+    expect(services['foundry-v13'].ports).toEqual(['30013:30000']);
+  });
+
+  test('readPublishedPorts returns host ports per service, or nothing for a missing file', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-ports-'));
+    const composePath = path.join(tmp, 'compose.dev.yml');
+    fs.writeFileSync(composePath, 'services:\n  foundry-v13:\n    ports: ["30013:30000"]\n  builder: {}\n');
+    expect(readPublishedPorts(composePath)).toEqual({ 'foundry-v13': [30013], builder: [] });
+    expect(readPublishedPorts(path.join(tmp, 'missing.yml'))).toEqual({});
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+});
+
+describe('main with port collisions', () => {
+  let tmp;
+  let cfgPath;
+  let originalArgv;
+  let originalExit;
+  let errSpy;
+  let writeSpy;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-ports-'));
+    cfgPath = path.join(tmp, 'container-config.json');
+    fs.writeFileSync(cfgPath, JSON.stringify({
+      systems: {},
+      modules: {},
+      versions: { '13': install, '12': { ...install, composition_params: { port: 30013 } } }
+    }));
+    originalArgv = process.argv;
+    originalExit = process.exit;
+    process.exit = jest.fn();
+    errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    process.argv = originalArgv;
+    process.exit = originalExit;
+    errSpy.mockRestore();
+    writeSpy.mockRestore();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('fails validation on duplicate host ports', async () => {
+    process.argv = ['node', 'script.js', '-c', cfgPath, '--secrets-mode', 'none'];
+    await main();
+    expect(process.exit).toHaveBeenCalledWith(1);
+    const printed = errSpy.mock.calls.map(c => c[0]).join('\n');
+    expect(printed).toContain('host port 30013 is used by foundry-v12, foundry-v13');
+    expect(writeSpy).not.toHaveBeenCalled();
+  });
+
+  test('--auto-port reassigns the later service in version order', async () => {
+    expect(parseArgs(['node', 'script.js', '--auto-port']).autoPort).toBe(true);
+    process.argv = ['node', 'script.js', '-c', cfgPath, '--secrets-mode', 'none', '--auto-port'];
+    await main();
+    expect(process.exit).not.toHaveBeenCalled();
+    expect(errSpy.mock.calls.map(c => c[0]).join('\n')).toMatch(/\[auto-port\] foundry-v13: host port 30013 is taken, using 300\d\d/);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @file generate-compose.profiles.unit.test.js
+ * @description Unit tests for compose profile generation
+ * @path tests/unit/scripts/generate-compose.profiles.unit.test.js
+ */
+
+import {
+  resolveProfiles,
+  buildBuilderService,
+  deriveVersionDefaults,
+  buildServiceEntry,
+  buildComposeFromContainerConfig,
+  buildComposeFromComposeConfig
+} from '#scripts/generate-compose.js';
+import { NO_SECRETS, install } from '#tests/utils/compose-fixtures.js';
+
+describe('resolveProfiles', () => {
+  test('returns an empty list when nothing is configured', () => {
+    expect(resolveProfiles(undefined, 13, undefined)).toEqual([]);
+  });
+
+  test('templates version_params profiles with the version', () => {
+    expect(resolveProfiles(['v{version}', 'all'], 13, undefined)).toEqual(['v13', 'all']);
+  });
+
+  test('explicit composition_params profiles replace the templates', () => {
+    expect(resolveProfiles(['v{version}'], 11, ['legacy'])).toEqual(['legacy']);
+    expect(resolveProfiles(['v{version}'], 11, [])).toEqual([]);
+  });
+});
+
+describe('profiles in generated services', () => {
+  test('buildServiceEntry emits derived profiles and omits empty ones', () => {
+    const withProfiles = buildServiceEntry(deriveVersionDefaults({ profiles: ['v{version}'] }, 12, {}), {}, 'felddy/foundryvtt', '0:0', []);
+    expect(withProfiles.profiles).toEqual(['v12']);
+    const without = buildServiceEntry(deriveVersionDefaults({}, 12, {}), {}, 'felddy/foundryvtt', '0:0', []);
+    expect(without).not.toHaveProperty('profiles');
+  });
+
+  test('container-config combines templated and per-version profiles', () => {
+    const containerCfg = {
+      composition: { version_params: { profiles: ['v{version}'] } },
+      versions: {
+        '13': install,
+        '11': { ...install, composition_params: { profiles: ['legacy'] } },
+        '12': { ...install, composition_params: { profiles: [] } }
+      }
+    };
+    const compose = buildComposeFromContainerConfig(containerCfg, {}, NO_SECRETS);
+    expect(compose.services['foundry-v13'].profiles).toEqual(['v13']);
+    expect(compose.services['foundry-v11'].profiles).toEqual(['legacy']);
+    expect(compose.services['foundry-v12']).not.toHaveProperty('profiles');
+    expect(compose.services.builder).not.toHaveProperty('profiles');
+  });
+
+  test('builder profiles come from composition.builder', () => {
+    const containerCfg = {
+      composition: { builder: { profiles: ['tools'] } },
+      versions: { '13': install }
+    };
+    const compose = buildComposeFromContainerConfig(containerCfg, {}, NO_SECRETS);
+    expect(compose.services.builder.profiles).toEqual(['tools']);
+    expect(buildBuilderService('node:20-alpine', []).profiles).toBeUndefined();
+  });
+
+  test('advanced compose config passes entry and builder profiles through', () => {
+    const config = {
+      versions: [ { name: 'foundry-a', versionDir: 'v13', profiles: ['v13'] } ],
+      builder: { profiles: ['tools'] }
+    };
+    const compose = buildComposeFromComposeConfig(config, NO_SECRETS);
+    expect(compose.services['foundry-a'].profiles).toEqual(['v13']);
+    expect(compose.services.builder.profiles).toEqual(['tools']);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @file generate-compose.proxy.unit.test.js
+ * @description Unit tests for reverse proxy (Traefik/Caddy) label and service generation
+ * @path tests/unit/scripts/generate-compose.proxy.unit.test.js
+ */
+
+import {
+  resolveProxySettings,
+  resolveProxyHostname,
+  buildProxyLabels,
+  buildProxyService,
+  buildCaddyfile,
+  buildComposeFromContainerConfig
+} from '#scripts/generate-compose.js';
+import { NO_SECRETS, install } from '#tests/utils/compose-fixtures.js';
+
+const URL_LABEL = 'foundryvtt-dev-pod.url';
+
+function configWith(proxy) {
+  return {
+    composition: { proxy },
+    versions: {
+      '13': install,
+      '12': { ...install, composition_params: { hostname: 'legacy.localhost' } }
+    }
+  };
+}
+
+describe('resolveProxySettings', () => {
+  test('returns null when no proxy is configured or it is disabled', () => {
+    expect(resolveProxySettings(undefined)).toBeNull();
+    expect(resolveProxySettings({ enabled: false })).toBeNull();
+  });
+
+  test('fills defaults and merges the service block', () => {
+    const proxy = resolveProxySettings({ service: { enabled: true } });
+    expect(proxy).toMatchObject({ provider: 'traefik', hostname: 'v{version}.foundry.localhost', entrypoint: 'web' });
+    expect(proxy.service).toMatchObject({ enabled: true, port: 80 });
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => resolveProxySettings({ provider: 'nginx' })).toThrow(/Unsupported proxy provider "nginx"/);
+  });
+});
+
+describe('resolveProxyHostname', () => {
+  test('templates the hostname unless composition_params.hostname is set', () => {
+    const proxy = resolveProxySettings({});
+    expect(resolveProxyHostname(proxy, 13)).toBe('v13.foundry.localhost');
+    expect(resolveProxyHostname(proxy, 12, { hostname: 'legacy.localhost' })).toBe('legacy.localhost');
+    expect(resolveProxyHostname(null, 13)).toBeUndefined();
+  });
+});
+
+describe('buildProxyLabels', () => {
+  test('emits Traefik router labels and the URL label', () => {
+    const labels = buildProxyLabels(resolveProxySettings({}), 'foundry-v13', 'v13.foundry.localhost');
+    expect(labels).toEqual({
+      'traefik.enable': 'true',
+      'traefik.http.routers.foundry-v13.rule': 'Host(`v13.foundry.localhost`)',
+      'traefik.http.routers.foundry-v13.entrypoints': 'web',
+      'traefik.http.services.foundry-v13.loadbalancer.server.port': '30000',
+      [URL_LABEL]: 'http://v13.foundry.localhost'
+    });
+  });
+
+  test('Caddy only gets the URL label, including a non-default proxy port', () => {
+    const proxy = resolveProxySettings({ provider: 'caddy', service: { port: 8080 } });
+    expect(buildProxyLabels(proxy, 'foundry-v13', 'v13.foundry.localhost')).toEqual({ [URL_LABEL]: 'http://v13.foundry.localhost:8080' });
+  });
+
+  test('returns undefined without a proxy', () => {
+    expect(buildProxyLabels(null, 'foundry-v13', 'v13.foundry.localhost')).toBeUndefined();
+  });
+});
+
+describe('proxy in generated compose', () => {
+  test('labels every version service and omits the proxy service by default', () => {
+    const compose = buildComposeFromContainerConfig(configWith({}), {}, NO_SECRETS);
+    expect(compose.services['foundry-v13'].labels['traefik.http.routers.foundry-v13.rule']).toBe('Host(`v13.foundry.localhost`)');
+    expect(compose.services['foundry-v12'].labels[URL_LABEL]).toBe('http://legacy.localhost');
+    expect(compose.services).not.toHaveProperty('proxy');
+    expect(compose.services.builder).not.toHaveProperty('labels');
+  });
+
+  test('no labels without composition.proxy', () => {
+    const compose = buildComposeFromContainerConfig(configWith(undefined), {}, NO_SECRETS);
+    expect(compose.services['foundry-v13']).not.toHaveProperty('labels');
+  });
+
+  test('adds a Traefik service using the docker provider', () => {
+    const compose = buildComposeFromContainerConfig(configWith({ service: { enabled: true } }), {}, NO_SECRETS);
+    expect(compose.services.proxy).toMatchObject({
+      image: 'traefik:v3.1',
+      ports: ['80:80'],
+      volumes: ['/var/run/docker.sock:/var/run/docker.sock:ro']
+    });
+    expect(compose.services.proxy.command).toContain('--providers.docker.exposedbydefault=false');
+    expect(compose.services.proxy.command).toContain('--entrypoints.web.address=:80');
+  });
+
+  test('Caddy service mounts the generated Caddyfile', () => {
+    const proxy = resolveProxySettings({ provider: 'caddy', service: { enabled: true, image: 'caddy:latest' } });
+    expect(buildProxyService(proxy)).toMatchObject({
+      image: 'caddy:latest',
+      volumes: [{ type: 'bind', source: './Caddyfile', target: '/etc/caddy/Caddyfile', read_only: true }]
+    });
+  });
+});
+
+describe('buildCaddyfile', () => {
+  test('renders one site per proxied service and drops the published port', () => {
+    const compose = buildComposeFromContainerConfig(configWith({ provider: 'caddy', service: { enabled: true, port: 8080 } }), {}, NO_SECRETS);
+    const caddyfile = buildCaddyfile(compose.services);
+    expect(caddyfile).toContain('http://v13.foundry.localhost {\n\treverse_proxy foundry-v13:30000\n}');
+    expect(caddyfile).toContain('http://legacy.localhost {\n\treverse_proxy foundry-v12:30000\n}');
+    expect(caddyfile).not.toContain('proxy:');
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @file generate-compose.resources.unit.test.js
+ * @description Unit tests for Foundry service restart policies and resource limits
+ * @path tests/unit/scripts/generate-compose.resources.unit.test.js
+ */
+
+import {
+  buildResources,
+  resolveRestart,
+  deriveVersionDefaults,
+  buildServiceEntry,
+  buildComposeFromContainerConfig,
+  buildComposeFromComposeConfig
+} from '#scripts/generate-compose.js';
+import { NO_SECRETS, install } from '#tests/utils/compose-fixtures.js';
+
+describe('buildResources', () => {
+  test('uses the defaults from config/defaults.yaml', () => {
+    expect(buildResources()).toEqual({ limits: { memory: '2g', cpus: 2 }, reservations: { memory: '512m' } });
+  });
+
+  test('merges layers per key with later layers winning', () => {
+    const resources = buildResources({ limits: { memory: '3g' } }, { limits: { cpus: 1.5 }, reservations: { cpus: '0.5' } });
+    expect(resources).toEqual({ limits: { memory: '3g', cpus: 1.5 }, reservations: { memory: '512m', cpus: '0.5' } });
+  });
+
+  test('null drops a key and empty sections are omitted', () => {
+    expect(buildResources({ reservations: { memory: null } })).toEqual({ limits: { memory: '2g', cpus: 2 } });
+    expect(buildResources({ limits: { memory: null, cpus: null }, reservations: { memory: null } })).toBeUndefined();
+  });
+
+  test('returns undefined when disabled', () => {
+    expect(buildResources({ enabled: false })).toBeUndefined();
+    expect(buildResources({ enabled: false }, { enabled: true })).toBeDefined();
+  });
+});
+
+describe('resolveRestart', () => {
+  test('last defined layer wins over the default', () => {
+    expect(resolveRestart()).toBe('unless-stopped');
+    expect(resolveRestart('always', undefined)).toBe('always');
+    expect(resolveRestart('always', 'no')).toBe('no');
+  });
+});
+
+describe('restart and resources in generated services', () => {
+  test('buildServiceEntry emits restart and deploy.resources', () => {
+    const derived = deriveVersionDefaults({ restart: 'on-failure:3', resources: { limits: { memory: '1g' } } }, 13, { resources: { limits: { cpus: 1 } } });
+    const svc = buildServiceEntry(derived, {}, 'felddy/foundryvtt', '0:0', []);
+    expect(svc.restart).toBe('on-failure:3');
+    expect(svc.deploy).toEqual({ resources: { limits: { memory: '1g', cpus: 1 }, reservations: { memory: '512m' } } });
+  });
+
+  test('container-config applies per-version overrides and variants inherit them', () => {
+    const compose = buildComposeFromContainerConfig({
+      versions: {
+        '13': {
+          ...install,
+          composition_params: { restart: 'no', resources: { enabled: false } },
+          variants: { lean: { composition_params: { resources: { enabled: true, limits: { memory: '1g' } } } } }
+        },
+        '12': install
+      }
+    }, {}, NO_SECRETS);
+    expect(compose.services['foundry-v13'].restart).toBe('no');
+    expect(compose.services['foundry-v13']).not.toHaveProperty('deploy');
+    expect(compose.services['foundry-v13-lean'].restart).toBe('no');
+    expect(compose.services['foundry-v13-lean'].deploy.resources.limits).toEqual({ memory: '1g', cpus: 2 });
+    expect(compose.services['foundry-v12'].restart).toBe('unless-stopped');
+  });
+
+  test('compose-config mode reads top-level and per-version settings', () => {
+    const compose = buildComposeFromComposeConfig({
+      restart: 'always',
+      resources: { limits: { cpus: 4 } },
+      versions: [{ name: 'foundry-v13', versionDir: 'v13', resources: { reservations: { memory: null } } }]
+    }, NO_SECRETS);
+    const svc = compose.services['foundry-v13'];
+    expect(svc.restart).toBe('always');
+    expect(svc.deploy.resources).toEqual({ limits: { memory: '2g', cpus: 4 } });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @file generate-compose.templates.unit.test.js
+ * @description Unit tests for {major}/{minor}/{name}/{port}/{dir} and ${env:VAR:-default} config templates
+ * @path tests/unit/scripts/generate-compose.templates.unit.test.js
+ */
+
+import {
+  deriveVersionDefaults,
+  listFoundryServices,
+  usesServiceTemplateVars,
+  buildComposeFromContainerConfig,
+  generateCompose,
+  ConfigValidationError
+} from '#scripts/generate-compose.js';
+import { NO_SECRETS, install } from '#tests/utils/compose-fixtures.js';
+
+describe('deriveVersionDefaults templates', () => {
+  const versionParams = { name: 'foundry-{dir}', versionDir: 'v{major}', tag: '${env:FOUNDRY_TAG:-release}', port: '300{version}' };
+
+  test('resolves name, dir, tag and port variables and env defaults', () => {
+    const res = deriveVersionDefaults(versionParams, 13, {}, { env: {} });
+    expect(res).toMatchObject({ name: 'foundry-v13', dir: 'v13', tag: 'release', port: 30013 });
+    expect(deriveVersionDefaults(versionParams, 13, {}, { env: { FOUNDRY_TAG: '13.345' } }).tag).toBe('13.345');
+  });
+
+  test('takes {minor} from a pinned tag and templated ports from composition_params', () => {
+    const compParams = { tag: '13.345', port: '${env:PORT_13:-31013}', hostname: 'b{minor}.localhost' };
+    const res = deriveVersionDefaults({ name: 'foundry-{major}-{minor}' }, 13, compParams, { env: {} });
+    expect(res).toMatchObject({ name: 'foundry-13-345', port: 31013 });
+    expect(res.params.hostname).toBe('b345.localhost');
+  });
+
+  test('names the pointer of unresolved variables', () => {
+    expect(() => deriveVersionDefaults({ name: 'foundry-{minor}' }, 13, {}, { env: {} }))
+      .toThrow('/composition/version_params/name: unresolved template variable {minor}');
+    expect(() => deriveVersionDefaults({}, 13, { port: '${env:PORT_13}' }, { env: {}, pointer: '/versions/13/composition_params' }))
+      .toThrow('/versions/13/composition_params/port: unresolved template variable ${env:PORT_13}');
+  });
+
+  test('listFoundryServices names versions and variants the way the generator does', () => {
+    const config = {
+      composition: { version_params: { name: '${env:POD:-fvtt}-{dir}' } },
+      versions: { '13': { ...install, variants: { lite: install } }, '12': install, '11': { ...install, supported: false } }
+    };
+    expect(listFoundryServices(config, { POD: 'dev' })).toEqual([
+      { name: 'dev-v12', version: 12 },
+      { name: 'dev-v13', version: 13 },
+      { name: 'dev-v13-lite', version: 13, variant: 'lite' }
+    ]);
+  });
+});
+
+describe('component templates', () => {
+  const config = {
+    systems: {},
+    modules: { mod: { name: 'Module', manifest: 'https://example.com/{dir}/module.json' } },
+    versions: { '13': { install: { systems: {}, modules: { mod: {} } } } }
+  };
+
+  test('exports FOUNDRY_TEMPLATE_VARS only when a component uses {name}, {port} or {dir}', () => {
+    expect(usesServiceTemplateVars(config)).toBe(true);
+    const { services } = buildComposeFromContainerConfig(config, {}, NO_SECRETS);
+    expect(services['foundry-v13'].environment).toContain('FOUNDRY_TEMPLATE_VARS={"name":"foundry-v13","port":30013,"dir":"v13"}');
+
+    const plain = { ...config, modules: { mod: { name: 'Module', manifest: 'https://example.com/{version}/module.json' } } };
+    expect(usesServiceTemplateVars(plain)).toBe(false);
+    const environment = buildComposeFromContainerConfig(plain, {}, NO_SECRETS).services['foundry-v13'].environment;
+    expect(environment.some(e => e.startsWith('FOUNDRY_TEMPLATE_VARS='))).toBe(false);
+  });
+
+  test('generateCompose reports template problems as validation errors', async () => {
+    const bad = { ...config, composition: { version_params: { tag: '{build}' } } };
+    await expect(generateCompose({ config: bad })).rejects.toThrow(ConfigValidationError);
+    await expect(generateCompose({ config: bad })).rejects.toThrow('/composition/version_params/tag: unknown template variable {build}');
+    const unset = { ...config, composition: { version_params: { tag: '${env:FOUNDRY_TAG}' } } };
+    await expect(generateCompose({ config: unset, env: {} })).rejects.toThrow('unresolved template variable ${env:FOUNDRY_TAG}');
+    const { compose } = await generateCompose({ config: unset, env: { FOUNDRY_TAG: '13.345' } });
+    expect(compose.services['foundry-v13'].image).toMatch(/:13\.345$/);
+  });
+
+  test('reports component variables a service cannot resolve', async () => {
+    const pinned = {
+      systems: {},
+      modules: { mod: { name: 'Module', manifest: 'https://example.com/b{minor}/module.json' } },
+      versions: {
+        '13': { composition_params: { tag: '13.345' }, install: { systems: {}, modules: { mod: {} } }, variants: { lite: { install: { modules: { mod: null } } } } },
+        '12': install
+      }
+    };
+    const { compose } = await generateCompose({ config: pinned });
+    expect(Object.keys(compose.services)).toEqual(expect.arrayContaining([ 'foundry-v12', 'foundry-v13', 'foundry-v13-lite' ]));
+
+    const unpinned = { ...pinned, versions: { ...pinned.versions, '12': { install: { systems: {}, modules: { mod: {} } } } } };
+    const failed = generateCompose({ config: unpinned });
+    await expect(failed).rejects.toThrow(ConfigValidationError);
+    await expect(failed).rejects.toThrow('/modules/mod/manifest: unresolved template variable {minor} (needs a version such as 13.345) in foundry-v12');
+
+    const synced = { ...config, modules: { mod: { name: 'Module', path: '/host/mod', continuous_sync: { source: '/host/{minor}/${env:SRC}' } } } };
+    await expect(generateCompose({ config: synced })).rejects.toThrow('/modules/mod/continuous_sync/source: unresolved template variable {minor}');
+    const envOnly = { ...config, modules: { mod: { name: 'Module', manifest: 'https://example.com/${env:MOD_HOST}/module.json' } } };
+    await expect(generateCompose({ config: envOnly, env: {} })).resolves.toHaveProperty('compose');
+  });
+});
@@ -76,6 +76,11 @@ describe('scripts/generate-compose.js', () => {
       expect(args.dryRun).toBe(true);
     });
 
+    test('parses --diff and --check flags', () => {
+      expect(parseArgs(['node', 'script.js', '--diff'])).toMatchObject({ diff: true, check: false });
+      expect(parseArgs(['node', 'script.js', '--check'])).toMatchObject({ diff: false, check: true });
+    });
+
     test('handles -n flag for dry run', () => {
       const args = parseArgs(['node', 'script.js', '-n']);
       expect(args.dryRun).toBe(true);
@@ -382,7 +387,7 @@ describe('scripts/generate-compose.js', () => {
       process.exit = originalExit;
     });
 
-    test('outputs to stdout when no output file specified', () => {
+    test('outputs to stdout when no output file specified', async () => {
       const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-main-'));
       const cfgPath = path.join(tmp, 'container-config.json');
       const cfg = {
@@ -394,14 +399,14 @@ describe('scripts/generate-compose.js', () => {
 
       process.argv = ['node', 'script.js', '-c', cfgPath];
 
-      main();
+      await main();
 
       expect(stdoutOutput).toContain('secrets:');
       expect(stdoutOutput).toContain('services:');
       expect(process.exit).not.toHaveBeenCalled();
     });
 
-    test('writes to file when output file specified', () => {
+    test('writes to file when output file specified', async () => {
       const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-main-'));
       const cfgPath = path.join(tmp, 'container-config.json');
       const outPath = path.join(tmp, 'output.yml');
@@ -419,13 +424,129 @@ describe('scripts/generate-compose.js', () => {
 
       process.argv = ['node', 'script.js', '-c', cfgPath, '-o', outPath];
 
-      main();
+      await main();
 
       expect(fs.existsSync(outPath)).toBe(true);
       expect(consoleOutput).toContain(`Wrote ${path.resolve(outPath)}`);
 
       console.log = originalConsoleLog;
     });
+
+    test('accepts YAML configs and points services at the mounted file', async () => {
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-main-'));
+      const cfgPath = path.join(tmp, 'container-config.yaml');
+      fs.writeFileSync(cfgPath, [
+        '# m is pinned until the v13 port lands',
+        'systems: {}',
+        'modules:',
+        '  m: { name: M, manifest: "https://example.com/test.json" }',
+        'versions:',
+        '  "13": { install: { systems: {}, modules: { m: {} } } }',
+        ''
+      ].join('\n'));
+
+      const out = path.join(tmp, 'compose.yml');
+      process.argv = ['node', 'script.js', '-c', cfgPath, '-o', out];
+
+      await main();
+
+      const svc = yaml.load(fs.readFileSync(out, 'utf8')).services['foundry-v13'];
+      expect(svc.environment).toContain('CONTAINER_CONFIG_PATH=/config/container-config.yaml');
+      expect(svc.volumes).toContainEqual(expect.objectContaining({ source: './container-config.yaml', target: '/config/container-config.yaml' }));
+      expect(svc.volumes).toContainEqual(expect.objectContaining({ target: '/node_modules/js-yaml', read_only: true }));
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    test('makes config and js-yaml bind sources relative to the output directory', async () => {
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-main-'));
+      const cfgPath = path.join(tmp, 'config', 'container-config.yaml');
+      fs.mkdirSync(path.dirname(cfgPath));
+      fs.writeFileSync(cfgPath, 'systems: {}\nmodules: {}\nversions:\n  "13": { install: { systems: {}, modules: {} } }\n');
+      const out = path.join(tmp, 'pod', 'compose.yml');
+      fs.mkdirSync(path.dirname(out));
+      process.argv = ['node', 'script.js', '-c', cfgPath, '-o', out];
+
+      await main();
+
+      const { volumes } = yaml.load(fs.readFileSync(out, 'utf8')).services['foundry-v13'];
+      expect(volumes).toContainEqual(expect.objectContaining({ source: '../config/container-config.yaml', target: '/config/container-config.yaml' }));
+      const yamlBind = volumes.find(v => v.target === '/node_modules/js-yaml');
+      expect(path.resolve(path.dirname(out), yamlBind.source)).toBe(path.resolve('node_modules/js-yaml'));
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    describe('--diff / --check', () => {
+      let tmp;
+      let cfgPath;
+      let outPath;
+      let logSpy;
+      let errSpy;
+
+      beforeEach(async () => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-check-'));
+        cfgPath = path.join(tmp, 'container-config.json');
+        outPath = path.join(tmp, 'compose.dev.yml');
+        fs.writeFileSync(cfgPath, JSON.stringify({
+          systems: {},
+          modules: {},
+          versions: { '13': { install: { systems: {}, modules: {} } } }
+        }));
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        process.argv = ['node', 'script.js', '-c', cfgPath, '-o', outPath, '--secrets-mode', 'none'];
+        await main();
+        logSpy.mockClear();
+        errSpy.mockClear();
+      });
+
+      afterEach(() => {
+        logSpy.mockRestore();
+        errSpy.mockRestore();
+        fs.rmSync(tmp, { recursive: true, force: true });
+      });
+
+      test('reports an up-to-date compose file without exiting', async () => {
+        process.argv.push('--check');
+        await main();
+        expect(process.exit).not.toHaveBeenCalled();
+        expect(logSpy.mock.calls[0][0]).toContain('is up to date');
+      });
+
+      test('--diff prints semantic changes and exits 1 when stale', async () => {
+        const before = fs.readFileSync(outPath, 'utf8');
+        fs.writeFileSync(outPath, before.replace('FETCH_STAGGER_SECONDS=4', 'FETCH_STAGGER_SECONDS=1'));
+        process.argv.push('--diff');
+        await main();
+        const printed = logSpy.mock.calls.map(c => c[0]).join('\n');
+        expect(printed).toContain('~ services.foundry-v13.environment.FETCH_STAGGER_SECONDS: 1 -> 4');
+        expect(errSpy.mock.calls[0][0]).toContain('out of date (1 difference)');
+        expect(process.exit).toHaveBeenCalledWith(1);
+        expect(fs.readFileSync(outPath, 'utf8')).toContain('FETCH_STAGGER_SECONDS=1');
+      });
+
+      test('--check only prints a summary and fails for a missing file', async () => {
+        fs.unlinkSync(outPath);
+        process.argv.push('--check');
+        await main();
+        expect(errSpy.mock.calls[0][0]).toContain(`Compose file not found: ${outPath}`);
+        expect(process.exit).toHaveBeenCalledWith(1);
+      });
+    });
+
+    test('exits with file, line and column on parse errors', async () => {
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-main-'));
+      const cfgPath = path.join(tmp, 'container-config.jsonc');
+      fs.writeFileSync(cfgPath, '{\n  // pinned\n  "systems": {},\n  "modules": {}\n  "versions": {}\n}');
+      const errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.exit = jest.fn(() => { throw new Error('exit'); });
+      process.argv = ['node', 'script.js', '-c', cfgPath];
+
+      await expect(main()).rejects.toThrow('exit');
+
+      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(errSpy.mock.calls[0][0]).toContain(`Failed to parse config: ${cfgPath}:5:3:`);
+      errSpy.mockRestore();
+    });
   });
 
   // Existing CLI integration tests...
@@ -0,0 +1,62 @@
+/**
+ * @file generate-compose.variants.unit.test.js
+ * @description Unit tests for per-version variant services
+ * @path tests/unit/scripts/generate-compose.variants.unit.test.js
+ */
+
+import {
+  deriveVersionDefaults,
+  variantCompositionParams,
+  buildComposeFromContainerConfig
+} from '#scripts/generate-compose.js';
+import { NO_SECRETS, install } from '#tests/utils/compose-fixtures.js';
+
+function containerConfig(variants, extra = {}) {
+  return {
+    composition: { version_params: { port: '300{version}' }, ...extra },
+    versions: {
+      '13': {
+        ...install,
+        composition_params: { tag: 'release', environment: { LOG: 'debug' }, hostname: 'main.localhost' },
+        variants
+      }
+    }
+  };
+}
+
+describe('variantCompositionParams', () => {
+  test('derives name, port, dirs and tag from the version', () => {
+    const conf = containerConfig({ full: {}, pinned: { composition_params: { tag: '13.345', port: 31345 } } }).versions['13'];
+    const derived = deriveVersionDefaults({ port: '300{version}' }, 13, conf.composition_params);
+    expect(variantCompositionParams(derived, 'full', 0, conf)).toMatchObject({
+      name: 'foundry-v13-full', port: 30113, versionDir: 'v13', envSuffix: 'v13', tag: 'release', environment: { LOG: 'debug' }
+    });
+    const pinned = variantCompositionParams(derived, 'pinned', 1, conf);
+    expect(pinned).toMatchObject({ name: 'foundry-v13-pinned', tag: '13.345', port: 31345 });
+    expect(pinned).not.toHaveProperty('hostname');
+  });
+});
+
+describe('variant services', () => {
+  test('adds one service and data volume per variant with FOUNDRY_VARIANT set', () => {
+    const compose = buildComposeFromContainerConfig(containerConfig({
+      full: {},
+      pinned: { composition_params: { tag: '13.345' } },
+      old: { supported: false }
+    }), {}, NO_SECRETS);
+    expect(Object.keys(compose.services)).toEqual(['foundry-v13', 'foundry-v13-full', 'foundry-v13-pinned', 'builder']);
+    expect(Object.keys(compose.volumes)).toEqual(['foundry-v13-data', 'foundry-v13-full-data', 'foundry-v13-pinned-data']);
+
+    const pinned = compose.services['foundry-v13-pinned'];
+    expect(pinned.image).toBe('felddy/foundryvtt:13.345');
+    expect(pinned.ports).toEqual(['30213:30000']);
+    expect(pinned.volumes[0]).toBe('foundry-v13-pinned-data:/data');
+    expect(pinned.environment).toEqual(expect.arrayContaining(['FOUNDRY_VARIANT=pinned', 'LOG=debug']));
+    expect(compose.services['foundry-v13'].environment.some(e => e.startsWith('FOUNDRY_VARIANT='))).toBe(false);
+  });
+
+  test('variant hostnames nest under the version hostname', () => {
+    const compose = buildComposeFromContainerConfig(containerConfig({ full: {} }, { proxy: {} }), {}, NO_SECRETS);
+    expect(compose.services['foundry-v13-full'].labels['foundryvtt-dev-pod.url']).toBe('http://full.main.localhost');
+  });
+});
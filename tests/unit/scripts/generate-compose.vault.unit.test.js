@@ -0,0 +1,86 @@
+/**
+ * @file generate-compose.vault.unit.test.js
+ * @description Tests for the HashiCorp Vault secrets mode
+ * @path tests/unit/scripts/generate-compose.vault.unit.test.js
+ */
+
+import fs from 'node:fs';
+import { jest } from '@jest/globals';
+import { parseArgs, resolveSecrets, retrieveVaultSecret } from '#scripts/generate-compose.js';
+import { spawnVaultStandIn } from '#tests/utils/vault-stand-in.js';
+
+const TOKEN = 'dev-root-token';
+const CREDENTIALS = { foundry_username: 'gm', foundry_password: 'hunter2' };
+
+describe('retrieveVaultSecret', () => {
+  const savedToken = process.env.VAULT_TOKEN;
+  beforeEach(() => { process.env.VAULT_TOKEN = TOKEN; });
+  afterEach(() => {
+    if (savedToken === undefined) delete process.env.VAULT_TOKEN;
+    else process.env.VAULT_TOKEN = savedToken;
+  });
+
+  test('passes trimmed settings and the token to the reader', () => {
+    const readFn = jest.fn().mockReturnValue('{"ok":true}');
+    expect(retrieveVaultSecret(' http://vault:8200 ', ' secret/data/foundry ', '', readFn)).toBe('{"ok":true}');
+    const [opts, execOpts] = readFn.mock.calls[0];
+    expect(opts).toMatchObject({ addr: 'http://vault:8200', path: 'secret/data/foundry', field: undefined, token: TOKEN });
+    expect(execOpts.timeout).toBeGreaterThan(0);
+  });
+
+  test('validates address and path', () => {
+    expect(() => retrieveVaultSecret('  ', 'p', jest.fn())).toThrow('Vault address must be a non-empty string');
+    expect(() => retrieveVaultSecret('http://vault:8200', ' ', jest.fn())).toThrow('Vault secret path must be a non-empty string');
+  });
+
+  test('wraps reader errors', () => {
+    const readFn = () => { throw new Error('HTTP 403 reading kv/x: permission denied'); };
+    expect(() => retrieveVaultSecret('http://vault:8200', 'kv/x', '', readFn))
+      .toThrow('Vault secret retrieval failed (addr=http://vault:8200, path=kv/x): HTTP 403 reading kv/x: permission denied');
+  });
+});
+
+describe('vault secrets mode', () => {
+  const savedEnv = { ...process.env };
+  afterEach(() => { process.env = { ...savedEnv }; });
+
+  test('parseArgs reads flags and COMPOSE_SECRETS_VAULT_* variables', () => {
+    process.env.COMPOSE_SECRETS_VAULT_ADDR = 'http://env:8200';
+    process.env.COMPOSE_SECRETS_VAULT_PATH = 'secret/data/env';
+    process.env.COMPOSE_SECRETS_VAULT_FIELD = 'config';
+    expect(parseArgs(['node', 'x'])).toMatchObject({ secretsVaultAddr: 'http://env:8200', secretsVaultPath: 'secret/data/env', secretsVaultField: 'config' });
+    const args = parseArgs(['node', 'x', '--secrets-mode', 'vault', '--secrets-vault-addr', 'http://cli:8200', '--secrets-vault-path', 'kv/cli', '--secrets-vault-field', 'json']);
+    expect(args).toMatchObject({ secretsMode: 'vault', secretsVaultAddr: 'http://cli:8200', secretsVaultPath: 'kv/cli', secretsVaultField: 'json' });
+  });
+
+  test('parseArgs falls back to VAULT_ADDR', () => {
+    delete process.env.COMPOSE_SECRETS_VAULT_ADDR;
+    process.env.VAULT_ADDR = 'http://vault-cli:8200';
+    expect(parseArgs(['node', 'x']).secretsVaultAddr).toBe('http://vault-cli:8200');
+  });
+
+  test('resolveSecrets writes the secret to a private temp file', () => {
+    const retrieve = jest.fn().mockReturnValue(JSON.stringify(CREDENTIALS));
+    const secrets = resolveSecrets({ secretsMode: 'vault', secretsVaultAddr: 'http://vault:8200', secretsVaultPath: 'kv/foundry', secretsVaultField: 'config', secretsTarget: 'config.json' }, undefined, undefined, undefined, retrieve);
+    expect(retrieve).toHaveBeenCalledWith('http://vault:8200', 'kv/foundry', 'config');
+    const file = secrets.topLevel.config_json_vault.file;
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual(CREDENTIALS);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(secrets.serviceRef).toEqual([{ source: 'config_json_vault', target: 'config.json' }]);
+  });
+
+  test('resolveSecrets reads from a Vault dev-server stand-in', async () => {
+    const vault = await spawnVaultStandIn({ token: TOKEN, secrets: { 'secret/data/foundry': { data: { data: CREDENTIALS, metadata: {} } } } });
+    try {
+      process.env.VAULT_TOKEN = TOKEN;
+      const secrets = resolveSecrets({ secretsMode: 'vault', secretsVaultAddr: vault.addr, secretsVaultPath: 'secret/data/foundry' });
+      expect(JSON.parse(fs.readFileSync(secrets.topLevel.config_json_vault.file, 'utf8'))).toEqual(CREDENTIALS);
+
+      process.env.VAULT_TOKEN = 'wrong';
+      expect(() => resolveSecrets({ secretsMode: 'vault', secretsVaultAddr: vault.addr, secretsVaultPath: 'secret/data/foundry' }))
+        .toThrow(/^Failed to retrieve Vault secret: .*HTTP 403 reading secret\/data\/foundry: permission denied/);
+    } finally {
+      await vault.close();
+    }
+  });
+});
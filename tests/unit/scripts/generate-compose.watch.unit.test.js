@@ -0,0 +1,92 @@
+/**
+ * @file generate-compose.watch.unit.test.js
+ * @description Unit tests for --watch and the fvtt-pod up hook
+ * @path tests/unit/scripts/generate-compose.watch.unit.test.js
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import yaml from 'js-yaml';
+import { jest } from '@jest/globals';
+import { parseArgs, runPodUp, main } from '#scripts/generate-compose.js';
+import { install, containerConfig } from '#tests/utils/compose-fixtures.js';
+
+describe('runPodUp', () => {
+  test('starts only the given services through fvtt-pod', () => {
+    const exec = jest.fn();
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(runPodUp('/pod/compose.dev.yml', [ 'foundry-v13', 'foundry-v12' ], exec)).toBe(true);
+    const [ cmd, [ script, ...args ] ] = exec.mock.calls[0];
+    expect(cmd).toBe(process.execPath);
+    expect(script).toMatch(/scripts\/fvtt-pod\.mjs$/);
+    expect(args).toEqual([ '-f', '/pod/compose.dev.yml', 'up', '-d', '--only', 'foundry-v13', '--only', 'foundry-v12' ]);
+    logSpy.mockRestore();
+  });
+
+  test('reports failures without throwing', () => {
+    const errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(runPodUp('c.yml', [ 'a' ], () => { throw new Error('docker not running'); })).toBe(false);
+    expect(errSpy).toHaveBeenCalledWith('[watch] fvtt-pod up failed: docker not running');
+    errSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+});
+
+describe('main --watch', () => {
+  let tmp;
+  let cfgPath;
+  let outPath;
+  let originalArgv;
+  let originalExit;
+  let logSpy;
+  let errSpy;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'omh-watch-'));
+    cfgPath = path.join(tmp, 'container-config.json');
+    outPath = path.join(tmp, 'compose.dev.yml');
+    fs.writeFileSync(cfgPath, JSON.stringify(containerConfig()));
+    originalArgv = process.argv;
+    originalExit = process.exit;
+    process.exit = jest.fn();
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.argv = originalArgv;
+    process.exit = originalExit;
+    logSpy.mockRestore();
+    errSpy.mockRestore();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('parses --watch and --up', () => {
+    expect(parseArgs([ 'node', 'script.js', '--watch', '--up' ])).toMatchObject({ watch: true, up: true });
+  });
+
+  test('requires -o', async () => {
+    process.argv = [ 'node', 'script.js', '-c', cfgPath, '--watch' ];
+    expect(await main()).toBeUndefined();
+    expect(process.exit).toHaveBeenCalledWith(1);
+    expect(errSpy.mock.calls[0][0]).toContain('--watch needs -o <file>');
+  });
+
+  test('writes the compose file and watches the config and env files', async () => {
+    process.argv = [ 'node', 'script.js', '-c', cfgPath, '-o', outPath, '--secrets-mode', 'none', '--watch' ];
+    const watcher = await main();
+    try {
+      expect(Object.keys(yaml.load(fs.readFileSync(outPath, 'utf8')).services)).toEqual([ 'foundry-v13', 'builder' ]);
+      expect(watcher.files()).toEqual([ cfgPath, path.join(tmp, 'env/.env'), path.join(tmp, 'env/.v13.env') ]);
+
+      fs.writeFileSync(cfgPath, JSON.stringify(containerConfig({ versions: { '13': install, '12': install } })));
+      expect(await watcher.regenerate('test')).toEqual({ added: [ 'foundry-v12' ], removed: [], changed: [] });
+      expect(logSpy).toHaveBeenCalledWith(`[watch] test: wrote ${outPath} (added foundry-v12)`);
+      expect(yaml.load(fs.readFileSync(outPath, 'utf8')).services).toHaveProperty('foundry-v12');
+    } finally {
+      watcher.close();
+    }
+  });
+});
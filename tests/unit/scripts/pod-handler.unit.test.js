@@ -3,6 +3,7 @@ import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { runBashScript } from '#tests/utils/shell.js';
+import { wouldRun } from '#tests/utils/dry-run.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -34,7 +35,7 @@ services:
   test('shows help message', () => {
     const res = runBashScript(scriptPath, ['--help']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('Usage: pod-handler.sh [options] <command>');
+    expect(res.stdout).toContain('Usage: fvtt-pod [options] <command>');
     expect(res.stdout).toContain('--dry-run, -n');
     expect(res.stdout).toContain('Show what docker compose commands would be executed');
   });
@@ -42,91 +43,128 @@ services:
   test('dry-run shows commands without executing them', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'up']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd up --remove-orphans');
+    expect(res.stdout).toMatch(wouldRun('up --remove-orphans'));
   });
 
   test('dry-run with -n flag works the same as --dry-run', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '-n', 'up', '-d']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd up -d --remove-orphans');
+    expect(res.stdout).toMatch(wouldRun('up -d --remove-orphans'));
+  });
+
+  test('dry-run up passes profiles before the subcommand', () => {
+    const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'up', '-d', '--profile', 'legacy', '--profile', 'v13']);
+    expect(res.code).toBe(0);
+    expect(res.stdout).toMatch(wouldRun('--profile legacy --profile v13 up -d --remove-orphans'));
+  });
+
+  test('dry-run up --only maps versions to default service names', () => {
+    const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'up', '--only', 'v13', '--only', '12', '--only', 'test-service']);
+    expect(res.code).toBe(0);
+    expect(res.stdout).toMatch(wouldRun('up --remove-orphans foundry-v13 foundry-v12 test-service'));
+  });
+
+  test('dry-run up --check verifies the compose file before starting', () => {
+    const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'up', '-d', '--check']);
+    expect(res.code).toBe(0);
+    expect(res.stdout).toContain(`[dry-run] Would run: ${process.execPath} ${path.join(repoRoot, 'scripts')}/generate-compose.js --check -o ${testComposeFile}`);
+    expect(res.stdout).toMatch(wouldRun('up -d --remove-orphans'));
+  });
+
+  test('init runs without a compose file and forwards --dry-run', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pod-handler-init-'));
+    try {
+      const res = runBashScript(scriptPath, ['-f', path.join(dir, 'missing.yml'), '-n', 'init', '--yes', '--dir', dir]);
+      expect(res.code).toBe(0);
+      expect(res.stdout).toContain(`Would create ${path.join(dir, 'container-config.json')}`);
+      expect(fs.readdirSync(dir)).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('error when --profile is missing its name', () => {
+    const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'up', '--profile']);
+    expect(res.code).toBe(1);
+    expect(res.stderr).toContain('--profile requires a name');
   });
 
   test('dry-run shows start command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'start', 'test-service']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd up -d --build --no-deps test-service');
+    expect(res.stdout).toMatch(wouldRun('up -d --build --no-deps test-service'));
   });
 
   test('dry-run shows build command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'build', 'test-service']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd build test-service');
+    expect(res.stdout).toMatch(wouldRun('build test-service'));
   });
 
   test('dry-run shows build command without service correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'build']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd build');
+    expect(res.stdout).toMatch(wouldRun('build'));
   });
 
   test('dry-run shows down command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'down']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd down');
+    expect(res.stdout).toMatch(wouldRun('down'));
   });
 
   test('dry-run shows restart command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'restart', 'test-service']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd restart test-service');
+    expect(res.stdout).toMatch(wouldRun('restart test-service'));
   });
 
   test('dry-run shows pull command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'pull']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd pull');
+    expect(res.stdout).toMatch(wouldRun('pull'));
   });
 
   test('dry-run shows ps command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'ps']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd ps');
+    expect(res.stdout).toMatch(wouldRun('ps'));
   });
 
   test('dry-run shows logs command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'logs', 'test-service']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd logs test-service');
+    expect(res.stdout).toMatch(wouldRun('logs test-service'));
   });
 
   test('dry-run shows logs -f command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'logs', '-f', 'test-service']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd logs -f test-service');
+    expect(res.stdout).toMatch(wouldRun('logs -f test-service'));
   });
 
   test('dry-run shows exec command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'exec', 'test-service', 'ls']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd exec -u 0 -it test-service ls');
+    expect(res.stdout).toMatch(wouldRun('exec -u 0 -it test-service ls'));
   });
 
   test('dry-run shows shell command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'shell', 'test-service']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd exec -u 0 -it test-service');
+    expect(res.stdout).toMatch(wouldRun('exec -u 0 -it test-service'));
   });
 
   test('dry-run shows run-builder command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'run-builder']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd up -d --build builder');
+    expect(res.stdout).toMatch(wouldRun('up -d --build builder'));
   });
 
   test('dry-run shows stop-builder command correctly', () => {
     const res = runBashScript(scriptPath, ['-f', testComposeFile, '--dry-run', 'stop-builder']);
     expect(res.code).toBe(0);
-    expect(res.stdout).toContain('[dry-run] Would run: dc_cmd stop builder');
+    expect(res.stdout).toMatch(wouldRun('stop builder'));
   });
 
   test('error when required service argument missing for start', () => {
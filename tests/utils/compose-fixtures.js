@@ -0,0 +1,22 @@
+/**
+ * @file compose-fixtures.js
+ * @description Container config fixtures shared by the compose generator tests
+ * @path tests/utils/compose-fixtures.js
+ */
+
+// Secrets as resolved for `--secrets-mode none`
+const NO_SECRETS = { topLevel: {}, serviceRef: [] };
+
+// A version entry that installs no systems or modules
+const install = { install: { systems: {}, modules: {} } };
+
+/**
+ * Container config without components for Foundry 13.
+ * @param {Object} [extra] - Top-level keys to add or replace (`versions`, `composition`, ...)
+ * @returns {Object} Container config
+ */
+function containerConfig(extra = {}) {
+  return { systems: {}, modules: {}, versions: { '13': install }, ...extra };
+}
+
+export { NO_SECRETS, install, containerConfig };
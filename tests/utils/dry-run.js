@@ -0,0 +1,16 @@
+/**
+ * @file dry-run.js
+ * @description Matchers for the dry-run output of the pod commands
+ * @path tests/utils/dry-run.js
+ */
+
+/**
+ * Pattern for a dry-run line of a compose command (`docker compose -f <file> ...` or `docker-compose -f <file> ...`)
+ * @param {string} args - Compose arguments after the file
+ * @returns {RegExp}
+ */
+function wouldRun(args) {
+  return new RegExp(`\\[dry-run\\] Would run: docker[ -]compose -f \\S+ ${args.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+}
+
+export { wouldRun };
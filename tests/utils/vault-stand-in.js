@@ -0,0 +1,63 @@
+/**
+ * @file vault-stand-in.js
+ * @description Local stand-in for a Vault dev server (KV v1/v2 reads with token auth) for tests
+ * @path tests/utils/vault-stand-in.js
+ */
+
+import http from 'node:http';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Start an in-process stand-in. `secrets` maps API paths (below /v1) to response bodies,
+ * e.g. `{ 'secret/data/foundry': { data: { data: {...}, metadata: {} } } }`.
+ * @param {{token: string, secrets: Object<string, Object>}} opts
+ * @returns {Promise<{addr: string, requests: Array<Object>, close: Function}>}
+ */
+function startVaultStandIn({ token, secrets }) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    res.setHeader('Content-Type', 'application/json');
+    if (req.headers['x-vault-token'] !== token) {
+      res.statusCode = 403;
+      res.end(JSON.stringify({ errors: [ 'permission denied' ] }));
+      return;
+    }
+    const body = secrets[req.url.replace(/^\/v1\//, '')];
+    res.statusCode = body ? 200 : 404;
+    res.end(JSON.stringify(body || { errors: [] }));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ addr: `http://127.0.0.1:${port}`, requests, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+/**
+ * Start the stand-in in a child process, for callers that block the event loop
+ * (synchronous reads). Stop it with `close()`.
+ * @param {{token: string, secrets: Object<string, Object>}} opts
+ * @returns {Promise<{addr: string, close: Function}>}
+ */
+function spawnVaultStandIn({ token, secrets }) {
+  const child = spawn(process.execPath, [ fileURLToPath(import.meta.url) ], {
+    env: { ...process.env, VAULT_STANDIN: JSON.stringify({ token, secrets }) },
+    stdio: [ 'ignore', 'pipe', 'inherit' ]
+  });
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.stdout.once('data', (chunk) => {
+      const close = () => new Promise(done => { child.once('exit', done); child.kill(); });
+      resolve({ addr: String(chunk).trim(), close });
+    });
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  startVaultStandIn(JSON.parse(process.env.VAULT_STANDIN)).then(({ addr }) => process.stdout.write(`${addr}\n`));
+}
+
+export { startVaultStandIn, spawnVaultStandIn };